@@ -3,6 +3,9 @@
  * Uses microphone audio levels to detect breathing patterns - FULL IMPLEMENTATION
  */
 
+import { BreathCalibration } from '../../utils/BreathCalibration.js';
+import { BreathSpectralAnalyzer } from '../../utils/BreathSpectralAnalyzer.js';
+
 export class BreathController {
   constructor() {
     this.isActive = false;
@@ -14,21 +17,67 @@ export class BreathController {
     this.microphone = null;
     this.analyser = null;
     this.dataArray = null;
+    this.spectrumData = null;
+    
+    // Breath vs. speech and background sounds
+    this.spectralAnalyzer = new BreathSpectralAnalyzer();
+    this.breathConfidence = 1;
+    this.isSpeechActive = false;
     
     // Breath detection
     this.breathLevel = 0;
     this.breathState = 'idle'; // 'inhale', 'exhale', 'hold', 'idle'
     this.breathHistory = [];
     
-    // Configuration
+    // Continuous breath strength, published as the 'breath' analog axis
+    this.breathStrength = 0;
+    this.blowStartTime = null;
+    this.sustainedDuration = 0;
+    this.puffCount = 0;
+    this.lastPuffTime = 0;
+    this.lastAxisEmit = 0;
+    this.lastAxisValue = 0;
+    
+    // Breath state -> input payload (replaced by the player's bindings)
+    this.stateBindings = {
+      exhale: { action: 'select' },
+      inhale: { action: 'move', direction: 'up' },
+      hold: { action: 'command', command: 'pause' }
+    };
+    
+    // Configuration; thresholds are replaced by the player's calibration
     this.config = {
       sensitivity: 'medium',
       breathInThreshold: 0.3,
       breathOutThreshold: 0.7,
       holdThreshold: 0.1,
-      smoothingWindow: 10
+      holdLevel: 0.5,
+      hysteresis: 0,
+      smoothingWindow: 10,
+      ambientCheckInterval: 60000, // ms between checks of the room's quiet level
+      minBreathConfidence: 0.55,    // Louder-than-quiet sounds must be at least this breath-like
+      speechBreathConfidence: 0.8,  // ...or this breath-like while voice control hears speech
+      axisInterval: 50,             // ms between breath axis updates
+      axisDeadband: 0.02,           // Smallest strength change worth sending
+      blowThreshold: 0.15,          // Strength (0-1 of the player's range) that starts a blow
+      blowReleaseThreshold: 0.08,   // ...and that ends it
+      puffMaxDuration: 400,         // ms; shorter blows count as puffs
+      puffWindow: 1500,             // ms within which puffs add up to a count
+      stepLeadIn: 1500              // ms to get ready before each calibration step records
     };
     
+    // Guided calibration
+    this.calibration = new BreathCalibration();
+    this.calibrationResult = null;
+    this.calibrationStep = null;
+    this.calibrationUI = null;
+    this.isCalibrating = false;
+    this.calibrationCancelled = false;
+    
+    // Room noise re-check while playing
+    this.ambientLevels = [];
+    this.lastAmbientCheck = 0;
+    
     this.isCalibrated = false;
   }
 
@@ -61,7 +110,10 @@ export class BreathController {
       // Initialize audio context
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       
-      console.log('💨 Breath controller initialized (stub)');
+      // Restore the player's calibration
+      this.loadUserSettings();
+      
+      console.log('💨 Breath controller initialized');
       
     } catch (error) {
       console.error('Failed to initialize breath controller:', error);
@@ -69,10 +121,58 @@ export class BreathController {
     }
   }
 
+  /**
+   * Load the active player's breath settings and calibration
+   */
+  loadUserSettings() {
+    const stateManager = this.inputManager?.gameEngine?.stateManager;
+    if (!stateManager) return;
+    
+    const settings = stateManager.getStateValue('settings.inputSettings.breath') || {};
+    this.config.sensitivity = settings.sensitivity || 'medium';
+    
+    if (settings.calibration && settings.calibration.version === BreathCalibration.VERSION) {
+      this.applyCalibration(settings.calibration);
+    } else {
+      this.calibrationResult = null;
+      this.isCalibrated = false;
+    }
+  }
+
+  /**
+   * Use a calibration's thresholds for detection
+   */
+  applyCalibration(calibration) {
+    this.calibrationResult = calibration;
+    this.isCalibrated = true;
+    this.setThresholds({
+      breathIn: calibration.thresholds.breathIn,
+      breathOut: calibration.thresholds.breathOut,
+      hold: calibration.thresholds.hold,
+      holdLevel: calibration.thresholds.holdLevel,
+      hysteresis: calibration.thresholds.hysteresis
+    });
+  }
+
+  /**
+   * Save a calibration to the active player's breath settings
+   */
+  saveCalibration(calibration) {
+    const stateManager = this.inputManager?.gameEngine?.stateManager;
+    if (!stateManager) return;
+    
+    stateManager.updateSettings('inputSettings.breath.calibration', calibration);
+    stateManager.updateSettings('inputSettings.breath.calibrated', true);
+  }
+
   /**
    * Set up audio analysis
    */
   async setupAudioAnalysis() {
+    if (this.analyser && this.microphone) {
+      return;
+    }
+    
     try {
       // Get microphone stream
       this.microphone = await navigator.mediaDevices.getUserMedia({
@@ -87,13 +187,16 @@ export class BreathController {
       const source = this.audioContext.createMediaStreamSource(this.microphone);
       this.analyser = this.audioContext.createAnalyser();
       
-      this.analyser.fftSize = 256;
+      // Fine enough bins (~23 Hz) to see the harmonics of a voice
+      this.analyser.fftSize = 2048;
       this.analyser.smoothingTimeConstant = 0.8;
       
       source.connect(this.analyser);
       
-      // Create data array for frequency data
+      // Create data arrays for frequency data: bytes for loudness, dB for spectral features
       this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+      this.spectrumData = new Float32Array(this.analyser.frequencyBinCount);
+      this.spectralAnalyzer.reset();
       
       // Start analysis loop
       this.startAnalysis();
@@ -111,7 +214,7 @@ export class BreathController {
    */
   startAnalysis() {
     const analyze = () => {
-      if (!this.isActive || !this.analyser) return;
+      if ((!this.isActive && !this.isCalibrating) || !this.analyser) return;
       
       // Get frequency data
       this.analyser.getByteFrequencyData(this.dataArray);
@@ -124,11 +227,29 @@ export class BreathController {
       
       const rawLevel = sum / this.dataArray.length / 255;
       
-      // Apply smoothing
-      this.breathLevel = this.smoothBreathLevel(rawLevel);
-      
-      // Detect breath state
-      this.detectBreathState();
+      if (this.isCalibrating) {
+        // Calibration listens without turning breaths into game input
+        this.breathLevel = this.smoothBreathLevel(rawLevel);
+        if (this.calibrationStep) {
+          this.calibration.addSample(this.calibrationStep, this.breathLevel);
+        }
+        this.updateCalibrationMeter(this.breathLevel);
+      } else {
+        this.analyser.getFloatFrequencyData(this.spectrumData);
+        const spectral = this.spectralAnalyzer.analyze(this.spectrumData, this.audioContext.sampleRate, this.analyser.fftSize);
+        this.breathConfidence = spectral.confidence;
+        
+        // Speech, music and tones are left out entirely so they cannot move the breath state
+        const breathLike = this.isBreathLike(rawLevel);
+        if (breathLike) {
+          this.breathLevel = this.smoothBreathLevel(rawLevel);
+          this.detectBreathState();
+        }
+        
+        // Strength fades out while sounds that are not breath are playing
+        this.updateBreathStrength(breathLike ? this.getPlayerLevel(this.breathLevel) : this.breathStrength * 0.8);
+        this.checkAmbientNoise(rawLevel);
+      }
       
       // Continue analysis
       requestAnimationFrame(analyze);
@@ -137,6 +258,25 @@ export class BreathController {
     analyze();
   }
 
+  /**
+   * Check whether a frame should count as breath: quiet frames always do, louder ones must sound like breath
+   */
+  isBreathLike(rawLevel) {
+    if (rawLevel <= this.config.breathInThreshold) {
+      return true;
+    }
+    
+    const required = this.isSpeechActive ? this.config.speechBreathConfidence : this.config.minBreathConfidence;
+    return this.breathConfidence >= required;
+  }
+
+  /**
+   * Voice control reports when it hears speech, so breath detection can be stricter meanwhile
+   */
+  setSpeechActive(active) {
+    this.isSpeechActive = active;
+  }
+
   /**
    * Smooth breath level readings
    */
@@ -160,12 +300,14 @@ export class BreathController {
     const level = this.breathLevel;
     const prevState = this.breathState;
     
-    // Simple state detection (would need calibration in real implementation)
-    if (level > this.config.breathOutThreshold) {
+    // Hysteresis: the current state holds until the level is clearly past its threshold
+    const margin = (state) => prevState === state ? this.config.hysteresis : 0;
+    
+    if (level > this.config.breathOutThreshold - margin('exhale')) {
       this.breathState = 'exhale';
-    } else if (level < this.config.breathInThreshold) {
+    } else if (level < this.config.breathInThreshold + margin('inhale')) {
       this.breathState = 'inhale';
-    } else if (Math.abs(level - 0.5) < this.config.holdThreshold) {
+    } else if (Math.abs(level - this.config.holdLevel) < this.config.holdThreshold + margin('hold')) {
       this.breathState = 'hold';
     } else {
       this.breathState = 'idle';
@@ -173,56 +315,138 @@ export class BreathController {
     
     // Emit state change events
     if (this.breathState !== prevState) {
+      const playerLevel = this.getPlayerLevel(level);
+      
       this.emit(this.breathState, {
         state: this.breathState,
-        level: level,
+        level: playerLevel,
+        rawLevel: level,
+        confidence: this.breathConfidence,
         timestamp: Date.now()
       });
       
       // Convert to input events
-      this.convertBreathToInput(this.breathState, level);
+      this.convertBreathToInput(this.breathState, playerLevel);
     }
   }
 
   /**
-   * Convert breath state to input events
+   * Track blows and puffs and publish the breath strength as an analog axis
    */
-  convertBreathToInput(state, level) {
-    let inputEvent = null;
-    
-    switch (state) {
-      case 'exhale':
-        inputEvent = {
-          action: 'select',
-          method: 'breath',
-          data: { breathState: state, level },
-          timestamp: Date.now()
-        };
-        break;
-      case 'inhale':
-        inputEvent = {
-          action: 'move',
-          direction: 'up',
-          method: 'breath',
-          data: { breathState: state, level },
-          timestamp: Date.now()
-        };
-        break;
-      case 'hold':
-        inputEvent = {
-          action: 'pause',
-          method: 'breath',
-          data: { breathState: state, level },
-          timestamp: Date.now()
-        };
-        break;
+  updateBreathStrength(strength, now = Date.now()) {
+    this.breathStrength = strength;
+    
+    if (this.blowStartTime === null && strength >= this.config.blowThreshold) {
+      this.blowStartTime = now;
+      this.emit('blowStart', { strength, timestamp: now });
+    } else if (this.blowStartTime !== null && strength < this.config.blowReleaseThreshold) {
+      const duration = now - this.blowStartTime;
+      this.blowStartTime = null;
+      
+      if (duration <= this.config.puffMaxDuration) {
+        this.puffCount = now - this.lastPuffTime <= this.config.puffWindow ? this.puffCount + 1 : 1;
+        this.lastPuffTime = now;
+        this.emit('puff', { count: this.puffCount, duration, timestamp: now });
+      }
+      
+      this.emit('blowEnd', { duration, timestamp: now });
     }
     
-    if (inputEvent) {
-      this.emit('input', inputEvent);
+    this.sustainedDuration = this.blowStartTime === null ? 0 : now - this.blowStartTime;
+    if (this.puffCount > 0 && now - this.lastPuffTime > this.config.puffWindow) {
+      this.puffCount = 0;
+    }
+    
+    // Throttled, and only when the strength has really changed
+    const value = strength < this.config.axisDeadband ? 0 : Math.min(1, strength);
+    const changed = Math.abs(value - this.lastAxisValue) >= this.config.axisDeadband ||
+      (value === 0 && this.lastAxisValue !== 0);
+    
+    if (changed && now - this.lastAxisEmit >= this.config.axisInterval) {
+      this.lastAxisEmit = now;
+      this.lastAxisValue = value;
+      
+      this.emit('input', {
+        action: 'axis',
+        axis: 'breath',
+        value,
+        method: 'breath',
+        params: {
+          sustainedDuration: this.sustainedDuration,
+          puffCount: this.puffCount,
+          blowing: this.blowStartTime !== null
+        },
+        confidence: this.breathConfidence,
+        timestamp: now
+      });
     }
   }
 
+  /**
+   * Scale a level to the player's calibrated range (0 = room, 1 = strong blow)
+   */
+  getPlayerLevel(level) {
+    return this.calibration.normalize(level, this.calibrationResult);
+  }
+
+  /**
+   * Periodically compare the room's quiet level with the calibration
+   */
+  checkAmbientNoise(rawLevel) {
+    if (!this.calibrationResult) return;
+    
+    this.ambientLevels.push(rawLevel);
+    
+    const now = Date.now();
+    if (this.lastAmbientCheck === 0) {
+      this.lastAmbientCheck = now;
+      return;
+    }
+    if (now - this.lastAmbientCheck < this.config.ambientCheckInterval) return;
+    
+    // The quietest moments between breaths show the room's noise
+    const ambientLevel = this.calibration.percentile(this.ambientLevels, 0.1);
+    this.ambientLevels = [];
+    this.lastAmbientCheck = now;
+    
+    if (!this.calibration.hasAmbientDrifted(this.calibrationResult, ambientLevel)) return;
+    
+    const adjusted = this.calibration.adjustForAmbient(this.calibrationResult, ambientLevel, this.config.sensitivity);
+    if (adjusted) {
+      console.log(`💨 Room noise changed (${ambientLevel.toFixed(3)}), breath thresholds adjusted`);
+      this.applyCalibration(adjusted);
+      this.saveCalibration(adjusted);
+    } else {
+      console.warn('💨 Room is too noisy for the current breath calibration');
+      this.emit('calibrationNeeded', { reason: 'ambient_noise', ambientLevel });
+    }
+  }
+
+  /**
+   * Convert breath state to input events
+   */
+  convertBreathToInput(state, level) {
+    const binding = this.stateBindings[state];
+    if (!binding) return;
+    
+    const { actionId, description, ...payload } = binding;
+    
+    this.emit('input', {
+      ...payload,
+      method: 'breath',
+      data: { breathState: state, level },
+      confidence: this.breathConfidence,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Apply the player's breath bindings (breath state -> input payload)
+   */
+  applyBindings(resolvedBindings) {
+    this.stateBindings = { ...resolvedBindings };
+  }
+
   /**
    * Activate breath controller
    */
@@ -237,9 +461,16 @@ export class BreathController {
       
       // Set up audio analysis
       await this.setupAudioAnalysis();
+      this.ambientLevels = [];
+      this.lastAmbientCheck = 0;
       
       console.log('💨 Breath controller activated');
       
+      // Missing or old calibrations are re-checked when breath control starts
+      if (this.calibration.isRecheckDue(this.calibrationResult)) {
+        this.emit('calibrationNeeded', { reason: this.calibrationResult ? 'calibration_expired' : 'not_calibrated' });
+      }
+      
     } catch (error) {
       console.error('Failed to activate breath controller:', error);
       this.isActive = false;
@@ -253,33 +484,253 @@ export class BreathController {
   async deactivate() {
     this.isActive = false;
     
-    // Stop microphone
+    if (this.isCalibrating) {
+      this.cancelCalibration();
+    }
+    
+    this.stopMicrophone();
+    
+    console.log('💨 Breath controller deactivated');
+  }
+
+  /**
+   * Release the microphone and analyser
+   */
+  stopMicrophone() {
     if (this.microphone) {
       this.microphone.getTracks().forEach(track => track.stop());
       this.microphone = null;
     }
-    
-    console.log('💨 Breath controller deactivated');
+    this.analyser = null;
   }
 
   /**
-   * Start calibration process
+   * Run the guided calibration: silence, soft blow, strong blow, long blow
    */
   async startCalibration() {
-    console.log('💨 Breath calibration started (stub)');
-    
-    // Simplified calibration
-    setTimeout(() => {
-      this.isCalibrated = true;
-      this.emit('calibrationComplete', {
-        sensitivity: this.config.sensitivity,
-        thresholds: {
-          breathIn: this.config.breathInThreshold,
-          breathOut: this.config.breathOutThreshold,
-          hold: this.config.holdThreshold
-        }
-      });
-    }, 2000);
+    if (this.isCalibrating) {
+      console.warn('Breath calibration already in progress');
+      return;
+    }
+    
+    if (!this.audioContext) {
+      this.announce('Breath control needs a microphone before it can be calibrated.');
+      return;
+    }
+    
+    console.log('💨 Breath calibration started');
+    this.isCalibrating = true;
+    this.calibrationCancelled = false;
+    
+    try {
+      if (this.audioContext.state === 'suspended') {
+        await this.audioContext.resume();
+      }
+      await this.setupAudioAnalysis();
+      
+      this.showCalibrationUI();
+      
+      let result = null;
+      while (!result && !this.calibrationCancelled) {
+        result = await this.runCalibrationSteps();
+      }
+      
+      if (result) {
+        this.applyCalibration(result);
+        this.saveCalibration(result);
+        this.emit('calibrationComplete', {
+          sensitivity: this.config.sensitivity,
+          noiseFloor: result.noiseFloor,
+          softLevel: result.softLevel,
+          strongLevel: result.strongLevel,
+          holdDuration: result.holdDuration,
+          thresholds: result.thresholds
+        });
+        
+        this.setCalibrationText('All set!', 'Breath control now knows your breathing.');
+        await this.wait(2000);
+      }
+    } catch (error) {
+      console.error('Breath calibration failed:', error);
+      this.announce('Breath calibration could not be completed.');
+    } finally {
+      this.calibrationStep = null;
+      this.isCalibrating = false;
+      this.hideCalibrationUI();
+      
+      // Calibration may have opened the microphone while breath control was off
+      if (!this.isActive) {
+        this.stopMicrophone();
+      }
+    }
+  }
+
+  /**
+   * Record every calibration step once; returns the calibration, or null to retry or stop
+   */
+  async runCalibrationSteps() {
+    this.calibration.reset();
+    const steps = BreathCalibration.STEPS;
+    
+    for (let index = 0; index < steps.length; index++) {
+      const step = steps[index];
+      if (this.calibrationCancelled) return null;
+      
+      this.setCalibrationText(`Step ${index + 1} of ${steps.length}: ${step.title}`, step.instruction);
+      await this.wait(this.config.stepLeadIn);
+      if (this.calibrationCancelled) return null;
+      
+      this.calibrationStep = step.id;
+      await this.wait(step.duration);
+      this.calibrationStep = null;
+    }
+    
+    try {
+      return this.calibration.finish(this.config.sensitivity);
+    } catch (error) {
+      console.warn('💨 Breath calibration needs another try:', error.message);
+      this.setCalibrationText('Let\'s try again', error.message);
+      await this.wait(4000);
+      return null;
+    }
+  }
+
+  /**
+   * Stop a running calibration without changing the saved one
+   */
+  cancelCalibration() {
+    this.calibrationCancelled = true;
+    this.calibrationStep = null;
+    this.announce('Breath calibration cancelled.');
+  }
+
+  /**
+   * Show the calibration overlay with instructions and a live level meter
+   */
+  showCalibrationUI() {
+    this.hideCalibrationUI();
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'breath-calibration';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Breath calibration');
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.9);
+      z-index: 10000;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 20px;
+      color: white;
+      text-align: center;
+    `;
+    
+    const title = document.createElement('h2');
+    title.style.cssText = `
+      color: #87CEEB;
+      font-size: 2rem;
+    `;
+    
+    const instruction = document.createElement('p');
+    instruction.setAttribute('aria-live', 'assertive');
+    instruction.style.cssText = `
+      font-size: 1.4rem;
+      max-width: 600px;
+    `;
+    
+    const meter = document.createElement('div');
+    meter.setAttribute('aria-hidden', 'true');
+    meter.style.cssText = `
+      width: min(500px, 80vw);
+      height: 30px;
+      background: rgba(255, 255, 255, 0.15);
+      border-radius: 15px;
+      overflow: hidden;
+    `;
+    
+    const meterFill = document.createElement('div');
+    meterFill.style.cssText = `
+      width: 0%;
+      height: 100%;
+      background: linear-gradient(90deg, #87CEEB, #4CAF50);
+      transition: width 0.1s linear;
+    `;
+    meter.appendChild(meterFill);
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.className = 'focusable';
+    cancelButton.style.cssText = `
+      padding: 12px 24px;
+      background: rgba(255, 255, 255, 0.2);
+      border: 2px solid rgba(255, 255, 255, 0.3);
+      border-radius: 25px;
+      color: white;
+      cursor: pointer;
+      font-size: 1rem;
+    `;
+    cancelButton.addEventListener('click', () => this.cancelCalibration());
+    
+    overlay.appendChild(title);
+    overlay.appendChild(instruction);
+    overlay.appendChild(meter);
+    overlay.appendChild(cancelButton);
+    document.body.appendChild(overlay);
+    
+    this.calibrationUI = { overlay, title, instruction, meterFill };
+  }
+
+  /**
+   * Update the calibration overlay text and announce it
+   */
+  setCalibrationText(titleText, instructionText) {
+    if (this.calibrationUI) {
+      this.calibrationUI.title.textContent = titleText;
+      this.calibrationUI.instruction.textContent = instructionText;
+    }
+    this.announce(`${titleText}. ${instructionText}`);
+  }
+
+  /**
+   * Show the live breath level during calibration
+   */
+  updateCalibrationMeter(level) {
+    if (this.calibrationUI) {
+      this.calibrationUI.meterFill.style.width = `${Math.min(100, Math.round(level * 200))}%`;
+    }
+  }
+
+  /**
+   * Remove the calibration overlay
+   */
+  hideCalibrationUI() {
+    if (this.calibrationUI?.overlay.parentNode) {
+      this.calibrationUI.overlay.parentNode.removeChild(this.calibrationUI.overlay);
+    }
+    this.calibrationUI = null;
+  }
+
+  /**
+   * Announce a message to screen readers
+   */
+  announce(message) {
+    if (this.inputManager?.gameEngine?.accessibilityManager) {
+      this.inputManager.gameEngine.accessibilityManager.announce(message);
+    }
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   */
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
@@ -287,7 +738,12 @@ export class BreathController {
    */
   getBreathState() {
     return {
-      level: this.breathLevel,
+      level: this.getPlayerLevel(this.breathLevel),
+      rawLevel: this.breathLevel,
+      confidence: this.breathConfidence,
+      strength: this.breathStrength,
+      sustainedDuration: this.sustainedDuration,
+      puffCount: this.puffCount,
       state: this.breathState,
       isCalibrated: this.isCalibrated
     };
@@ -300,6 +756,22 @@ export class BreathController {
     this.config.breathInThreshold = options.breathIn || this.config.breathInThreshold;
     this.config.breathOutThreshold = options.breathOut || this.config.breathOutThreshold;
     this.config.holdThreshold = options.hold || this.config.holdThreshold;
+    this.config.holdLevel = options.holdLevel ?? this.config.holdLevel;
+    this.config.hysteresis = options.hysteresis ?? this.config.hysteresis;
+  }
+
+  /**
+   * Change sensitivity, re-deriving thresholds from the saved calibration
+   */
+  setSensitivity(sensitivity) {
+    this.config.sensitivity = sensitivity;
+    
+    if (this.calibrationResult) {
+      this.applyCalibration({
+        ...this.calibrationResult,
+        thresholds: this.calibration.computeThresholds(this.calibrationResult, sensitivity)
+      });
+    }
   }
 
   /**
@@ -307,8 +779,9 @@ export class BreathController {
    */
   getCapabilities() {
     return {
-      supportedActions: ['select', 'move', 'pause'],
+      supportedActions: ['select', 'move', 'pause', 'axis'],
       hasDirectionalInput: true,
+      hasAnalogInput: true,
       hasSelectInput: true,
       hasCommandInput: false,
       supportsPreciseInput: false,
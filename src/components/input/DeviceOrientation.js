@@ -19,6 +19,14 @@ export class DeviceOrientation {
     this.baselineOrientation = null;
     this.orientationHistory = [];
     
+    // Tilt gesture -> input payload (replaced by the player's bindings)
+    this.gestureBindings = {
+      tiltUp: { action: 'move', direction: 'up' },
+      tiltDown: { action: 'move', direction: 'down' },
+      tiltLeft: { action: 'move', direction: 'left' },
+      tiltRight: { action: 'move', direction: 'right' }
+    };
+    
     // Configuration
     this.config = {
       sensitivity: 'medium',
@@ -183,44 +191,40 @@ export class DeviceOrientation {
       return;
     }
     
-    // Determine movement direction
-    let inputEvent = null;
-    
-    if (Math.abs(deltaGamma) > Math.abs(deltaBeta)) {
-      // Horizontal movement (left/right)
-      if (Math.abs(deltaGamma) > this.config.deadZone) {
-        inputEvent = {
-          action: 'move',
-          direction: deltaGamma > 0 ? 'right' : 'left',
-          method: 'orientation',
-          data: {
-            deltaGamma,
-            deltaBeta,
-            intensity: Math.min(Math.abs(deltaGamma) / this.config.maxTilt, 1)
-          },
-          timestamp: Date.now()
-        };
-      }
-    } else {
-      // Vertical movement (up/down)
-      if (Math.abs(deltaBeta) > this.config.deadZone) {
-        inputEvent = {
-          action: 'move',
-          direction: deltaBeta > 0 ? 'down' : 'up',
-          method: 'orientation',
-          data: {
-            deltaGamma,
-            deltaBeta,
-            intensity: Math.min(Math.abs(deltaBeta) / this.config.maxTilt, 1)
-          },
-          timestamp: Date.now()
-        };
-      }
-    }
+    // Determine dominant tilt direction
+    const isHorizontal = Math.abs(deltaGamma) > Math.abs(deltaBeta);
+    const tilt = isHorizontal
+      ? (deltaGamma > 0 ? 'right' : 'left')
+      : (deltaBeta > 0 ? 'down' : 'up');
+    const delta = isHorizontal ? deltaGamma : deltaBeta;
     
-    if (inputEvent) {
-      this.emit('input', inputEvent);
-    }
+    if (Math.abs(delta) <= this.config.deadZone) return;
+    
+    // Look up what the player bound this gesture to
+    const gesture = `tilt${tilt.charAt(0).toUpperCase()}${tilt.slice(1)}`;
+    const binding = this.gestureBindings[gesture];
+    if (!binding) return;
+    
+    const { actionId, description, ...payload } = binding;
+    
+    this.emit('input', {
+      ...payload,
+      method: 'orientation',
+      data: {
+        gesture,
+        deltaGamma,
+        deltaBeta,
+        intensity: Math.min(Math.abs(delta) / this.config.maxTilt, 1)
+      },
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Apply the player's tilt bindings (tilt gesture -> input payload)
+   */
+  applyBindings(resolvedBindings) {
+    this.gestureBindings = { ...resolvedBindings };
   }
 
   /**
@@ -1,9 +1,31 @@
 /**
- * Eye tracking input handler using WebGazer.js
+ * Eye tracking input handler
  * Provides gaze-based interaction for GazeQuest Adventures
+ *
+ * Gaze points come from a pluggable provider (see src/utils/gaze): WebGazer on the webcam by
+ * default, or a hardware tracker bridge, the mouse or a recording. A camera-based provider is
+ * only started once the active player has agreed to it, and only while eye tracking is in use;
+ * a camera indicator with a turn-off button shows whenever the camera is on.
  */
 
+import { WebGazerProvider } from '../../utils/gaze/WebGazerProvider.js';
+import { WebSocketGazeProvider } from '../../utils/gaze/WebSocketGazeProvider.js';
+import { MouseGazeProvider } from '../../utils/gaze/MouseGazeProvider.js';
+import { ReplayGazeProvider } from '../../utils/gaze/ReplayGazeProvider.js';
+import { GazeAccuracyMap } from '../../utils/GazeAccuracyMap.js';
+import { OneEuroFilter } from '../../utils/OneEuroFilter.js';
+import { FixationDetector } from '../../utils/FixationDetector.js';
+
 export class EyeTracker {
+  static DWELL_TARGET_SELECTOR = '.gaze-interactive, [data-gaze-target], button, [role="button"], a';
+
+  static PROVIDERS = {
+    webgazer: WebGazerProvider,
+    websocket: WebSocketGazeProvider,
+    mouse: MouseGazeProvider,
+    replay: ReplayGazeProvider
+  };
+
   constructor() {
     this.isActive = false;
     this.isInitialized = false;
@@ -11,16 +33,38 @@ export class EyeTracker {
     this.inputManager = null;
     this.eventListeners = new Map();
     
-    // WebGazer instance
-    this.webgazer = null;
+    // Gaze source
+    this.provider = null;
+    this.providerName = null;
+    this.providerOptions = {};
+    this.sourceActive = false;
+    this.gazeRecording = null;
+    this.providerListeners = {
+      gaze: (point) => this.handleProviderGaze(point),
+      notice: (message) => this.announceToUser(message),
+      status: ({ message }) => message && this.announceToUser(message),
+      ended: () => this.emit('gazeSourceEnded')
+    };
+    
+    // Camera consent (per player) and state
+    this.hasCameraConsent = false;
+    this.cameraIndicator = null;
+    this.handleKillSwitchKey = this.handleKillSwitchKey.bind(this);
     
     // Gaze data
     this.currentGaze = { x: 0, y: 0, timestamp: 0 };
     this.gazeHistory = [];
-    this.smoothingWindow = 5;
+    this.gazeFilter = new OneEuroFilter();
+    this.fixationDetector = new FixationDetector();
     
     // Interaction tracking
     this.dwellTargets = new Map();
+    this.magnetTargets = null;
+    this.magnetTargetsAt = 0;
+    this.magnetObserver = null;
+    this.invalidateMagnetTargets = this.invalidateMagnetTargets.bind(this);
+    this.dwellLog = [];
+    this.maxDwellLog = 100;
     this.gazeElements = new Set();
     this.lastElementLookedAt = null;
     
@@ -29,10 +73,22 @@ export class EyeTracker {
       precision: 'medium',        // 'low', 'medium', 'high'
       dwellTime: 2000,           // ms to trigger dwell click
       smoothing: true,           // Enable gaze smoothing
+      fixationLock: true,        // Hold the cursor on a fixation's center while the eyes are still
       calibrationPoints: 9,      // Number of calibration points
       minConfidence: 0.5,        // Minimum prediction confidence
       maxGazeAge: 500,          // Max age of gaze data in ms
-      deadZone: 50              // Pixels around edge to ignore
+      deadZone: 50,             // Pixels around edge to ignore
+      magnetism: true,          // Snap gaze to the nearest dwell target
+      magnetRadius: 40,         // Pixels gaze may miss a target by and still reach it
+      maxMagnetRadius: 150,     // Largest reach, however poor tracking is
+      magnetHold: 1.5,          // How much further the target already looked at reaches
+      magnetRefreshInterval: 1000, // ms before target bounds are measured again anyway (e.g. animations)
+      saccadeTolerance: 300,    // ms gaze may leave a target without losing dwell progress
+      maxDwellStep: 100,        // Longest gap in ms between gaze samples counted as dwelling
+      falseActivationWindow: 2000, // ms after a dwell click in which cancelling undoes it
+      validationSettle: 600,    // ms to let the eyes land on a validation point
+      validationDuration: 1500, // ms of gaze collected at each validation point
+      regionRecalibrations: 1   // Times weak regions are recalibrated before their targets are enlarged
     };
     
     // Calibration
@@ -43,35 +99,35 @@ export class EyeTracker {
       currentPoint: 0
     };
     
+    // Per-region gaze error from the last calibration check
+    this.accuracyMap = null;
+    
     // Performance tracking
     this.performance = {
       averageAccuracy: 0,
       predictionCount: 0,
       calibrationAccuracy: 0
     };
+    
+    this.useProvider(new WebGazerProvider(), 'webgazer', {});
   }
 
   /**
    * Check if eye tracking is available
    */
   async isAvailable() {
-    try {
-      // Check for camera access
-      const stream = await navigator.mediaDevices.getUserMedia({ video: true });
-      stream.getTracks().forEach(track => track.stop());
-      
-      // Check for HTTPS (required for camera access)
-      if (location.protocol !== 'https:' && location.hostname !== 'localhost') {
-        console.warn('Eye tracking requires HTTPS');
-        return false;
-      }
-      
-      return true;
-      
-    } catch (error) {
-      console.warn('Eye tracking not available:', error.message);
+    // Only check that some gaze source could be used; a camera waits for the player's consent
+    if (!Object.values(EyeTracker.PROVIDERS).some(Provider => Provider.isAvailable())) {
+      return false;
+    }
+    
+    // Check for HTTPS (required for camera access)
+    if (location.protocol !== 'https:' && location.hostname !== 'localhost') {
+      console.warn('Eye tracking requires HTTPS');
       return false;
     }
+    
+    return true;
   }
 
   /**
@@ -83,11 +139,7 @@ export class EyeTracker {
     try {
       console.log('👁️ Initializing eye tracking...');
       
-      // Load WebGazer dynamically
-      await this.loadWebGazer();
-      
-      // Initialize WebGazer
-      await this.initializeWebGazer();
+      // The gaze source is started on activation (for the camera, once the player has consented)
       
       // Set up event handlers
       this.setupEventHandlers();
@@ -96,8 +148,8 @@ export class EyeTracker {
       this.loadUserSettings();
       
       this.isInitialized = true;
-      console.log('✅ Eye tracking initialized');
-      
+      console.log(`✅ Eye tracking initialized (${this.providerName} gaze source, not started)`);
+    
     } catch (error) {
       console.error('❌ Failed to initialize eye tracking:', error);
       throw error;
@@ -105,124 +157,261 @@ export class EyeTracker {
   }
 
   /**
-   * Load WebGazer library
+   * Create a gaze provider by name ('webgazer', 'websocket', 'mouse' or 'replay')
+   */
+  createProvider(name, options = {}) {
+    const Provider = EyeTracker.PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown gaze provider '${name}'`);
+    }
+    if (!Provider.isAvailable()) {
+      throw new Error(`The ${name} gaze provider cannot be used in this browser`);
+    }
+    
+    return new Provider(options);
+  }
+
+  /**
+   * Switch to another gaze source, restarting tracking on it if eye tracking is in use
+   */
+  async setProvider(name, options = {}) {
+    const provider = this.createProvider(name, options);
+    const wasRunning = this.useProvider(provider, name, options);
+    
+    if (wasRunning && this.isActive) {
+      await this.restartGazeSource();
+    }
+  }
+
+  /**
+   * Swap in a provider instance, stopping the old one; returns whether the old one was running
+   */
+  useProvider(provider, name, options) {
+    const wasRunning = this.stopGazeSource();
+    
+    if (this.provider) {
+      Object.entries(this.providerListeners).forEach(([eventType, callback]) => {
+        this.provider.off(eventType, callback);
+      });
+    }
+    
+    this.provider = provider;
+    this.providerName = name;
+    this.providerOptions = options;
+    Object.entries(this.providerListeners).forEach(([eventType, callback]) => {
+      provider.on(eventType, callback);
+    });
+    provider.configure({ precision: this.config.precision });
+    
+    console.log(`👁️ Gaze source: ${name}`);
+    return wasRunning;
+  }
+
+  /**
+   * Start the gaze source again after a provider change
    */
-  async loadWebGazer() {
-    if (window.webgazer) {
-      this.webgazer = window.webgazer;
+  async restartGazeSource() {
+    if (this.needsConsent()) {
+      this.emit('cameraStopped', { reason: 'consentNeeded' });
       return;
     }
     
     try {
-      // Load WebGazer from CDN
-      if (!document.querySelector('script[src*="webgazer"]')) {
-        const script = document.createElement('script');
-        script.src = 'https://webgazer.cs.brown.edu/webgazer.js';
-        document.head.appendChild(script);
-        
-        // Wait for script to load
-        await new Promise((resolve, reject) => {
-          script.onload = resolve;
-          script.onerror = reject;
-        });
-      }
-      
-      // Wait for webgazer to be available
-      let attempts = 0;
-      while (!window.webgazer && attempts < 50) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-        attempts++;
-      }
-      
-      if (!window.webgazer) {
-        throw new Error('WebGazer not loaded after waiting');
-      }
-      
-      this.webgazer = window.webgazer;
-      console.log('✅ WebGazer loaded successfully');
-      
+      await this.startGazeSource();
+      this.provider.showPreview(true);
+      this.startPrediction();
     } catch (error) {
-      console.error('Failed to load WebGazer:', error);
-      throw new Error('WebGazer library could not be loaded');
+      console.error('Failed to start the new gaze source:', error);
+      this.announceToUser('The eye tracker could not be started. Eye tracking has stopped.');
+      this.emit('cameraStopped', { reason: 'providerFailed' });
     }
   }
 
   /**
-   * Initialize WebGazer
+   * Start the gaze source; a camera needs the player's consent
    */
-  async initializeWebGazer() {
-    return new Promise((resolve, reject) => {
-      try {
-        console.log('🔧 Configuring WebGazer...');
-        
-        // Configure WebGazer
-        this.webgazer
-          .setRegression('ridge')
-          .setTracker('TFFacemesh')
-          .setGazeListener(this.handleGazeData.bind(this))
-          .showVideoPreview(false)  // Hide video preview initially
-          .showPredictionPoints(false)
-          .showFaceOverlay(false)
-          .showFaceFeedbackBox(false);
-        
-        console.log('🚀 Starting WebGazer...');
-        
-        // Start WebGazer
-        this.webgazer.begin()
-          .then(() => {
-            console.log('👁️ WebGazer started successfully');
-            
-            // Pause initially until activation
-            this.webgazer.pause();
-            
-            // Set up camera permissions handler
-            this.handleCameraPermissions();
-            
-            resolve();
-          })
-          .catch(error => {
-            console.error('WebGazer start failed:', error);
-            reject(new Error(`WebGazer initialization failed: ${error.message}`));
-          });
-          
-      } catch (error) {
-        console.error('WebGazer setup failed:', error);
-        reject(error);
-      }
+  async startGazeSource() {
+    if (this.needsConsent()) {
+      throw new Error('Eye tracking needs permission to use the camera');
+    }
+    if (this.sourceActive) return;
+    
+    const provider = this.provider;
+    await provider.start();
+    
+    // The provider may have been swapped while it was starting
+    if (provider !== this.provider) {
+      await provider.stop();
+      throw new Error('Gaze source changed while starting');
+    }
+    
+    this.sourceActive = true;
+    
+    // Consent may have been withdrawn while the camera was starting
+    if (this.needsConsent()) {
+      this.stopGazeSource();
+      throw new Error('Camera consent was withdrawn');
+    }
+    
+    // Hold points back until prediction starts
+    provider.pause();
+    
+    if (provider.usesCamera) {
+      this.showCameraIndicator();
+      this.announceToUser('Camera on for eye tracking. To turn it off, choose Turn off camera or press Shift and Escape.');
+      this.emit('cameraStarted');
+      console.log('📷 Eye tracking camera started');
+    } else {
+      console.log(`👁️ ${provider.name} gaze source started`);
+    }
+  }
+
+  /**
+   * Stop the gaze source, releasing the camera if it used one; returns whether it was running
+   */
+  stopGazeSource() {
+    if (!this.sourceActive) return false;
+    
+    this.cancelCalibration();
+    
+    this.provider.stop().catch(error => {
+      console.warn(`Error stopping ${this.provider.name} gaze source:`, error);
     });
+    
+    this.sourceActive = false;
+    this.hideCameraIndicator();
+    this.clearTrackingData();
+    
+    console.log(`👁️ ${this.provider.name} gaze source stopped`);
+    return true;
   }
 
   /**
-   * Handle camera permissions
+   * Whether the camera is on right now
    */
-  handleCameraPermissions() {
-    navigator.permissions?.query({ name: 'camera' })
-      .then(permissionStatus => {
-        if (permissionStatus.state === 'granted') {
-          console.log('📷 Camera permission granted');
-        } else if (permissionStatus.state === 'prompt') {
-          this.announceToUser('Please allow camera access for eye tracking to work.');
-        } else {
-          this.announceToUser('Camera access denied. Eye tracking will not work.');
-        }
-        
-        permissionStatus.onchange = () => {
-          if (permissionStatus.state === 'granted') {
-            this.announceToUser('Camera access granted. Eye tracking is now available.');
-          } else if (permissionStatus.state === 'denied') {
-            this.announceToUser('Camera access denied. Please enable camera access to use eye tracking.');
-          }
-        };
-      })
-      .catch(error => {
-        console.warn('Could not query camera permissions:', error);
-      });
+  isCameraOn() {
+    return this.sourceActive && this.provider.usesCamera;
+  }
+
+  /**
+   * Turn eye tracking off straight away, from the indicator or the keyboard shortcut
+   */
+  killCamera() {
+    const cameraWasOn = this.isCameraOn();
+    this.stopGazeSource();
+    this.announceToUser(cameraWasOn ? 'Camera turned off. Eye tracking has stopped.' : 'Eye tracking has stopped.');
+    this.emit('cameraStopped', { reason: 'killSwitch' });
+  }
+
+  /**
+   * Shift+Escape turns the camera (or whichever gaze source is running) off
+   */
+  handleKillSwitchKey(event) {
+    if (this.sourceActive && event.key === 'Escape' && event.shiftKey) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      this.killCamera();
+    }
+  }
+
+  /**
+   * Record whether the active player allows the camera; withdrawing it turns the camera off
+   */
+  setConsent(granted) {
+    this.hasCameraConsent = !!granted;
+    
+    if (!this.hasCameraConsent && this.isCameraOn()) {
+      this.stopGazeSource();
+      this.announceToUser('Camera permission withdrawn. Eye tracking has stopped.');
+      this.emit('cameraStopped', { reason: 'consentWithdrawn' });
+    }
+  }
+
+  /**
+   * Whether eye tracking is waiting for the player to allow the camera
+   */
+  needsConsent() {
+    return this.provider.usesCamera && !this.hasCameraConsent;
+  }
+
+  /**
+   * Show the camera-on indicator with its turn-off button
+   */
+  showCameraIndicator() {
+    this.hideCameraIndicator();
+    
+    const indicator = document.createElement('div');
+    indicator.id = 'camera-indicator';
+    indicator.setAttribute('role', 'status');
+    indicator.style.cssText = `
+      position: fixed;
+      top: 15px;
+      right: 15px;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 8px 12px;
+      background: rgba(0, 0, 0, 0.85);
+      border: 2px solid #ff6b6b;
+      border-radius: 25px;
+      color: white;
+      font-size: 0.9rem;
+      z-index: 10001;
+    `;
+    
+    const light = document.createElement('span');
+    light.setAttribute('aria-hidden', 'true');
+    light.style.cssText = `
+      width: 12px;
+      height: 12px;
+      border-radius: 50%;
+      background: #ff6b6b;
+      box-shadow: 0 0 8px #ff6b6b;
+    `;
+    
+    const label = document.createElement('span');
+    label.textContent = 'Camera on';
+    
+    const offButton = document.createElement('button');
+    offButton.textContent = 'Turn off camera';
+    offButton.className = 'focusable';
+    offButton.setAttribute('data-gaze-target', '');
+    offButton.style.cssText = `
+      padding: 6px 12px;
+      background: #ff6b6b;
+      border: none;
+      border-radius: 15px;
+      color: white;
+      font-weight: bold;
+      cursor: pointer;
+    `;
+    offButton.addEventListener('click', () => this.killCamera());
+    
+    indicator.appendChild(light);
+    indicator.appendChild(label);
+    indicator.appendChild(offButton);
+    document.body.appendChild(indicator);
+    
+    this.cameraIndicator = indicator;
+  }
+
+  /**
+   * Remove the camera-on indicator
+   */
+  hideCameraIndicator() {
+    if (this.cameraIndicator?.parentNode) {
+      this.cameraIndicator.parentNode.removeChild(this.cameraIndicator);
+    }
+    this.cameraIndicator = null;
   }
 
   /**
    * Set up event handlers
    */
   setupEventHandlers() {
+    // Camera kill switch, ahead of any other key handling
+    document.addEventListener('keydown', this.handleKillSwitchKey, true);
+    
     // Handle page visibility for performance
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
@@ -236,6 +425,19 @@ export class EyeTracker {
     window.addEventListener('resize', () => {
       this.handleResize();
     });
+    
+    // Measure dwell targets again when the page or its layout changes
+    window.addEventListener('resize', this.invalidateMagnetTargets);
+    window.addEventListener('scroll', this.invalidateMagnetTargets, true);
+    if (typeof MutationObserver !== 'undefined') {
+      this.magnetObserver = new MutationObserver(this.invalidateMagnetTargets);
+      this.magnetObserver.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['class', 'hidden', 'aria-modal', 'aria-hidden', 'disabled']
+      });
+    }
   }
 
   /**
@@ -246,84 +448,49 @@ export class EyeTracker {
       const settings = this.inputManager.gameEngine.stateManager.getStateValue('settings.inputSettings.eyeTracking');
       if (settings) {
         this.config.precision = settings.precision || this.config.precision;
-        this.config.dwellTime = settings.dwellTime || this.config.dwellTime;
+        const dwellTime = settings.dwellTime || this.config.dwellTime;
+        if (dwellTime !== this.config.dwellTime) {
+          this.dwellLog = [];
+        }
+        this.config.dwellTime = dwellTime;
         this.isCalibrated = settings.calibrated || false;
-        
-        // Apply precision settings
-        this.applyPrecisionSettings();
       }
+      this.accuracyMap = GazeAccuracyMap.fromJSON(settings?.accuracyMap);
+      
+      this.loadProviderSettings(settings);
+      
+      // Consent belongs to the player, so switching players can turn the camera off
+      this.setConsent(!!settings?.cameraConsent);
     }
   }
 
   /**
-   * Apply precision settings to WebGazer
+   * Use the gaze source chosen in settings, falling back to WebGazer if it can't be used
    */
-  applyPrecisionSettings() {
-    if (!this.webgazer) return;
+  loadProviderSettings(settings) {
+    const name = settings?.provider || 'webgazer';
+    const options = settings?.providerOptions || {};
     
-    const precisionSettings = {
-      low: { samples: 30, tolerance: 100 },
-      medium: { samples: 50, tolerance: 70 },
-      high: { samples: 70, tolerance: 50 }
-    };
-    
-    const settings = precisionSettings[this.config.precision] || precisionSettings.medium;
-    
-    // Configure WebGazer precision (if methods are available)
-    if (this.webgazer.params) {
-      this.webgazer.params.imgWidth = settings.samples;
-      this.webgazer.params.imgHeight = settings.samples;
-    }
-  }
-
-  /**
-   * Setup video preview with custom styling
-   */
-  setupVideoPreview() {
-    // Wait for WebGazer to create the video element
-    setTimeout(() => {
-      const videoContainer = document.getElementById('webgazerVideoContainer');
-      const video = document.getElementById('webgazerVideoFeed');
-      
-      if (videoContainer) {
-        videoContainer.style.cssText = `
-          position: fixed !important;
-          bottom: 20px !important;
-          right: 20px !important;
-          width: 200px !important;
-          height: 150px !important;
-          z-index: 1000 !important;
-          border: 2px solid #00ffff !important;
-          border-radius: 10px !important;
-          overflow: hidden !important;
-          box-shadow: 0 4px 12px rgba(0, 255, 255, 0.3) !important;
-        `;
-        
-        // Add title
-        const title = document.createElement('div');
-        title.textContent = 'Eye Tracking Camera';
-        title.style.cssText = `
-          position: absolute;
-          top: -25px;
-          left: 0;
-          color: #00ffff;
-          font-size: 12px;
-          font-weight: bold;
-          background: rgba(0, 0, 0, 0.7);
-          padding: 2px 8px;
-          border-radius: 4px;
-        `;
-        videoContainer.appendChild(title);
+    if (name !== this.providerName || JSON.stringify(options) !== JSON.stringify(this.providerOptions)) {
+      let provider;
+      try {
+        provider = this.createProvider(name, options);
+      } catch (error) {
+        console.warn(`Gaze source '${name}' can't be used, falling back to WebGazer:`, error.message);
+        if (this.providerName === 'webgazer') {
+          this.provider.configure({ precision: this.config.precision });
+          return;
+        }
+        provider = new WebGazerProvider();
       }
       
-      if (video) {
-        video.style.cssText = `
-          width: 100% !important;
-          height: 100% !important;
-          object-fit: cover !important;
-        `;
+      const wasRunning = this.useProvider(provider, provider.name, provider.name === name ? options : {});
+      if (wasRunning && this.isActive) {
+        this.restartGazeSource();
       }
-    }, 1000);
+    } else {
+      this.provider.configure({ precision: this.config.precision });
+    }
   }
 
   /**
@@ -334,15 +501,19 @@ export class EyeTracker {
       throw new Error('Eye tracking not initialized');
     }
     
+    if (this.needsConsent()) {
+      this.emit('consentNeeded');
+      throw new Error('Eye tracking needs permission to use the camera');
+    }
+    
     this.isActive = true;
     
     try {
-      // Resume WebGazer
-      await this.webgazer.resume();
+      // Start the gaze source
+      await this.startGazeSource();
       
-      // Show video preview for user feedback with custom positioning
-      this.webgazer.showVideoPreview(true);
-      this.setupVideoPreview();
+      // Show the source's preview (the camera image) for user feedback
+      this.provider.showPreview(true);
       
       // Start prediction
       this.startPrediction();
@@ -356,10 +527,11 @@ export class EyeTracker {
       }
       
       console.log('👁️ Eye tracking activated');
-      
+    
     } catch (error) {
       console.error('Failed to activate eye tracking:', error);
       this.isActive = false;
+      this.stopGazeSource();
       throw error;
     }
   }
@@ -371,20 +543,17 @@ export class EyeTracker {
     this.isActive = false;
     
     try {
-      // Pause WebGazer
-      this.webgazer?.pause();
-      
-      // Hide video preview
-      this.webgazer?.showVideoPreview(false);
-      
       // Stop prediction
       this.stopPrediction();
       
+      // Release the gaze source (and the camera)
+      this.stopGazeSource();
+      
       // Clear tracking data
       this.clearTrackingData();
       
       console.log('👁️ Eye tracking deactivated');
-      
+    
     } catch (error) {
       console.error('Error deactivating eye tracking:', error);
     }
@@ -394,8 +563,8 @@ export class EyeTracker {
    * Start gaze prediction
    */
   startPrediction() {
-    if (this.webgazer) {
-      this.webgazer.resume();
+    if (this.sourceActive) {
+      this.provider.resume();
     }
   }
 
@@ -403,8 +572,8 @@ export class EyeTracker {
    * Stop gaze prediction
    */
   stopPrediction() {
-    if (this.webgazer) {
-      this.webgazer.pause();
+    if (this.sourceActive) {
+      this.provider.pause();
     }
   }
 
@@ -412,8 +581,8 @@ export class EyeTracker {
    * Pause tracking (for performance)
    */
   pauseTracking() {
-    if (this.isActive && this.webgazer) {
-      this.webgazer.pause();
+    if (this.isActive && this.sourceActive) {
+      this.provider.pause();
     }
   }
 
@@ -421,13 +590,43 @@ export class EyeTracker {
    * Resume tracking
    */
   resumeTracking() {
-    if (this.isActive && this.webgazer) {
-      this.webgazer.resume();
+    if (this.isActive && this.sourceActive) {
+      this.provider.resume();
+    }
+  }
+
+  /**
+   * Start keeping every gaze point, to save as a recording for the replay provider
+   */
+  startGazeRecording() {
+    this.gazeRecording = [];
+    console.log('⏺️ Gaze recording started');
+  }
+
+  /**
+   * Stop recording and return it in the replay provider's format
+   */
+  stopGazeRecording() {
+    const points = this.gazeRecording || [];
+    this.gazeRecording = null;
+    
+    console.log(`⏹️ Gaze recording stopped (${points.length} points)`);
+    return ReplayGazeProvider.createRecording(points);
+  }
+
+  /**
+   * Handle a gaze point from the provider
+   */
+  handleProviderGaze(point) {
+    if (this.gazeRecording) {
+      this.gazeRecording.push(point);
     }
+    
+    this.handleGazeData(point, point.timestamp);
   }
 
   /**
-   * Handle gaze data from WebGazer
+   * Handle gaze data from the gaze source
    */
   handleGazeData(data, timestamp) {
     if (!data) return;
@@ -441,9 +640,15 @@ export class EyeTracker {
       return;
     }
     
+    // Classify the raw point as part of a fixation or a saccade, except while calibrating;
+    // fixations are widened to the source's noise (which follows its precision setting)
+    this.fixationDetector.setNoise(this.provider?.getNoise() || 0);
+    const fixationEvents = this.calibrationData.isCalibrating ? [] :
+      this.fixationDetector.add({ x: data.x, y: data.y, timestamp: currentTime });
+    
     // Apply smoothing if not in calibration mode
     const smoothedGaze = (this.config.smoothing && !this.calibrationData.isCalibrating) ? 
-      this.applySmoothingFilter(data) : data;
+      this.applySmoothingFilter(data, currentTime) : data;
     
     // Update current gaze
     this.currentGaze = {
@@ -470,6 +675,9 @@ export class EyeTracker {
     // Emit gaze event
     this.emit('gaze', this.currentGaze);
     
+    // Tell scenes where the eyes settle and jump
+    fixationEvents.forEach(event => this.emitFixationEvent(event));
+    
     // Update performance metrics
     this.updatePerformanceMetrics(data);
   }
@@ -506,7 +714,7 @@ export class EyeTracker {
     
     // Check if data is too old (but only when not calibrating)
     const now = Date.now();
-    if (this.currentGaze.timestamp && now - this.currentGaze.timestamp > this.config.maxGazeAge) {
+    if (data.timestamp && now - data.timestamp > this.config.maxGazeAge) {
       return false;
     }
     
@@ -515,20 +723,37 @@ export class EyeTracker {
 
   /**
    * Apply smoothing filter to gaze data
+   * A One Euro filter steadies slow movement without lagging behind saccades, and during a
+   * fixation the cursor holds on its center
    */
-  applySmoothingFilter(newGaze) {
-    this.gazeHistory.push(newGaze);
+  applySmoothingFilter(newGaze, timestamp) {
+    const filtered = this.gazeFilter.filter(newGaze.x, newGaze.y, timestamp);
     
-    // Keep only recent history
-    if (this.gazeHistory.length > this.smoothingWindow) {
-      this.gazeHistory.shift();
+    const fixation = this.fixationDetector.getFixation();
+    if (this.config.fixationLock && fixation) {
+      return { x: fixation.x, y: fixation.y };
     }
     
-    // Calculate moving average
-    const avgX = this.gazeHistory.reduce((sum, gaze) => sum + gaze.x, 0) / this.gazeHistory.length;
-    const avgY = this.gazeHistory.reduce((sum, gaze) => sum + gaze.y, 0) / this.gazeHistory.length;
+    return filtered;
+  }
+
+  /**
+   * Emit a fixation detector event, with the element a fixation rests on
+   */
+  emitFixationEvent(event) {
+    const { type, ...data } = event;
+    if (type === 'fixationStart' || type === 'fixationEnd') {
+      data.element = this.getElementAtGaze(data.x, data.y);
+    }
     
-    return { x: avgX, y: avgY };
+    this.emit(type, data);
+  }
+
+  /**
+   * Whether the eyes are resting on one spot, and where
+   */
+  getFixation() {
+    return this.fixationDetector.getFixation();
   }
 
   /**
@@ -564,23 +789,96 @@ export class EyeTracker {
     }
     
     // Handle dwell interaction
-    if (elementAtGaze && this.isDwellTarget(elementAtGaze)) {
-      this.processDwellInteraction(elementAtGaze, gazePoint);
-    }
+    this.processDwellInteraction(elementAtGaze, gazePoint);
   }
 
   /**
-   * Get element at gaze coordinates
+   * Get element at gaze coordinates, snapping to a nearby dwell target
    */
   getElementAtGaze(x, y) {
     try {
       const element = document.elementFromPoint(x, y);
+      if (this.config.magnetism) {
+        return this.findMagneticTarget(x, y) || element;
+      }
       return element;
     } catch (error) {
       return null;
     }
   }
 
+  /**
+   * Nearest dwell target within gaze error of a point
+   * The reach grows with the accuracy map's error there, so targets in weak regions are
+   * effectively larger, and the target already looked at holds on a little further so gaze
+   * doesn't flicker between neighbours
+   */
+  findMagneticTarget(x, y) {
+    const regionError = this.accuracyMap?.getErrorAt(x, y) ?? 0;
+    const reach = Math.min(this.config.maxMagnetRadius, Math.max(this.config.magnetRadius, regionError));
+    let nearest = null;
+    let nearestScore = Infinity;
+    
+    this.getMagnetTargets().forEach(({ element, rect }) => {
+      const dx = Math.max(rect.left - x, 0, x - rect.right);
+      const dy = Math.max(rect.top - y, 0, y - rect.bottom);
+      const hold = element === this.lastElementLookedAt ? this.config.magnetHold : 1;
+      const score = Math.hypot(dx, dy) / hold;
+      if (score <= reach && score < nearestScore) {
+        nearest = element;
+        nearestScore = score;
+      }
+    });
+    
+    return nearest;
+  }
+
+  /**
+   * Dwell targets the player can actually reach, with their bounds
+   * Only targets inside the topmost open modal dialog count, and only where the target
+   * itself is on top at its center, so nothing covered can be snapped to. The list is
+   * kept until the page changes, rather than measured on every gaze sample.
+   */
+  getMagnetTargets() {
+    const now = Date.now();
+    if (this.magnetTargets && now - this.magnetTargetsAt < this.config.magnetRefreshInterval) {
+      return this.magnetTargets;
+    }
+    
+    const root = this.getGazeRoot();
+    this.magnetTargets = Array.from(root.querySelectorAll(EyeTracker.DWELL_TARGET_SELECTOR))
+      .map(element => ({ element, rect: element.getBoundingClientRect() }))
+      .filter(({ element, rect }) => {
+        if (rect.width === 0 || rect.height === 0) return false;
+        
+        const topElement = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        return !!topElement && (topElement === element || element.contains(topElement));
+      });
+    this.magnetTargetsAt = now;
+    
+    return this.magnetTargets;
+  }
+
+  /**
+   * Forget the measured dwell targets after the page or its layout changes
+   */
+  invalidateMagnetTargets() {
+    this.magnetTargets = null;
+  }
+
+  /**
+   * Get the element gaze can reach into: the topmost open modal dialog, or the whole page
+   */
+  getGazeRoot() {
+    const dialogs = Array.from(document.querySelectorAll('[aria-modal="true"]')).filter(dialog => {
+      const rect = dialog.getBoundingClientRect();
+      const style = window.getComputedStyle(dialog);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    });
+    
+    return dialogs[dialogs.length - 1] || document;
+  }
+
   /**
    * Check if element is a dwell target
    */
@@ -598,24 +896,27 @@ export class EyeTracker {
   handleGazeEnter(element) {
     element.classList?.add('gaze-hover');
     
-    // Start dwell timer for interactive elements
+    // Start dwelling on interactive elements, or carry on if gaze only flicked away
     if (this.isDwellTarget(element)) {
-      const dwellData = {
-        element,
-        startTime: Date.now(),
-        dwellTime: this.config.dwellTime,
-        timer: setTimeout(() => {
-          this.triggerDwellClick(element);
-        }, this.config.dwellTime)
-      };
-      
-      this.dwellTargets.set(element, dwellData);
-      
-      // Visual feedback
-      this.showDwellProgress(element, this.config.dwellTime);
-      
-      // Announce to screen reader
-      this.announceGazeTarget(element);
+      const dwellData = this.dwellTargets.get(element);
+      if (dwellData) {
+        dwellData.awaySince = null;
+      } else {
+        this.dwellTargets.set(element, {
+          element,
+          startTime: Date.now(),
+          dwellTime: this.config.dwellTime,
+          elapsed: 0,
+          lastUpdate: Date.now(),
+          awaySince: null
+        });
+        
+        // Visual feedback
+        this.showDwellProgress(element, this.config.dwellTime);
+        
+        // Announce to screen reader
+        this.announceGazeTarget(element);
+      }
     }
     
     // Emit event
@@ -624,16 +925,14 @@ export class EyeTracker {
 
   /**
    * Handle gaze leaving an element
+   * Dwell progress is held for a moment, so a brief saccade away doesn't lose it
    */
   handleGazeLeave(element) {
     element.classList?.remove('gaze-hover');
     
-    // Cancel dwell timer
     const dwellData = this.dwellTargets.get(element);
     if (dwellData) {
-      clearTimeout(dwellData.timer);
-      this.dwellTargets.delete(element);
-      this.hideDwellProgress(element);
+      dwellData.awaySince = Date.now();
     }
     
     // Emit event
@@ -641,20 +940,89 @@ export class EyeTracker {
   }
 
   /**
-   * Process dwell interaction
+   * Process dwell interaction: progress builds while gaze is on the target
    */
   processDwellInteraction(element, gazePoint) {
+    const now = Date.now();
+    
+    this.dwellTargets.forEach((dwellData, target) => {
+      // A gap in gaze samples doesn't count as looking
+      const step = Math.min(now - dwellData.lastUpdate, this.config.maxDwellStep);
+      dwellData.lastUpdate = now;
+      if (target !== element) return;
+      
+      dwellData.elapsed += step;
+      const progress = Math.min(dwellData.elapsed / dwellData.dwellTime, 1);
+      
+      // Update visual progress
+      this.updateDwellProgress(target, progress);
+      
+      // Emit dwell progress event
+      this.emit('dwellProgress', { element: target, progress, gaze: gazePoint });
+      
+      if (progress >= 1) {
+        this.triggerDwellClick(target);
+      }
+    });
+    
+    this.expireDwellTargets(now);
+  }
+
+  /**
+   * Cancel dwells the player has looked away from for longer than a saccade
+   */
+  expireDwellTargets(now = Date.now()) {
+    this.dwellTargets.forEach((dwellData, element) => {
+      if (!document.contains(element)) {
+        this.dwellTargets.delete(element);
+      } else if (dwellData.awaySince !== null && now - dwellData.awaySince > this.config.saccadeTolerance) {
+        this.cancelDwell(element);
+      }
+    });
+  }
+
+  /**
+   * Stop dwelling on an element without activating it
+   */
+  cancelDwell(element) {
     const dwellData = this.dwellTargets.get(element);
     if (!dwellData) return;
     
-    const elapsed = Date.now() - dwellData.startTime;
-    const progress = Math.min(elapsed / dwellData.dwellTime, 1);
+    this.dwellTargets.delete(element);
+    this.hideDwellProgress(element);
     
-    // Update visual progress
-    this.updateDwellProgress(element, progress);
+    const progress = Math.min(dwellData.elapsed / dwellData.dwellTime, 1);
+    this.recordDwellOutcome('cancelled', progress);
+    this.emit('dwellCancelled', { element, progress });
+  }
+
+  /**
+   * Remember how a dwell ended, for dwell time suggestions
+   */
+  recordDwellOutcome(outcome, progress) {
+    this.dwellLog.push({ outcome, progress, timestamp: Date.now(), falseActivation: false });
     
-    // Emit dwell progress event
-    this.emit('dwellProgress', { element, progress, gaze: gazePoint });
+    if (this.dwellLog.length > this.maxDwellLog) {
+      this.dwellLog.shift();
+    }
+  }
+
+  /**
+   * The player undid something straight after a dwell click, so it was probably unintended
+   */
+  markFalseActivation(timestamp = Date.now()) {
+    const last = this.dwellLog[this.dwellLog.length - 1];
+    if (last?.outcome === 'activated' && timestamp - last.timestamp <= this.config.falseActivationWindow) {
+      last.falseActivation = true;
+      console.log('👁️ Dwell click undone straight away');
+    }
+  }
+
+  /**
+   * Get the dwell time and how recent dwells ended, for tuning suggestions
+   */
+  getDwellStats() {
+    return { dwellTime: this.config.dwellTime, events: [...this.dwellLog] };
   }
 
   /**
@@ -664,6 +1032,7 @@ export class EyeTracker {
     // Remove from dwell targets
     this.dwellTargets.delete(element);
     this.hideDwellProgress(element);
+    this.recordDwellOutcome('activated', 1);
     
     // Create click event
     const clickEvent = {
@@ -830,6 +1199,16 @@ export class EyeTracker {
     }
     
     try {
+      // Calibration needs the gaze source running (for the camera, the player's consent)
+      if (!this.sourceActive) {
+        if (this.needsConsent()) {
+          this.emit('consentNeeded');
+          this.announceToUser('Eye tracking needs permission to use the camera before it can be calibrated.');
+          return;
+        }
+        await this.startGazeSource();
+      }
+      
       console.log('👁️ Starting eye tracking calibration...');
       
       this.calibrationData.isCalibrating = true;
@@ -942,15 +1321,31 @@ export class EyeTracker {
   }
 
   /**
-   * Run calibration sequence
+   * Run calibration sequence, then check it on fresh points
    */
   runCalibrationSequence(onComplete) {
-    const points = this.generateCalibrationPoints();
+    this.runPointSequence(this.generateCalibrationPoints(), 'Point', (point, next) => {
+      this.showCalibrationPoint(point, next);
+    }, () => {
+      this.validateCalibration(onComplete);
+    }, onComplete);
+  }
+
+  /**
+   * Show points one after another
+   */
+  runPointSequence(points, label, showPoint, onDone, onCancelled) {
     let currentPoint = 0;
     
     const showNextPoint = () => {
+      // Stopped, e.g. because the camera was turned off
+      if (!this.calibrationData.isCalibrating) {
+        onCancelled();
+        return;
+      }
+      
       if (currentPoint >= points.length) {
-        this.completeCalibration(onComplete);
+        onDone();
         return;
       }
       
@@ -958,14 +1353,14 @@ export class EyeTracker {
       if (this.calibrationInstructions) {
         const progressText = this.calibrationInstructions.querySelector('p:last-child');
         if (progressText) {
-          progressText.textContent = `Point ${currentPoint + 1} of 9`;
+          progressText.textContent = `${label} ${currentPoint + 1} of ${points.length}`;
         }
       }
       
       const point = points[currentPoint];
-      console.log(`👁️ Showing calibration point ${currentPoint + 1} at (${point.x}, ${point.y})`);
+      console.log(`👁️ Showing ${label.toLowerCase()} ${currentPoint + 1} at (${Math.round(point.x)}, ${Math.round(point.y)})`);
       
-      this.showCalibrationPoint(point, () => {
+      showPoint(point, () => {
         currentPoint++;
         setTimeout(showNextPoint, 500);
       });
@@ -975,6 +1370,126 @@ export class EyeTracker {
     setTimeout(showNextPoint, 1000);
   }
 
+  /**
+   * Measure gaze error on fresh points in each region; weak regions are recalibrated, and if
+   * they stay weak their dwell targets are enlarged
+   */
+  validateCalibration(onComplete, accuracyMap = new GazeAccuracyMap(), regions = accuracyMap.regions, recalibrations = 0) {
+    this.setCalibrationInstructions('👁️ Checking Accuracy', 'Keep looking at each dot until it disappears');
+    accuracyMap.clearRegions(regions);
+    
+    this.runPointSequence(this.generateValidationPoints(accuracyMap, regions), 'Check', (point, next) => {
+      this.showValidationPoint(point, accuracyMap, next);
+    }, () => {
+      accuracyMap.finish();
+      const weakRegions = accuracyMap.getWeakRegions();
+      
+      if (weakRegions.length > 0 && recalibrations < this.config.regionRecalibrations) {
+        const names = weakRegions.map(region => accuracyMap.describeRegion(region)).join(', ');
+        this.announceToUser(`Tracking is weak at the ${names} of the screen. Let's calibrate there again.`);
+        console.log(`👁️ Recalibrating weak regions: ${names}`);
+        
+        this.setCalibrationInstructions('👁️ Eye Tracking Calibration', 'Look at each red dot as it appears and keep looking until it disappears');
+        this.runPointSequence(this.generateRegionCalibrationPoints(accuracyMap, weakRegions), 'Point', (point, next) => {
+          this.showCalibrationPoint(point, next);
+        }, () => {
+          this.validateCalibration(onComplete, accuracyMap, weakRegions, recalibrations + 1);
+        }, onComplete);
+        return;
+      }
+      
+      this.completeCalibration(onComplete, accuracyMap);
+    }, onComplete);
+  }
+
+  /**
+   * Change the calibration overlay's heading and instructions
+   */
+  setCalibrationInstructions(title, text) {
+    const heading = this.calibrationInstructions?.querySelector('h2');
+    const paragraph = this.calibrationInstructions?.querySelector('p');
+    if (heading) heading.textContent = title;
+    if (paragraph) paragraph.textContent = text;
+  }
+
+  /**
+   * One fresh point per region, somewhere in its middle half, so validation never reuses a calibration point
+   */
+  generateValidationPoints(accuracyMap, regions) {
+    return regions.map(region => {
+      const bounds = accuracyMap.getRegionBounds(region);
+      const width = bounds.right - bounds.left;
+      const height = bounds.bottom - bounds.top;
+      
+      return {
+        x: bounds.left + width * (0.25 + Math.random() * 0.5),
+        y: bounds.top + height * (0.25 + Math.random() * 0.5)
+      };
+    });
+  }
+
+  /**
+   * Calibration points for some regions: the usual grid points inside them, plus their centers
+   */
+  generateRegionCalibrationPoints(accuracyMap, regions) {
+    const gridPoints = this.generateCalibrationPoints();
+    
+    return regions.flatMap(region => {
+      const bounds = accuracyMap.getRegionBounds(region);
+      return [
+        ...gridPoints.filter(point => accuracyMap.getRegionAt(point.x, point.y) === region),
+        { x: (bounds.left + bounds.right) / 2, y: (bounds.top + bounds.bottom) / 2 }
+      ];
+    });
+  }
+
+  /**
+   * Show a validation point and record where gaze lands, without teaching the gaze source
+   */
+  showValidationPoint(point, accuracyMap, onComplete) {
+    this.calibrationPoint.style.display = 'block';
+    this.calibrationPoint.style.left = `${point.x - 12}px`;
+    this.calibrationPoint.style.top = `${point.y - 12}px`;
+    this.calibrationPoint.style.opacity = '1';
+    
+    if (this.calibrationInstructions) {
+      this.calibrationInstructions.style.display = 'none';
+    }
+    
+    this.createCalibrationProgress(point);
+    if (this.sourceActive) {
+      this.provider.resume();
+    }
+    
+    const { validationSettle, validationDuration } = this.config;
+    const recordSample = (gaze) => accuracyMap.addSample(point, gaze);
+    const startedAt = Date.now();
+    
+    const progressTimer = setInterval(() => {
+      this.updateCalibrationProgress(Math.min(1, (Date.now() - startedAt) / (validationSettle + validationDuration)));
+    }, 200);
+    
+    // Let the eyes land on the point before measuring
+    setTimeout(() => this.on('gaze', recordSample), validationSettle);
+    
+    setTimeout(() => {
+      this.off('gaze', recordSample);
+      clearInterval(progressTimer);
+      
+      if (!this.calibrationData.isCalibrating) {
+        onComplete();
+        return;
+      }
+      
+      this.removeCalibrationProgress();
+      if (this.calibrationInstructions) {
+        this.calibrationInstructions.style.display = 'block';
+      }
+      
+      onComplete();
+    }, validationSettle + validationDuration);
+  }
+
   /**
    * Generate calibration points
    */
@@ -1017,27 +1532,23 @@ export class EyeTracker {
     // Create a progress indicator around the dot
     this.createCalibrationProgress(point);
     
-    // Add WebGazer calibration with proper click simulation
-    if (this.webgazer) {
-      // Ensure WebGazer is tracking the user's face
-      this.webgazer.resume();
+    // Create multiple calibration samples for better accuracy
+    const calibrationSamples = [];
+    
+    // Teach the gaze source where the player is looking
+    if (this.sourceActive) {
+      // Ensure the source is producing gaze points
+      this.provider.resume();
       
-      // Create multiple calibration samples for better accuracy
-      const calibrationSamples = [];
       const sampleInterval = 300; // Sample every 300ms
       const totalSamples = 8; // 8 samples over ~2.4 seconds
       
       for (let i = 0; i < totalSamples; i++) {
         setTimeout(() => {
-          // Simulate a click at the calibration point for WebGazer
-          const clickEvent = document.createEvent('MouseEvents');
-          clickEvent.initMouseEvent('click', true, true, window, 0, 
-            point.x, point.y, point.x, point.y, false, false, false, false, 0, null);
+          if (!this.calibrationData.isCalibrating) return;
           
-          // Manually add calibration data to WebGazer
-          if (this.webgazer.recordScreenPosition) {
-            this.webgazer.recordScreenPosition(point.x, point.y);
-          }
+          // Add calibration data to the gaze source's model, if it learns from calibration
+          this.provider.recordCalibrationPoint(point.x, point.y);
           
           // Also store for our own tracking
           calibrationSamples.push({
@@ -1058,6 +1569,11 @@ export class EyeTracker {
     
     // Wait for user to look at point (3.5 seconds for all samples)
     setTimeout(() => {
+      if (!this.calibrationData.isCalibrating) {
+        onComplete();
+        return;
+      }
+      
       // Remove progress indicator
       this.removeCalibrationProgress();
       
@@ -1071,7 +1587,7 @@ export class EyeTracker {
         target: point,
         gaze: { ...this.currentGaze },
         timestamp: Date.now(),
-        samples: calibrationSamples || []
+        samples: calibrationSamples
       });
       
       console.log(`✅ Calibration point ${this.calibrationData.points.length} completed with ${calibrationSamples.length} samples`);
@@ -1144,12 +1660,37 @@ export class EyeTracker {
     }
   }
 
+  /**
+   * Stop a running calibration without saving it
+   */
+  cancelCalibration() {
+    if (!this.calibrationData.isCalibrating) return;
+    
+    this.calibrationData.isCalibrating = false;
+    this.removeCalibrationProgress();
+    
+    if (this.calibrationOverlay) {
+      this.calibrationOverlay.remove();
+      this.calibrationOverlay = null;
+      this.calibrationPoint = null;
+      this.calibrationInstructions = null;
+    }
+    
+    console.log('👁️ Eye tracking calibration cancelled');
+  }
+
   /**
    * Complete calibration
    */
-  completeCalibration(callback) {
-    // Calculate calibration accuracy
+  completeCalibration(callback, accuracyMap = null) {
+    // Calculate calibration accuracy, preferring the check on fresh points
     this.calculateCalibrationAccuracy();
+    const validatedAccuracy = accuracyMap?.getAccuracy() ?? null;
+    if (validatedAccuracy !== null) {
+      this.calibrationData.accuracy = validatedAccuracy;
+      this.performance.calibrationAccuracy = validatedAccuracy;
+    }
+    this.accuracyMap = accuracyMap || this.accuracyMap;
     
     // Mark as calibrated
     this.isCalibrated = true;
@@ -1168,12 +1709,16 @@ export class EyeTracker {
     
     // Announce completion
     const accuracy = Math.round(this.calibrationData.accuracy * 100);
-    this.announceToUser(`Eye tracking calibration completed with ${accuracy}% accuracy.`);
+    const weakRegions = accuracyMap?.getWeakRegions() || [];
+    const weakNote = weakRegions.length > 0 ?
+      ` Tracking is still weak at the ${weakRegions.map(region => accuracyMap.describeRegion(region)).join(', ')}, so targets there are easier to hit.` : '';
+    this.announceToUser(`Eye tracking calibration completed with ${accuracy}% accuracy.${weakNote}`);
     
     // Emit completion event
     this.emit('calibrationComplete', {
       accuracy: this.calibrationData.accuracy,
-      points: this.calibrationData.points.length
+      points: this.calibrationData.points.length,
+      accuracyMap: this.accuracyMap
     });
     
     console.log(`✅ Eye tracking calibration completed (${accuracy}% accuracy)`);
@@ -1238,6 +1783,7 @@ export class EyeTracker {
     if (this.inputManager?.gameEngine?.stateManager) {
       this.inputManager.gameEngine.stateManager.updateSettings('inputSettings.eyeTracking.calibrated', true);
       this.inputManager.gameEngine.stateManager.updateSettings('inputSettings.eyeTracking.accuracy', this.calibrationData.accuracy);
+      this.inputManager.gameEngine.stateManager.updateSettings('inputSettings.eyeTracking.accuracyMap', this.accuracyMap?.toJSON() || null);
     }
   }
 
@@ -1306,6 +1852,8 @@ export class EyeTracker {
    */
   clearTrackingData() {
     this.gazeHistory = [];
+    this.gazeFilter.reset();
+    this.fixationDetector.reset();
     this.dwellTargets.clear();
     this.lastElementLookedAt = null;
   }
@@ -1315,7 +1863,12 @@ export class EyeTracker {
    */
   adjustTiming(adjustment) {
     if (adjustment.dwellTime) {
-      this.config.dwellTime = Math.max(500, Math.min(5000, adjustment.dwellTime));
+      const dwellTime = Math.max(500, Math.min(5000, adjustment.dwellTime));
+      if (dwellTime !== this.config.dwellTime) {
+        // Dwells timed with the old setting say little about the new one
+        this.dwellLog = [];
+      }
+      this.config.dwellTime = dwellTime;
       
       // Save setting
       if (this.inputManager?.gameEngine?.stateManager) {
@@ -1326,6 +1879,13 @@ export class EyeTracker {
     }
   }
 
+  /**
+   * Per-region gaze accuracy from the last calibration check, or null
+   */
+  getAccuracyMap() {
+    return this.accuracyMap;
+  }
+
   /**
    * Get current gaze position
    */
@@ -1364,6 +1924,10 @@ export class EyeTracker {
       reliability: this.isCalibrated ? 'high' : 'medium',
       latency: 'low',
       requiresCalibration: true,
+      requiresConsent: this.provider.usesCamera,
+      consentGiven: this.hasCameraConsent,
+      cameraActive: this.isCameraOn(),
+      gazeProvider: this.providerName,
       configurable: true
     };
   }
@@ -1381,13 +1945,8 @@ export class EyeTracker {
    * Update method
    */
   update(deltaTime) {
-    // Clean up old dwell targets
-    this.dwellTargets.forEach((dwellData, element) => {
-      if (!document.contains(element)) {
-        clearTimeout(dwellData.timer);
-        this.dwellTargets.delete(element);
-      }
-    });
+    // Clean up old dwell targets, and cancel dwells looked away from
+    this.expireDwellTargets();
   }
 
   /**
@@ -1429,15 +1988,14 @@ export class EyeTracker {
    */
   destroy() {
     try {
-      // Stop WebGazer
-      if (this.webgazer) {
-        this.webgazer.end();
-      }
+      // Stop the gaze source and the camera
+      this.stopGazeSource();
+      document.removeEventListener('keydown', this.handleKillSwitchKey, true);
+      window.removeEventListener('resize', this.invalidateMagnetTargets);
+      window.removeEventListener('scroll', this.invalidateMagnetTargets, true);
+      this.magnetObserver?.disconnect();
       
-      // Clear timers
-      this.dwellTargets.forEach(dwellData => {
-        clearTimeout(dwellData.timer);
-      });
+      // Clear dwells
       this.dwellTargets.clear();
       
       // Remove calibration UI if present
@@ -0,0 +1,649 @@
+/**
+ * Gamepad input handler for GazeQuest Adventures
+ * Reads standard gamepads and adaptive controllers: each button does the game action the
+ * player bound to it, and the sticks either move (stick-to-move) or steer an on-screen
+ * pointer that clicks what it rests on (stick-to-pointer)
+ */
+
+export class GamepadInput {
+  static STICK_MODES = ['move', 'pointer'];
+  static AXIS_ROLES = ['x', 'y', 'none'];
+
+  // Buttons of the standard gamepad layout, by index
+  static BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y',
+    'Left bumper', 'Right bumper', 'Left trigger', 'Right trigger',
+    'Back', 'Start', 'Left stick press', 'Right stick press',
+    'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+  ];
+
+  constructor() {
+    this.isActive = false;
+    this.inputManager = null;
+    this.eventListeners = new Map();
+    
+    // Button index -> input payload (replaced by the player's bindings)
+    this.buttonBindings = {
+      0: { action: 'select' },
+      1: { action: 'cancel' },
+      9: { action: 'command', command: 'pause' },
+      12: { action: 'move', direction: 'up' },
+      13: { action: 'move', direction: 'down' },
+      14: { action: 'move', direction: 'left' },
+      15: { action: 'move', direction: 'right' }
+    };
+    
+    // Configuration
+    this.config = {
+      stickMode: 'move',       // 'move' or 'pointer'
+      deadZone: 0.2,           // Stick travel ignored around the centre (0-1)
+      axisMap: GamepadInput.getDefaultAxisMap(),
+      buttonThreshold: 0.5,    // Analog buttons (triggers) count as pressed past this
+      moveRepeatMin: 150,      // ms between moves with the stick pushed all the way
+      moveRepeatMax: 600,      // ms between moves with the stick just past the dead zone
+      buttonRepeat: 300,       // ms between moves while a move button is held
+      pointerSpeed: 800,       // px per second with the stick pushed all the way
+      pollInterval: 16         // ms
+    };
+    
+    this.connectedGamepads = new Map(); // index -> id
+    this.buttonStates = new Map();      // 'pad:button' -> pressed
+    this.heldMoves = new Map();         // 'pad:button' -> { payload, button, nextTime }
+    this.pollTimer = null;
+    this.lastPollTime = 0;
+    this.lastInputTime = 0;
+    
+    // Stick-to-move
+    this.stickVector = { x: 0, y: 0 };
+    this.stickHeld = false;
+    this.lastStickMove = 0;
+    
+    // Stick-to-pointer
+    this.pointer = null;
+    this.pointerPosition = { x: 0, y: 0 };
+    this.hoveredElement = null;
+  }
+
+  /**
+   * Default axis mapping: both sticks steer, horizontal axes on x and vertical axes on y
+   * Each entry is { role: 'x' | 'y' | 'none', invert, deadZone } (deadZone overrides the global one)
+   */
+  static getDefaultAxisMap() {
+    return {
+      0: { role: 'x', invert: false },
+      1: { role: 'y', invert: false },
+      2: { role: 'x', invert: false },
+      3: { role: 'y', invert: false }
+    };
+  }
+
+  /**
+   * Check if gamepad input is available
+   */
+  async isAvailable() {
+    return !!navigator.getGamepads;
+  }
+
+  /**
+   * Initialize gamepad input
+   */
+  async init(inputManager) {
+    this.inputManager = inputManager;
+    this.setupEventListeners();
+    
+    // Controllers already plugged in are not announced
+    Array.from(navigator.getGamepads()).filter(Boolean).forEach(gamepad => {
+      this.connectedGamepads.set(gamepad.index, gamepad.id);
+    });
+    
+    // Load user preferences
+    this.loadUserSettings();
+    
+    console.log('✅ Gamepad input initialized');
+  }
+
+  /**
+   * Load user settings from state manager
+   */
+  loadUserSettings() {
+    if (this.inputManager?.gameEngine?.stateManager) {
+      const settings = this.inputManager.gameEngine.stateManager.getStateValue('settings.inputSettings.gamepad');
+      if (settings) {
+        this.setStickMode(settings.stickMode || 'move');
+        this.setDeadZone(settings.deadZone ?? 0.2);
+        this.setAxisMap(settings.axisMap);
+        this.config.pointerSpeed = settings.pointerSpeed || this.config.pointerSpeed;
+      }
+    }
+  }
+
+  /**
+   * Set up hot-plug listeners
+   */
+  setupEventListeners() {
+    window.addEventListener('gamepadconnected', (event) => this.handleGamepadConnected(event.gamepad));
+    window.addEventListener('gamepaddisconnected', (event) => this.handleGamepadDisconnected(event.gamepad));
+  }
+
+  /**
+   * Activate gamepad input
+   */
+  async activate() {
+    this.isActive = true;
+    
+    this.pointerPosition = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+    this.updatePointer();
+    
+    this.lastPollTime = Date.now();
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+    }
+    
+    const found = this.connectedGamepads.size > 0
+      ? ''
+      : ' No gamepad found yet. Connect one, or press a button on it.';
+    this.announceToUser(`Gamepad control activated. ${this.getStickModeHelp()}${found}`);
+    
+    console.log('🎮 Gamepad input activated');
+  }
+
+  /**
+   * Deactivate gamepad input
+   */
+  async deactivate() {
+    this.isActive = false;
+    
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    
+    this.buttonStates.clear();
+    this.heldMoves.clear();
+    this.stickHeld = false;
+    this.setHoveredElement(null);
+    this.updatePointer();
+    
+    console.log('🎮 Gamepad input deactivated');
+  }
+
+  /**
+   * Read every connected gamepad once
+   */
+  poll() {
+    const now = Date.now();
+    const elapsed = now - this.lastPollTime;
+    this.lastPollTime = now;
+    
+    const gamepads = Array.from(navigator.getGamepads()).filter(Boolean);
+    
+    // Some browsers only report a controller once it is used, so check here as well as on events
+    this.detectHotPlug(gamepads);
+    
+    if (!this.isActive) return;
+    
+    let x = 0;
+    let y = 0;
+    gamepads.forEach(gamepad => {
+      this.readButtons(gamepad, now);
+      
+      const stick = this.readAxes(gamepad);
+      if (Math.abs(stick.x) > Math.abs(x)) x = stick.x;
+      if (Math.abs(stick.y) > Math.abs(y)) y = stick.y;
+    });
+    
+    this.repeatHeldMoves(now);
+    
+    this.stickVector = { x, y };
+    if (this.config.stickMode === 'pointer') {
+      this.movePointer(elapsed);
+    } else {
+      this.applyStickMove(now);
+    }
+  }
+
+  /**
+   * Announce controllers that appeared or disappeared since the last poll
+   */
+  detectHotPlug(gamepads) {
+    const present = new Set(gamepads.map(gamepad => gamepad.index));
+    
+    gamepads.forEach(gamepad => this.handleGamepadConnected(gamepad));
+    
+    Array.from(this.connectedGamepads.entries()).forEach(([index, id]) => {
+      if (!present.has(index)) {
+        this.handleGamepadDisconnected({ index, id });
+      }
+    });
+  }
+
+  /**
+   * Handle a controller being plugged in
+   */
+  handleGamepadConnected(gamepad) {
+    if (!gamepad || this.connectedGamepads.get(gamepad.index) === gamepad.id) return;
+    
+    this.connectedGamepads.set(gamepad.index, gamepad.id);
+    const name = this.getGamepadName(gamepad.id);
+    
+    this.announceToUser(this.isActive
+      ? `${name} connected.`
+      : `${name} connected. Choose Gamepad in input methods to play with it.`);
+    this.emit('gamepadConnected', { index: gamepad.index, id: gamepad.id, name });
+    
+    console.log(`🎮 Gamepad connected: ${gamepad.id}`);
+  }
+
+  /**
+   * Handle a controller being unplugged
+   */
+  handleGamepadDisconnected(gamepad) {
+    if (!gamepad || !this.connectedGamepads.delete(gamepad.index)) return;
+    
+    // Forget anything it was holding down
+    const prefix = `${gamepad.index}:`;
+    Array.from(this.buttonStates.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => {
+        this.buttonStates.delete(key);
+        this.heldMoves.delete(key);
+      });
+    
+    const name = this.getGamepadName(gamepad.id);
+    this.announceToUser(this.isActive && this.connectedGamepads.size === 0
+      ? `${name} disconnected. Reconnect it, or choose another input method.`
+      : `${name} disconnected.`);
+    this.emit('gamepadDisconnected', { index: gamepad.index, id: gamepad.id, name });
+    
+    console.log(`🎮 Gamepad disconnected: ${gamepad.id}`);
+  }
+
+  /**
+   * Turn a browser gamepad id into a name worth saying
+   * Ids look like 'Xbox Adaptive Controller (STANDARD GAMEPAD Vendor: 045e ...)' or '045e-0b0a-Name'
+   */
+  getGamepadName(id = '') {
+    const name = id
+      .replace(/\s*\(.*\)\s*$/, '')
+      .replace(/^[0-9a-f]{4}-[0-9a-f]{4}-/i, '')
+      .trim();
+    
+    return name || 'Gamepad';
+  }
+
+  /**
+   * Detect button presses and releases on one gamepad
+   */
+  readButtons(gamepad, now) {
+    gamepad.buttons.forEach((button, index) => {
+      const key = `${gamepad.index}:${index}`;
+      const pressed = button.pressed || button.value > this.config.buttonThreshold;
+      const wasPressed = this.buttonStates.get(key) || false;
+      if (pressed === wasPressed) return;
+      
+      this.buttonStates.set(key, pressed);
+      
+      if (pressed) {
+        this.handleButtonDown(key, index, now);
+      } else {
+        this.heldMoves.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Run the game action bound to a button
+   */
+  handleButtonDown(key, index, timestamp) {
+    const binding = this.buttonBindings[index];
+    if (!binding) return;
+    
+    const { actionId, description, ...payload } = binding;
+    
+    // In pointer mode selecting clicks whatever the pointer rests on
+    if (payload.action === 'select' && this.config.stickMode === 'pointer') {
+      this.clickAtPointer(index, timestamp);
+      return;
+    }
+    
+    this.emitInput({ ...payload, data: { button: index, buttonName: this.getButtonName(index) } }, timestamp);
+    
+    // Move buttons repeat while held, like arrow keys
+    if (payload.action === 'move') {
+      this.heldMoves.set(key, { payload, button: index, nextTime: timestamp + this.config.moveRepeatMax });
+    }
+  }
+
+  /**
+   * Repeat moves for held move buttons
+   */
+  repeatHeldMoves(now) {
+    this.heldMoves.forEach(held => {
+      if (now < held.nextTime) return;
+      
+      held.nextTime = now + this.config.buttonRepeat;
+      this.emitInput({ ...held.payload, data: { button: held.button, buttonName: this.getButtonName(held.button) } }, now);
+    });
+  }
+
+  /**
+   * Read the mapped axes of one gamepad into a stick vector
+   */
+  readAxes(gamepad) {
+    const stick = { x: 0, y: 0 };
+    
+    gamepad.axes.forEach((rawValue, index) => {
+      const mapping = this.config.axisMap[index];
+      if (!mapping || mapping.role === 'none') return;
+      
+      let value = this.applyDeadZone(rawValue, mapping.deadZone ?? this.config.deadZone);
+      if (mapping.invert) value = -value;
+      
+      if (Math.abs(value) > Math.abs(stick[mapping.role])) {
+        stick[mapping.role] = value;
+      }
+    });
+    
+    return stick;
+  }
+
+  /**
+   * Ignore travel inside the dead zone and rescale the rest to 0-1
+   */
+  applyDeadZone(value, deadZone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadZone) return 0;
+    
+    return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+  }
+
+  /**
+   * Stick-to-move: send moves while the stick is pushed, faster the further it goes
+   */
+  applyStickMove(now) {
+    const { x, y } = this.stickVector;
+    const magnitude = Math.min(1, Math.hypot(x, y));
+    
+    if (magnitude === 0) {
+      this.stickHeld = false;
+      return;
+    }
+    
+    const repeatDelay = this.config.moveRepeatMax - (this.config.moveRepeatMax - this.config.moveRepeatMin) * magnitude;
+    if (this.stickHeld && now - this.lastStickMove < repeatDelay) return;
+    
+    this.stickHeld = true;
+    this.lastStickMove = now;
+    
+    const direction = Math.abs(x) > Math.abs(y)
+      ? (x > 0 ? 'right' : 'left')
+      : (y > 0 ? 'down' : 'up');
+    
+    this.emitInput({
+      action: 'move',
+      direction,
+      x,
+      y,
+      intensity: magnitude,
+      data: { stick: true }
+    }, now);
+  }
+
+  /**
+   * Stick-to-pointer: glide the pointer, slowly near the centre for fine aiming
+   */
+  movePointer(elapsed) {
+    const { x, y } = this.stickVector;
+    if (x === 0 && y === 0) return;
+    
+    const distance = this.config.pointerSpeed * elapsed / 1000;
+    this.pointerPosition = {
+      x: Math.max(0, Math.min(window.innerWidth - 1, this.pointerPosition.x + Math.sign(x) * x * x * distance)),
+      y: Math.max(0, Math.min(window.innerHeight - 1, this.pointerPosition.y + Math.sign(y) * y * y * distance))
+    };
+    
+    this.updatePointer();
+    this.setHoveredElement(this.getInteractiveElementAt(this.pointerPosition.x, this.pointerPosition.y));
+  }
+
+  /**
+   * Show, hide and place the on-screen pointer
+   */
+  updatePointer() {
+    const visible = this.isActive && this.config.stickMode === 'pointer';
+    
+    if (!this.pointer) {
+      if (!visible) return;
+      
+      this.pointer = document.createElement('div');
+      this.pointer.id = 'gamepad-pointer';
+      this.pointer.setAttribute('aria-hidden', 'true');
+      this.pointer.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 28px;
+        height: 28px;
+        margin: -14px 0 0 -14px;
+        border: 3px solid var(--focus-color, #FFD700);
+        border-radius: 50%;
+        background: rgba(255, 215, 0, 0.25);
+        box-shadow: 0 0 0 2px rgba(0, 0, 0, 0.6);
+        pointer-events: none;
+        z-index: 10002;
+      `;
+      document.body.appendChild(this.pointer);
+    }
+    
+    this.pointer.style.display = visible ? 'block' : 'none';
+    this.pointer.style.transform = `translate(${this.pointerPosition.x}px, ${this.pointerPosition.y}px)`;
+  }
+
+  /**
+   * Find the interactive element under a screen position
+   */
+  getInteractiveElementAt(x, y) {
+    const element = document.elementFromPoint(x, y);
+    return element?.closest('button, a[href], [role="button"], input, select, textarea, [tabindex]:not([tabindex="-1"]), .game-interactive') || null;
+  }
+
+  /**
+   * Highlight and announce the element under the pointer
+   */
+  setHoveredElement(element) {
+    if (element === this.hoveredElement) return;
+    
+    this.hoveredElement?.classList.remove('gamepad-hover');
+    this.hoveredElement = element;
+    
+    if (element) {
+      element.classList.add('gamepad-hover');
+      this.announceToUser(this.getElementLabel(element));
+    }
+  }
+
+  /**
+   * Click the element under the pointer, as a mouse would
+   */
+  clickAtPointer(button, timestamp) {
+    const { x, y } = this.pointerPosition;
+    const element = this.hoveredElement || this.getInteractiveElementAt(x, y);
+    
+    if (element) {
+      element.focus?.();
+      
+      if (element.tagName === 'BUTTON' || element.tagName === 'A' || element.getAttribute('role') === 'button') {
+        element.click();
+      } else {
+        element.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, clientX: x, clientY: y }));
+      }
+    }
+    
+    this.emitInput({
+      action: 'select',
+      position: { x, y },
+      data: { button, buttonName: this.getButtonName(button), clicked: !!element }
+    }, timestamp);
+  }
+
+  /**
+   * Send an input event
+   */
+  emitInput(payload, timestamp) {
+    this.emit('input', {
+      ...payload,
+      method: 'gamepad',
+      accuracy: 1.0,
+      confidence: 1.0,
+      responseTime: this.lastInputTime ? timestamp - this.lastInputTime : 0,
+      timestamp
+    });
+    
+    this.lastInputTime = timestamp;
+  }
+
+  /**
+   * Apply the player's gamepad bindings (button index -> input payload)
+   */
+  applyBindings(resolvedBindings) {
+    this.buttonBindings = { ...resolvedBindings };
+  }
+
+  /**
+   * Switch what the sticks do ('move' or 'pointer')
+   * Persist the choice with stateManager.updateSettings('inputSettings.gamepad.stickMode', mode)
+   */
+  setStickMode(mode) {
+    if (!GamepadInput.STICK_MODES.includes(mode)) {
+      console.warn(`Unknown gamepad stick mode '${mode}'`);
+      return false;
+    }
+    
+    this.config.stickMode = mode;
+    this.stickHeld = false;
+    this.setHoveredElement(null);
+    this.updatePointer();
+    
+    if (this.isActive) {
+      this.announceToUser(this.getStickModeHelp());
+    }
+    return true;
+  }
+
+  /**
+   * Describe how the sticks work in the current mode
+   */
+  getStickModeHelp() {
+    return this.config.stickMode === 'pointer'
+      ? 'Push a stick to move the pointer, and press your select button to click.'
+      : 'Push a stick to move, and press your select button to choose.';
+  }
+
+  /**
+   * Set how much stick travel around the centre is ignored (0-0.9)
+   */
+  setDeadZone(deadZone) {
+    this.config.deadZone = Math.max(0, Math.min(0.9, Number(deadZone) || 0));
+  }
+
+  /**
+   * Set the axis mapping; entries with an unknown role are dropped, and no map restores the default
+   */
+  setAxisMap(axisMap) {
+    if (!axisMap || typeof axisMap !== 'object') {
+      this.config.axisMap = GamepadInput.getDefaultAxisMap();
+      return;
+    }
+    
+    this.config.axisMap = Object.fromEntries(
+      Object.entries(axisMap).filter(([, mapping]) => GamepadInput.AXIS_ROLES.includes(mapping?.role))
+    );
+  }
+
+  /**
+   * Get the name of a standard-layout button
+   */
+  getButtonName(index) {
+    return GamepadInput.BUTTON_NAMES[index] || `Button ${index}`;
+  }
+
+  /**
+   * Get readable label for element
+   */
+  getElementLabel(element) {
+    return element.getAttribute('aria-label') ||
+           element.getAttribute('title') ||
+           element.textContent?.trim() ||
+           'Unlabeled element';
+  }
+
+  /**
+   * Announce message to user
+   */
+  announceToUser(message) {
+    if (this.inputManager?.gameEngine?.accessibilityManager) {
+      this.inputManager.gameEngine.accessibilityManager.announce(message);
+    }
+  }
+
+  /**
+   * Get gamepad capabilities
+   */
+  getCapabilities() {
+    return {
+      supportedActions: Array.from(new Set(Object.values(this.buttonBindings).map(binding => binding.action))),
+      hasDirectionalInput: true,
+      hasSelectInput: true,
+      hasCommandInput: true,
+      supportsPreciseInput: this.config.stickMode === 'pointer',
+      supportsGestures: false,
+      reliability: 'high',
+      latency: 'low',
+      stickModes: GamepadInput.STICK_MODES,
+      stickMode: this.config.stickMode,
+      connectedGamepads: this.connectedGamepads.size,
+      configurable: true
+    };
+  }
+
+  /**
+   * Update method (called from InputManager)
+   */
+  update(deltaTime) {
+    // Gamepads are read by the poll timer
+  }
+
+  /**
+   * Add event listener
+   */
+  on(eventType, callback) {
+    if (!this.eventListeners.has(eventType)) {
+      this.eventListeners.set(eventType, new Set());
+    }
+    this.eventListeners.get(eventType).add(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(eventType, callback) {
+    if (this.eventListeners.has(eventType)) {
+      this.eventListeners.get(eventType).delete(callback);
+    }
+  }
+
+  /**
+   * Emit event
+   */
+  emit(eventType, data) {
+    if (this.eventListeners.has(eventType)) {
+      this.eventListeners.get(eventType).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Error in gamepad input event listener:', error);
+        }
+      });
+    }
+  }
+}
\ No newline at end of file
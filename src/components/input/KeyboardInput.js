@@ -171,11 +171,8 @@ export class KeyboardInput {
         break;
     }
     
-    // Emit input event
+    // Emit input event; InputManager adds it to the session's input statistics
     this.emit('input', inputData);
-    
-    // Record performance
-    this.recordInputPerformance(inputData);
   }
 
   /**
@@ -290,21 +287,6 @@ export class KeyboardInput {
     this.repeatTimers.clear();
   }
 
-  /**
-   * Record input performance metrics
-   */
-  recordInputPerformance(inputData) {
-    // Simple performance tracking for keyboard input
-    if (this.inputManager?.gameEngine?.stateManager) {
-      this.inputManager.gameEngine.stateManager.recordPerformance('inputLatency', {
-        method: 'keyboard',
-        action: inputData.action,
-        responseTime: inputData.responseTime || 0,
-        timestamp: inputData.timestamp
-      });
-    }
-  }
-
   /**
    * Get keyboard capabilities
    */
@@ -349,6 +331,14 @@ export class KeyboardInput {
     this.keyBindings.delete(key);
   }
 
+  /**
+   * Replace all key bindings with the player's resolved bindings
+   */
+  applyBindings(resolvedBindings) {
+    this.keyBindings = new Map(Object.entries(resolvedBindings));
+    this.clearRepeatTimers();
+  }
+
   /**
    * Check if key is currently pressed
    */
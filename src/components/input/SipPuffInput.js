@@ -0,0 +1,657 @@
+/**
+ * Sip-and-puff input handler for GazeQuest Adventures
+ * Reads sip-and-puff devices that present as key presses or gamepad buttons and
+ * turns soft and hard sips and puffs into four separately bound game actions
+ */
+
+import { SipPuffCalibration } from '../../utils/SipPuffCalibration.js';
+
+export class SipPuffInput {
+  // Device signal token -> 'puff' | 'sip' | 'hardPuff' | 'hardSip'
+  // Tokens are key codes, or 'Gamepad<n>' for gamepad button n. Devices with
+  // separate hard outputs can map them straight to 'hardPuff' and 'hardSip'.
+  static DEFAULT_SIGNALS = {
+    Space: 'puff',
+    Enter: 'sip',
+    Gamepad0: 'puff',
+    Gamepad1: 'sip'
+  };
+
+  static DEFAULT_HARD_HOLD_TIME = 600; // ms
+
+  constructor() {
+    this.isActive = false;
+    this.inputManager = null;
+    this.eventListeners = new Map();
+
+    this.signals = { ...SipPuffInput.DEFAULT_SIGNALS };
+
+    // Gesture -> input payload (replaced by the player's bindings)
+    this.gestureBindings = {
+      softPuff: { action: 'select' },
+      hardPuff: { action: 'move', direction: 'right' },
+      softSip: { action: 'navigate' },
+      hardSip: { action: 'cancel' }
+    };
+
+    // Configuration; hold times are replaced by the player's calibration
+    this.config = {
+      // ms a press must be held to count as hard
+      hardHoldTime: { puff: SipPuffInput.DEFAULT_HARD_HOLD_TIME, sip: SipPuffInput.DEFAULT_HARD_HOLD_TIME },
+      minPressTime: 40,             // ms; shorter presses are treated as bounce
+      pollInterval: 50,             // ms between gamepad polls
+      calibrationTimeout: 20000     // ms to wait for the presses of one calibration step
+    };
+
+    // Signal tokens currently held: token -> { signal, startTime, hardTimer, fired }
+    this.pressedSignals = new Map();
+    this.gamepadButtonStates = new Map();
+    this.gamepadInterval = null;
+
+    // Guided calibration
+    this.calibration = new SipPuffCalibration();
+    this.calibrationResult = null;
+    this.isCalibrated = false;
+    this.calibrationStep = null;
+    this.calibrationUI = null;
+    this.isCalibrating = false;
+    this.calibrationCancelled = false;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+  }
+
+  /**
+   * Check if sip-and-puff input is available
+   */
+  async isAvailable() {
+    return true; // Devices arrive as key presses, so a keyboard path always exists
+  }
+
+  /**
+   * Initialize sip-and-puff input
+   */
+  async init(inputManager) {
+    this.inputManager = inputManager;
+
+    // Capture phase, so device presses do not also reach the menus and scenes as key presses
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    document.addEventListener('keyup', this.handleKeyUp, true);
+
+    this.loadUserSettings();
+
+    console.log('🌬️ Sip-and-puff input initialized');
+  }
+
+  /**
+   * Load the active player's sip-and-puff settings and calibration
+   */
+  loadUserSettings() {
+    const stateManager = this.inputManager?.gameEngine?.stateManager;
+    if (!stateManager) return;
+
+    const settings = stateManager.getStateValue('settings.inputSettings.sipPuff') || {};
+
+    if (settings.calibration && settings.calibration.version === SipPuffCalibration.VERSION) {
+      this.applyCalibration(settings.calibration);
+    } else {
+      this.calibrationResult = null;
+      this.isCalibrated = false;
+      this.config.hardHoldTime = { puff: SipPuffInput.DEFAULT_HARD_HOLD_TIME, sip: SipPuffInput.DEFAULT_HARD_HOLD_TIME };
+    }
+
+    // Signals can also be set by hand, e.g. for devices with separate hard outputs
+    const signals = settings.signals && Object.keys(settings.signals).length > 0
+      ? settings.signals
+      : this.calibrationResult?.signals || SipPuffInput.DEFAULT_SIGNALS;
+    this.signals = { ...signals };
+  }
+
+  /**
+   * Use a calibration's device signals and hold times
+   */
+  applyCalibration(calibration) {
+    this.calibrationResult = calibration;
+    this.isCalibrated = true;
+    this.signals = { ...calibration.signals };
+    this.config.hardHoldTime = {
+      puff: calibration.puff.hardHoldTime,
+      sip: calibration.sip.hardHoldTime
+    };
+  }
+
+  /**
+   * Save a calibration to the active player's sip-and-puff settings
+   */
+  saveCalibration(calibration) {
+    const stateManager = this.inputManager?.gameEngine?.stateManager;
+    if (!stateManager) return;
+
+    stateManager.updateSettings('inputSettings.sipPuff.signals', calibration.signals);
+    stateManager.updateSettings('inputSettings.sipPuff.calibration', calibration);
+    stateManager.updateSettings('inputSettings.sipPuff.calibrated', true);
+  }
+
+  /**
+   * Activate sip-and-puff input
+   */
+  async activate() {
+    this.isActive = true;
+    this.startGamepadPolling();
+
+    this.announce('Sip and puff activated. Puff to select, sip to move to the next item.');
+    console.log('🌬️ Sip-and-puff input activated');
+
+    if (!this.calibrationResult) {
+      this.emit('calibrationNeeded', { reason: 'not_calibrated' });
+    }
+  }
+
+  /**
+   * Deactivate sip-and-puff input
+   */
+  async deactivate() {
+    this.isActive = false;
+
+    if (this.isCalibrating) {
+      this.cancelCalibration();
+    }
+
+    this.releaseAllSignals();
+    this.stopGamepadPolling();
+
+    console.log('🌬️ Sip-and-puff input deactivated');
+  }
+
+  /**
+   * Apply the player's sip-and-puff bindings (gesture -> input payload)
+   */
+  applyBindings(resolvedBindings) {
+    this.gestureBindings = { ...resolvedBindings };
+  }
+
+  /**
+   * Get the signal token for a keyboard event, or null if it is not a device signal
+   */
+  getKeyToken(event) {
+    if (this.isCalibrating && this.calibrationStep) {
+      // While learning the device, any key but Escape may be the tube
+      return event.code === 'Escape' ? null : event.code;
+    }
+    return this.signals[event.code] ? event.code : null;
+  }
+
+  /**
+   * Handle key down events
+   */
+  handleKeyDown(event) {
+    if (!this.isActive && !this.isCalibrating) return;
+
+    const token = this.getKeyToken(event);
+    if (!token) return;
+
+    // The device's keys are sips and puffs, not keyboard input: the gesture is their only effect
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    if (!event.repeat) {
+      this.handleSignalDown(token);
+    }
+  }
+
+  /**
+   * Handle key up events
+   */
+  handleKeyUp(event) {
+    if (!this.isActive && !this.isCalibrating) return;
+
+    const token = this.getKeyToken(event);
+    if (!token) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    this.handleSignalUp(token);
+  }
+
+  /**
+   * Start polling gamepads for sip-and-puff buttons
+   */
+  startGamepadPolling() {
+    if (this.gamepadInterval || !navigator.getGamepads) return;
+
+    this.gamepadButtonStates.clear();
+    this.gamepadInterval = setInterval(() => this.checkGamepads(), this.config.pollInterval);
+  }
+
+  /**
+   * Stop polling gamepads unless input or calibration still needs them
+   */
+  stopGamepadPolling() {
+    if (this.isActive || this.isCalibrating) return;
+
+    if (this.gamepadInterval) {
+      clearInterval(this.gamepadInterval);
+      this.gamepadInterval = null;
+    }
+    this.gamepadButtonStates.clear();
+  }
+
+  /**
+   * Turn gamepad button changes into signal presses and releases
+   */
+  checkGamepads() {
+    for (const gamepad of navigator.getGamepads()) {
+      if (!gamepad) continue;
+
+      gamepad.buttons.forEach((button, index) => {
+        const stateKey = `${gamepad.index}:${index}`;
+        const wasPressed = this.gamepadButtonStates.get(stateKey) || false;
+        if (button.pressed === wasPressed) return;
+
+        this.gamepadButtonStates.set(stateKey, button.pressed);
+
+        const token = `Gamepad${index}`;
+        const listening = this.isCalibrating && this.calibrationStep;
+        if (!listening && !this.signals[token]) return;
+
+        if (button.pressed) {
+          this.handleSignalDown(token);
+        } else {
+          this.handleSignalUp(token);
+        }
+      });
+    }
+  }
+
+  /**
+   * Start timing a sip or puff
+   */
+  handleSignalDown(token) {
+    if (this.pressedSignals.has(token)) return;
+
+    const press = {
+      signal: this.signals[token],
+      startTime: Date.now(),
+      hardTimer: null,
+      fired: false
+    };
+    this.pressedSignals.set(token, press);
+
+    if (this.isCalibrating) return;
+
+    // Devices with a separate hard output need no timing
+    if (press.signal === 'hardPuff' || press.signal === 'hardSip') {
+      press.fired = true;
+      this.triggerGesture(press.signal, 0);
+      return;
+    }
+
+    // Hard presses act as soon as they have been held long enough
+    const holdTime = this.config.hardHoldTime[press.signal];
+    press.hardTimer = setTimeout(() => {
+      press.fired = true;
+      this.triggerGesture(press.signal === 'puff' ? 'hardPuff' : 'hardSip', Date.now() - press.startTime);
+    }, holdTime);
+  }
+
+  /**
+   * Finish timing a sip or puff; presses released before the hard hold time are soft
+   */
+  handleSignalUp(token) {
+    const press = this.pressedSignals.get(token);
+    if (!press) return;
+
+    this.pressedSignals.delete(token);
+    clearTimeout(press.hardTimer);
+
+    const duration = Date.now() - press.startTime;
+    if (duration < this.config.minPressTime) return;
+
+    if (this.isCalibrating) {
+      this.recordCalibrationPress(token, duration);
+      return;
+    }
+
+    if (!press.fired && this.isActive) {
+      this.triggerGesture(press.signal === 'puff' ? 'softPuff' : 'softSip', duration);
+    }
+  }
+
+  /**
+   * Forget held signals without acting on them
+   */
+  releaseAllSignals() {
+    this.pressedSignals.forEach(press => clearTimeout(press.hardTimer));
+    this.pressedSignals.clear();
+  }
+
+  /**
+   * Convert a sip-and-puff gesture to an input event
+   */
+  triggerGesture(gesture, duration) {
+    if (!this.isActive) return;
+
+    this.emit('gesture', { gesture, duration });
+
+    const binding = this.gestureBindings[gesture];
+    if (!binding) return;
+
+    const { actionId, description, ...payload } = binding;
+    const hard = gesture === 'hardPuff' || gesture === 'hardSip';
+
+    this.emit('input', {
+      ...payload,
+      method: 'sipPuff',
+      data: { gesture, duration },
+      intensity: hard ? 1 : 0.5,
+      accuracy: 1.0,
+      confidence: 1.0,
+      responseTime: duration,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Run the guided calibration: find the sip and puff, then time quick and long presses
+   */
+  async startCalibration() {
+    if (this.isCalibrating) {
+      console.warn('Sip-and-puff calibration already in progress');
+      return;
+    }
+
+    console.log('🌬️ Sip-and-puff calibration started');
+    this.isCalibrating = true;
+    this.calibrationCancelled = false;
+    this.releaseAllSignals();
+    this.startGamepadPolling();
+
+    try {
+      this.showCalibrationUI();
+
+      let result = null;
+      while (!result && !this.calibrationCancelled) {
+        result = await this.runCalibrationSteps();
+      }
+
+      if (result) {
+        this.applyCalibration(result);
+        this.saveCalibration(result);
+        this.emit('calibrationComplete', {
+          signals: result.signals,
+          puff: result.puff,
+          sip: result.sip
+        });
+
+        this.setCalibrationText('All set!', 'Sip and puff now knows your quick and long presses.');
+        await this.wait(2000);
+      }
+    } catch (error) {
+      console.error('Sip-and-puff calibration failed:', error);
+      this.announce('Sip and puff calibration could not be completed.');
+    } finally {
+      this.calibrationStep = null;
+      this.isCalibrating = false;
+      this.releaseAllSignals();
+      this.hideCalibrationUI();
+      this.stopGamepadPolling();
+    }
+  }
+
+  /**
+   * Record every calibration step once; returns the calibration, or null to retry or stop
+   */
+  async runCalibrationSteps() {
+    this.calibration.reset();
+    const steps = SipPuffCalibration.STEPS;
+
+    for (let index = 0; index < steps.length; index++) {
+      const step = steps[index];
+      if (this.calibrationCancelled) return null;
+
+      this.setCalibrationText(`Step ${index + 1} of ${steps.length}: ${step.title}`, step.instruction);
+      this.updateCalibrationProgress(0, step.presses);
+
+      this.calibrationStep = step.id;
+      const completed = await this.waitForPresses(step);
+      this.calibrationStep = null;
+
+      if (this.calibrationCancelled) return null;
+      if (!completed) break;
+
+      // Let the last press settle before the next instruction
+      await this.wait(500);
+    }
+
+    try {
+      return this.calibration.finish();
+    } catch (error) {
+      console.warn('🌬️ Sip-and-puff calibration needs another try:', error.message);
+      this.setCalibrationText('Let\'s try again', error.message);
+      await this.wait(4000);
+      return null;
+    }
+  }
+
+  /**
+   * Wait until a step has all its presses; resolves false if it times out
+   */
+  async waitForPresses(step) {
+    const deadline = Date.now() + this.config.calibrationTimeout;
+
+    while (Date.now() < deadline && !this.calibrationCancelled) {
+      if (this.calibration.getPressCount(step.id) >= step.presses) {
+        return true;
+      }
+      await this.wait(100);
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a released press for the current calibration step
+   */
+  recordCalibrationPress(token, duration) {
+    if (!this.calibrationStep) return;
+
+    const step = SipPuffCalibration.STEPS.find(candidate => candidate.id === this.calibrationStep);
+    const problem = this.calibration.addPress(step.id, token, duration);
+
+    if (problem) {
+      this.announce(problem);
+      if (this.calibrationUI) {
+        this.calibrationUI.instruction.textContent = `${problem} ${step.instruction}`;
+      }
+      return;
+    }
+
+    this.updateCalibrationProgress(this.calibration.getPressCount(step.id), step.presses);
+  }
+
+  /**
+   * Stop a running calibration without changing the saved one
+   */
+  cancelCalibration() {
+    this.calibrationCancelled = true;
+    this.calibrationStep = null;
+    this.announce('Sip and puff calibration cancelled.');
+  }
+
+  /**
+   * Show the calibration overlay with instructions and press progress
+   */
+  showCalibrationUI() {
+    this.hideCalibrationUI();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'sip-puff-calibration';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Sip and puff calibration');
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.9);
+      z-index: 10000;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 20px;
+      color: white;
+      text-align: center;
+    `;
+
+    const title = document.createElement('h2');
+    title.style.cssText = `
+      color: #87CEEB;
+      font-size: 2rem;
+    `;
+
+    const instruction = document.createElement('p');
+    instruction.setAttribute('aria-live', 'assertive');
+    instruction.style.cssText = `
+      font-size: 1.4rem;
+      max-width: 600px;
+    `;
+
+    const progress = document.createElement('div');
+    progress.setAttribute('aria-hidden', 'true');
+    progress.style.cssText = `
+      font-size: 2.5rem;
+      letter-spacing: 12px;
+    `;
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.className = 'focusable';
+    cancelButton.style.cssText = `
+      padding: 12px 24px;
+      background: rgba(255, 255, 255, 0.2);
+      border: 2px solid rgba(255, 255, 255, 0.3);
+      border-radius: 25px;
+      color: white;
+      cursor: pointer;
+      font-size: 1rem;
+    `;
+    cancelButton.addEventListener('click', () => this.cancelCalibration());
+
+    overlay.appendChild(title);
+    overlay.appendChild(instruction);
+    overlay.appendChild(progress);
+    overlay.appendChild(cancelButton);
+    document.body.appendChild(overlay);
+
+    this.calibrationUI = { overlay, title, instruction, progress };
+  }
+
+  /**
+   * Update the calibration overlay text and announce it
+   */
+  setCalibrationText(titleText, instructionText) {
+    if (this.calibrationUI) {
+      this.calibrationUI.title.textContent = titleText;
+      this.calibrationUI.instruction.textContent = instructionText;
+    }
+    this.announce(`${titleText}. ${instructionText}`);
+  }
+
+  /**
+   * Show how many presses of the current step have been recorded
+   */
+  updateCalibrationProgress(count, total) {
+    if (this.calibrationUI) {
+      this.calibrationUI.progress.textContent = '●'.repeat(count) + '○'.repeat(Math.max(0, total - count));
+    }
+  }
+
+  /**
+   * Remove the calibration overlay
+   */
+  hideCalibrationUI() {
+    if (this.calibrationUI?.overlay.parentNode) {
+      this.calibrationUI.overlay.parentNode.removeChild(this.calibrationUI.overlay);
+    }
+    this.calibrationUI = null;
+  }
+
+  /**
+   * Announce a message to screen readers
+   */
+  announce(message) {
+    if (this.inputManager?.gameEngine?.accessibilityManager) {
+      this.inputManager.gameEngine.accessibilityManager.announce(message);
+    }
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   */
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Get sip-and-puff capabilities
+   */
+  getCapabilities() {
+    return {
+      supportedActions: ['select', 'navigate', 'move', 'cancel', 'command'],
+      hasDirectionalInput: false,
+      hasSelectInput: true,
+      hasCommandInput: true,
+      supportsPreciseInput: false,
+      supportsGestures: true,
+      reliability: 'high',
+      latency: 'medium',
+      requiresCalibration: true,
+      configurable: true
+    };
+  }
+
+  /**
+   * Update method
+   */
+  update(deltaTime) {
+    // Sip-and-puff input is event-driven
+  }
+
+  /**
+   * Add event listener
+   */
+  on(eventType, callback) {
+    if (!this.eventListeners.has(eventType)) {
+      this.eventListeners.set(eventType, new Set());
+    }
+    this.eventListeners.get(eventType).add(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(eventType, callback) {
+    if (this.eventListeners.has(eventType)) {
+      this.eventListeners.get(eventType).delete(callback);
+    }
+  }
+
+  /**
+   * Emit event
+   */
+  emit(eventType, data) {
+    if (this.eventListeners.has(eventType)) {
+      this.eventListeners.get(eventType).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Error in sip-and-puff input event listener:', error);
+        }
+      });
+    }
+  }
+}
\ No newline at end of file
@@ -1,39 +1,68 @@
 /**
  * Switch input handler for GazeQuest Adventures
- * Provides single-switch scanning interface for motor-impaired users
+ * Provides one- and two-switch scanning interfaces for motor-impaired users
  */
 
+import { SwitchScanner } from '../../utils/SwitchScanner.js';
+import { ScanGroupBuilder } from '../../utils/ScanGroupBuilder.js';
+
 export class SwitchInput {
+  static TIMING_SETTINGS = ['acceptanceTime', 'postAcceptanceDelay', 'releaseTime'];
+
   constructor() {
     this.isActive = false;
     this.inputManager = null;
     this.eventListeners = new Map();
     
     this.isScanning = false;
-    this.scanIndex = 0;
     this.scanElements = [];
-    this.scanTimer = null;
+    this.scanSuspended = false; // A scene is running its own scanner
     
     // Configuration
     this.config = {
+      scanMode: 'auto',     // 'auto', 'step', 'inverse' or 'critical-overscan'
       scanSpeed: 1000,      // ms between scan highlights
       autoScan: true,       // Automatically start scanning
-      repeatScans: true,    // Repeat scanning after reaching end
       highlightClass: 'switch-highlight',
       audioFeedback: true,
-      dwellTime: 0          // No dwell time for switches
+      dwellTime: 0,         // No dwell time for switches
+      
+      // Press filtering for tremor and spasticity (ms, 0 turns a filter off)
+      acceptanceTime: 0,      // A switch must be held this long before the press counts
+      postAcceptanceDelay: 0, // Presses this soon after an accepted press of the same switch are ignored
+      releaseTime: 0          // A switch must stay released this long before it can be pressed again
     };
     
-    // Switch detection
-    this.switchKeys = new Set(['Space', 'Enter', 'NumpadEnter']);
+    // Switch detection: token -> role ('select' picks, 'advance' moves the highlight)
+    // Tokens are key codes, or 'Gamepad<n>' for gamepad button n
+    this.switchRoles = new Map([
+      ['Space', 'select'],
+      ['Enter', 'select'],
+      ['NumpadEnter', 'select']
+    ]);
+    this.gamepadButtonStates = new Map();
+    this.switchDownTimes = new Map();
     this.lastSwitchTime = 0;
-    this.switchHoldTime = 0;
-    this.isHoldMode = false;
     
-    // Scanning groups
-    this.scanGroups = [];
-    this.currentGroup = null;
-    this.groupIndex = 0;
+    // Raw presses waiting to be accepted, and the timings the filters compare against
+    this.pendingPresses = new Map();
+    this.lastAcceptedTimes = new Map();
+    this.lastReleaseTimes = new Map();
+    this.pressLog = []; // Recent raw presses for timing suggestions
+    this.maxPressLog = 100;
+    
+    // Scanning groups: a tree of rows and declared groups, and the groups the player has opened
+    this.groupBuilder = new ScanGroupBuilder();
+    this.scanTree = this.groupBuilder.build([]);
+    this.scanPath = [];
+    this.escapeItem = null; // "Back" item offered inside a group
+    
+    this.scanner = new SwitchScanner({
+      config: { mode: this.config.scanMode, scanSpeed: this.config.scanSpeed },
+      getCount: () => this.getScanLevel().items.length,
+      onHighlight: (index) => this.highlightScanItem(index),
+      onSelect: (index) => this.activateScanItem(index)
+    });
   }
 
   /**
@@ -63,9 +92,52 @@ export class SwitchInput {
     if (this.inputManager?.gameEngine?.stateManager) {
       const settings = this.inputManager.gameEngine.stateManager.getStateValue('settings.inputSettings.switch');
       if (settings) {
-        this.config.scanSpeed = settings.scanSpeed || this.config.scanSpeed;
+        this.setScanSpeed(settings.scanSpeed || this.config.scanSpeed);
         this.config.autoScan = settings.autoScan !== undefined ? settings.autoScan : this.config.autoScan;
+        this.setScanMode(settings.scanMode || 'auto');
+        SwitchInput.TIMING_SETTINGS.forEach(name => this.setTiming(name, settings[name] || 0));
       }
+      // Another player's presses say nothing about this one's
+      this.pressLog = [];
+    }
+  }
+
+  /**
+   * Switch to a scanning mode ('auto', 'step', 'inverse' or 'critical-overscan')
+   * Persist the choice with stateManager.updateSettings('inputSettings.switch.scanMode', mode)
+   */
+  setScanMode(mode) {
+    if (!SwitchScanner.MODES.includes(mode)) {
+      console.warn(`Unknown switch scanning mode '${mode}'`);
+      return false;
+    }
+    
+    this.config.scanMode = mode;
+    this.scanner.setMode(mode);
+    
+    if (this.isActive) {
+      this.announceToUser(this.getScanModeHelp());
+    }
+    return true;
+  }
+
+  /**
+   * Describe how to use the current scanning mode
+   */
+  getScanModeHelp() {
+    const hasAdvanceSwitch = Array.from(this.switchRoles.values()).includes('advance');
+    
+    switch (this.config.scanMode) {
+      case 'step':
+        return hasAdvanceSwitch
+          ? 'Step scanning. Press your next switch to move, and your select switch to choose.'
+          : 'Step scanning needs a switch set to Next Item. Set one up in Controls.';
+      case 'inverse':
+        return 'Hold your switch to move the highlight, and let go to choose.';
+      case 'critical-overscan':
+        return 'Press your switch once to slow the highlight down, then again to choose.';
+      default:
+        return 'Press your switch to select highlighted items.';
     }
   }
 
@@ -77,13 +149,9 @@ export class SwitchInput {
     document.addEventListener('keydown', this.handleKeyDown.bind(this));
     document.addEventListener('keyup', this.handleKeyUp.bind(this));
     
-    // Gamepad support for dedicated switches
-    if (navigator.getGamepads) {
-      this.gamepadInterval = setInterval(this.checkGamepads.bind(this), 50);
-    }
-    
-    // Mouse click as switch (for testing)
-    document.addEventListener('click', this.handleMouseClick.bind(this));
+    // Mouse button as switch (for testing); press and release so press filtering applies
+    document.addEventListener('mousedown', this.handleMouseDown.bind(this));
+    document.addEventListener('mouseup', this.handleMouseUp.bind(this));
   }
 
   /**
@@ -92,6 +160,12 @@ export class SwitchInput {
   async activate() {
     this.isActive = true;
     
+    // Gamepad support for dedicated switches
+    if (navigator.getGamepads && !this.gamepadInterval) {
+      this.gamepadButtonStates.clear();
+      this.gamepadInterval = setInterval(this.checkGamepads.bind(this), 50);
+    }
+    
     // Update scannable elements
     this.updateScanElements();
     
@@ -101,7 +175,7 @@ export class SwitchInput {
     }
     
     // Announce activation
-    this.announceToUser('Switch control activated. Press your switch to select highlighted items.');
+    this.announceToUser(`Switch control activated. ${this.getScanModeHelp()}`);
     
     console.log('🎮 Switch input activated');
   }
@@ -116,7 +190,11 @@ export class SwitchInput {
     
     if (this.gamepadInterval) {
       clearInterval(this.gamepadInterval);
+      this.gamepadInterval = null;
     }
+    this.switchDownTimes.clear();
+    this.pendingPresses.forEach(press => clearTimeout(press.timer));
+    this.pendingPresses.clear();
     
     console.log('🎮 Switch input deactivated');
   }
@@ -138,33 +216,28 @@ export class SwitchInput {
       '.focusable:not([disabled])'
     ];
     
-    this.scanElements = Array.from(document.querySelectorAll(selectors.join(', ')))
+    // An open modal dialog is the only thing that can be used, so only scan inside it
+    const root = this.getScanRoot();
+    
+    this.scanElements = Array.from(root.querySelectorAll(selectors.join(', ')))
+      .filter(element => !element.closest('[data-scan-skip]') && element !== this.escapeItem)
       .filter(element => this.isElementVisible(element))
       .sort((a, b) => this.getTabOrder(a) - this.getTabOrder(b));
     
-    // Group elements if there are many
-    if (this.scanElements.length > 10) {
-      this.createScanGroups();
-    } else {
-      this.scanGroups = [];
-      this.currentGroup = null;
-    }
+    // Group elements into rows and declared groups
+    this.scanTree = this.groupBuilder.build(this.scanElements, root === document ? null : root);
     
     console.log(`Found ${this.scanElements.length} scannable elements`);
   }
 
   /**
-   * Create scanning groups for large element sets
+   * Get the element to scan inside: the topmost open modal dialog, or the whole page
    */
-  createScanGroups() {
-    const groupSize = Math.ceil(Math.sqrt(this.scanElements.length));
-    this.scanGroups = [];
+  getScanRoot() {
+    const dialogs = Array.from(document.querySelectorAll('[aria-modal="true"]'))
+      .filter(dialog => this.isElementVisible(dialog));
     
-    for (let i = 0; i < this.scanElements.length; i += groupSize) {
-      this.scanGroups.push(this.scanElements.slice(i, i + groupSize));
-    }
-    
-    console.log(`Created ${this.scanGroups.length} scan groups`);
+    return dialogs[dialogs.length - 1] || document;
   }
 
   /**
@@ -192,20 +265,23 @@ export class SwitchInput {
   }
 
   /**
-   * Start scanning process
+   * Start scanning process; a switch press that starts it counts as held (inverse scanning)
    */
-  startScanning() {
-    if (this.isScanning || !this.isActive) return;
+  startScanning(pressedRole = null) {
+    if (this.isScanning || !this.isActive || this.scanSuspended) return;
     
     this.isScanning = true;
-    this.scanIndex = 0;
-    this.groupIndex = 0;
+    this.scanPath = [];
     
     // Clear any existing highlights
     this.clearHighlights();
     
     // Start scanning
-    this.performScan();
+    if (pressedRole) {
+      this.scanner.press(pressedRole);
+    } else {
+      this.scanner.start();
+    }
     
     // Announce start
     this.announceToUser('Scanning started. Press your switch when the item you want is highlighted.');
@@ -220,48 +296,107 @@ export class SwitchInput {
     if (!this.isScanning) return;
     
     this.isScanning = false;
-    
-    if (this.scanTimer) {
-      clearTimeout(this.scanTimer);
-      this.scanTimer = null;
-    }
+    this.scanner.stop();
+    this.scanPath = [];
+    this.updateEscapeItem();
     
     this.clearHighlights();
     console.log('🔍 Switch scanning stopped');
   }
 
   /**
-   * Perform one scan step
+   * Let a scene run its own scanner; switch presses are still reported as 'switchPress' events
+   */
+  suspendScanning() {
+    this.stopScanning();
+    this.scanSuspended = true;
+  }
+
+  /**
+   * Resume scanning the page after a scene's own scanner is done
    */
-  performScan() {
-    if (!this.isScanning || !this.isActive) return;
+  resumeScanning() {
+    this.scanSuspended = false;
+    
+    if (this.isActive && this.config.autoScan) {
+      this.updateScanElements();
+      this.startScanning();
+    }
+  }
+
+  /**
+   * Get the items being scanned: the open group's items and a way back out, or the top level
+   */
+  getScanLevel() {
+    const group = this.scanPath[this.scanPath.length - 1];
+    if (group) {
+      return { items: [...group.items, this.getEscapeItem()], group };
+    }
+    return { items: this.scanTree.items, group: null };
+  }
+
+  /**
+   * Highlight and announce the scanner's current item
+   */
+  highlightScanItem(index) {
+    const { items } = this.getScanLevel();
+    const item = items[index];
     
     // Clear previous highlights
     this.clearHighlights();
     
-    // Determine what to highlight
-    if (this.scanGroups.length > 0 && this.currentGroup === null) {
-      // Scanning groups
-      this.highlightGroup(this.groupIndex);
-      this.announceCurrentItem(this.scanGroups[this.groupIndex], true);
-      
-      this.groupIndex = (this.groupIndex + 1) % this.scanGroups.length;
+    if (!item) return;
+    
+    if (item.isGroup) {
+      this.highlightGroup(item);
+      this.announceCurrentItem(item, true, index);
     } else {
-      // Scanning individual elements
-      const elementsToScan = this.currentGroup || this.scanElements;
-      
-      if (elementsToScan.length > 0) {
-        this.highlightElement(elementsToScan[this.scanIndex]);
-        this.announceCurrentItem(elementsToScan[this.scanIndex], false);
-        
-        this.scanIndex = (this.scanIndex + 1) % elementsToScan.length;
-      }
+      this.highlightElement(item);
+      this.announceCurrentItem(item, false);
+    }
+  }
+
+  /**
+   * Get the "Back" item shown while scanning inside a group
+   */
+  getEscapeItem() {
+    if (!this.escapeItem) {
+      const escapeItem = document.createElement('button');
+      escapeItem.className = 'switch-escape-item';
+      escapeItem.textContent = '⬅ Back';
+      escapeItem.setAttribute('aria-label', 'Back out of this group');
+      escapeItem.tabIndex = -1;
+      escapeItem.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 12px 24px;
+        background: rgba(0, 0, 0, 0.85);
+        border: 2px solid rgba(255, 255, 255, 0.5);
+        border-radius: 25px;
+        color: white;
+        font-size: 1rem;
+        z-index: 10001;
+        display: none;
+      `;
+      escapeItem.addEventListener('click', () => this.exitGroup());
+      document.body.appendChild(escapeItem);
+      this.escapeItem = escapeItem;
     }
     
-    // Schedule next scan
-    this.scanTimer = setTimeout(() => {
-      this.performScan();
-    }, this.config.scanSpeed);
+    return this.escapeItem;
+  }
+
+  /**
+   * Show or hide the "Back" item to match whether a group is open
+   */
+  updateEscapeItem() {
+    if (this.scanPath.length > 0) {
+      this.getEscapeItem().style.display = 'block';
+    } else if (this.escapeItem) {
+      this.escapeItem.style.display = 'none';
+    }
   }
 
   /**
@@ -288,12 +423,13 @@ export class SwitchInput {
   /**
    * Highlight a group of elements
    */
-  highlightGroup(groupIndex) {
-    const group = this.scanGroups[groupIndex];
-    if (group) {
-      group.forEach(element => {
-        element.classList.add(this.config.highlightClass);
-      });
+  highlightGroup(group) {
+    this.groupBuilder.getLeaves(group).forEach(element => {
+      element.classList.add(this.config.highlightClass);
+    });
+    
+    if (this.config.audioFeedback) {
+      this.playHighlightSound();
     }
   }
 
@@ -310,11 +446,12 @@ export class SwitchInput {
   /**
    * Announce current item to screen reader
    */
-  announceCurrentItem(item, isGroup = false) {
+  announceCurrentItem(item, isGroup = false, groupIndex = 0) {
     let announcement = '';
     
     if (isGroup) {
-      announcement = `Group ${this.groupIndex + 1} of ${this.scanGroups.length}. Contains ${item.length} items.`;
+      const count = this.groupBuilder.getLeaves(item).length;
+      announcement = `${item.label}, group ${groupIndex + 1}. Contains ${count} items.`;
     } else {
       const label = this.getElementLabel(item);
       const role = item.getAttribute('role') || item.tagName.toLowerCase();
@@ -342,14 +479,13 @@ export class SwitchInput {
   handleKeyDown(event) {
     if (!this.isActive) return;
     
-    if (this.switchKeys.has(event.code)) {
+    const role = this.switchRoles.get(event.code);
+    if (role) {
       event.preventDefault();
       
-      const currentTime = Date.now();
-      this.lastSwitchTime = currentTime;
-      
-      // Handle switch activation
-      this.handleSwitchActivation(currentTime);
+      if (!event.repeat) {
+        this.handleRawSwitchDown(event.code, role, Date.now());
+      }
     }
   }
 
@@ -359,66 +495,241 @@ export class SwitchInput {
   handleKeyUp(event) {
     if (!this.isActive) return;
     
-    if (this.switchKeys.has(event.code)) {
-      const holdDuration = Date.now() - this.lastSwitchTime;
-      
-      // Check for long press (configuration/settings)
-      if (holdDuration > 2000) {
-        this.handleLongPress();
-      }
+    const role = this.switchRoles.get(event.code);
+    if (role) {
+      this.handleRawSwitchUp(event.code, Date.now());
+    }
+  }
+
+  /**
+   * Handle mouse button press on a switch-only target (for testing)
+   */
+  handleMouseDown(event) {
+    if (this.isActive && event.button === 0 && event.target.closest('.switch-control-only')) {
+      this.handleRawSwitchDown('Mouse', 'select', Date.now());
     }
   }
 
   /**
-   * Handle mouse click (for testing)
+   * Handle mouse button release
    */
-  handleMouseClick(event) {
-    if (!this.isActive || event.target.closest('.switch-control-only')) {
-      this.handleSwitchActivation(Date.now());
+  handleMouseUp(event) {
+    if (this.isActive && event.button === 0) {
+      this.handleRawSwitchUp('Mouse', Date.now());
     }
   }
 
   /**
-   * Check for gamepad input
+   * Check for gamepad button presses and releases
    */
   checkGamepads() {
     if (!this.isActive) return;
     
     const gamepads = navigator.getGamepads();
+    const bindsButtons = Array.from(this.switchRoles.keys()).some(token => token.startsWith('Gamepad'));
     
     for (const gamepad of gamepads) {
-      if (gamepad) {
-        // Check for any button press
-        for (let i = 0; i < gamepad.buttons.length; i++) {
-          if (gamepad.buttons[i].pressed) {
-            this.handleSwitchActivation(Date.now());
-            break;
-          }
+      if (!gamepad) continue;
+      
+      gamepad.buttons.forEach((button, index) => {
+        const stateKey = `${gamepad.index}:${index}`;
+        const wasPressed = this.gamepadButtonStates.get(stateKey) || false;
+        if (button.pressed === wasPressed) return;
+        
+        this.gamepadButtonStates.set(stateKey, button.pressed);
+        
+        // Any button selects until specific buttons are bound
+        const token = `Gamepad${index}`;
+        const role = bindsButtons ? this.switchRoles.get(token) : 'select';
+        if (!role) return;
+        
+        if (button.pressed) {
+          this.handleRawSwitchDown(token, role, Date.now());
+        } else {
+          this.handleRawSwitchUp(token, Date.now());
         }
-      }
+      });
+    }
+  }
+
+  /**
+   * Filter a press from any switch source before it counts
+   */
+  handleRawSwitchDown(token, role, timestamp) {
+    if (this.pendingPresses.has(token)) return;
+    
+    const lastRelease = this.lastReleaseTimes.get(token);
+    const lastAccepted = this.lastAcceptedTimes.get(token);
+    const press = {
+      token,
+      role,
+      downTime: timestamp,
+      sinceRelease: lastRelease !== undefined ? timestamp - lastRelease : null,
+      sinceAccepted: lastAccepted !== undefined ? timestamp - lastAccepted : null,
+      accepted: false,
+      rejected: null,
+      timer: null
+    };
+    this.pendingPresses.set(token, press);
+    
+    if (press.sinceRelease !== null && press.sinceRelease < this.config.releaseTime) {
+      press.rejected = 'releaseTime';
+    } else if (press.sinceAccepted !== null && press.sinceAccepted < this.config.postAcceptanceDelay) {
+      press.rejected = 'postAcceptanceDelay';
+    } else if (this.config.acceptanceTime > 0) {
+      // Only counts if the switch is still held when the acceptance time is up
+      press.timer = setTimeout(() => this.acceptPress(press, Date.now()), this.config.acceptanceTime);
+    } else {
+      this.acceptPress(press, timestamp);
+    }
+  }
+
+  /**
+   * Filter a release from any switch source
+   */
+  handleRawSwitchUp(token, timestamp) {
+    const press = this.pendingPresses.get(token);
+    if (!press) return;
+    
+    this.pendingPresses.delete(token);
+    clearTimeout(press.timer);
+    this.lastReleaseTimes.set(token, timestamp);
+    
+    if (press.accepted) {
+      this.handleSwitchUp(token, press.role, timestamp);
+    } else if (!press.rejected) {
+      press.rejected = 'acceptanceTime';
+    }
+    
+    this.recordPress(press, timestamp);
+  }
+
+  /**
+   * Let a filtered press through
+   */
+  acceptPress(press, timestamp) {
+    press.accepted = true;
+    press.timer = null;
+    this.lastAcceptedTimes.set(press.token, timestamp);
+    this.handleSwitchDown(press.token, press.role, timestamp);
+  }
+
+  /**
+   * Keep a finished raw press for timing suggestions
+   */
+  recordPress(press, releaseTime) {
+    this.pressLog.push({
+      timestamp: press.downTime,
+      token: press.token,
+      role: press.role,
+      holdDuration: releaseTime - press.downTime,
+      sinceRelease: press.sinceRelease,
+      sinceAccepted: press.sinceAccepted,
+      accepted: press.accepted,
+      rejected: press.rejected
+    });
+    
+    if (this.pressLog.length > this.maxPressLog) {
+      this.pressLog.shift();
     }
+    
+    if (!press.accepted) {
+      console.log(`🎮 Switch press ignored (${press.rejected})`);
+    }
+  }
+
+  /**
+   * Get the press filter settings and recent raw presses, for tuning suggestions
+   */
+  getTimingStats() {
+    const settings = {};
+    SwitchInput.TIMING_SETTINGS.forEach(name => {
+      settings[name] = this.config[name];
+    });
+    
+    return { settings, presses: [...this.pressLog] };
   }
 
   /**
-   * Handle switch activation
+   * Set one of the press filter times
+   * Persist it with stateManager.updateSettings('inputSettings.switch.<name>', value)
    */
-  handleSwitchActivation(timestamp) {
+  setTiming(name, value) {
+    if (!SwitchInput.TIMING_SETTINGS.includes(name)) {
+      console.warn(`Unknown switch timing setting '${name}'`);
+      return false;
+    }
+    
+    const time = Math.max(0, Math.min(5000, Math.round(Number(value) || 0)));
+    if (this.config[name] !== time) {
+      this.config[name] = time;
+      // Presses filtered with the old times say little about the new ones
+      this.pressLog = [];
+    }
+    return true;
+  }
+
+  /**
+   * Handle a switch being pressed
+   */
+  handleSwitchDown(token, role, timestamp) {
+    if (this.switchDownTimes.has(token)) return;
+    
+    this.switchDownTimes.set(token, timestamp);
+    this.lastSwitchTime = timestamp;
+    this.emit('switchPress', { role, pressed: true, token, timestamp });
+    
+    if (this.scanSuspended) return;
+    
     if (!this.isScanning) {
       // Start scanning if not already scanning
-      this.startScanning();
+      this.startScanning(role);
       return;
     }
     
-    // Determine what to activate
-    if (this.scanGroups.length > 0 && this.currentGroup === null) {
-      // Select a group
-      this.selectGroup();
+    this.scanner.press(role);
+  }
+
+  /**
+   * Handle a switch being released
+   */
+  handleSwitchUp(token, role, timestamp) {
+    const downTime = this.switchDownTimes.get(token);
+    if (downTime === undefined) return;
+    
+    this.switchDownTimes.delete(token);
+    this.emit('switchPress', { role, pressed: false, token, timestamp, holdDuration: timestamp - downTime });
+    
+    if (this.scanSuspended) return;
+    
+    if (this.isScanning) {
+      this.scanner.release(role);
+    }
+    
+    // Check for long press (configuration/settings); inverse scanning holds on purpose
+    if (this.config.scanMode !== 'inverse' && timestamp - downTime > 2000) {
+      this.handleLongPress();
+    }
+  }
+
+  /**
+   * Pick the scanner's current item: open a group, back out of one, or activate an element
+   */
+  activateScanItem(index) {
+    const { items } = this.getScanLevel();
+    const item = items[index];
+    if (!item) return;
+    
+    if (item === this.escapeItem) {
+      this.exitGroup();
+    } else if (item.isGroup) {
+      this.enterGroup(item);
     } else {
-      // Activate current element
-      this.activateCurrentElement();
+      this.activateCurrentElement(item);
     }
     
     // Record input event
+    const timestamp = Date.now();
     const inputData = {
       action: 'select',
       method: 'switch',
@@ -432,29 +743,38 @@ export class SwitchInput {
   }
 
   /**
-   * Select a group for detailed scanning
+   * Open a group for detailed scanning
    */
-  selectGroup() {
-    const selectedGroupIndex = (this.groupIndex - 1 + this.scanGroups.length) % this.scanGroups.length;
-    this.currentGroup = this.scanGroups[selectedGroupIndex];
-    this.scanIndex = 0;
+  enterGroup(group) {
+    this.scanPath.push(group);
+    this.updateEscapeItem();
     
-    this.announceToUser(`Group selected. Scanning ${this.currentGroup.length} items.`);
+    this.announceToUser(`${group.label} selected. Scanning ${group.items.length} items.`);
     
     // Continue scanning within the group
-    setTimeout(() => {
-      this.performScan();
-    }, this.config.scanSpeed);
+    this.scanner.restartLevel();
   }
 
   /**
-   * Activate the currently highlighted element
+   * Back out of the open group to the level above
    */
-  activateCurrentElement() {
-    const elementsToScan = this.currentGroup || this.scanElements;
-    const currentElementIndex = (this.scanIndex - 1 + elementsToScan.length) % elementsToScan.length;
-    const currentElement = elementsToScan[currentElementIndex];
+  exitGroup() {
+    if (this.scanPath.length === 0) return;
+    
+    this.scanPath.pop();
+    this.updateEscapeItem();
+    
+    this.announceToUser('Back.');
     
+    if (this.isScanning) {
+      this.scanner.restartLevel();
+    }
+  }
+
+  /**
+   * Activate the highlighted element
+   */
+  activateCurrentElement(currentElement) {
     if (currentElement) {
       this.stopScanning();
       
@@ -464,10 +784,6 @@ export class SwitchInput {
       // Activate the element
       this.activateElement(currentElement);
       
-      // Reset group selection
-      this.currentGroup = null;
-      this.groupIndex = 0;
-      
       // Restart scanning after a delay
       setTimeout(() => {
         if (this.config.autoScan && this.isActive) {
@@ -533,11 +849,34 @@ export class SwitchInput {
     }
   }
 
+  /**
+   * Apply the player's switch bindings
+   * Tokens are key codes, or 'Gamepad<n>' for gamepad button n; switches bound to
+   * Next Item advance the highlight and switches bound to Select pick
+   */
+  applyBindings(resolvedBindings) {
+    const roles = { select: 'select', navigate: 'advance' };
+    
+    this.switchRoles = new Map(
+      Object.entries(resolvedBindings)
+        .filter(([, binding]) => roles[binding.actionId])
+        .map(([token, binding]) => [token, roles[binding.actionId]])
+    );
+  }
+
+  /**
+   * Set the time each item stays highlighted
+   */
+  setScanSpeed(scanSpeed) {
+    this.config.scanSpeed = Math.max(200, Math.min(3000, scanSpeed));
+    this.scanner.setSpeed(this.config.scanSpeed);
+  }
+
   /**
    * Adjust scan speed
    */
   adjustScanSpeed(delta) {
-    this.config.scanSpeed = Math.max(200, Math.min(3000, this.config.scanSpeed + delta));
+    this.setScanSpeed(this.config.scanSpeed + delta);
     
     // Save to user preferences
     if (this.inputManager?.gameEngine?.stateManager) {
@@ -561,6 +900,9 @@ export class SwitchInput {
       reliability: 'high',
       latency: 'medium',
       requiresScanning: true,
+      scanModes: SwitchScanner.MODES,
+      scanMode: this.config.scanMode,
+      timingSettings: SwitchInput.TIMING_SETTINGS,
       configurable: true
     };
   }
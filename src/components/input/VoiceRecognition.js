@@ -3,6 +3,10 @@
  * Uses Web Speech API for voice commands - FULL IMPLEMENTATION
  */
 
+import { VoiceGrammar } from '../../utils/VoiceGrammar.js';
+import { PhoneticMatcher } from '../../utils/PhoneticMatcher.js';
+import { VoiceEnrollment } from '../../utils/VoiceEnrollment.js';
+
 export class VoiceRecognition {
   constructor() {
     this.isActive = false;
@@ -13,16 +17,49 @@ export class VoiceRecognition {
     this.recognition = null;
     this.isListening = false;
     
-    // Command registry
-    this.commands = new Map();
+    // Command registry: global phrases work anywhere, and vocabularies pushed by scenes
+    // and dialogs take priority over them while they are active, newest first
+    this.globalVocabulary = { id: 'global', label: null, commands: new Map(), rules: [] };
+    this.commands = this.globalVocabulary.commands;
+    this.vocabularies = [];
+    this.boundPhrases = new Set();
     
     // Configuration
     this.config = {
       language: 'en-US',
       continuous: true,
       interimResults: false,
-      confidenceThreshold: 0.7
+      confidenceThreshold: 0.7,
+      maxMoveSteps: 10,      // Most steps one "move left three" style command can take
+      moveStepInterval: 150, // ms between those steps
+      
+      // Matching mis-transcribed speech; thresholds relax as recent recognition gets worse
+      fuzzyThreshold: 0.75,         // Sound-alike score needed when recognition is going well
+      minFuzzyThreshold: 0.65,      // ...and when almost nothing is being recognized
+      ambiguityMargin: 0.05,        // A sound-alike must beat other commands by this much
+      nearMissMargin: 0.1,          // A sound-alike this far under the threshold still counts as a miss
+      minConfidenceThreshold: 0.35, // Lowest the confidence threshold ever goes
+      maxConfidenceDrop: 0.3,       // How far poor recent accuracy lowers the confidence threshold
+      accuracyWindow: 20,           // Recent utterances used to judge accuracy
+      minAccuracySamples: 5,        // Utterances needed before thresholds adapt
+      
+      // Enrollment
+      enrollmentTimeout: 8000,      // ms to wait for each attempt at a phrase
+      maxEnrollmentPhrases: 12
     };
+    
+    // The player's learned pronunciations (heard transcript -> phrase) and recent accuracy
+    this.pronunciations = new Map();
+    this.typicalConfidence = null;
+    this.isCalibrated = false;
+    this.recentResults = [];
+    
+    // Guided enrollment
+    this.enrollment = new VoiceEnrollment();
+    this.enrollmentPhrase = null;
+    this.enrollmentUI = null;
+    this.isEnrolling = false;
+    this.enrollmentCancelled = false;
   }
 
   /**
@@ -57,6 +94,7 @@ export class VoiceRecognition {
       
       // Register default commands
       this.registerDefaultCommands();
+      this.loadUserSettings();
       
       console.log('🗣️ Voice recognition initialized (stub)');
       
@@ -66,6 +104,22 @@ export class VoiceRecognition {
     }
   }
 
+  /**
+   * Load the active player's learned pronunciations
+   */
+  loadUserSettings() {
+    const stateManager = this.inputManager?.gameEngine?.stateManager;
+    if (!stateManager) return;
+    
+    const settings = stateManager.getStateValue('settings.inputSettings.voice') || {};
+    const enrollment = settings.enrollment?.version === VoiceEnrollment.VERSION ? settings.enrollment : null;
+    
+    this.pronunciations = new Map(Object.entries(enrollment?.pronunciations || {}));
+    this.typicalConfidence = enrollment?.typicalConfidence ?? null;
+    this.isCalibrated = !!enrollment;
+    this.recentResults = [];
+  }
+
   /**
    * Set up voice recognition event handlers
    */
@@ -79,9 +133,19 @@ export class VoiceRecognition {
     
     this.recognition.onend = () => {
       this.isListening = false;
+      this.emit('speechActivity', { active: false });
       console.log('🗣️ Voice recognition ended');
     };
     
+    // Lets breath control ignore the sound of speaking
+    this.recognition.onspeechstart = () => {
+      this.emit('speechActivity', { active: true });
+    };
+    
+    this.recognition.onspeechend = () => {
+      this.emit('speechActivity', { active: false });
+    };
+    
     this.recognition.onresult = (event) => {
       this.handleVoiceResult(event);
     };
@@ -96,125 +160,17 @@ export class VoiceRecognition {
    * Register default voice commands
    */
   registerDefaultCommands() {
-    // Navigation commands
-    this.registerCommand(['select', 'click', 'activate', 'choose', 'pick'], () => {
-      this.emit('input', {
-        action: 'select',
-        method: 'voice',
-        accuracy: 0.9,
-        confidence: 0.8,
-        timestamp: Date.now()
-      });
-    });
-    
-    this.registerCommand(['up', 'move up', 'go up', 'above'], () => {
-      this.emit('input', {
-        action: 'move',
-        direction: 'up',
-        method: 'voice',
-        accuracy: 0.9,
-        confidence: 0.8,
-        timestamp: Date.now()
-      });
-    });
-    
-    this.registerCommand(['down', 'move down', 'go down', 'below'], () => {
-      this.emit('input', {
-        action: 'move',
-        direction: 'down',
-        method: 'voice',
-        accuracy: 0.9,
-        confidence: 0.8,
-        timestamp: Date.now()
-      });
-    });
-    
-    this.registerCommand(['left', 'move left', 'go left'], () => {
-      this.emit('input', {
-        action: 'move',
-        direction: 'left',
-        method: 'voice',
-        accuracy: 0.9,
-        confidence: 0.8,
-        timestamp: Date.now()
-      });
-    });
-    
-    this.registerCommand(['right', 'move right', 'go right'], () => {
-      this.emit('input', {
-        action: 'move',
-        direction: 'right',
-        method: 'voice',
-        accuracy: 0.9,
-        confidence: 0.8,
-        timestamp: Date.now()
-      });
-    });
-    
-    // Game-specific commands
-    this.registerCommand(['menu', 'main menu', 'home'], () => {
-      this.emit('input', {
-        action: 'command',
-        command: 'menu',
-        method: 'voice',
-        timestamp: Date.now()
-      });
-    });
-    
-    this.registerCommand(['help', 'assistance', 'guide'], () => {
-      this.emit('input', {
-        action: 'command',
-        command: 'help',
-        method: 'voice',
-        timestamp: Date.now()
-      });
-    });
-    
-    this.registerCommand(['pause', 'stop', 'wait'], () => {
-      this.emit('input', {
-        action: 'command',
-        command: 'pause',
-        method: 'voice',
-        timestamp: Date.now()
-      });
-    });
-    
-    this.registerCommand(['start', 'play', 'begin', 'go'], () => {
-      this.emit('input', {
-        action: 'command',
-        command: 'start',
-        method: 'voice',
-        timestamp: Date.now()
-      });
-    });
+    // Navigation and game commands come from the player's action bindings (see applyBindings);
+    // scene commands come from the vocabularies scenes push while active
     
-    // Wind Valley specific commands
-    this.registerCommand(['wind', 'blow', 'air'], () => {
-      this.emit('input', {
-        action: 'wind',
-        method: 'voice',
-        intensity: 0.8,
-        timestamp: Date.now()
-      });
-    });
+    this.registerCommand(['what can i say', 'what can i say now', 'list commands'], () => {
+      this.announceAvailablePhrases();
+    }, { description: 'List voice commands' });
     
-    this.registerCommand(['gentle', 'soft', 'light'], () => {
-      this.emit('input', {
-        action: 'wind',
-        method: 'voice',
-        intensity: 0.3,
-        timestamp: Date.now()
-      });
-    });
-    
-    this.registerCommand(['strong', 'powerful', 'hard'], () => {
-      this.emit('input', {
-        action: 'wind',
-        method: 'voice',
-        intensity: 1.0,
-        timestamp: Date.now()
-      });
-    });
+    // Several steps at once, e.g. "move left three"
+    this.registerCommand(['move {direction} {count:number}', 'go {direction} {count:number}'], ({ slots }) => {
+      this.emitMoveSteps(slots.direction, slots.count);
+    }, { description: 'Move several steps' });
     
     // Accessibility commands
     this.registerCommand(['high contrast', 'contrast'], () => {
@@ -224,7 +180,7 @@ export class VoiceRecognition {
         method: 'voice',
         timestamp: Date.now()
       });
-    });
+    }, { description: 'High contrast' });
     
     this.registerCommand(['large text', 'big text'], () => {
       this.emit('input', {
@@ -233,21 +189,175 @@ export class VoiceRecognition {
         method: 'voice',
         timestamp: Date.now()
       });
-    });
+    }, { description: 'Large text' });
   }
 
   /**
-   * Register a voice command
+   * Register a voice command that works anywhere
+   * Phrases may contain slots, e.g. 'select crystal {number}' (see VoiceGrammar); the callback
+   * gets { transcript, confidence, slots, timestamp }. Options: confidence, description, slots
    */
   registerCommand(phrases, callback, options = {}) {
+    this.addCommand(this.globalVocabulary, phrases, callback, options);
+  }
+
+  /**
+   * Unregister voice command phrases
+   */
+  unregisterCommand(phrases) {
+    const phraseList = Array.isArray(phrases) ? phrases : [phrases];
+    phraseList.forEach(phrase => this.removePhrase(this.globalVocabulary, phrase));
+  }
+
+  /**
+   * Add a command to a vocabulary
+   */
+  addCommand(vocabulary, phrases, callback, options = {}) {
     const commandData = {
       callback,
       confidence: options.confidence || this.config.confidenceThreshold,
-      aliases: Array.isArray(phrases) ? phrases : [phrases]
+      aliases: Array.isArray(phrases) ? phrases : [phrases],
+      description: options.description || null
     };
     
     commandData.aliases.forEach(phrase => {
-      this.commands.set(phrase.toLowerCase(), commandData);
+      this.removePhrase(vocabulary, phrase);
+      
+      if (VoiceGrammar.hasSlots(phrase)) {
+        vocabulary.rules.push({ rule: VoiceGrammar.compile(phrase, options.slots), command: commandData });
+      } else {
+        vocabulary.commands.set(phrase.toLowerCase(), commandData);
+      }
+    });
+  }
+
+  /**
+   * Remove a phrase from a vocabulary
+   */
+  removePhrase(vocabulary, phrase) {
+    const normalized = phrase.toLowerCase();
+    vocabulary.commands.delete(normalized);
+    vocabulary.rules = vocabulary.rules.filter(({ rule }) => rule.phrase.toLowerCase() !== normalized);
+  }
+
+  /**
+   * Make a set of commands available until popVocabulary(id); pushing an id again replaces it
+   * Each command is { phrases, callback, description, slots, confidence }; the label names
+   * where the commands apply when the player asks what they can say (e.g. 'Wind Valley')
+   */
+  pushVocabulary(id, commands, options = {}) {
+    this.popVocabulary(id);
+    
+    const vocabulary = { id, label: options.label || null, commands: new Map(), rules: [] };
+    commands.forEach(({ phrases, callback, ...commandOptions }) => {
+      this.addCommand(vocabulary, phrases, callback, commandOptions);
+    });
+    
+    this.vocabularies.push(vocabulary);
+    console.log(`🗣️ Voice vocabulary added: ${id}`);
+  }
+
+  /**
+   * Remove a vocabulary pushed with pushVocabulary
+   */
+  popVocabulary(id) {
+    const index = this.vocabularies.findIndex(vocabulary => vocabulary.id === id);
+    if (index === -1) return false;
+    
+    this.vocabularies.splice(index, 1);
+    console.log(`🗣️ Voice vocabulary removed: ${id}`);
+    return true;
+  }
+
+  /**
+   * Get the active vocabularies in the order they are searched: newest first, global last
+   */
+  getVocabularies() {
+    return [...this.vocabularies].reverse().concat(this.globalVocabulary);
+  }
+
+  /**
+   * List what the player can say right now, as [{ label, phrases }] in search order
+   * Commands with several phrases are listed once, and phrases a newer vocabulary takes over are left out
+   */
+  getAvailablePhrases() {
+    const claimed = new Set();
+    
+    return this.getVocabularies().map(vocabulary => {
+      const listed = new Set();
+      const phrases = [];
+      const list = (command, phrase) => {
+        const key = this.getCommandKey(command);
+        if (listed.has(key)) return;
+        
+        listed.add(key);
+        phrases.push(phrase);
+      };
+      
+      vocabulary.commands.forEach((command, phrase) => {
+        if (claimed.has(phrase)) return;
+        
+        claimed.add(phrase);
+        list(command, phrase);
+      });
+      vocabulary.rules.forEach(({ rule, command }) => list(command, VoiceGrammar.example(rule)));
+      
+      return { label: vocabulary.label, phrases };
+    }).filter(group => group.phrases.length > 0);
+  }
+
+  /**
+   * Tell the player what they can say right now
+   */
+  announceAvailablePhrases() {
+    const message = this.getAvailablePhrases()
+      .map(group => `${group.label ? `In ${group.label}` : 'Anywhere'} you can say: ${group.phrases.join(', ')}.`)
+      .join(' ');
+    
+    this.announce(message);
+  }
+
+  /**
+   * Move a number of steps in a direction, one move at a time
+   */
+  emitMoveSteps(direction, count) {
+    const steps = Math.max(1, Math.min(this.config.maxMoveSteps, count || 1));
+    
+    for (let step = 0; step < steps; step++) {
+      setTimeout(() => {
+        this.emit('input', {
+          action: 'move',
+          direction,
+          method: 'voice',
+          accuracy: 0.9,
+          confidence: 0.8,
+          timestamp: Date.now()
+        });
+      }, step * this.config.moveStepInterval);
+    }
+  }
+
+  /**
+   * Replace bound phrases with the player's resolved voice bindings
+   */
+  applyBindings(resolvedBindings) {
+    this.unregisterCommand(Array.from(this.boundPhrases));
+    this.boundPhrases.clear();
+    
+    Object.entries(resolvedBindings).forEach(([phrase, binding]) => {
+      const { actionId, description, ...payload } = binding;
+      
+      this.registerCommand(phrase, () => {
+        this.emit('input', {
+          ...payload,
+          method: 'voice',
+          accuracy: 0.9,
+          confidence: 0.8,
+          timestamp: Date.now()
+        });
+      }, { description });
+      
+      this.boundPhrases.add(phrase.toLowerCase());
     });
   }
 
@@ -259,45 +369,528 @@ export class VoiceRecognition {
     const lastResult = results[results.length - 1];
     
     if (lastResult.isFinal) {
-      const transcript = lastResult[0].transcript.toLowerCase().trim();
+      const transcript = lastResult[0].transcript.toLowerCase().replace(/[.,!?]/g, '').trim();
       const confidence = lastResult[0].confidence;
       
       console.log('🗣️ Voice input:', transcript, 'confidence:', confidence);
       
+      if (this.isEnrolling) {
+        this.recordEnrollmentSample(transcript, confidence);
+        return;
+      }
+      
       // Find matching command
-      const command = this.findBestMatch(transcript, confidence);
-      if (command) {
-        command.callback({
+      const match = this.findBestMatch(transcript, confidence);
+      if (match) {
+        if (match.kind !== 'exact') {
+          console.log(`🗣️ Heard "${transcript}" as "${match.phrase}" (${match.kind})`);
+        }
+        this.recordRecognition(match.kind, confidence);
+        
+        match.command.callback({
           transcript,
           confidence,
+          slots: match.slots,
           timestamp: Date.now()
         });
+      } else {
+        // Only near misses count against recognition: speech that is nothing like a command
+        // (a caregiver talking, the TV) must not relax the thresholds
+        const miss = this.classifyMiss(transcript);
+        if (miss) {
+          this.recordRecognition(miss, confidence);
+        }
       }
     }
   }
 
   /**
-   * Find best matching command
+   * Find best matching command, as { command, slots, phrase, kind }
+   * Whole phrases are tried first, then the player's learned pronunciations, then phrases with
+   * slots, then phrases said within a longer sentence, and last phrases that sound alike; at each
+   * stage newer vocabularies win over older ones and over global phrases
    */
   findBestMatch(transcript, confidence) {
+    const vocabularies = this.getVocabularies();
+    const threshold = (command) => this.getConfidenceThreshold(command.confidence);
+    const accepts = (command) => confidence >= threshold(command);
+    
     // Direct match
-    if (this.commands.has(transcript)) {
-      const command = this.commands.get(transcript);
-      if (confidence >= command.confidence) {
-        return command;
+    for (const vocabulary of vocabularies) {
+      const command = vocabulary.commands.get(transcript);
+      if (command && accepts(command)) {
+        return { command, slots: {}, phrase: transcript, kind: 'exact' };
+      }
+    }
+    
+    // Learned pronunciation
+    const learnedPhrase = this.pronunciations.get(transcript);
+    const learnedCommand = learnedPhrase && this.findPhraseCommand(learnedPhrase);
+    if (learnedCommand && accepts(learnedCommand)) {
+      return { command: learnedCommand, slots: {}, phrase: learnedPhrase, kind: 'learned' };
+    }
+    
+    // Phrases with slots
+    for (const vocabulary of vocabularies) {
+      for (const { rule, command } of vocabulary.rules) {
+        const slots = VoiceGrammar.match(rule, transcript);
+        if (slots && accepts(command)) {
+          return { command, slots, phrase: rule.phrase, kind: 'exact' };
+        }
       }
     }
     
     // Partial matches
-    for (const [phrase, command] of this.commands) {
-      if (transcript.includes(phrase) && confidence >= command.confidence) {
-        return command;
+    for (const vocabulary of vocabularies) {
+      for (const [phrase, command] of vocabulary.commands) {
+        if (transcript.includes(phrase) && accepts(command)) {
+          return { command, slots: {}, phrase, kind: 'exact' };
+        }
+      }
+      
+      for (const { rule, command } of vocabulary.rules) {
+        const slots = VoiceGrammar.match(rule, transcript, true);
+        if (slots && accepts(command)) {
+          return { command, slots, phrase: rule.phrase, kind: 'exact' };
+        }
       }
     }
     
+    return this.findSoundAlikeMatch(transcript, confidence);
+  }
+
+  /**
+   * Find the phrase, or learned pronunciation, that sounds most like the transcript
+   * Only a clear winner counts: a close second from another command makes it too risky to guess
+   */
+  findSoundAlikeMatch(transcript, confidence) {
+    const { best, runnerUp } = this.rankSoundAlikes(transcript);
+    
+    if (!best || best.score < this.getFuzzyThreshold() || best.score - runnerUp < this.config.ambiguityMargin) {
+      return null;
+    }
+    if (confidence < this.getConfidenceThreshold(best.command.confidence)) {
+      return null;
+    }
+    
+    return { command: best.command, slots: {}, phrase: best.phrase, kind: 'fuzzy' };
+  }
+
+  /**
+   * The command whose phrases sound most like the transcript, as { best: { command, phrase, score },
+   * runnerUp }, where runnerUp is the best score of any other command
+   */
+  rankSoundAlikes(transcript) {
+    let best = null;
+    let runnerUp = 0;
+    
+    const consider = (heard, phrase, command) => {
+      const score = PhoneticMatcher.score(transcript, heard);
+      if (best && this.getCommandKey(command) === this.getCommandKey(best.command)) {
+        best.score = Math.max(best.score, score);
+      } else if (!best || score > best.score) {
+        runnerUp = Math.max(runnerUp, best?.score || 0);
+        best = { command, phrase, score };
+      } else {
+        runnerUp = Math.max(runnerUp, score);
+      }
+    };
+    
+    // Phrases a newer vocabulary has taken over are left out
+    const claimed = new Set();
+    this.getVocabularies().forEach(vocabulary => {
+      vocabulary.commands.forEach((command, phrase) => {
+        if (claimed.has(phrase)) return;
+        
+        claimed.add(phrase);
+        consider(phrase, phrase, command);
+      });
+    });
+    
+    this.pronunciations.forEach((phrase, heard) => {
+      const command = this.findPhraseCommand(phrase);
+      if (command) {
+        consider(heard, phrase, command);
+      }
+    });
+    
+    return { best, runnerUp };
+  }
+
+  /**
+   * Why speech that ran no command was a near miss: 'low_confidence' when it matched a phrase
+   * but too uncertainly, 'near_miss' when it sounded just short of a phrase; null when it was
+   * nothing like any command
+   */
+  classifyMiss(transcript) {
+    if (this.findBestMatch(transcript, 1)) {
+      return 'low_confidence';
+    }
+    
+    const { best } = this.rankSoundAlikes(transcript);
+    if (best && best.score >= this.getFuzzyThreshold() - this.config.nearMissMargin) {
+      return 'near_miss';
+    }
+    
     return null;
   }
 
+  /**
+   * Find the command a phrase currently runs
+   */
+  findPhraseCommand(phrase) {
+    for (const vocabulary of this.getVocabularies()) {
+      const command = vocabulary.commands.get(phrase);
+      if (command) return command;
+    }
+    return null;
+  }
+
+  /**
+   * Commands with the same description do the same thing, e.g. the phrases bound to one action
+   */
+  getCommandKey(command) {
+    return command.description || command;
+  }
+
+  /**
+   * Remember whether an utterance aimed at a command was recognized, for adapting thresholds
+   */
+  recordRecognition(outcome, confidence) {
+    this.recentResults.push({ outcome, confidence, timestamp: Date.now() });
+    if (this.recentResults.length > this.config.accuracyWindow) {
+      this.recentResults.shift();
+    }
+  }
+
+  /**
+   * Share of recent utterances that reached a command, or null until there are enough of them
+   */
+  getRecentAccuracy() {
+    if (this.recentResults.length < this.config.minAccuracySamples) return null;
+    
+    const recognized = this.recentResults.filter(result => result.outcome === 'exact' || result.outcome === 'learned' || result.outcome === 'fuzzy');
+    return recognized.length / this.recentResults.length;
+  }
+
+  /**
+   * Confidence a command needs right now: no more than the player's typical confidence from
+   * enrollment, and lower while their recent speech is not being recognized
+   */
+  getConfidenceThreshold(baseThreshold = this.config.confidenceThreshold) {
+    let threshold = baseThreshold;
+    if (this.typicalConfidence !== null) {
+      threshold = Math.min(threshold, this.typicalConfidence);
+    }
+    
+    const accuracy = this.getRecentAccuracy();
+    if (accuracy !== null) {
+      threshold -= (1 - accuracy) * this.config.maxConfidenceDrop;
+    }
+    
+    return Math.min(baseThreshold, Math.max(this.config.minConfidenceThreshold, threshold));
+  }
+
+  /**
+   * Sound-alike score needed right now, relaxing while recent speech is not being recognized
+   */
+  getFuzzyThreshold() {
+    const { fuzzyThreshold, minFuzzyThreshold } = this.config;
+    const accuracy = this.getRecentAccuracy();
+    
+    return accuracy === null
+      ? fuzzyThreshold
+      : minFuzzyThreshold + (fuzzyThreshold - minFuzzyThreshold) * accuracy;
+  }
+
+  /**
+   * Recent recognition accuracy and the thresholds it has led to
+   */
+  getRecognitionStats() {
+    return {
+      accuracy: this.getRecentAccuracy(),
+      samples: this.recentResults.length,
+      confidenceThreshold: this.getConfidenceThreshold(),
+      fuzzyThreshold: this.getFuzzyThreshold(),
+      learnedPronunciations: this.pronunciations.size
+    };
+  }
+
+  /**
+   * Phrases to enroll: one per command the player can use right now
+   */
+  getEnrollmentPhrases() {
+    const claimed = new Set();
+    const listed = new Set();
+    const phrases = [];
+    
+    this.getVocabularies().forEach(vocabulary => {
+      vocabulary.commands.forEach((command, phrase) => {
+        if (claimed.has(phrase)) return;
+        
+        claimed.add(phrase);
+        if (listed.has(this.getCommandKey(command))) return;
+        
+        listed.add(this.getCommandKey(command));
+        phrases.push(phrase);
+      });
+    });
+    
+    return phrases.slice(0, this.config.maxEnrollmentPhrases);
+  }
+
+  /**
+   * Run the guided enrollment: the player says each command phrase, and what the
+   * recognizer hears is learned as their pronunciation
+   */
+  async startEnrollment() {
+    if (this.isEnrolling) {
+      console.warn('Voice enrollment already in progress');
+      return;
+    }
+    
+    if (!this.recognition) {
+      this.announce('Voice commands are not available in this browser.');
+      return;
+    }
+    
+    console.log('🗣️ Voice enrollment started');
+    this.isEnrolling = true;
+    this.enrollmentCancelled = false;
+    this.startListening();
+    
+    try {
+      this.showEnrollmentUI();
+      
+      const phrases = this.getEnrollmentPhrases();
+      const result = await this.runEnrollmentSteps(phrases);
+      
+      if (result) {
+        this.saveEnrollment(result);
+        this.emit('enrollmentComplete', {
+          learned: Object.keys(result.pronunciations).length,
+          typicalConfidence: result.typicalConfidence
+        });
+        
+        this.setEnrollmentText('All set!', 'Voice commands now know how you say them.');
+        await this.wait(2000);
+      }
+    } catch (error) {
+      console.warn('🗣️ Voice enrollment could not finish:', error.message);
+      this.setEnrollmentText('Let\'s try again later', error.message);
+      await this.wait(4000);
+    } finally {
+      this.enrollmentPhrase = null;
+      this.isEnrolling = false;
+      this.hideEnrollmentUI();
+      if (!this.isActive) {
+        this.stopListening();
+      }
+    }
+  }
+
+  /**
+   * Ask for each phrase in turn; returns the enrollment, or null if cancelled
+   */
+  async runEnrollmentSteps(phrases) {
+    this.enrollment.reset();
+    const { repeats } = this.enrollment.config;
+    
+    for (let index = 0; index < phrases.length; index++) {
+      const phrase = phrases[index];
+      
+      for (let attempt = 0; attempt < repeats; attempt++) {
+        if (this.enrollmentCancelled) return null;
+        
+        this.setEnrollmentText(
+          `Word ${index + 1} of ${phrases.length}`,
+          attempt === 0 ? `Say "${phrase}".` : `Say "${phrase}" once more.`
+        );
+        this.updateEnrollmentProgress(attempt, repeats);
+        
+        this.enrollmentPhrase = phrase;
+        await this.waitForSample(phrase, attempt + 1);
+        this.enrollmentPhrase = null;
+      }
+    }
+    
+    if (this.enrollmentCancelled) return null;
+    
+    return this.enrollment.finish((transcript, phrase) => {
+      const command = this.findPhraseCommand(transcript);
+      return !!command && this.getCommandKey(command) !== this.getCommandKey(this.findPhraseCommand(phrase));
+    });
+  }
+
+  /**
+   * Wait until a phrase has a number of samples; a silent attempt is simply skipped
+   */
+  async waitForSample(phrase, count) {
+    const deadline = Date.now() + this.config.enrollmentTimeout;
+    
+    while (Date.now() < deadline && !this.enrollmentCancelled) {
+      if (this.enrollment.getSampleCount(phrase) >= count) return true;
+      await this.wait(100);
+    }
+    
+    return false;
+  }
+
+  /**
+   * Record what was heard for the phrase being enrolled
+   */
+  recordEnrollmentSample(transcript, confidence) {
+    if (!this.enrollmentPhrase) return;
+    
+    this.enrollment.addSample(this.enrollmentPhrase, transcript, confidence);
+    this.updateEnrollmentProgress(this.enrollment.getSampleCount(this.enrollmentPhrase), this.enrollment.config.repeats);
+  }
+
+  /**
+   * Save an enrollment to the active player's voice settings, keeping pronunciations learned before
+   */
+  saveEnrollment(result) {
+    const pronunciations = { ...Object.fromEntries(this.pronunciations), ...result.pronunciations };
+    const enrollment = { ...result, pronunciations };
+    
+    this.pronunciations = new Map(Object.entries(pronunciations));
+    this.typicalConfidence = enrollment.typicalConfidence;
+    this.isCalibrated = true;
+    this.recentResults = [];
+    
+    const stateManager = this.inputManager?.gameEngine?.stateManager;
+    if (!stateManager) return;
+    
+    stateManager.updateSettings('inputSettings.voice.enrollment', enrollment);
+    stateManager.updateSettings('inputSettings.voice.calibrated', true);
+  }
+
+  /**
+   * Stop a running enrollment without changing the saved one
+   */
+  cancelEnrollment() {
+    this.enrollmentCancelled = true;
+    this.enrollmentPhrase = null;
+    this.announce('Voice enrollment cancelled.');
+  }
+
+  /**
+   * Show the enrollment overlay with the phrase to say and attempt progress
+   */
+  showEnrollmentUI() {
+    this.hideEnrollmentUI();
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'voice-enrollment';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Teach voice commands');
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.9);
+      z-index: 10000;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 20px;
+      color: white;
+      text-align: center;
+    `;
+    
+    const title = document.createElement('h2');
+    title.style.cssText = `
+      color: #87CEEB;
+      font-size: 2rem;
+    `;
+    
+    const instruction = document.createElement('p');
+    instruction.setAttribute('aria-live', 'assertive');
+    instruction.style.cssText = `
+      font-size: 1.8rem;
+      max-width: 600px;
+    `;
+    
+    const progress = document.createElement('div');
+    progress.setAttribute('aria-hidden', 'true');
+    progress.style.cssText = `
+      font-size: 2.5rem;
+      letter-spacing: 12px;
+    `;
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.className = 'focusable';
+    cancelButton.style.cssText = `
+      padding: 12px 24px;
+      background: rgba(255, 255, 255, 0.2);
+      border: 2px solid rgba(255, 255, 255, 0.3);
+      border-radius: 25px;
+      color: white;
+      cursor: pointer;
+      font-size: 1rem;
+    `;
+    cancelButton.addEventListener('click', () => this.cancelEnrollment());
+    
+    overlay.appendChild(title);
+    overlay.appendChild(instruction);
+    overlay.appendChild(progress);
+    overlay.appendChild(cancelButton);
+    document.body.appendChild(overlay);
+    
+    this.enrollmentUI = { overlay, title, instruction, progress };
+  }
+
+  /**
+   * Update the enrollment overlay text and announce it
+   */
+  setEnrollmentText(titleText, instructionText) {
+    if (this.enrollmentUI) {
+      this.enrollmentUI.title.textContent = titleText;
+      this.enrollmentUI.instruction.textContent = instructionText;
+    }
+    this.announce(`${titleText}. ${instructionText}`);
+  }
+
+  /**
+   * Show how many attempts at the current phrase have been heard
+   */
+  updateEnrollmentProgress(count, total) {
+    if (this.enrollmentUI) {
+      this.enrollmentUI.progress.textContent = '●'.repeat(Math.min(count, total)) + '○'.repeat(Math.max(0, total - count));
+    }
+  }
+
+  /**
+   * Remove the enrollment overlay
+   */
+  hideEnrollmentUI() {
+    if (this.enrollmentUI?.overlay.parentNode) {
+      this.enrollmentUI.overlay.parentNode.removeChild(this.enrollmentUI.overlay);
+    }
+    this.enrollmentUI = null;
+  }
+
+  /**
+   * Announce a message to screen readers
+   */
+  announce(message) {
+    if (this.inputManager?.gameEngine?.accessibilityManager) {
+      this.inputManager.gameEngine.accessibilityManager.announce(message);
+    }
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   */
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   /**
    * Activate voice recognition
    */
@@ -330,6 +923,11 @@ export class VoiceRecognition {
    */
   async deactivate() {
     this.isActive = false;
+    
+    if (this.isEnrolling) {
+      this.cancelEnrollment();
+    }
+    
     this.stopListening();
     console.log('🗣️ Voice recognition deactivated');
   }
@@ -374,6 +972,7 @@ export class VoiceRecognition {
       reliability: 'medium',
       latency: 'medium',
       requiresCalibration: false,
+      supportsEnrollment: true,
       configurable: true
     };
   }
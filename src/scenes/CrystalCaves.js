@@ -163,6 +163,19 @@ export default class CrystalCaves {
     }
   }
 
+  /**
+   * Give one crystal (or none) the hover glow
+   */
+  highlightCrystal(crystalElement) {
+    this.crystals.forEach((crystal) => {
+      if (crystal?.element && !crystal.collected) {
+        const highlighted = crystal.element === crystalElement;
+        crystal.element.style.transform = highlighted ? 'scale(1.2)' : 'scale(1)';
+        crystal.element.style.filter = highlighted ? 'brightness(1.5)' : 'brightness(1)';
+      }
+    });
+  }
+
   /**
    * Check if a point is inside a crystal
    */
@@ -185,8 +198,8 @@ export default class CrystalCaves {
    * Handle click events (unified handler for different input methods)
    */
   handleClick(inputData) {
-    if (inputData.data && inputData.data.element) {
-      const element = inputData.data.element;
+    if (inputData.target) {
+      const element = inputData.target;
       
       // Check if user looked at a crystal
       if (element.classList.contains('crystal')) {
@@ -229,11 +242,19 @@ export default class CrystalCaves {
     crystal.id = crystalId;
     crystal.className = 'crystal click-interactive';
     crystal.setAttribute('data-click-target', 'true');
-    crystal.setAttribute('aria-label', 'Crystal - Click to collect');
     
-    // Random position
-    const x = Math.random() * (window.innerWidth - 100);
-    const y = 100 + Math.random() * (window.innerHeight - 200);
+    // Numbered so voice players can say "select crystal two"
+    const number = this.getFreeCrystalNumber();
+    crystal.textContent = number;
+    crystal.setAttribute('aria-label', `Crystal ${number} - Click to collect`);
+    
+    // Random position, kept out of areas where eye tracking is poor
+    const randomPosition = () => ({
+      x: Math.random() * (window.innerWidth - 100),
+      y: 100 + Math.random() * (window.innerHeight - 200)
+    });
+    const accuracyMap = this.gameEngine?.inputManager?.getGazeAccuracyMap();
+    const { x, y } = accuracyMap ? accuracyMap.pickPosition(randomPosition, 60) : randomPosition();
     
     crystal.style.cssText = `
       position: absolute;
@@ -247,6 +268,12 @@ export default class CrystalCaves {
       cursor: pointer;
       transition: all 0.3s ease;
       animation: crystal-pulse 2s infinite;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      color: #002244;
+      font-size: 1.4rem;
+      font-weight: bold;
     `;
     
     // Add crystal animation
@@ -286,6 +313,7 @@ export default class CrystalCaves {
     
     const crystalData = {
       id: crystalId,
+      number,
       element: crystal,
       x: x,
       y: y,
@@ -300,6 +328,31 @@ export default class CrystalCaves {
     return crystalData;
   }
 
+  /**
+   * Get the lowest crystal number not shown on screen
+   */
+  getFreeCrystalNumber() {
+    const used = new Set(this.crystals.map(crystal => crystal.number));
+    let number = 1;
+    while (used.has(number)) {
+      number++;
+    }
+    return number;
+  }
+
+  /**
+   * Collect a crystal by the number shown on it
+   */
+  collectCrystalByNumber(number) {
+    const crystalData = this.crystals.find(crystal => crystal.number === number && !crystal.collected);
+    
+    if (crystalData) {
+      this.collectCrystal(crystalData.element);
+    } else if (this.gameEngine.accessibilityManager) {
+      this.gameEngine.accessibilityManager.announce(`There is no crystal ${number}`);
+    }
+  }
+
   /**
    * Collect a crystal
    */
@@ -607,9 +660,24 @@ export default class CrystalCaves {
     // Start game timer
     this.startGameTimer();
     
+    // Listen for this scene's voice commands
+    this.gameEngine.inputManager.pushVoiceVocabulary('crystalCaves', [
+      {
+        phrases: ['select crystal {number}', 'collect crystal {number}', 'crystal {number}'],
+        description: 'Collect a crystal',
+        callback: ({ slots }) => this.collectCrystalByNumber(slots.number)
+      }
+    ], { label: 'Crystal Caves' });
+    
+    // Light up the crystal an eye tracking player's eyes rest on
+    this.handleFixationStart = ({ element }) => this.highlightCrystal(element?.closest?.('.crystal') || null);
+    this.handleFixationEnd = () => this.highlightCrystal(null);
+    this.gameEngine.inputManager.on('fixationStart', this.handleFixationStart);
+    this.gameEngine.inputManager.on('fixationEnd', this.handleFixationEnd);
+    
     // Play background music
     if (this.gameEngine.audioManager) {
-      this.gameEngine.audioManager.playMusic('crystal_caves', { loop: true, fadeIn: 1 });
+      this.gameEngine.audioManager.playMusic(this.gameEngine.sceneManager.getSceneMusic(this.name), { loop: true, fadeIn: 1 });
     }
     
     // Announce scene
@@ -699,6 +767,10 @@ export default class CrystalCaves {
       this.gameEngine.audioManager.stopMusic(0.5);
     }
     
+    this.gameEngine.inputManager.popVoiceVocabulary('crystalCaves');
+    this.gameEngine.inputManager.off('fixationStart', this.handleFixationStart);
+    this.gameEngine.inputManager.off('fixationEnd', this.handleFixationEnd);
+    
     console.log('💎 Crystal Caves scene deactivated');
   }
 
@@ -733,10 +805,6 @@ export default class CrystalCaves {
   /**
    * Handle input events
    */
-  handleClick(data) {
-    // Handled by individual crystal click handlers
-  }
-
   handleMove(data) {
     // Movement handled by eye tracking
   }
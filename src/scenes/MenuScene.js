@@ -3,6 +3,8 @@
  * Entry point with accessibility features and input method selection
  */
 
+import { ClinicianReport } from '../utils/ClinicianReport.js';
+
 export default class MenuScene {
   constructor() {
     this.name = 'menu';
@@ -15,6 +17,10 @@ export default class MenuScene {
     this.currentSelection = 0;
     this.backgroundElements = [];
     
+    // Profile picker
+    this.profilePicker = null;
+    this.hasShownProfilePicker = false;
+    
     // Animation
     this.animationTime = 0;
     this.particles = [];
@@ -156,6 +162,57 @@ export default class MenuScene {
     gamesSection.appendChild(gamesGrid);
     menuContainer.appendChild(gamesSection);
     
+    // Create settings section
+    const settingsButtons = [
+      {
+        text: '👤 Players',
+        action: 'showProfilePicker',
+        description: 'Switch, add, rename or remove players on this device'
+      },
+      {
+        text: '🎮 Input Methods',
+        action: 'showInputMethods',
+        description: 'Choose how you want to control the game'
+      },
+      {
+        text: '🕹️ Controls',
+        action: 'showBindingEditor',
+        description: 'Change which keys, words, switches, breaths or tilts do each action'
+      },
+      {
+        text: '💾 Move Progress',
+        action: 'showProfileTransfer',
+        description: 'Save a player to a file or load a player from another device'
+      },
+      {
+        text: '📋 Progress Report',
+        action: 'showProgressReport',
+        description: 'View, print or download a progress report for therapists'
+      },
+      {
+        text: '🧠 What the Game Learned',
+        action: 'showAdaptiveProfile',
+        description: 'See how the game has adapted to this player, choose whether it asks before changing things, or start learning again'
+      }
+    ];
+    
+    const settingsSection = document.createElement('div');
+    settingsSection.className = 'menu-settings';
+    settingsSection.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 0.75rem;
+      align-items: center;
+    `;
+    
+    settingsButtons.forEach((buttonData, index) => {
+      const button = this.createMenuButton(buttonData, index);
+      settingsSection.appendChild(button);
+      this.menuItems.push(button);
+    });
+    
+    menuContainer.appendChild(settingsSection);
+    
     menuOverlay.appendChild(menuContainer);
     gameContainer.appendChild(menuOverlay);
     
@@ -321,17 +378,26 @@ export default class MenuScene {
    * Handle input events
    */
   handleInput(inputData) {
+    if (!this.isActive) return;
+    
     switch (inputData.action) {
       case 'select':
-        if (inputData.data && inputData.data.element) {
-          const action = inputData.data.element.getAttribute('data-action');
+        if (inputData.target) {
+          const action = inputData.target.getAttribute('data-action');
           if (action) {
-            this.handleMenuAction(action);
+            this.handleMenuAction(action, inputData.target.getAttribute('data-game-id'));
           }
+        } else if (!['keyboard', 'switch'].includes(inputData.method) && !inputData.raw?.data?.clicked) {
+          // Keyboard, switch and the gamepad pointer activate elements themselves
+          this.activateCurrentSelection();
         }
         break;
       case 'move':
-        this.handleNavigation(inputData.data);
+        if (inputData.vector.y < 0) {
+          this.navigateUp();
+        } else if (inputData.vector.y > 0) {
+          this.navigateDown();
+        }
         break;
     }
   }
@@ -361,6 +427,11 @@ export default class MenuScene {
    * Navigate up in menu
    */
   navigateUp() {
+    if (this.profilePicker) {
+      this.moveProfilePickerSelection(-1);
+      return;
+    }
+    
     if (this.currentSelection > 0) {
       this.currentSelection--;
       this.updateSelection();
@@ -371,6 +442,11 @@ export default class MenuScene {
    * Navigate down in menu
    */
   navigateDown() {
+    if (this.profilePicker) {
+      this.moveProfilePickerSelection(1);
+      return;
+    }
+    
     if (this.currentSelection < this.menuItems.length - 1) {
       this.currentSelection++;
       this.updateSelection();
@@ -395,9 +471,15 @@ export default class MenuScene {
    * Activate current selection
    */
   activateCurrentSelection() {
+    if (this.profilePicker) {
+      const item = this.profilePicker.items[this.profilePicker.selection];
+      if (item) item.click();
+      return;
+    }
+    
     if (this.menuItems[this.currentSelection]) {
-      const action = this.menuItems[this.currentSelection].getAttribute('data-action');
-      this.handleMenuAction(action);
+      const item = this.menuItems[this.currentSelection];
+      this.handleMenuAction(item.getAttribute('data-action'), item.getAttribute('data-game-id'));
     }
   }
 
@@ -486,6 +568,21 @@ export default class MenuScene {
       case 'showInputMethods':
         this.showInputMethodDialog();
         break;
+      case 'showBindingEditor':
+        this.showBindingEditor();
+        break;
+      case 'showProfilePicker':
+        this.showProfilePicker();
+        break;
+      case 'showProfileTransfer':
+        this.showProfileTransfer();
+        break;
+      case 'showProgressReport':
+        this.showProgressReport();
+        break;
+      case 'showAdaptiveProfile':
+        this.showAdaptiveProfile();
+        break;
       case 'showAbout':
         this.showAbout();
         break;
@@ -517,11 +614,13 @@ export default class MenuScene {
    */
   showRealmSelection() {
     const gameState = this.gameEngine.getState();
-    const unlockedRealms = gameState.unlockedRealms || ['crystal_caves'];
     
     // Create realm selection dialog
     const realmDialog = document.createElement('div');
     realmDialog.className = 'realm-dialog';
+    realmDialog.setAttribute('role', 'dialog');
+    realmDialog.setAttribute('aria-modal', 'true');
+    realmDialog.setAttribute('aria-label', 'Choose Your Adventure Realm');
     realmDialog.style.cssText = `
       position: fixed;
       top: 50%;
@@ -548,39 +647,21 @@ export default class MenuScene {
     `;
     realmDialog.appendChild(title);
     
-    // Realm options
-    const realms = [
-      {
-        id: 'crystal_caves',
-        name: '🔮 Crystal Caves',
-        description: 'Mouse clicking adventure in mystical crystal caverns',
-        inputMethod: 'Mouse Clicking',
-        difficulty: 'Beginner'
-      },
-      {
-        id: 'wind_valley',
-        name: '🌬️ Wind Valley',
-        description: 'Voice and breath controlled wind manipulation',
-        inputMethod: 'Voice/Breath',
-        difficulty: 'Intermediate'
-      },
-      {
-        id: 'motion_mountains',
-        name: '⛰️ Motion Mountains',
-        description: 'Device tilt platformer with physics challenges',
-        inputMethod: 'Device Tilt',
-        difficulty: 'Intermediate'
-      },
-      {
-        id: 'switch_sanctuary',
-        name: '🔘 Switch Sanctuary',
-        description: 'Peaceful single-switch zen activities',
-        inputMethod: 'Single Switch',
-        difficulty: 'Relaxing'
-      }
-    ];
+    // Realm options come from the scene manifest
+    const registry = this.gameEngine.sceneManager.registry;
+    const availableInputs = Object.keys(this.gameEngine.inputManager.getCapabilities());
+    const realms = registry.getRealms().map(definition => ({
+      id: definition.name,
+      name: `${definition.icon} ${definition.title}`.trim(),
+      description: definition.description,
+      inputMethod: definition.inputLabel || 'Any',
+      difficulty: definition.difficulty,
+      hasInputs: registry.hasRequiredInputs(definition.name, availableInputs)
+    }));
+    const unlockedCount = realms.filter(realm => registry.isUnlocked(realm.id, gameState)).length;
     
     const realmContainer = document.createElement('div');
+    realmContainer.dataset.scanGroup = 'Realms';
     realmContainer.style.cssText = `
       display: grid;
       grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
@@ -589,7 +670,7 @@ export default class MenuScene {
     `;
     
     realms.forEach(realm => {
-      const isUnlocked = unlockedRealms.includes(realm.id);
+      const isUnlocked = registry.isUnlocked(realm.id, gameState);
       
       const realmCard = document.createElement('div');
       realmCard.className = 'realm-card';
@@ -604,6 +685,10 @@ export default class MenuScene {
       `;
       
       if (isUnlocked) {
+        realmCard.setAttribute('role', 'button');
+        realmCard.setAttribute('aria-label', `Play ${realm.name}`);
+        realmCard.tabIndex = 0;
+        
         realmCard.addEventListener('click', () => {
           this.selectRealm(realm.id);
           document.body.removeChild(realmDialog);
@@ -647,6 +732,9 @@ export default class MenuScene {
       
       const inputInfo = document.createElement('span');
       inputInfo.textContent = `Input: ${realm.inputMethod}`;
+      if (!realm.hasInputs) {
+        inputInfo.textContent += ' (not detected on this device)';
+      }
       
       const difficultyInfo = document.createElement('span');
       difficultyInfo.textContent = realm.difficulty;
@@ -701,7 +789,7 @@ export default class MenuScene {
     
     // Accessibility announcement
     if (this.gameEngine.accessibilityManager) {
-      this.gameEngine.accessibilityManager.announce(`Realm selection opened. ${unlockedRealms.length} realms available.`);
+      this.gameEngine.accessibilityManager.announce(`Realm selection opened. ${unlockedCount} realms available.`);
     }
   }
 
@@ -745,6 +833,9 @@ export default class MenuScene {
     // Create input method selection dialog
     const dialog = document.createElement('div');
     dialog.className = 'input-method-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', 'Select Input Method');
     dialog.style.cssText = `
       position: fixed;
       top: 50%;
@@ -797,11 +888,13 @@ export default class MenuScene {
     
     const methodDescriptions = {
       keyboard: 'Standard keyboard and mouse controls - reliable and precise',
-      eyeTracking: 'Look where you want to interact - requires camera',
+      eyeTracking: 'Look where you want to interact - uses the camera once you allow it',
       voice: 'Speak commands to control the game - requires microphone',
       breath: 'Control using breath patterns - requires microphone',
       orientation: 'Tilt your device to control movement',
-      switch: 'Single button scanning interface - great for limited mobility'
+      switch: 'Single button scanning interface - great for limited mobility',
+      sipPuff: 'Soft and hard sips and puffs on a sip-and-puff tube',
+      gamepad: 'Gamepads and adaptive controllers - move with a stick or steer a pointer'
     };
     
     availableMethods.forEach(method => {
@@ -810,6 +903,9 @@ export default class MenuScene {
       const isActive = method === currentMethod;
       
       methodCard.className = 'method-card';
+      
+      // Switch scanning treats each card and its buttons as one group
+      methodCard.dataset.scanGroup = this.gameEngine.inputManager.getInputMethodDisplayName(method);
       methodCard.style.cssText = `
         background: ${isActive ? 'rgba(76, 175, 80, 0.2)' : 'rgba(255, 255, 255, 0.1)'};
         border: 2px solid ${isActive ? '#4CAF50' : 'rgba(255, 255, 255, 0.3)'};
@@ -821,9 +917,19 @@ export default class MenuScene {
       `;
       
       if (method !== currentMethod) {
+        methodCard.setAttribute('role', 'button');
+        methodCard.setAttribute('aria-label', `Use ${this.gameEngine.inputManager.getInputMethodDisplayName(method)}`);
+        methodCard.tabIndex = 0;
+        
         methodCard.addEventListener('click', () => {
-          this.switchToInputMethod(method);
           document.body.removeChild(dialog);
+          
+          // Ask before anything touches the camera
+          if (methodData.capabilities.requiresConsent && !methodData.capabilities.consentGiven) {
+            this.showCameraConsent(method);
+          } else {
+            this.switchToInputMethod(method);
+          }
         });
         
         methodCard.addEventListener('mouseenter', () => {
@@ -873,6 +979,49 @@ export default class MenuScene {
       methodStatus.appendChild(statusInfo);
       methodStatus.appendChild(successRate);
       
+      if (methodData.capabilities.requiresCalibration) {
+        const calibrateButton = this.createDialogButton('🎯 Calibrate', (event) => {
+          event.stopPropagation();
+          document.body.removeChild(dialog);
+          this.gameEngine.inputManager.requestRecalibration(method);
+        }, { small: true, ariaLabel: `Calibrate ${this.gameEngine.inputManager.getInputMethodDisplayName(method)}` });
+        methodStatus.appendChild(calibrateButton);
+      }
+      
+      if (methodData.capabilities.requiresConsent && methodData.capabilities.consentGiven) {
+        const revokeButton = this.createDialogButton('📷 Stop Using Camera', (event) => {
+          event.stopPropagation();
+          this.gameEngine.stateManager.updateSettings(`inputSettings.${method}.cameraConsent`, false);
+          document.body.removeChild(dialog);
+          this.showInputMethodDialog();
+          this.gameEngine.accessibilityManager.announce('Camera permission withdrawn. Eye tracking will ask again before using the camera.');
+        }, { small: true, ariaLabel: `Stop ${this.gameEngine.inputManager.getInputMethodDisplayName(method)} using the camera` });
+        methodStatus.appendChild(revokeButton);
+      }
+      
+      if (methodData.capabilities.supportsEnrollment) {
+        const enrollButton = this.createDialogButton('🗣️ Teach Words', (event) => {
+          event.stopPropagation();
+          document.body.removeChild(dialog);
+          this.gameEngine.inputManager.requestVoiceEnrollment();
+        }, { small: true, ariaLabel: `Teach ${this.gameEngine.inputManager.getInputMethodDisplayName(method)} how you say each command` });
+        methodStatus.appendChild(enrollButton);
+      }
+      
+      if (methodData.capabilities.stickModes) {
+        const stickMode = methodData.capabilities.stickMode;
+        const stickButton = this.createDialogButton(stickMode === 'pointer' ? '🕹️ Stick: Pointer' : '🕹️ Stick: Move', (event) => {
+          event.stopPropagation();
+          const modes = methodData.capabilities.stickModes;
+          const nextMode = modes[(modes.indexOf(stickMode) + 1) % modes.length];
+          this.gameEngine.stateManager.updateSettings(`inputSettings.${method}.stickMode`, nextMode);
+          document.body.removeChild(dialog);
+          this.showInputMethodDialog();
+          this.gameEngine.accessibilityManager.announce(`Stick now ${nextMode === 'pointer' ? 'moves a pointer' : 'moves'}`);
+        }, { small: true, ariaLabel: `Change what the ${this.gameEngine.inputManager.getInputMethodDisplayName(method)} stick does` });
+        methodStatus.appendChild(stickButton);
+      }
+      
       if (isActive) {
         const activeBadge = document.createElement('div');
         activeBadge.textContent = 'ACTIVE';
@@ -938,6 +1087,56 @@ export default class MenuScene {
     this.gameEngine.accessibilityManager.announce(`Input method selection opened. ${availableMethods.length} methods available. Current method: ${this.gameEngine.inputManager.getInputMethodDisplayName(currentMethod)}`);
   }
   
+  /**
+   * Ask the active player before eye tracking uses the camera; agreeing switches to it
+   */
+  showCameraConsent(method) {
+    const stateManager = this.gameEngine.stateManager;
+    const activeProfile = stateManager.getActiveProfile();
+    const dialog = this.createDialog('camera-consent-dialog', '📷 Use the Camera?');
+    
+    const explanation = [
+      'Eye tracking uses the camera to see where you are looking.',
+      'The video stays on this device. It is never recorded, saved or sent anywhere.',
+      'A red "Camera on" sign shows whenever the camera is in use. Choose "Turn off camera" on it, or press Shift and Escape, to stop it at any time.',
+      `This choice is remembered for ${activeProfile.name} and can be changed in this menu.`
+    ];
+    
+    explanation.forEach(text => {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = text;
+      paragraph.style.cssText = `
+        margin: 0 0 12px 0;
+        line-height: 1.4;
+        max-width: 520px;
+      `;
+      dialog.appendChild(paragraph);
+    });
+    
+    const actions = document.createElement('div');
+    actions.style.cssText = `
+      display: flex;
+      justify-content: center;
+      flex-wrap: wrap;
+      margin-top: 10px;
+    `;
+    
+    actions.appendChild(this.createDialogButton('✅ Allow Camera', () => {
+      stateManager.updateSettings(`inputSettings.${method}.cameraConsent`, true);
+      this.closeDialog(dialog);
+      this.switchToInputMethod(method);
+    }));
+    actions.appendChild(this.createDialogButton('Not Now', () => {
+      this.closeDialog(dialog);
+      this.gameEngine.accessibilityManager.announce('The camera was not turned on.');
+    }));
+    dialog.appendChild(actions);
+    
+    document.body.appendChild(dialog);
+    
+    this.gameEngine.accessibilityManager.announce(`${explanation.join(' ')} Allow the camera, or not now?`);
+  }
+
   /**
    * Switch to a specific input method
    */
@@ -1031,6 +1230,966 @@ export default class MenuScene {
     }, 3000);
   }
 
+  /**
+   * Create a modal dialog shell with a title
+   */
+  createDialog(className, titleText) {
+    const dialog = document.createElement('div');
+    dialog.className = className;
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', titleText);
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(0, 0, 0, 0.95);
+      border-radius: 20px;
+      padding: 30px;
+      color: white;
+      z-index: 1000;
+      min-width: 500px;
+      max-width: 90vw;
+      max-height: 90vh;
+      overflow-y: auto;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.7);
+      border: 2px solid rgba(255, 255, 255, 0.2);
+    `;
+    
+    const title = document.createElement('h2');
+    title.textContent = titleText;
+    title.style.cssText = `
+      text-align: center;
+      margin-bottom: 20px;
+      color: #87CEEB;
+      font-size: 1.8rem;
+    `;
+    dialog.appendChild(title);
+    
+    return dialog;
+  }
+
+  /**
+   * Create a button styled for dialogs
+   */
+  createDialogButton(text, onClick, options = {}) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.className = 'focusable';
+    if (options.ariaLabel) {
+      button.setAttribute('aria-label', options.ariaLabel);
+    }
+    button.style.cssText = `
+      padding: ${options.small ? '6px 12px' : '12px 24px'};
+      margin: 4px;
+      background: ${options.active ? 'rgba(76, 175, 80, 0.4)' : 'rgba(255, 255, 255, 0.2)'};
+      border: 2px solid ${options.active ? '#4CAF50' : 'rgba(255, 255, 255, 0.3)'};
+      border-radius: 25px;
+      color: white;
+      cursor: pointer;
+      font-size: ${options.small ? '0.85rem' : '1rem'};
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Close and remove a dialog
+   */
+  closeDialog(dialog) {
+    if (dialog.parentNode) {
+      dialog.parentNode.removeChild(dialog);
+    }
+  }
+
+  /**
+   * Show the control binding editor
+   */
+  showBindingEditor() {
+    const inputManager = this.gameEngine.inputManager;
+    const bindings = inputManager.getBindings();
+    const dialog = this.createDialog('binding-dialog', '🕹️ Controls');
+    
+    const state = {
+      source: 'keyboard',
+      cancelCapture: null
+    };
+    
+    // Source tabs
+    const tabs = document.createElement('div');
+    tabs.style.cssText = `
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      margin-bottom: 15px;
+    `;
+    dialog.appendChild(tabs);
+    
+    // Capture/status area
+    const captureArea = document.createElement('div');
+    captureArea.setAttribute('aria-live', 'polite');
+    captureArea.style.cssText = `
+      min-height: 40px;
+      margin-bottom: 15px;
+      padding: 10px;
+      text-align: center;
+      background: rgba(255, 255, 255, 0.05);
+      border-radius: 10px;
+    `;
+    dialog.appendChild(captureArea);
+    
+    // Binding table
+    const table = document.createElement('div');
+    table.style.cssText = `
+      display: grid;
+      gap: 8px;
+      margin-bottom: 20px;
+    `;
+    dialog.appendChild(table);
+    
+    const stopCapture = () => {
+      if (state.cancelCapture) {
+        state.cancelCapture();
+        state.cancelCapture = null;
+      }
+      captureArea.innerHTML = '';
+    };
+    
+    const applyBinding = (token, actionId) => {
+      stopCapture();
+      if (token === null || token === undefined || token === '') return;
+      
+      try {
+        const previous = inputManager.setBinding(state.source, token, actionId);
+        const actionLabel = bindings.actions.get(actionId).label;
+        const message = previous && previous !== actionId
+          ? `${token} now does ${actionLabel} instead of ${bindings.actions.get(previous).label}`
+          : `${token} now does ${actionLabel}`;
+        this.gameEngine.accessibilityManager.announce(message);
+      } catch (error) {
+        console.warn('Failed to set binding:', error);
+        this.gameEngine.accessibilityManager.announce(`Could not set binding: ${error.message}`);
+      }
+      
+      render();
+    };
+    
+    const startCapture = (actionId) => {
+      stopCapture();
+      
+      const source = bindings.sources[state.source];
+      const actionLabel = bindings.actions.get(actionId).label;
+      
+      if (source.capture === 'text') {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.setAttribute('aria-label', `Phrase for ${actionLabel}`);
+        input.placeholder = `Phrase for ${actionLabel}`;
+        input.style.cssText = `
+          padding: 8px;
+          border-radius: 8px;
+          border: none;
+          margin-right: 8px;
+          font-size: 1rem;
+        `;
+        captureArea.appendChild(input);
+        captureArea.appendChild(this.createDialogButton('Save Phrase', () => applyBinding(input.value, actionId), { small: true }));
+        captureArea.appendChild(this.createDialogButton('Cancel', stopCapture, { small: true }));
+        input.focus();
+        return;
+      }
+      
+      if (source.capture === 'choice') {
+        const label = document.createElement('span');
+        label.textContent = `Choose what does ${actionLabel}: `;
+        captureArea.appendChild(label);
+        source.choices.forEach(choice => {
+          captureArea.appendChild(this.createDialogButton(choice, () => applyBinding(choice, actionId), { small: true }));
+        });
+        captureArea.appendChild(this.createDialogButton('Cancel', stopCapture, { small: true }));
+        this.gameEngine.accessibilityManager.announce(`Choose what does ${actionLabel}`);
+        return;
+      }
+      
+      // Key and gamepad capture
+      const acceptsKeys = source.capture === 'key';
+      const prefix = state.source === 'switch' ? 'Gamepad' : '';
+      const prompt = acceptsKeys
+        ? `Press a key or gamepad button for ${actionLabel}. Escape cancels.`
+        : `Press a gamepad button for ${actionLabel}. Escape cancels.`;
+      captureArea.textContent = prompt;
+      this.gameEngine.accessibilityManager.announce(prompt);
+      
+      const onKeyDown = (event) => {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        
+        if (event.code === 'Escape') {
+          stopCapture();
+          return;
+        }
+        
+        if (acceptsKeys) {
+          applyBinding(event.code, actionId);
+        }
+      };
+      
+      const pressedAtStart = this.getPressedGamepadButtons();
+      const gamepadPoll = setInterval(() => {
+        const pressed = this.getPressedGamepadButtons().filter(index => !pressedAtStart.includes(index));
+        if (pressed.length > 0) {
+          applyBinding(`${prefix}${pressed[0]}`, actionId);
+        }
+      }, 50);
+      
+      const timeout = setTimeout(stopCapture, 10000);
+      window.addEventListener('keydown', onKeyDown, true);
+      
+      state.cancelCapture = () => {
+        window.removeEventListener('keydown', onKeyDown, true);
+        clearInterval(gamepadPoll);
+        clearTimeout(timeout);
+      };
+    };
+    
+    const render = () => {
+      tabs.innerHTML = '';
+      Object.entries(bindings.sources).forEach(([sourceId, source]) => {
+        tabs.appendChild(this.createDialogButton(source.label, () => {
+          stopCapture();
+          state.source = sourceId;
+          render();
+          this.gameEngine.accessibilityManager.announce(`Editing ${source.label} controls`);
+        }, { small: true, active: sourceId === state.source }));
+      });
+      
+      table.innerHTML = '';
+      bindings.getActionsForSource(state.source).forEach(actionId => {
+        const row = document.createElement('div');
+        row.style.cssText = `
+          display: flex;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 6px;
+          padding: 8px 12px;
+          background: rgba(255, 255, 255, 0.08);
+          border-radius: 10px;
+        `;
+        
+        const actionLabel = bindings.actions.get(actionId).label;
+        const label = document.createElement('strong');
+        label.textContent = actionLabel;
+        label.style.cssText = `
+          min-width: 120px;
+          color: #87CEEB;
+        `;
+        row.appendChild(label);
+        
+        bindings.getTokensForAction(state.source, actionId).forEach(token => {
+          row.appendChild(this.createDialogButton(`${token} ✕`, () => {
+            inputManager.removeBinding(state.source, token);
+            this.gameEngine.accessibilityManager.announce(`Removed ${token} from ${actionLabel}`);
+            render();
+          }, { small: true, ariaLabel: `Remove ${token} from ${actionLabel}` }));
+        });
+        
+        row.appendChild(this.createDialogButton('+ Add', () => startCapture(actionId), {
+          small: true,
+          ariaLabel: `Add ${bindings.sources[state.source].label} for ${actionLabel}`
+        }));
+        
+        table.appendChild(row);
+      });
+    };
+    
+    render();
+    
+    // Footer
+    const footer = document.createElement('div');
+    footer.style.cssText = `
+      display: flex;
+      justify-content: center;
+      flex-wrap: wrap;
+    `;
+    footer.appendChild(this.createDialogButton('Reset to Defaults', () => {
+      stopCapture();
+      inputManager.resetBindings(state.source);
+      this.gameEngine.accessibilityManager.announce(`${bindings.sources[state.source].label} controls reset to defaults`);
+      render();
+    }));
+    footer.appendChild(this.createDialogButton('Close', () => {
+      stopCapture();
+      this.closeDialog(dialog);
+    }));
+    dialog.appendChild(footer);
+    
+    document.body.appendChild(dialog);
+    
+    this.gameEngine.accessibilityManager.announce('Controls editor opened. Choose an input type, then add or remove bindings for each action.');
+  }
+
+  /**
+   * Show the player profile picker
+   */
+  showProfilePicker() {
+    if (this.profilePicker) return;
+    
+    const stateManager = this.gameEngine.stateManager;
+    const accessibility = this.gameEngine.accessibilityManager;
+    const dialog = this.createDialog('profile-dialog', '👤 Who is playing?');
+    
+    const list = document.createElement('div');
+    list.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      align-items: stretch;
+      gap: 8px;
+      margin-bottom: 15px;
+    `;
+    dialog.appendChild(list);
+    
+    const status = document.createElement('div');
+    status.setAttribute('aria-live', 'polite');
+    status.style.cssText = `
+      min-height: 24px;
+      text-align: center;
+      color: #FFD54F;
+    `;
+    dialog.appendChild(status);
+    
+    this.profilePicker = {
+      dialog,
+      items: [],
+      selection: 0,
+      manageMode: false,
+      pendingDelete: null
+    };
+    
+    const picker = this.profilePicker;
+    
+    const report = (message) => {
+      status.textContent = message;
+      accessibility.announce(message);
+    };
+    
+    const run = async (task) => {
+      try {
+        await task();
+      } catch (error) {
+        console.warn('Profile action failed:', error);
+        report(error.message);
+      }
+    };
+    
+    const choose = (profile) => run(async () => {
+      await stateManager.switchProfile(profile.id);
+      this.closeProfilePicker();
+      accessibility.announce(`Now playing as ${profile.name}`);
+    });
+    
+    const addPlayer = () => run(async () => {
+      const profile = await stateManager.createProfile();
+      render();
+      report(`${profile.name} added. Select them to start playing, or rename them in Manage Players.`);
+    });
+    
+    const startRename = (profile, row) => {
+      row.innerHTML = '';
+      
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = profile.name;
+      input.setAttribute('aria-label', `New name for ${profile.name}`);
+      input.style.cssText = `
+        flex: 1;
+        padding: 8px;
+        border-radius: 8px;
+        border: none;
+        font-size: 1rem;
+      `;
+      
+      const save = () => run(async () => {
+        const renamed = await stateManager.renameProfile(profile.id, input.value);
+        render();
+        report(`Renamed to ${renamed.name}`);
+      });
+      
+      input.addEventListener('keydown', (event) => {
+        event.stopPropagation();
+        if (event.key === 'Enter') save();
+        if (event.key === 'Escape') render();
+      });
+      
+      row.appendChild(input);
+      row.appendChild(this.createDialogButton('Save', save, { small: true }));
+      row.appendChild(this.createDialogButton('Cancel', render, { small: true }));
+      picker.items = Array.from(dialog.querySelectorAll('button, input'));
+      input.focus();
+    };
+    
+    const remove = (profile) => run(async () => {
+      if (picker.pendingDelete !== profile.id) {
+        picker.pendingDelete = profile.id;
+        render();
+        report(`Select Confirm Delete to remove ${profile.name} and all of their progress`);
+        return;
+      }
+      
+      picker.pendingDelete = null;
+      await stateManager.deleteProfile(profile.id);
+      render();
+      report(`${profile.name} removed`);
+    });
+    
+    const render = () => {
+      list.innerHTML = '';
+      
+      const profiles = stateManager.getProfiles();
+      const activeProfile = stateManager.getActiveProfile();
+      
+      profiles.forEach(profile => {
+        const isActive = profile.id === activeProfile.id;
+        const row = document.createElement('div');
+        row.style.cssText = `
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        `;
+        
+        const button = this.createDialogButton(`${profile.avatar} ${profile.name}${isActive ? ' (current)' : ''}`, () => choose(profile), {
+          active: isActive,
+          ariaLabel: `Play as ${profile.name}${isActive ? ', current player' : ''}`
+        });
+        button.style.flex = '1';
+        button.style.fontSize = '1.3rem';
+        row.appendChild(button);
+        
+        if (picker.manageMode) {
+          row.appendChild(this.createDialogButton('✏️ Rename', () => startRename(profile, row), {
+            small: true,
+            ariaLabel: `Rename ${profile.name}`
+          }));
+          
+          if (profiles.length > 1) {
+            const confirming = picker.pendingDelete === profile.id;
+            row.appendChild(this.createDialogButton(confirming ? '⚠️ Confirm Delete' : '🗑️ Delete', () => remove(profile), {
+              small: true,
+              ariaLabel: confirming ? `Confirm deleting ${profile.name}` : `Delete ${profile.name}`
+            }));
+          }
+        }
+        
+        list.appendChild(row);
+      });
+      
+      const actions = document.createElement('div');
+      actions.style.cssText = `
+        display: flex;
+        justify-content: center;
+        flex-wrap: wrap;
+      `;
+      actions.appendChild(this.createDialogButton('➕ New Player', addPlayer));
+      actions.appendChild(this.createDialogButton(picker.manageMode ? '✔️ Done Managing' : '⚙️ Manage Players', () => {
+        picker.manageMode = !picker.manageMode;
+        picker.pendingDelete = null;
+        render();
+      }));
+      actions.appendChild(this.createDialogButton('Close', () => this.closeProfilePicker()));
+      list.appendChild(actions);
+      
+      picker.items = Array.from(list.querySelectorAll('button'));
+      picker.selection = Math.min(picker.selection, picker.items.length - 1);
+      picker.items[picker.selection]?.focus();
+      
+      this.registerProfileVoiceCommands(profiles, choose, addPlayer);
+      this.gameEngine.inputManager.refreshScanElements();
+    };
+    
+    // Hide the menu behind the picker so switch scanning only reaches the picker
+    if (this.menuOverlay) {
+      this.menuOverlay.style.display = 'none';
+    }
+    
+    document.body.appendChild(dialog);
+    render();
+    
+    accessibility.announce(`Who is playing? Current player is ${stateManager.getActiveProfile().name}. Say play as and a name, or new player.`);
+  }
+
+  /**
+   * Show the export/import dialog for moving a player between devices
+   */
+  showProfileTransfer() {
+    const stateManager = this.gameEngine.stateManager;
+    const accessibility = this.gameEngine.accessibilityManager;
+    const activeProfile = stateManager.getActiveProfile();
+    const dialog = this.createDialog('transfer-dialog', '💾 Move Progress');
+    
+    const status = document.createElement('div');
+    status.setAttribute('aria-live', 'polite');
+    status.style.cssText = `
+      min-height: 24px;
+      margin-bottom: 15px;
+      text-align: center;
+      color: #FFD54F;
+    `;
+    
+    const report = (message) => {
+      status.textContent = message;
+      accessibility.announce(message);
+    };
+    
+    const intro = document.createElement('p');
+    intro.textContent = `Save ${activeProfile.name}'s settings, calibration and progress to a file, or load a file saved on another device.`;
+    intro.style.cssText = `
+      text-align: center;
+      margin-bottom: 15px;
+      line-height: 1.4;
+    `;
+    dialog.appendChild(intro);
+    dialog.appendChild(status);
+    
+    const actions = document.createElement('div');
+    actions.style.cssText = `
+      display: flex;
+      justify-content: center;
+      flex-wrap: wrap;
+    `;
+    dialog.appendChild(actions);
+    
+    const choices = document.createElement('div');
+    choices.style.cssText = `
+      display: flex;
+      justify-content: center;
+      flex-wrap: wrap;
+      margin-top: 10px;
+    `;
+    dialog.appendChild(choices);
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    dialog.appendChild(fileInput);
+    
+    const exportProfile = async () => {
+      try {
+        const exported = await stateManager.exportProfile();
+        const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = stateManager.profileTransfer.getFileName(activeProfile);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        report(`${activeProfile.name} saved to ${link.download}`);
+      } catch (error) {
+        console.warn('Profile export failed:', error);
+        report(`Could not save the file: ${error.message}`);
+      }
+    };
+    
+    const importProfile = async (fileText, mode) => {
+      try {
+        const profile = await stateManager.importProfile(fileText, { mode });
+        choices.innerHTML = '';
+        
+        const messages = {
+          new: `Added ${profile.name} as a new player. Choose them from Players to start playing.`,
+          merge: `Combined the file with ${profile.name}'s progress`,
+          replace: `Replaced ${profile.name}'s progress with the file. The old save was kept as a backup.`
+        };
+        report(messages[mode]);
+        
+        // Camera consent is never imported, so ask again if eye tracking is in use here
+        const inputManager = this.gameEngine.inputManager;
+        if (profile.id === stateManager.activeProfileId && inputManager.primaryInput === 'eyeTracking' &&
+            inputManager.inputMethods.get('eyeTracking')?.instance.needsConsent()) {
+          this.closeDialog(dialog);
+          this.showCameraConsent('eyeTracking');
+        }
+      } catch (error) {
+        console.warn('Profile import failed:', error);
+        report(error.message);
+      }
+    };
+    
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      
+      const fileText = await file.text();
+      let confirmReplace = false;
+      
+      choices.innerHTML = '';
+      choices.appendChild(this.createDialogButton('➕ Add as New Player', () => importProfile(fileText, 'new')));
+      choices.appendChild(this.createDialogButton(`🔀 Combine with ${activeProfile.name}`, () => importProfile(fileText, 'merge')));
+      
+      const replaceButton = this.createDialogButton(`♻️ Replace ${activeProfile.name}`, () => {
+        if (!confirmReplace) {
+          confirmReplace = true;
+          replaceButton.textContent = `⚠️ Confirm Replace ${activeProfile.name}`;
+          report(`Select again to replace ${activeProfile.name}'s progress with the file`);
+          return;
+        }
+        importProfile(fileText, 'replace');
+      });
+      choices.appendChild(replaceButton);
+      
+      report(`Loaded ${file.name}. Add it as a new player, combine it with ${activeProfile.name}, or replace ${activeProfile.name}.`);
+      this.gameEngine.inputManager.refreshScanElements();
+    });
+    
+    actions.appendChild(this.createDialogButton(`⬇️ Save ${activeProfile.name} to File`, exportProfile));
+    actions.appendChild(this.createDialogButton('⬆️ Load from File', () => fileInput.click()));
+    actions.appendChild(this.createDialogButton('Close', () => this.closeDialog(dialog)));
+    
+    document.body.appendChild(dialog);
+    
+    accessibility.announce('Move progress dialog opened');
+  }
+
+  /**
+   * Show the clinician progress report for the current player
+   */
+  showProgressReport() {
+    const stateManager = this.gameEngine.stateManager;
+    const accessibility = this.gameEngine.accessibilityManager;
+    const reportBuilder = new ClinicianReport();
+    const dialog = this.createDialog('report-dialog', `📋 Progress Report: ${stateManager.getActiveProfile().name}`);
+    dialog.style.width = '900px';
+    
+    const periods = [
+      { label: 'Last 7 Days', days: 7 },
+      { label: 'Last 30 Days', days: 30 },
+      { label: 'All Time', days: null }
+    ];
+    let selectedPeriod = periods[1];
+    let currentReport = null;
+    
+    const periodBar = document.createElement('div');
+    periodBar.style.cssText = `
+      display: flex;
+      justify-content: center;
+      flex-wrap: wrap;
+      margin-bottom: 10px;
+    `;
+    dialog.appendChild(periodBar);
+    
+    const frame = document.createElement('iframe');
+    frame.title = 'Progress report';
+    frame.style.cssText = `
+      width: 100%;
+      height: 55vh;
+      border: none;
+      border-radius: 10px;
+      background: white;
+    `;
+    dialog.appendChild(frame);
+    
+    const renderPeriods = () => {
+      periodBar.innerHTML = '';
+      periods.forEach(period => {
+        periodBar.appendChild(this.createDialogButton(period.label, () => {
+          selectedPeriod = period;
+          renderPeriods();
+          loadReport();
+        }, { small: true, active: period === selectedPeriod }));
+      });
+    };
+    
+    const loadReport = async () => {
+      try {
+        const since = selectedPeriod.days ? Date.now() - selectedPeriod.days * 24 * 60 * 60 * 1000 : null;
+        currentReport = await reportBuilder.build(stateManager, { since });
+        frame.srcdoc = reportBuilder.toHTML(currentReport);
+        
+        const { summary } = currentReport;
+        accessibility.announce(
+          `Report for ${selectedPeriod.label.toLowerCase()}: ${summary.sessions} sessions, ` +
+          `accuracy ${reportBuilder.percent(summary.accuracy)} percent, ` +
+          `average response ${reportBuilder.round(summary.averageResponseTime)} milliseconds`
+        );
+      } catch (error) {
+        console.error('Failed to build progress report:', error);
+        accessibility.announce('The progress report could not be created');
+      }
+    };
+    
+    const downloadCSV = () => {
+      if (!currentReport) return;
+      
+      const blob = new Blob([reportBuilder.toCSV(currentReport)], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `gazequest-report-${currentReport.profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      
+      accessibility.announce('Report downloaded as a spreadsheet file');
+    };
+    
+    const footer = document.createElement('div');
+    footer.style.cssText = `
+      display: flex;
+      justify-content: center;
+      flex-wrap: wrap;
+      margin-top: 15px;
+    `;
+    footer.appendChild(this.createDialogButton('🖨️ Print', () => frame.contentWindow?.print()));
+    footer.appendChild(this.createDialogButton('⬇️ Download CSV', downloadCSV));
+    footer.appendChild(this.createDialogButton('Close', () => this.closeDialog(dialog)));
+    dialog.appendChild(footer);
+    
+    document.body.appendChild(dialog);
+    renderPeriods();
+    loadReport();
+  }
+  /**
+   * Show what the adaptive AI has learned about the active player
+   */
+  showAdaptiveProfile() {
+    const inputManager = this.gameEngine.inputManager;
+    const stateManager = this.gameEngine.stateManager;
+    const accessibility = this.gameEngine.accessibilityManager;
+    const playerName = stateManager.getActiveProfile()?.name || 'this player';
+    const dialog = this.createDialog('adaptive-profile-dialog', `🧠 What the Game Learned about ${playerName}`);
+    
+    const controls = document.createElement('div');
+    controls.style.cssText = `
+      text-align: center;
+      margin-bottom: 10px;
+    `;
+    dialog.appendChild(controls);
+    
+    const content = document.createElement('div');
+    content.setAttribute('aria-live', 'polite');
+    dialog.appendChild(content);
+    
+    const addHeading = (text) => {
+      const heading = document.createElement('h3');
+      heading.textContent = text;
+      heading.style.cssText = `
+        color: #87CEEB;
+        margin: 15px 0 8px;
+        font-size: 1.1rem;
+      `;
+      content.appendChild(heading);
+    };
+    
+    const addLine = (text) => {
+      const line = document.createElement('p');
+      line.textContent = text;
+      line.style.cssText = `
+        margin: 4px 0;
+        opacity: 0.9;
+      `;
+      content.appendChild(line);
+    };
+    
+    const statusLabels = {
+      applied: 'Changed',
+      declined: 'Declined',
+      ignored: 'Not answered',
+      logged: 'Noted only',
+      undone: 'Undone',
+      skipped: 'Skipped',
+      failed: 'Could not change',
+      unsupported: 'Not available'
+    };
+    
+    const describeAdaptation = (entry) => {
+      const status = statusLabels[entry.status] || 'Changed';
+      const change = inputManager.describeRecommendation(entry);
+      return `${status}: ${change}${entry.explanation ? ` (${entry.explanation})` : ''}`;
+    };
+    
+    const policies = [
+      { id: 'auto', label: 'Change automatically' },
+      { id: 'ask', label: 'Ask first' },
+      { id: 'log', label: 'Only keep a note' }
+    ];
+    
+    const renderControls = () => {
+      controls.innerHTML = '';
+      const currentPolicy = stateManager.getStateValue('settings.adaptivePolicy') || 'ask';
+      
+      const label = document.createElement('p');
+      label.textContent = 'When the game finds a better setting:';
+      label.style.cssText = `
+        margin: 0 0 6px;
+        opacity: 0.9;
+      `;
+      controls.appendChild(label);
+      
+      policies.forEach(policy => {
+        controls.appendChild(this.createDialogButton(policy.label, () => {
+          stateManager.updateSettings('adaptivePolicy', policy.id);
+          renderControls();
+          accessibility.announce(`Adaptive changes: ${policy.label}`);
+        }, { small: true, active: policy.id === currentPolicy }));
+      });
+      
+      if (inputManager.canUndoAdaptation()) {
+        controls.appendChild(this.createDialogButton('↩️ Undo Last Change', async () => {
+          await inputManager.undoLastAdaptation();
+          renderControls();
+          render();
+        }, { small: true }));
+      }
+      
+      this.gameEngine.inputManager.refreshScanElements();
+    };
+    
+    const render = () => {
+      content.innerHTML = '';
+      const profile = inputManager.adaptiveAI.getUserProfile();
+      const metrics = Object.entries(profile.performanceMetrics);
+      
+      if (metrics.length === 0 && profile.adaptationHistory.length === 0) {
+        addLine('Nothing learned yet. The game learns how you play as you use each input method.');
+        return;
+      }
+      
+      addHeading('Favourite ways to play');
+      const preferred = profile.summary.preferredMethods;
+      addLine(preferred.length > 0 ? preferred.join(', ') : 'Not enough play yet');
+      
+      addHeading('How each method is going');
+      metrics
+        .sort(([, a], [, b]) => b.totalEvents - a.totalEvents)
+        .forEach(([method, metric]) => {
+          addLine(
+            `${method}: ${Math.round(metric.averageAccuracy * 100)}% accurate, ` +
+            `${Math.round(metric.averageResponseTime)} ms to respond, ` +
+            `based on about ${Math.round(metric.totalEvents)} recent inputs`
+          );
+        });
+      
+      addHeading('Recent adjustments');
+      const adaptations = profile.adaptationHistory.slice(-10).reverse();
+      if (adaptations.length === 0) {
+        addLine('No adjustments made yet');
+      }
+      adaptations.forEach(entry => {
+        addLine(`${new Date(entry.timestamp).toLocaleString()}: ${describeAdaptation(entry)}`);
+      });
+      
+      const lastUpdated = Math.max(0, ...metrics.map(([, metric]) => metric.lastUpdated || 0));
+      if (lastUpdated > 0) {
+        addLine(`Last updated ${new Date(lastUpdated).toLocaleString()}. Older learning slowly fades so the game keeps up with changes.`);
+      }
+    };
+    
+    let confirmingReset = false;
+    const resetButton = this.createDialogButton('🔄 Reset Learning', () => {
+      if (!confirmingReset) {
+        confirmingReset = true;
+        resetButton.textContent = '⚠️ Confirm Reset';
+        accessibility.announce(`Activate again to forget everything the game learned about ${playerName}`);
+        return;
+      }
+      
+      inputManager.resetAdaptiveProfile();
+      confirmingReset = false;
+      resetButton.textContent = '🔄 Reset Learning';
+      render();
+      accessibility.announce(`The game will start learning about ${playerName} again`);
+    });
+    
+    const footer = document.createElement('div');
+    footer.style.cssText = `
+      display: flex;
+      justify-content: center;
+      flex-wrap: wrap;
+      margin-top: 15px;
+    `;
+    footer.appendChild(resetButton);
+    footer.appendChild(this.createDialogButton('Close', () => this.closeDialog(dialog)));
+    dialog.appendChild(footer);
+    
+    document.body.appendChild(dialog);
+    renderControls();
+    render();
+    accessibility.announce(`What the game learned about ${playerName}`);
+  }
+
+
+  /**
+   * Register voice phrases for the profile picker ("play as Sam", "new player")
+   */
+  registerProfileVoiceCommands(profiles, choose, addPlayer) {
+    const commands = [{ phrases: 'new player', callback: addPlayer }];
+    
+    if (profiles.length > 0) {
+      commands.unshift({
+        phrases: 'play as {player}',
+        slots: { player: Object.fromEntries(profiles.map(profile => [profile.name, profile])) },
+        callback: ({ slots }) => choose(slots.player),
+        description: 'Choose a player'
+      });
+    }
+    
+    this.gameEngine.inputManager.pushVoiceVocabulary('profilePicker', commands, { label: 'the player list' });
+  }
+
+  /**
+   * Move the highlighted item in the profile picker
+   */
+  moveProfilePickerSelection(delta) {
+    const picker = this.profilePicker;
+    if (!picker || picker.items.length === 0) return;
+    
+    picker.selection = (picker.selection + delta + picker.items.length) % picker.items.length;
+    picker.items[picker.selection].focus();
+  }
+
+  /**
+   * Close the profile picker and return to the menu
+   */
+  closeProfilePicker() {
+    const picker = this.profilePicker;
+    if (!picker) return;
+    
+    this.profilePicker = null;
+    this.gameEngine.inputManager.popVoiceVocabulary('profilePicker');
+    this.closeDialog(picker.dialog);
+    
+    if (this.menuOverlay && this.isActive) {
+      this.menuOverlay.style.display = 'flex';
+      this.updateSelection();
+    }
+    
+    this.gameEngine.inputManager.refreshScanElements();
+  }
+
+  /**
+   * Get indexes of gamepad buttons that are currently pressed
+   */
+  getPressedGamepadButtons() {
+    if (!navigator.getGamepads) return [];
+    
+    const pressed = [];
+    Array.from(navigator.getGamepads()).forEach(gamepad => {
+      if (!gamepad) return;
+      gamepad.buttons.forEach((button, index) => {
+        if (button.pressed && !pressed.includes(index)) {
+          pressed.push(index);
+        }
+      });
+    });
+    return pressed;
+  }
+
   /**
    * Show about dialog
    */
@@ -1092,7 +2251,7 @@ Developed with accessibility and inclusion at its core.`;
     
     // Start background music
     if (this.gameEngine.audioManager) {
-      this.gameEngine.audioManager.playMusic('menu', { loop: true, fadeIn: 1 });
+      this.gameEngine.audioManager.playMusic(this.gameEngine.sceneManager.getSceneMusic(this.name), { loop: true, fadeIn: 1 });
     }
     
     // Announce scene
@@ -1100,6 +2259,12 @@ Developed with accessibility and inclusion at its core.`;
       this.gameEngine.accessibilityManager.announce('Welcome to GazeQuest Adventures main menu. Use your preferred input method to navigate.');
     }
     
+    // Ask who is playing when several players share this device
+    if (!this.hasShownProfilePicker && this.gameEngine.stateManager.getProfiles().length > 1) {
+      this.hasShownProfilePicker = true;
+      this.showProfilePicker();
+    }
+    
     console.log('📄 Menu scene activated');
   }
 
@@ -1185,6 +2350,9 @@ Developed with accessibility and inclusion at its core.`;
       case 'menu':
         // Already in menu
         break;
+      case 'back':
+        this.closeProfilePicker();
+        break;
       case 'help':
         this.showAbout();
         break;
@@ -1209,6 +2377,8 @@ Developed with accessibility and inclusion at its core.`;
    * Destroy scene
    */
   destroy() {
+    this.closeProfilePicker();
+    
     // Remove menu overlay
     if (this.menuOverlay && this.menuOverlay.parentNode) {
       this.menuOverlay.parentNode.removeChild(this.menuOverlay);
@@ -42,7 +42,6 @@ export default class MotionMountains {
     this.gameEngine = gameEngine;
     this.createUI();
     this.setupMountainEnvironment();
-    this.setupOrientationControl();
     
     console.log('⛰️ Motion Mountains scene initialized');
   }
@@ -419,25 +418,12 @@ export default class MotionMountains {
   }
 
   /**
-   * Set up device orientation control
-   */
-  setupOrientationControl() {
-    if (this.gameEngine.inputManager.inputMethods.has('orientation')) {
-      const orientationInput = this.gameEngine.inputManager.inputMethods.get('orientation').instance;
-      
-      orientationInput.on('input', (data) => {
-        this.handleOrientationInput(data);
-      });
-    }
-  }
-
-  /**
-   * Handle device orientation input
+   * Handle device orientation input (any canonical move action)
    */
   handleOrientationInput(data) {
     if (!this.isActive) return;
     
-    const intensity = data.data.intensity || 0.5;
+    const intensity = data.intensity || 0.5;
     
     switch (data.direction) {
       case 'left':
@@ -729,7 +715,7 @@ export default class MotionMountains {
     
     // Play background music
     if (this.gameEngine.audioManager) {
-      this.gameEngine.audioManager.playMusic('motion_mountains', { loop: true, fadeIn: 1 });
+      this.gameEngine.audioManager.playMusic(this.gameEngine.sceneManager.getSceneMusic(this.name), { loop: true, fadeIn: 1 });
     }
     
     // Announce scene
@@ -830,7 +816,7 @@ export default class MotionMountains {
   }
 
   handleClick() {}
-  handleMove() {}
+  handleMove(data) { this.handleOrientationInput(data); }
   pause() { this.isActive = false; }
   resume() { this.isActive = true; }
 
@@ -3,6 +3,8 @@
  * FULLY IMPLEMENTED with scanning interface and peaceful zen activities
  */
 
+import { SwitchScanner } from '../utils/SwitchScanner.js';
+
 export default class SwitchSanctuary {
   constructor() {
     this.name = 'switch_sanctuary';
@@ -11,12 +13,17 @@ export default class SwitchSanctuary {
     this.isActive = false;
     
     // Game state
-    this.scanner = null;
     this.scanItems = [];
     this.currentScanIndex = 0;
     this.isScanning = false;
-    this.scanSpeed = 2000; // ms between scans
-    this.scanDirection = 1; // 1 for forward, -1 for backward
+    this.scanSpeed = 2000; // ms between scans; replaced by the player's switch settings
+    this.scanMode = 'auto';
+    this.scanner = new SwitchScanner({
+      config: { mode: this.scanMode, scanSpeed: this.scanSpeed },
+      getCount: () => this.scanItems.length,
+      onHighlight: (index) => this.highlightScanItem(index),
+      onSelect: (index) => this.selectCurrentItem(index)
+    });
     
     // Zen activities
     this.zenActivities = [];
@@ -32,7 +39,12 @@ export default class SwitchSanctuary {
     this.ui = null;
     this.canvas = null;
     this.animationTime = 0;
-    this.scanInterval = null;
+    
+    // Switch input handlers, kept so they can be removed
+    this.keyDownHandler = null;
+    this.keyUpHandler = null;
+    this.inputHandler = null;
+    this.switchPressHandler = null;
   }
 
   /**
@@ -43,6 +55,7 @@ export default class SwitchSanctuary {
     this.createUI();
     this.setupZenEnvironment();
     this.setupScanInterface();
+    this.loadSwitchSettings();
     this.setupSwitchControl();
     
     console.log('🔘 Switch Sanctuary scene initialized');
@@ -76,14 +89,13 @@ export default class SwitchSanctuary {
         <div>Activities: <span id="sanctuary-activities">0</span></div>
         <div>Peace Points: <span id="sanctuary-score">0</span></div>
         <div>Scan Speed: <span id="sanctuary-speed">Medium</span></div>
+        <div>Scanning: <span id="sanctuary-mode">Automatic</span></div>
       </div>
       
       <div class="sanctuary-instructions" style="position: absolute; top: 20px; right: 20px; background: rgba(255,255,255,0.9); padding: 15px; border-radius: 15px; color: #2E7D32; max-width: 320px; z-index: 10; box-shadow: 0 4px 8px rgba(0,0,0,0.1);">
         <h3 style="margin-top: 0; color: #4CAF50;">🔘 Switch Controls</h3>
-        <ul style="margin: 5px 0; padding-left: 20px; font-size: 0.9rem;">
-          <li><strong>Single Press</strong> - Select highlighted item</li>
-          <li><strong>Hold</strong> - Reverse scan direction</li>
-          <li><strong>Double Press</strong> - Pause/Resume scanning</li>
+        <ul id="sanctuary-switch-help" style="margin: 5px 0; padding-left: 20px; font-size: 0.9rem;">
+          <!-- Filled in for the current scanning mode -->
         </ul>
         <h4 style="margin: 10px 0 5px 0; color: #4CAF50;">🧘 Zen Activities</h4>
         <p style="margin: 5px 0; font-size: 0.9rem;">Complete peaceful tasks for inner harmony and points!</p>
@@ -108,6 +120,9 @@ export default class SwitchSanctuary {
         <button class="sanctuary-btn" onclick="window.switchSanctuary?.adjustScanSpeed()" style="padding: 12px 24px; background: #2196F3; color: white; border: none; border-radius: 25px; cursor: pointer; font-size: 1rem;">
           ⚡ Speed
         </button>
+        <button class="sanctuary-btn" onclick="window.switchSanctuary?.cycleScanMode()" style="padding: 12px 24px; background: #9C27B0; color: white; border: none; border-radius: 25px; cursor: pointer; font-size: 1rem;">
+          🔀 Mode
+        </button>
         <button class="sanctuary-btn" onclick="window.switchSanctuary?.returnToMenu()" style="padding: 12px 24px; background: rgba(255,255,255,0.2); color: #2E7D32; border: 2px solid #4CAF50; border-radius: 25px; cursor: pointer; font-size: 1rem;">
           🏠 Menu
         </button>
@@ -404,52 +419,140 @@ export default class SwitchSanctuary {
     });
   }
 
+  /**
+   * Use the player's switch scanning mode and speed
+   */
+  loadSwitchSettings() {
+    const settings = this.gameEngine.stateManager?.getStateValue('settings.inputSettings.switch') || {};
+    
+    if (settings.scanSpeed) {
+      this.scanSpeed = settings.scanSpeed;
+      this.scanner.setSpeed(this.scanSpeed);
+    }
+    
+    if (SwitchScanner.MODES.includes(settings.scanMode)) {
+      this.scanMode = settings.scanMode;
+      this.scanner.setMode(this.scanMode);
+    }
+    
+    this.updateSwitchUI();
+  }
+
   /**
    * Setup switch control
    */
   setupSwitchControl() {
-    // Listen for keyboard input (space bar as switch)
-    document.addEventListener('keydown', (event) => {
-      if (!this.isActive) return;
+    // Keyboard switches: Space and Enter select, the right arrow moves to the next item
+    // (not Tab, which keyboard players need to reach the Speed, Mode and Menu buttons)
+    const keyRoles = { Space: 'select', Enter: 'select', ArrowRight: 'advance' };
+    
+    this.keyDownHandler = (event) => {
+      if (!this.isActive || this.isSwitchInputActive()) return;
       
-      if (event.code === 'Space') {
+      const role = keyRoles[event.code];
+      if (role) {
         event.preventDefault();
-        this.handleSwitchPress();
+        if (!event.repeat) {
+          this.handleSwitchPress(role);
+        }
       }
-    });
+    };
     
-    // Listen for any input method that can act as a switch
-    if (this.gameEngine.inputManager) {
-      this.gameEngine.inputManager.on('input', (inputData) => {
-        if (!this.isActive) return;
-        
-        if (inputData.action === 'select') {
-          this.handleSwitchPress();
-        }
-      });
-    }
+    this.keyUpHandler = (event) => {
+      if (!this.isActive || this.isSwitchInputActive()) return;
+      
+      const role = keyRoles[event.code];
+      if (role) {
+        this.handleSwitchRelease(role);
+      }
+    };
+    
+    document.addEventListener('keydown', this.keyDownHandler);
+    document.addEventListener('keyup', this.keyUpHandler);
+    
+    const inputManager = this.gameEngine.inputManager;
+    if (!inputManager) return;
+    
+    // Switch control reports presses and releases with each switch's role
+    this.switchPressHandler = ({ role, pressed }) => {
+      if (!this.isActive) return;
+      
+      if (pressed) {
+        this.handleSwitchPress(role);
+      } else {
+        this.handleSwitchRelease(role);
+      }
+    };
+    this.getSwitchInput()?.on('switchPress', this.switchPressHandler);
+    
+    // Any other input method can act as a switch with a tap
+    this.inputHandler = (inputData) => {
+      if (!this.isActive || inputData.method === 'keyboard' || inputData.method === 'switch') return;
+      
+      if (inputData.action === 'select') {
+        this.tapSwitch('select');
+      } else if (inputData.action === 'command' && inputData.command === 'navigate') {
+        this.tapSwitch('advance');
+      }
+    };
+    inputManager.on('input', this.inputHandler);
+  }
+
+  /**
+   * Get the switch input method, if it is available
+   */
+  getSwitchInput() {
+    return this.gameEngine.inputManager?.inputMethods.get('switch')?.instance || null;
+  }
+
+  /**
+   * Whether switch control is the active input method (it then reports key presses itself)
+   */
+  isSwitchInputActive() {
+    return !!this.getSwitchInput()?.isActive;
   }
 
   /**
    * Handle switch press
    */
-  handleSwitchPress() {
-    console.log('Switch pressed!', { isScanning: this.isScanning, scanItemsLength: this.scanItems.length });
-    
-    if (!this.isScanning) {
-      this.startScanning();
+  handleSwitchPress(role = 'select') {
+    if (this.scanItems.length === 0) {
+      console.error('No scan items available');
       return;
     }
     
-    // Select current item
-    if (this.scanItems.length === 0) {
-      console.error('No scan items available');
+    if (!this.isScanning) {
+      this.startScanning(role);
       return;
     }
     
-    const currentItem = this.scanItems[this.currentScanIndex];
+    this.scanner.press(role);
+  }
+
+  /**
+   * Handle switch release
+   */
+  handleSwitchRelease(role = 'select') {
+    if (this.isScanning) {
+      this.scanner.release(role);
+    }
+  }
+
+  /**
+   * Press and release a switch, for input methods without a hold
+   */
+  tapSwitch(role) {
+    this.handleSwitchPress(role);
+    this.handleSwitchRelease(role);
+  }
+
+  /**
+   * Select the item the scanner picked
+   */
+  selectCurrentItem(index) {
+    const currentItem = this.scanItems[index];
     if (!currentItem) {
-      console.error('Current scan item not found', this.currentScanIndex);
+      console.error('Current scan item not found', index);
       return;
     }
     
@@ -462,29 +565,27 @@ export default class SwitchSanctuary {
   }
 
   /**
-   * Start scanning
+   * Start scanning; a switch press that starts it counts as held (inverse scanning)
    */
-  startScanning() {
+  startScanning(pressedRole = null) {
     if (this.isScanning) return;
     
     this.isScanning = true;
-    this.currentScanIndex = 0;
     
     // Update UI
     const statusEl = this.ui.querySelector('#scan-status');
     if (statusEl) statusEl.textContent = 'Stop Scanning';
     
-    // Highlight first item
-    this.highlightScanItem(this.currentScanIndex);
-    
-    // Start scan interval
-    this.scanInterval = setInterval(() => {
-      this.advanceScan();
-    }, this.scanSpeed);
+    // Highlight the first item and start moving
+    if (pressedRole) {
+      this.scanner.press(pressedRole);
+    } else {
+      this.scanner.start();
+    }
     
     // Accessibility announcement
     if (this.gameEngine.accessibilityManager) {
-      this.gameEngine.accessibilityManager.announce('Scanning started. Press switch to select highlighted item.');
+      this.gameEngine.accessibilityManager.announce(`Scanning started. ${this.getScanModeHelp()}`);
     }
     
     console.log('🔘 Switch scanning started');
@@ -497,18 +598,10 @@ export default class SwitchSanctuary {
     if (!this.isScanning) return;
     
     this.isScanning = false;
-    
-    // Clear interval
-    if (this.scanInterval) {
-      clearInterval(this.scanInterval);
-      this.scanInterval = null;
-    }
+    this.scanner.stop();
     
     // Remove all highlights
-    this.scanItems.forEach(item => {
-      item.style.border = '3px solid #E0E0E0';
-      item.style.background = 'white';
-    });
+    this.clearScanHighlights();
     
     // Update UI
     const statusEl = this.ui.querySelector('#scan-status');
@@ -518,33 +611,22 @@ export default class SwitchSanctuary {
   }
 
   /**
-   * Advance scan to next item
+   * Remove the highlight from every scan item
    */
-  advanceScan() {
-    // Remove highlight from current item
-    this.scanItems[this.currentScanIndex].style.border = '3px solid #E0E0E0';
-    this.scanItems[this.currentScanIndex].style.background = 'white';
-    
-    // Move to next item
-    this.currentScanIndex += this.scanDirection;
-    
-    // Handle boundaries
-    if (this.currentScanIndex >= this.scanItems.length) {
-      this.currentScanIndex = this.scanItems.length - 1;
-      this.scanDirection = -1;
-    } else if (this.currentScanIndex < 0) {
-      this.currentScanIndex = 0;
-      this.scanDirection = 1;
-    }
-    
-    // Highlight new item
-    this.highlightScanItem(this.currentScanIndex);
+  clearScanHighlights() {
+    this.scanItems.forEach(item => {
+      item.style.border = '3px solid #E0E0E0';
+      item.style.background = 'white';
+    });
   }
 
   /**
    * Highlight scan item
    */
   highlightScanItem(index) {
+    this.clearScanHighlights();
+    this.currentScanIndex = index;
+    
     const item = this.scanItems[index];
     item.style.border = '3px solid #4CAF50';
     item.style.background = '#E8F5E8';
@@ -798,7 +880,7 @@ export default class SwitchSanctuary {
    */
   showSettings() {
     if (this.gameEngine.accessibilityManager) {
-      this.gameEngine.accessibilityManager.announce('Settings: Use Speed button to adjust scan timing.');
+      this.gameEngine.accessibilityManager.announce('Settings: Use Speed button to adjust scan timing, and Mode button to change how scanning works.');
     }
   }
 
@@ -827,22 +909,94 @@ export default class SwitchSanctuary {
     const nextIndex = (currentIndex + 1) % speeds.length;
     
     this.scanSpeed = speeds[nextIndex].value;
+    this.scanner.setSpeed(this.scanSpeed);
     
-    // Update UI
-    const speedEl = this.ui.querySelector('#sanctuary-speed');
-    if (speedEl) speedEl.textContent = speeds[nextIndex].name;
+    // Save for switch control everywhere in the game
+    this.gameEngine.stateManager?.updateSettings('inputSettings.switch.scanSpeed', this.scanSpeed);
     
-    // Restart scanning with new speed if active
-    if (this.isScanning) {
-      this.stopScanning();
-      setTimeout(() => this.startScanning(), 100);
-    }
+    this.updateSwitchUI();
     
     if (this.gameEngine.accessibilityManager) {
       this.gameEngine.accessibilityManager.announce(`Scan speed changed to ${speeds[nextIndex].name}`);
     }
   }
 
+  /**
+   * Move to the next scanning mode
+   */
+  cycleScanMode() {
+    const modes = SwitchScanner.MODES;
+    this.scanMode = modes[(modes.indexOf(this.scanMode) + 1) % modes.length];
+    this.scanner.setMode(this.scanMode);
+    
+    // Save for switch control everywhere in the game
+    this.gameEngine.stateManager?.updateSettings('inputSettings.switch.scanMode', this.scanMode);
+    
+    this.updateSwitchUI();
+    
+    if (this.gameEngine.accessibilityManager) {
+      this.gameEngine.accessibilityManager.announce(`${this.getScanModeName()}. ${this.getScanModeHelp()}`);
+    }
+  }
+
+  /**
+   * Get the display name of the current scanning mode
+   */
+  getScanModeName() {
+    const names = {
+      auto: 'Automatic scanning',
+      step: 'Step scanning',
+      inverse: 'Hold to scan',
+      'critical-overscan': 'Fast then slow scanning'
+    };
+    
+    return names[this.scanMode] || this.scanMode;
+  }
+
+  /**
+   * Describe how to use the current scanning mode
+   */
+  getScanModeHelp() {
+    switch (this.scanMode) {
+      case 'step':
+        return 'Press the right arrow or your next switch to move, and Space or your select switch to choose.';
+      case 'inverse':
+        return 'Hold your switch to move the highlight, and let go to choose.';
+      case 'critical-overscan':
+        return 'Press once to slow the highlight down, then again to choose.';
+      default:
+        return 'Press your switch to select the highlighted item.';
+    }
+  }
+
+  /**
+   * Show the current scan speed, mode and mode instructions
+   */
+  updateSwitchUI() {
+    if (!this.ui) return;
+    
+    const speedNames = { 3000: 'Slow', 2000: 'Medium', 1000: 'Fast' };
+    const speedEl = this.ui.querySelector('#sanctuary-speed');
+    if (speedEl) speedEl.textContent = speedNames[this.scanSpeed] || `${this.scanSpeed} ms`;
+    
+    const modeEl = this.ui.querySelector('#sanctuary-mode');
+    if (modeEl) modeEl.textContent = this.getScanModeName();
+    
+    const helpItems = {
+      auto: [['Press', 'Select highlighted item']],
+      step: [['Next switch (→)', 'Move to the next item'], ['Select switch (Space)', 'Select highlighted item']],
+      inverse: [['Hold', 'Move the highlight'], ['Let go', 'Select highlighted item']],
+      'critical-overscan': [['First press', 'Slow down and go back'], ['Second press', 'Select highlighted item']]
+    };
+    
+    const helpEl = this.ui.querySelector('#sanctuary-switch-help');
+    if (helpEl) {
+      helpEl.innerHTML = (helpItems[this.scanMode] || helpItems.auto)
+        .map(([control, effect]) => `<li><strong>${control}</strong> - ${effect}</li>`)
+        .join('');
+    }
+  }
+
   /**
    * Update UI elements
    */
@@ -882,6 +1036,11 @@ export default class SwitchSanctuary {
     this.currentScanIndex = 0;
     this.isScanning = false;
     
+    // Follow the player's current switch settings, and keep switch control's own
+    // page scanner out of the way while the sanctuary scans its items
+    this.loadSwitchSettings();
+    this.getSwitchInput()?.suspendScanning();
+    
     this.updateUI();
     
     // Resize canvas
@@ -893,7 +1052,7 @@ export default class SwitchSanctuary {
     
     // Play background music
     if (this.gameEngine.audioManager) {
-      this.gameEngine.audioManager.playMusic('sanctuary', { loop: true, fadeIn: 2 });
+      this.gameEngine.audioManager.playMusic(this.gameEngine.sceneManager.getSceneMusic(this.name), { loop: true, fadeIn: 2 });
     }
     
     // Announce scene
@@ -931,7 +1090,7 @@ export default class SwitchSanctuary {
    */
   handleInput(inputData) {
     if (inputData.action === 'select') {
-      this.handleSwitchPress();
+      this.tapSwitch('select');
     }
   }
 
@@ -943,6 +1102,7 @@ export default class SwitchSanctuary {
     
     // Stop scanning
     this.stopScanning();
+    this.getSwitchInput()?.resumeScanning();
     
     if (this.ui) {
       this.ui.style.display = 'none';
@@ -1014,7 +1174,10 @@ export default class SwitchSanctuary {
     this.stopScanning();
     
     // Remove event listeners
-    document.removeEventListener('keydown', this.handleSwitchPress);
+    document.removeEventListener('keydown', this.keyDownHandler);
+    document.removeEventListener('keyup', this.keyUpHandler);
+    this.getSwitchInput()?.off('switchPress', this.switchPressHandler);
+    this.gameEngine.inputManager?.off('input', this.inputHandler);
     
     if (this.ui && this.ui.parentNode) {
       this.ui.parentNode.removeChild(this.ui);
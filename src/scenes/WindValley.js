@@ -45,6 +45,13 @@ export default class WindValley {
     this.ui = null;
     this.canvas = null;
     this.animationTime = 0;
+    
+    // Breath subscriptions, kept so they can be removed, and scoring throttle
+    this.unsubscribeBreathAxis = null;
+    this.breathController = null;
+    this.blowStartHandler = null;
+    this.puffHandler = null;
+    this.lastBreathScoreTime = 0;
   }
 
   /**
@@ -493,63 +500,86 @@ export default class WindValley {
   }
 
   /**
-   * Set up voice command integration
+   * Set up voice command integration; the commands are only listened for while the scene is active
    */
   setupVoiceCommands() {
-    if (this.gameEngine.inputManager.inputMethods.has('voice')) {
-      const voiceRecognition = this.gameEngine.inputManager.inputMethods.get('voice').instance;
-      
+    this.voiceCommands = [
       // Basic wind commands
-      voiceRecognition.registerCommand(['wind', 'blow', 'create wind', 'make wind'], () => {
-        this.createWind(0.7);
-        this.addCombo();
-      });
-      
-      voiceRecognition.registerCommand(['gentle', 'soft', 'light breeze', 'whisper'], () => {
-        this.createWind(0.3);
-        this.addCombo();
-      });
-      
-      voiceRecognition.registerCommand(['strong', 'powerful', 'heavy wind', 'storm'], () => {
-        this.createWind(0.9);
-        this.addCombo();
-      });
-      
-      voiceRecognition.registerCommand(['calm', 'stop wind', 'no wind', 'still'], () => {
-        this.createWind(0);
-        this.resetCombo();
-      });
+      {
+        phrases: ['wind', 'blow', 'create wind', 'make wind'],
+        description: 'Wind',
+        callback: () => {
+          this.createWind(0.7);
+          this.addCombo();
+        }
+      },
+      {
+        phrases: ['gentle', 'soft', 'light breeze', 'whisper'],
+        description: 'Gentle wind',
+        callback: () => {
+          this.createWind(0.3);
+          this.addCombo();
+        }
+      },
+      {
+        phrases: ['strong', 'powerful', 'heavy wind', 'storm'],
+        description: 'Strong wind',
+        callback: () => {
+          this.createWind(0.9);
+          this.addCombo();
+        }
+      },
+      {
+        phrases: ['calm', 'stop wind', 'no wind', 'still'],
+        description: 'Calm',
+        callback: () => {
+          this.createWind(0);
+          this.resetCombo();
+        }
+      },
       
       // Directional commands
-      voiceRecognition.registerCommand(['left', 'turn left', 'wind left'], () => {
-        this.windDirection -= 45;
-        this.createWind(this.windIntensity, this.windDirection);
-        this.addCombo();
-      });
-      
-      voiceRecognition.registerCommand(['right', 'turn right', 'wind right'], () => {
-        this.windDirection += 45;
-        this.createWind(this.windIntensity, this.windDirection);
-        this.addCombo();
-      });
+      {
+        phrases: ['left', 'turn left', 'wind left'],
+        description: 'Turn left',
+        callback: () => {
+          this.windDirection -= 45;
+          this.createWind(this.windIntensity, this.windDirection);
+          this.addCombo();
+        }
+      },
+      {
+        phrases: ['right', 'turn right', 'wind right'],
+        description: 'Turn right',
+        callback: () => {
+          this.windDirection += 45;
+          this.createWind(this.windIntensity, this.windDirection);
+          this.addCombo();
+        }
+      },
       
       // Special abilities
-      voiceRecognition.registerCommand(['tornado', 'cyclone', 'spin', 'twister'], () => {
-        this.useAbility('tornado');
-      });
-      
-      voiceRecognition.registerCommand(['gust', 'burst', 'quick wind'], () => {
-        this.useAbility('gust');
-      });
-      
-      voiceRecognition.registerCommand(['help birds', 'lift birds', 'updraft'], () => {
-        this.createUpdraft();
-      });
-      
-      voiceRecognition.registerCommand(['guide seeds', 'move seeds', 'seed wind'], () => {
-        this.guideSeedsToFlowers();
-      });
-    }
+      {
+        phrases: ['tornado', 'cyclone', 'spin', 'twister'],
+        description: 'Tornado',
+        callback: () => this.useAbility('tornado')
+      },
+      {
+        phrases: ['gust', 'burst', 'quick wind'],
+        description: 'Gust',
+        callback: () => this.useAbility('gust')
+      },
+      {
+        phrases: ['help birds', 'lift birds', 'updraft'],
+        description: 'Help birds',
+        callback: () => this.createUpdraft()
+      },
+      {
+        phrases: ['guide seeds', 'move seeds', 'seed wind'],
+        description: 'Guide seeds',
+        callback: () => this.guideSeedsToFlowers()
+      }
+    ];
   }
 
   /**
@@ -557,17 +587,51 @@ export default class WindValley {
    */
   setupBreathControl() {
     if (this.gameEngine.inputManager.inputMethods.has('breath')) {
-      const breathController = this.gameEngine.inputManager.inputMethods.get('breath').instance;
+      this.breathController = this.gameEngine.inputManager.inputMethods.get('breath').instance;
       
-      breathController.on('exhale', (data) => {
-        this.createWind(data.level);
-        this.addCombo();
+      // Wind follows breath strength continuously
+      this.unsubscribeBreathAxis = this.gameEngine.inputManager.onAxis('breath', (value) => {
+        if (this.isActive) {
+          this.setBreathWind(value);
+        }
       });
       
-      breathController.on('inhale', (data) => {
-        this.createWind(data.level * 0.3); // Gentle wind on inhale
+      this.blowStartHandler = (data) => {
+        if (!this.isActive) return;
+        
         this.addCombo();
-      });
+        if (this.gameEngine.audioManager) {
+          this.gameEngine.audioManager.playSFX('wind', { volume: Math.max(0.1, data.strength) * 0.3 });
+        }
+      };
+      this.breathController.on('blowStart', this.blowStartHandler);
+      
+      // A quick double puff sends a gust
+      this.puffHandler = (data) => {
+        if (this.isActive && data.count === 2) {
+          this.useAbility('gust');
+        }
+      };
+      this.breathController.on('puff', this.puffHandler);
+    }
+  }
+
+  /**
+   * Set the wind from the breath axis without the per-event effects of createWind
+   */
+  setBreathWind(strength) {
+    this.windIntensity = Math.max(0, Math.min(1, strength));
+    
+    this.updateWindPower();
+    this.animateWindmill();
+    this.animateClouds();
+    this.animateFlowers();
+    
+    // Holding the target strength scores steadily rather than per axis update
+    const now = Date.now();
+    if (now - this.lastBreathScoreTime >= 500) {
+      this.lastBreathScoreTime = now;
+      this.updateScore();
     }
   }
 
@@ -1051,9 +1115,12 @@ export default class WindValley {
     // Start game loop
     this.startGameLoop();
     
+    // Listen for this scene's voice commands
+    this.gameEngine.inputManager.pushVoiceVocabulary('windValley', this.voiceCommands, { label: 'Wind Valley' });
+    
     // Play background music
     if (this.gameEngine.audioManager) {
-      this.gameEngine.audioManager.playMusic('wind_valley', { loop: true, fadeIn: 1 });
+      this.gameEngine.audioManager.playMusic(this.gameEngine.sceneManager.getSceneMusic(this.name), { loop: true, fadeIn: 1 });
     }
     
     // Announce scene
@@ -1171,6 +1238,8 @@ export default class WindValley {
       this.gameEngine.audioManager.stopMusic(0.5);
     }
     
+    this.gameEngine.inputManager.popVoiceVocabulary('windValley');
+    
     console.log('🌬️ Wind Valley scene deactivated');
   }
 
@@ -1346,13 +1415,13 @@ export default class WindValley {
         this.returnToMenu();
         break;
       case 'wind':
-        this.createWind(0.7);
+        this.createWind(data.params?.intensity || 0.7);
         break;
     }
   }
 
   handleClick(data) {}
-  handleMove(data) {}
+  handleMove(data) { this.handleInput(data); }
   pause() { this.isActive = false; }
   resume() { this.isActive = true; }
 
@@ -1360,6 +1429,17 @@ export default class WindValley {
    * Destroy scene
    */
   destroy() {
+    if (this.unsubscribeBreathAxis) {
+      this.unsubscribeBreathAxis();
+      this.unsubscribeBreathAxis = null;
+    }
+    
+    if (this.breathController) {
+      this.breathController.off('blowStart', this.blowStartHandler);
+      this.breathController.off('puff', this.puffHandler);
+      this.breathController = null;
+    }
+    
     if (this.ui && this.ui.parentNode) {
       this.ui.parentNode.removeChild(this.ui);
     }
@@ -704,6 +704,7 @@ export class AccessibilityManager {
       Enter/Space - Activate buttons
       Arrow keys - Navigate game elements
       Escape - Go back or close dialogs
+      Shift+Escape - Turn off the eye tracking camera
       F1 - Show this help
       1 - Show hint
       2 - Pause game
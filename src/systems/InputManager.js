@@ -3,13 +3,17 @@
  * Handles multiple input methods and adaptive switching
  */
 
-// import { EyeTracker } from '../components/input/EyeTracker.js'; // Disabled to prevent camera requests
+import { EyeTracker } from '../components/input/EyeTracker.js';
 import { VoiceRecognition } from '../components/input/VoiceRecognition.js';
 import { BreathController } from '../components/input/BreathController.js';
 import { DeviceOrientation } from '../components/input/DeviceOrientation.js';
 import { SwitchInput } from '../components/input/SwitchInput.js';
 import { KeyboardInput } from '../components/input/KeyboardInput.js';
+import { SipPuffInput } from '../components/input/SipPuffInput.js';
+import { GamepadInput } from '../components/input/GamepadInput.js';
 import { AdaptiveInputAI } from '../utils/AdaptiveInputAI.js';
+import { InputActionNormalizer } from '../utils/InputActionNormalizer.js';
+import { ActionBindings } from '../utils/ActionBindings.js';
 
 export class InputManager {
   constructor() {
@@ -20,11 +24,18 @@ export class InputManager {
     
     this.inputHistory = [];
     this.calibrationData = {};
-    this.adaptiveAI = new AdaptiveInputAI();
+    this.adaptiveAI = new AdaptiveInputAI({
+      describeMethod: (method) => this.getInputMethodDisplayName(method)
+    });
+    this.actionNormalizer = new InputActionNormalizer();
+    this.bindings = new ActionBindings();
     
     this.eventListeners = new Map();
     this.inputEvents = [];
     
+    // Latest value of each analog axis: axis name -> { value, method, timestamp }
+    this.axisValues = new Map();
+    
     this.isInitialized = false;
     this.gameEngine = null;
     
@@ -32,11 +43,21 @@ export class InputManager {
     this.config = {
       maxInputHistory: 1000,
       adaptiveUpdateInterval: 5000, // ms
+      adaptiveSaveInterval: 60000, // ms
       inputSwitchCooldown: 2000, // ms
+      adaptivePromptTimeout: 30000, // ms before an unanswered prompt counts as "not now"
+      maxAdaptiveUndo: 10,
       enableAnalytics: import.meta.env.VITE_ENABLE_ANALYTICS === 'true'
     };
     
     this.lastInputSwitch = 0;
+    this.lastAdaptiveProfileSave = 0;
+    
+    // Applied adaptive changes, newest last: { recommendation, description, undo }
+    this.adaptiveUndoStack = [];
+    
+    // Recommendations already logged as skipped because no prompt could be shown
+    this.skippedRecommendations = new Set();
   }
 
   /**
@@ -51,6 +72,13 @@ export class InputManager {
       // Initialize input methods
       await this.initializeInputMethods();
       
+      // Load the player's action bindings and apply them to every method
+      this.loadBindings();
+      
+      // Restore what the adaptive AI learned about this player
+      this.loadAdaptiveProfile();
+      this.registerVoiceCommand(['undo that', 'change it back'], () => this.undoLastAdaptation());
+      
       // Set up adaptive AI
       this.setupAdaptiveAI();
       
@@ -76,10 +104,12 @@ export class InputManager {
     const inputClasses = [
       { name: 'keyboard', class: KeyboardInput, priority: 1 },
       { name: 'switch', class: SwitchInput, priority: 2 },
-      // { name: 'eyeTracking', class: EyeTracker, priority: 3 }, // Disabled by default to prevent camera requests
+      { name: 'eyeTracking', class: EyeTracker, priority: 3 }, // Camera starts only after the player consents
       { name: 'voice', class: VoiceRecognition, priority: 4 },
       { name: 'breath', class: BreathController, priority: 5 },
-      { name: 'orientation', class: DeviceOrientation, priority: 6 }
+      { name: 'orientation', class: DeviceOrientation, priority: 6 },
+      { name: 'sipPuff', class: SipPuffInput, priority: 7 },
+      { name: 'gamepad', class: GamepadInput, priority: 8 }
     ];
 
     for (const { name, class: InputClass, priority } of inputClasses) {
@@ -113,6 +143,164 @@ export class InputManager {
     }
   }
 
+  /**
+   * Load saved action bindings from user settings
+   */
+  loadBindings() {
+    const savedBindings = this.gameEngine.stateManager.getStateValue('settings.inputBindings');
+    this.bindings.load(savedBindings);
+    this.applyBindings();
+  }
+
+  /**
+   * Push the current bindings to each input method that supports them
+   */
+  applyBindings() {
+    const bindingSources = {
+      keyboard: 'keyboard',
+      voice: 'voice',
+      switch: 'switch',
+      gamepad: 'gamepad',
+      breath: 'breath',
+      orientation: 'tilt',
+      sipPuff: 'sipPuff'
+    };
+    
+    Object.entries(bindingSources).forEach(([methodName, source]) => {
+      const method = this.inputMethods.get(methodName);
+      if (method && method.instance.applyBindings) {
+        try {
+          method.instance.applyBindings(this.bindings.resolve(source));
+        } catch (error) {
+          console.warn(`Failed to apply ${source} bindings:`, error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Persist the current bindings to user settings
+   */
+  saveBindings() {
+    this.gameEngine.stateManager.updateSettings('inputBindings', this.bindings.toJSON());
+  }
+
+  /**
+   * Get the action bindings
+   */
+  getBindings() {
+    return this.bindings;
+  }
+
+  /**
+   * Bind an input token to a game action, then apply and save
+   */
+  setBinding(source, token, actionId) {
+    const previous = this.bindings.bind(source, token, actionId);
+    this.applyBindings();
+    this.saveBindings();
+    return previous;
+  }
+
+  /**
+   * Remove a binding, then apply and save
+   */
+  removeBinding(source, token) {
+    const removed = this.bindings.unbind(source, token);
+    if (removed) {
+      this.applyBindings();
+      this.saveBindings();
+    }
+    return removed;
+  }
+
+  /**
+   * Reset bindings to defaults, then apply and save
+   */
+  resetBindings(source = null) {
+    this.bindings.reset(source);
+    this.applyBindings();
+    this.saveBindings();
+  }
+
+  /**
+   * Register temporary voice phrases, e.g. for an open dialog
+   */
+  registerVoiceCommand(phrases, callback) {
+    const voice = this.inputMethods.get('voice');
+    if (voice) {
+      voice.instance.registerCommand(phrases, callback);
+    }
+  }
+
+  /**
+   * Make a scene's or dialog's voice commands available until popVoiceVocabulary(id)
+   * Commands are { phrases, callback, description, slots }; see VoiceRecognition.pushVocabulary
+   */
+  pushVoiceVocabulary(id, commands, options = {}) {
+    const voice = this.inputMethods.get('voice');
+    if (voice) {
+      voice.instance.pushVocabulary(id, commands, options);
+    }
+  }
+
+  /**
+   * Remove voice commands added with pushVoiceVocabulary
+   */
+  popVoiceVocabulary(id) {
+    const voice = this.inputMethods.get('voice');
+    if (voice) {
+      voice.instance.popVocabulary(id);
+    }
+  }
+
+  /**
+   * Where eye tracking is accurate, so scenes can keep targets out of weak regions
+   * Null unless eye tracking is in use and has been checked
+   */
+  getGazeAccuracyMap() {
+    const eyeTracking = this.inputMethods.get('eyeTracking');
+    if (!eyeTracking?.isActive) {
+      return null;
+    }
+    
+    return eyeTracking.instance.getAccuracyMap();
+  }
+
+  /**
+   * Teach voice commands the active player's pronunciations
+   */
+  requestVoiceEnrollment() {
+    const voice = this.inputMethods.get('voice');
+    if (!voice) {
+      return false;
+    }
+    
+    voice.instance.startEnrollment();
+    return true;
+  }
+
+  /**
+   * Remove temporary voice phrases, restoring any bindings they shadowed
+   */
+  unregisterVoiceCommand(phrases) {
+    const voice = this.inputMethods.get('voice');
+    if (voice) {
+      voice.instance.unregisterCommand(phrases);
+      this.applyBindings();
+    }
+  }
+
+  /**
+   * Ask switch scanning to pick up elements that appeared or disappeared
+   */
+  refreshScanElements() {
+    const switchInput = this.inputMethods.get('switch');
+    if (switchInput) {
+      switchInput.instance.updateScanElements();
+    }
+  }
+
   /**
    * Set up adaptive AI system
    */
@@ -127,10 +315,57 @@ export class InputManager {
         );
         
         this.handleAdaptiveRecommendations(recommendations);
+        
+        // Persist learning at most once a minute
+        if (Date.now() - this.lastAdaptiveProfileSave > this.config.adaptiveSaveInterval) {
+          this.saveAdaptiveProfile();
+        }
       }
     }, this.config.adaptiveUpdateInterval);
   }
 
+  /**
+   * Reload per-player settings (calibrations, timings) into every input method
+   */
+  loadMethodSettings() {
+    this.inputMethods.forEach(({ instance }, methodName) => {
+      if (instance.loadUserSettings) {
+        try {
+          instance.loadUserSettings();
+        } catch (error) {
+          console.warn(`Failed to load ${methodName} settings:`, error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Restore the active player's learned profile
+   */
+  loadAdaptiveProfile() {
+    const savedProfile = this.gameEngine.stateManager.getStateValue('adaptiveProfile');
+    if (this.adaptiveAI.loadProfile(savedProfile)) {
+      console.log('🤖 Adaptive profile restored');
+    }
+  }
+
+  /**
+   * Save the adaptive AI's learned profile to the active player's state
+   */
+  saveAdaptiveProfile() {
+    this.gameEngine.stateManager.updateState('adaptiveProfile', this.adaptiveAI.serializeProfile());
+    this.lastAdaptiveProfileSave = Date.now();
+  }
+
+  /**
+   * Forget what the adaptive AI learned about the active player
+   */
+  resetAdaptiveProfile() {
+    this.adaptiveAI.resetProfile();
+    this.gameEngine.stateManager.updateState('adaptiveProfile', null);
+    this.lastAdaptiveProfileSave = Date.now();
+  }
+
   /**
    * Set up event handling for input methods
    */
@@ -141,10 +376,47 @@ export class InputManager {
       
       // Register common events
       instance.on('input', (data) => this.handleInputEvent(methodName, 'input', data));
+      instance.on('command', (data) => this.handleInputEvent(methodName, 'command', data));
       instance.on('error', (error) => this.handleInputError(methodName, error));
       instance.on('calibrationComplete', (data) => this.handleCalibrationComplete(methodName, data));
       instance.on('calibrationNeeded', () => this.handleCalibrationNeeded(methodName));
     });
+    
+    // Turning the camera off, from its indicator or by withdrawing consent, ends eye tracking
+    const eyeTracking = this.inputMethods.get('eyeTracking');
+    if (eyeTracking) {
+      eyeTracking.instance.on('cameraStopped', () => this.handleCameraStopped());
+      
+      // Scenes can react to where the player's eyes settle and jump
+      ['fixationStart', 'fixationEnd', 'saccade'].forEach(eventType => {
+        eyeTracking.instance.on(eventType, (data) => this.emit(eventType, data));
+      });
+    }
+    
+    // Breath detection gets stricter while voice control hears someone speaking
+    const voice = this.inputMethods.get('voice');
+    const breath = this.inputMethods.get('breath');
+    if (voice && breath) {
+      voice.instance.on('speechActivity', ({ active }) => breath.instance.setSpeechActive(active));
+    }
+    
+    // Each player profile has its own bindings and learned profile
+    this.gameEngine.stateManager.addEventListener('profileChanging', () => {
+      this.saveAdaptiveProfile();
+    });
+    this.gameEngine.stateManager.addEventListener('profileChanged', () => {
+      this.skippedRecommendations.clear();
+      this.loadBindings();
+      this.loadAdaptiveProfile();
+      this.loadMethodSettings();
+    });
+    this.gameEngine.stateManager.addEventListener('profileImported', ({ profile }) => {
+      if (profile.id === this.gameEngine.stateManager.activeProfileId) {
+        this.loadBindings();
+        this.loadAdaptiveProfile();
+        this.loadMethodSettings();
+      }
+    });
   }
 
   /**
@@ -155,8 +427,10 @@ export class InputManager {
     const preferredInput = this.gameEngine.stateManager.getStateValue('settings.inputMethod');
     
     if (preferredInput && preferredInput !== 'auto' && this.inputMethods.has(preferredInput)) {
-      await this.setActiveInput(preferredInput);
-      return;
+      // A method that can no longer start (e.g. camera consent withdrawn) falls back to auto-detection
+      if (await this.setActiveInput(preferredInput)) {
+        return;
+      }
     }
     
     // Auto-detect based on availability and user capabilities
@@ -211,6 +485,19 @@ export class InputManager {
       return false;
     }
     
+    // Methods that need the player's permission first (eye tracking's camera) are only
+    // switched to from the input method dialog, where it is asked for
+    const newInstance = this.inputMethods.get(methodName).instance;
+    if (newInstance.needsConsent?.()) {
+      console.warn(`${methodName} needs the player's consent before it can be used`);
+      this.gameEngine.accessibilityManager.announce(
+        `${this.getInputMethodDisplayName(methodName)} needs your permission first. Choose it in the input method menu to allow it.`
+      );
+      return false;
+    }
+    
+    const previousInput = this.primaryInput;
+    
     try {
       // Deactivate current primary input
       if (this.primaryInput) {
@@ -250,10 +537,34 @@ export class InputManager {
       
     } catch (error) {
       console.error(`Failed to set active input to ${methodName}:`, error);
+      await this.restoreInput(previousInput, methodName);
       return false;
     }
   }
 
+  /**
+   * Reactivate the previous primary input after switching away from it failed
+   */
+  async restoreInput(previousInput, failedInput) {
+    if (!previousInput || previousInput === failedInput || this.primaryInput !== previousInput) {
+      return;
+    }
+    
+    const previousMethod = this.inputMethods.get(previousInput);
+    if (previousMethod.isActive) {
+      return;
+    }
+    
+    try {
+      await previousMethod.instance.activate();
+      previousMethod.isActive = true;
+      this.activeInputs.add(previousInput);
+      console.log(`🎮 Kept ${previousInput} as the primary input`);
+    } catch (error) {
+      console.error(`Failed to restore ${previousInput}:`, error);
+    }
+  }
+
   /**
    * Enable additional input method as secondary
    */
@@ -338,18 +649,33 @@ export class InputManager {
   handleInputEvent(methodName, eventType, data) {
     const timestamp = Date.now();
     
-    // Record input event
-    const inputEvent = {
-      method: methodName,
-      type: eventType,
-      data,
-      timestamp,
-      accuracy: data.accuracy || 1.0,
-      confidence: data.confidence || 1.0
-    };
+    // Convert the method-specific payload into a canonical action
+    const inputEvent = this.actionNormalizer.normalize(methodName, eventType, data);
+    if (!inputEvent) {
+      return;
+    }
+    
+    const validationErrors = this.actionNormalizer.validate(inputEvent);
+    if (validationErrors.length > 0) {
+      console.warn(`Discarding invalid ${methodName} input:`, validationErrors.join(', '), data);
+      return;
+    }
+    
+    // An open adaptive prompt takes every input so the game does not move behind it
+    if (this.gameEngine.uiManager?.hasAdaptivePrompt()) {
+      this.handleAdaptivePromptInput(inputEvent);
+      return;
+    }
     
     this.inputEvents.push(inputEvent);
-    this.inputHistory.push(inputEvent);
+    
+    // Analog axes stream continuously; they are published to subscribers instead of kept in history
+    if (inputEvent.action === 'axis') {
+      this.axisValues.set(inputEvent.axis, { value: inputEvent.value, method: methodName, timestamp });
+      this.emit('axis', inputEvent);
+    } else {
+      this.inputHistory.push(inputEvent);
+    }
     
     // Maintain history size
     if (this.inputHistory.length > this.config.maxInputHistory) {
@@ -370,9 +696,18 @@ export class InputManager {
     // Emit event to game engine
     this.emit('input', inputEvent);
     
-    // Record performance data
-    if (data.responseTime) {
-      this.gameEngine.stateManager.recordPerformance('inputLatency', data.responseTime);
+    // Cancelling straight after a dwell click means the click was probably unintended
+    if (inputEvent.action === 'cancel') {
+      this.inputMethods.get('eyeTracking')?.instance.markFalseActivation(timestamp);
+    }
+    
+    // Add the input to the session's statistics for progress reports; continuous axis values are left out
+    if (inputEvent.action !== 'axis') {
+      this.gameEngine.stateManager.recordInput({
+        method: methodName,
+        accuracy: inputEvent.accuracy,
+        responseTime: inputEvent.responseTime
+      }, timestamp);
     }
   }
 
@@ -409,6 +744,7 @@ export class InputManager {
     if (method) {
       method.isCalibrated = true;
       this.calibrationData[methodName] = calibrationData;
+      this.gameEngine.stateManager.recordCalibration(methodName, calibrationData);
       
       console.log(`✅ Calibration completed for ${methodName}`);
       
@@ -435,24 +771,333 @@ export class InputManager {
   }
 
   /**
-   * Handle adaptive AI recommendations
+   * Leave eye tracking once its camera has been turned off
+   */
+  async handleCameraStopped() {
+    const eyeTracking = this.inputMethods.get('eyeTracking');
+    if (!eyeTracking?.isActive) {
+      return;
+    }
+    
+    // The player must never be left without a way to play, so skip the switch cooldown
+    // and fall back to the most reliable other method
+    this.lastInputSwitch = 0;
+    this.setupFallbackInputs();
+    await this.disableInput('eyeTracking');
+  }
+
+  /**
+   * Handle adaptive AI recommendations according to the player's adaptive policy
    */
   handleAdaptiveRecommendations(recommendations) {
+    const policy = this.gameEngine.stateManager.getStateValue('settings.adaptivePolicy') || 'ask';
+    
     for (const recommendation of recommendations) {
-      switch (recommendation.type) {
-        case 'switch_input':
-          this.considerInputSwitch('adaptive_recommendation', recommendation.data);
+      switch (policy) {
+        case 'auto':
+          this.applyRecommendation(recommendation, { showUndo: true });
           break;
-        case 'adjust_timing':
-          this.adjustInputTiming(recommendation.data);
+        case 'log':
+          this.logRecommendation(recommendation, 'logged');
           break;
-        case 'recalibrate':
-          this.requestRecalibration(recommendation.data.method);
+        default:
+          this.askAboutRecommendation(recommendation);
           break;
       }
     }
   }
 
+  /**
+   * Describe the change a recommendation would make
+   */
+  describeRecommendation(recommendation) {
+    const data = recommendation.data || {};
+    const method = this.getInputMethodDisplayName(data.method);
+    
+    switch (recommendation.type) {
+      case 'switch_input':
+        return `Switch to ${this.getInputMethodDisplayName(data.to)}`;
+      case 'adjust_timing':
+        return data.adjustment === 'decrease_dwell_time'
+          ? `Make ${method} respond a little faster`
+          : `Give a little more time to choose with ${method}`;
+      case 'adjust_switch_timing':
+        if (data.setting === 'releaseTime') return 'Ignore your switch bouncing when you let go';
+        if (data.setting === 'postAcceptanceDelay') return 'Ignore accidental repeat presses of your switch';
+        return 'Make switch presses count sooner';
+      case 'recalibrate':
+        return `Calibrate ${method} again`;
+      case 'suggest_break':
+        return 'Take a short break';
+      default:
+        return recommendation.type.replace(/_/g, ' ');
+    }
+  }
+
+  /**
+   * Identify a recommendation by the change it suggests, not its amount, so repeats of it match
+   */
+  getRecommendationKey(recommendation) {
+    const { method, to, adjustment, setting } = recommendation.data || {};
+    return [recommendation.type, method, to, adjustment, setting].join(':');
+  }
+
+  /**
+   * Record what happened to a recommendation in the learned profile and history
+   */
+  logRecommendation(recommendation, status) {
+    this.adaptiveAI.recordAdaptation(recommendation, status);
+    this.gameEngine.stateManager.recordSessionEvent('adaptiveAdjustment', {
+      type: recommendation.type,
+      status,
+      explanation: recommendation.explanation || null,
+      evidence: recommendation.evidence || null,
+      data: recommendation.data
+    });
+  }
+
+  /**
+   * Ask first: show an accessible prompt that works with the current input method
+   */
+  askAboutRecommendation(recommendation) {
+    const uiManager = this.gameEngine.uiManager;
+    
+    // One question at a time; the AI will suggest again if it still applies, so the
+    // skip is only logged the first time rather than on every check, and a question
+    // never shown does not count toward the session's limit
+    const key = this.getRecommendationKey(recommendation);
+    if (!uiManager?.isInitialized || uiManager.hasAdaptivePrompt()) {
+      this.adaptiveAI.returnRecommendation();
+      if (!this.skippedRecommendations.has(key)) {
+        this.skippedRecommendations.add(key);
+        this.logRecommendation(recommendation, 'skipped');
+      }
+      return;
+    }
+    this.skippedRecommendations.delete(key);
+    
+    const description = this.describeRecommendation(recommendation);
+    const wasPaused = this.gameEngine.isPaused;
+    if (!wasPaused) {
+      this.gameEngine.pause();
+    }
+    
+    const finish = () => {
+      this.popVoiceVocabulary('adaptivePrompt');
+      if (!wasPaused) {
+        this.gameEngine.resume();
+      }
+    };
+    
+    const accept = () => {
+      finish();
+      this.lastInputSwitch = 0; // an approved switch should not wait for the cooldown
+      this.applyRecommendation(recommendation);
+    };
+    
+    const decline = () => {
+      finish();
+      this.logRecommendation(recommendation, 'declined');
+      this.gameEngine.accessibilityManager.announce('Okay, nothing was changed');
+    };
+    
+    uiManager.showAdaptivePrompt(`${description}?`, recommendation.explanation || '', [
+      { text: '✔️ Yes, change it', onSelect: accept },
+      { text: '✖️ No, keep it', onSelect: decline }
+    ], {
+      timeout: this.config.adaptivePromptTimeout,
+      onDismiss: () => {
+        finish();
+        this.logRecommendation(recommendation, 'ignored');
+      }
+    });
+    
+    this.pushVoiceVocabulary('adaptivePrompt', [
+      { phrases: ['yes'], callback: () => uiManager.adaptivePrompt?.buttons[0].click() },
+      { phrases: ['no'], callback: () => uiManager.adaptivePrompt?.buttons[1].click() }
+    ], { label: 'this question' });
+    this.refreshScanElements();
+    
+    this.gameEngine.accessibilityManager.announce(
+      `${description}? ${recommendation.explanation || ''}. Say yes or no, or choose an answer.`
+    );
+  }
+
+  /**
+   * Route canonical actions to the open adaptive prompt
+   */
+  handleAdaptivePromptInput(inputEvent) {
+    const uiManager = this.gameEngine.uiManager;
+    
+    switch (inputEvent.action) {
+      case 'move':
+        uiManager.moveAdaptivePromptSelection(['up', 'left'].includes(inputEvent.direction) ? -1 : 1);
+        break;
+      case 'select':
+        // Keyboard, switch and gaze already click the focused or looked-at button themselves
+        if (!['keyboard', 'switch'].includes(inputEvent.method) && !inputEvent.target) {
+          uiManager.activateAdaptivePromptSelection();
+        }
+        break;
+      case 'cancel':
+        uiManager.adaptivePrompt?.buttons[1]?.click();
+        break;
+      case 'command':
+        if (inputEvent.command === 'back') {
+          uiManager.adaptivePrompt?.buttons[1]?.click();
+        } else if (inputEvent.command === 'navigate') {
+          uiManager.moveAdaptivePromptSelection(inputEvent.params.shift ? -1 : 1);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Apply a recommendation and remember how to undo it
+   */
+  async applyRecommendation(recommendation, options = {}) {
+    const change = this.createAdaptiveChange(recommendation);
+    if (!change) {
+      this.logRecommendation(recommendation, 'unsupported');
+      return false;
+    }
+    
+    let applied = false;
+    try {
+      applied = await change.apply();
+    } catch (error) {
+      console.warn(`Failed to apply ${recommendation.type} recommendation:`, error);
+    }
+    
+    if (!applied) {
+      this.logRecommendation(recommendation, 'failed');
+      return false;
+    }
+    
+    const description = this.describeRecommendation(recommendation);
+    this.adaptiveUndoStack.push({ recommendation, description, undo: change.undo });
+    if (this.adaptiveUndoStack.length > this.config.maxAdaptiveUndo) {
+      this.adaptiveUndoStack.shift();
+    }
+    
+    this.logRecommendation(recommendation, 'applied');
+    console.log(`🤖 Applied adaptive change: ${description} (${recommendation.explanation})`);
+    
+    this.gameEngine.accessibilityManager.announce(
+      `${description}. ${recommendation.explanation || ''}. Say undo that to change it back.`
+    );
+    
+    if (options.showUndo && this.gameEngine.uiManager?.isInitialized) {
+      this.gameEngine.uiManager.showAdaptiveNotice(
+        `${description}: ${recommendation.explanation || ''}`,
+        () => this.undoLastAdaptation()
+      );
+    }
+    
+    return true;
+  }
+
+  /**
+   * Build apply/undo steps for a recommendation, capturing the current setting first
+   */
+  createAdaptiveChange(recommendation) {
+    const data = recommendation.data || {};
+    const stateManager = this.gameEngine.stateManager;
+    
+    switch (recommendation.type) {
+      case 'switch_input': {
+        const previousMethod = this.primaryInput;
+        return {
+          apply: () => this.setActiveInput(data.to),
+          undo: () => {
+            this.lastInputSwitch = 0;
+            return this.setActiveInput(previousMethod);
+          }
+        };
+      }
+      case 'adjust_timing': {
+        const method = this.inputMethods.get(data.method);
+        const previousDwellTime = method?.instance.config?.dwellTime;
+        return {
+          apply: () => this.adjustInputTiming(data),
+          undo: () => this.adjustInputTiming({ method: data.method, dwellTime: previousDwellTime })
+        };
+      }
+      case 'adjust_switch_timing': {
+        const settingPath = `inputSettings.switch.${data.setting}`;
+        const previousValue = stateManager.getStateValue(`settings.${settingPath}`) ?? 0;
+        return {
+          apply: () => {
+            stateManager.updateSettings(settingPath, data.value);
+            return true;
+          },
+          undo: () => {
+            stateManager.updateSettings(settingPath, previousValue);
+            return true;
+          }
+        };
+      }
+      case 'recalibrate': {
+        const previousSettings = stateManager.getStateValue(`settings.inputSettings.${data.method}`);
+        return {
+          apply: () => this.requestRecalibration(data.method),
+          undo: () => {
+            if (previousSettings) {
+              stateManager.updateSettings(`inputSettings.${data.method}`, previousSettings);
+            }
+            return true;
+          }
+        };
+      }
+      case 'suggest_break':
+        return {
+          apply: () => {
+            this.gameEngine.pause();
+            return true;
+          },
+          undo: () => {
+            this.gameEngine.resume();
+            return true;
+          }
+        };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Revert the most recent adaptive change
+   */
+  async undoLastAdaptation() {
+    const entry = this.adaptiveUndoStack.pop();
+    if (!entry) {
+      this.gameEngine.accessibilityManager.announce('There is no change to undo');
+      return false;
+    }
+    
+    try {
+      await entry.undo();
+    } catch (error) {
+      console.warn(`Failed to undo ${entry.recommendation.type}:`, error);
+      this.gameEngine.accessibilityManager.announce(`Could not undo: ${entry.description}`);
+      return false;
+    }
+    
+    this.gameEngine.uiManager?.closeAdaptiveNotice();
+    this.logRecommendation(entry.recommendation, 'undone');
+    this.gameEngine.accessibilityManager.announce(`Changed back: ${entry.description} was undone`);
+    console.log(`↩️ Undid adaptive change: ${entry.description}`);
+    
+    return true;
+  }
+
+  /**
+   * Check whether there is an adaptive change to undo
+   */
+  canUndoAdaptation() {
+    return this.adaptiveUndoStack.length > 0;
+  }
+
   /**
    * Consider switching input method
    */
@@ -465,25 +1110,18 @@ export class InputManager {
     }
     
     // Get recommendation from adaptive AI
-    const recommendation = this.adaptiveAI.getInputRecommendation(
+    const recommendations = this.adaptiveAI.analyze(
       this.inputHistory,
+      this.calibrationData,
       this.getCurrentContext()
     );
+    const recommendation = recommendations.find(rec => rec.type === 'switch_input' && rec.data.to !== this.primaryInput);
     
-    if (recommendation && recommendation.method !== this.primaryInput) {
-      console.log(`🤖 AI recommends switching to ${recommendation.method} (reason: ${reason})`);
+    if (recommendation) {
+      console.log(`🤖 AI recommends switching to ${recommendation.data.to} (reason: ${reason})`);
       
-      const success = await this.setActiveInput(recommendation.method);
-      if (success) {
-        // Record adaptive adjustment
-        this.gameEngine.stateManager.recordSessionEvent('adaptiveAdjustment', {
-          type: 'input_switch',
-          reason,
-          from: this.primaryInput,
-          to: recommendation.method,
-          confidence: recommendation.confidence
-        });
-      }
+      // Goes through the player's adaptive policy like any other recommendation
+      this.handleAdaptiveRecommendations([recommendation]);
     }
   }
 
@@ -492,18 +1130,21 @@ export class InputManager {
    */
   adjustInputTiming(adjustmentData) {
     const method = this.inputMethods.get(adjustmentData.method);
-    if (method && method.instance.adjustTiming) {
-      method.instance.adjustTiming(adjustmentData);
-      
-      console.log(`⏱️ Adjusted timing for ${adjustmentData.method}`);
-      
-      // Record adjustment
-      this.gameEngine.stateManager.recordSessionEvent('adaptiveAdjustment', {
-        type: 'timing_adjustment',
-        method: adjustmentData.method,
-        adjustment: adjustmentData
-      });
+    if (!method || !method.instance.adjustTiming) {
+      return false;
     }
+    
+    // Recommendations give a relative change; methods take the resulting dwell time
+    const timing = { ...adjustmentData };
+    const currentDwellTime = method.instance.config?.dwellTime;
+    if (timing.dwellTime === undefined && Number.isFinite(currentDwellTime) && timing.amount) {
+      const direction = timing.adjustment === 'decrease_dwell_time' ? -1 : 1;
+      timing.dwellTime = Math.round(currentDwellTime + direction * timing.amount);
+    }
+    
+    method.instance.adjustTiming(timing);
+    console.log(`⏱️ Adjusted timing for ${adjustmentData.method}`);
+    return true;
   }
 
   /**
@@ -511,10 +1152,13 @@ export class InputManager {
    */
   requestRecalibration(methodName) {
     const method = this.inputMethods.get(methodName);
-    if (method && method.instance.startCalibration) {
-      console.log(`🎯 Requesting recalibration for ${methodName}`);
-      method.instance.startCalibration();
+    if (!method || !method.instance.startCalibration) {
+      return false;
     }
+    
+    console.log(`🎯 Requesting recalibration for ${methodName}`);
+    method.instance.startCalibration();
+    return true;
   }
 
   /**
@@ -526,7 +1170,9 @@ export class InputManager {
       gameState: this.gameEngine.getState(),
       performance: this.gameEngine.getPerformanceMetrics(),
       userFatigue: this.estimateUserFatigue(),
-      timeOfDay: new Date().getHours()
+      timeOfDay: new Date().getHours(),
+      switchTiming: this.inputMethods.get('switch')?.instance.getTimingStats() || null,
+      dwellTiming: this.inputMethods.get('eyeTracking')?.instance.getDwellStats() || null
     };
   }
 
@@ -586,22 +1232,54 @@ export class InputManager {
    * Handle processed input event
    */
   handleProcessedInput(event) {
-    // Route to appropriate game systems based on event type
-    switch (event.type) {
-      case 'click':
+    // Route canonical actions to the current scene
+    switch (event.action) {
       case 'select':
-        this.gameEngine.sceneManager.handleClick(event.data);
+        this.gameEngine.sceneManager.handleClick(event);
         break;
       case 'move':
-      case 'gaze':
-        this.gameEngine.sceneManager.handleMove(event.data);
+        this.gameEngine.sceneManager.handleMove(event);
         break;
       case 'command':
-        this.gameEngine.sceneManager.handleCommand(event.data);
+        this.gameEngine.sceneManager.handleCommand(event);
+        break;
+      case 'axis':
+        this.gameEngine.sceneManager.handleAxis(event);
+        break;
+      case 'cancel':
+        this.gameEngine.sceneManager.handleCancel(event);
         break;
     }
   }
 
+  /**
+   * Subscribe to an analog axis such as 'breath'; returns a function that unsubscribes
+   */
+  onAxis(axisName, callback) {
+    const listener = (event) => {
+      if (event.axis === axisName) {
+        callback(event.value, event);
+      }
+    };
+    
+    this.on('axis', listener);
+    return () => this.off('axis', listener);
+  }
+
+  /**
+   * Get the latest value of an analog axis (0 if it has not reported yet)
+   */
+  getAxisValue(axisName) {
+    return this.axisValues.get(axisName)?.value ?? 0;
+  }
+
+  /**
+   * Register an action adapter for a custom input method
+   */
+  registerActionAdapter(methodName, adapter) {
+    this.actionNormalizer.registerAdapter(methodName, adapter);
+  }
+
   /**
    * Get active input methods
    */
@@ -626,7 +1304,7 @@ export class InputManager {
       capabilities[methodName] = {
         available: true,
         active: methodData.isActive,
-        calibrated: methodData.isCalibrated,
+        calibrated: methodData.isCalibrated || !!methodData.instance.isCalibrated,
         successRate: methodData.successRate,
         errorCount: methodData.errorCount,
         capabilities: methodData.instance.getCapabilities()
@@ -646,7 +1324,9 @@ export class InputManager {
       eyeTracking: 'Eye Tracking',
       voice: 'Voice Control',
       breath: 'Breath Control',
-      orientation: 'Head Movement'
+      orientation: 'Head Movement',
+      sipPuff: 'Sip and Puff',
+      gamepad: 'Gamepad'
     };
     
     return displayNames[methodName] || methodName;
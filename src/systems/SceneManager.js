@@ -3,10 +3,13 @@
  * Handles scene loading, transitions, and rendering
  */
 
+import { SceneRegistry } from './SceneRegistry.js';
+
 export class SceneManager {
   constructor() {
     this.currentScene = null;
     this.scenes = new Map();
+    this.registry = new SceneRegistry();
     this.isTransitioning = false;
     this.gameEngine = null;
     
@@ -21,6 +24,7 @@ export class SceneManager {
     
     this.sceneHistory = [];
     this.preloadedScenes = new Set();
+    this.sceneStartTime = null;
   }
 
   /**
@@ -45,23 +49,66 @@ export class SceneManager {
   }
 
   /**
-   * Register built-in game scenes
+   * Register built-in game scenes from the scene manifest
    */
   async registerBuiltInScenes() {
-    const sceneConfigs = [
-      { name: 'menu', module: () => import('../scenes/MenuScene.js') },
-      { name: 'simple_game', module: () => import('../scenes/SimpleGame.js') }
-    ];
-
-    for (const config of sceneConfigs) {
-      this.scenes.set(config.name, {
-        name: config.name,
-        module: config.module,
-        instance: null,
-        isLoaded: false,
-        lastUsed: 0
-      });
+    for (const definition of this.registry.getAll()) {
+      this.addSceneEntry(definition);
+    }
+  }
+
+  /**
+   * Create the runtime entry for a registered scene definition
+   */
+  addSceneEntry(definition) {
+    this.scenes.set(definition.name, {
+      name: definition.name,
+      module: definition.module,
+      instance: null,
+      isLoaded: false,
+      lastUsed: 0
+    });
+  }
+
+  /**
+   * Register a custom scene (e.g. a new realm) without editing the manifest
+   */
+  registerScene(definition) {
+    const registered = this.registry.register(definition);
+    this.addSceneEntry(registered);
+    
+    console.log(`🧩 Scene registered: ${registered.name}`);
+    this.emit('sceneRegistered', { scene: registered.name });
+    
+    return registered;
+  }
+
+  /**
+   * Unregister a scene, destroying its instance if it was loaded
+   */
+  unregisterScene(sceneName) {
+    if (!this.scenes.has(sceneName)) {
+      return false;
+    }
+    
+    if (this.currentScene?.name === sceneName) {
+      throw new Error(`Cannot unregister active scene '${sceneName}'`);
     }
+    
+    const sceneData = this.scenes.get(sceneName);
+    if (sceneData.instance && sceneData.instance.destroy) {
+      sceneData.instance.destroy();
+    }
+    
+    this.scenes.delete(sceneName);
+    this.preloadedScenes.delete(sceneName);
+    this.sceneHistory = this.sceneHistory.filter(name => name !== sceneName);
+    this.registry.unregister(sceneName);
+    
+    console.log(`🧩 Scene unregistered: ${sceneName}`);
+    this.emit('sceneUnregistered', { scene: sceneName });
+    
+    return true;
   }
 
   /**
@@ -210,12 +257,40 @@ export class SceneManager {
     // Complete transition effect
     await this.completeTransitionEffect(type, duration / 2);
     
+    // Record how the player did in the scene they are leaving
+    if (this.currentScene) {
+      this.recordSceneResult(this.currentScene);
+    }
+    this.sceneStartTime = Date.now();
+    
     // Deactivate old scene
     if (this.currentScene && this.currentScene.deactivate) {
       this.currentScene.deactivate();
     }
   }
 
+  /**
+   * Record the score of a game or realm scene the player is leaving
+   */
+  recordSceneResult(scene) {
+    const definition = this.registry.get(scene.name);
+    if (!definition || !['game', 'realm'].includes(definition.type)) return;
+    if (typeof scene.score !== 'number') return;
+    
+    const duration = this.sceneStartTime ? Date.now() - this.sceneStartTime : null;
+    
+    // Skip scenes the player only passed through
+    if (scene.score === 0 && duration !== null && duration < 5000) return;
+    
+    this.gameEngine.stateManager.recordHistory('scores', {
+      scene: scene.name,
+      score: scene.score,
+      level: typeof scene.level === 'number' ? scene.level : null,
+      duration,
+      inputMethod: this.gameEngine.inputManager?.getPrimaryInputMethod() || null
+    });
+  }
+
   /**
    * Start visual transition effect
    */
@@ -308,17 +383,8 @@ export class SceneManager {
    * Preload adjacent scenes
    */
   async preloadAdjacentScenes(currentSceneName) {
-    // Define scene adjacencies (which scenes are commonly accessed from each scene)
-    const adjacencies = {
-      menu: ['tutorial', 'crystal_caves'],
-      tutorial: ['crystal_caves', 'menu'],
-      crystal_caves: ['wind_valley', 'menu'],
-      wind_valley: ['motion_mountains', 'crystal_caves'],
-      motion_mountains: ['switch_sanctuary', 'wind_valley'],
-      switch_sanctuary: ['menu', 'motion_mountains']
-    };
-    
-    const adjacentScenes = adjacencies[currentSceneName] || [];
+    // Preload hints come from the scene manifest
+    const adjacentScenes = this.registry.getPreloadHints(currentSceneName);
     
     for (const sceneName of adjacentScenes) {
       if (!this.preloadedScenes.has(sceneName)) {
@@ -421,6 +487,23 @@ export class SceneManager {
     }
   }
 
+  handleAxis(data) {
+    if (this.currentScene && this.currentScene.handleAxis) {
+      this.currentScene.handleAxis(data);
+    }
+  }
+
+  handleCancel(data) {
+    if (!this.currentScene) return;
+    
+    // Scenes without a dedicated cancel handler receive it as a 'back' command
+    if (this.currentScene.handleCancel) {
+      this.currentScene.handleCancel(data);
+    } else if (this.currentScene.handleCommand) {
+      this.currentScene.handleCommand({ ...data, action: 'command', command: 'back' });
+    }
+  }
+
   /**
    * Get current scene
    */
@@ -442,6 +525,20 @@ export class SceneManager {
     return Array.from(this.scenes.keys());
   }
 
+  /**
+   * Get manifest definition for a scene
+   */
+  getSceneDefinition(sceneName) {
+    return this.registry.get(sceneName);
+  }
+
+  /**
+   * Get music key for a scene
+   */
+  getSceneMusic(sceneName) {
+    return this.registry.getMusicKey(sceneName);
+  }
+
   /**
    * Check if scene is loaded
    */
@@ -0,0 +1,299 @@
+/**
+ * Scene registry for GazeQuest Adventures
+ * Declarative manifest describing every scene: how it loads, which inputs it
+ * needs, when it unlocks, which music it plays and what to preload next
+ */
+
+export class SceneRegistry {
+  constructor() {
+    this.definitions = new Map();
+    this.eventListeners = new Map();
+
+    this.registerBuiltInScenes();
+  }
+
+  /**
+   * Register the scenes that ship with the game
+   */
+  registerBuiltInScenes() {
+    const manifest = [
+      {
+        name: 'menu',
+        type: 'menu',
+        title: 'Main Menu',
+        module: () => import('../scenes/MenuScene.js'),
+        music: 'menu',
+        preload: ['tutorial', 'crystal_caves']
+      },
+      {
+        name: 'tutorial',
+        type: 'tutorial',
+        title: 'Tutorial',
+        description: 'Learn how to play with your preferred input method',
+        module: () => import('../scenes/TutorialScene.js'),
+        music: null,
+        preload: ['crystal_caves', 'menu']
+      },
+      {
+        name: 'simple_game',
+        type: 'game',
+        title: 'Click & Score!',
+        icon: '🎯',
+        description: 'Click the colorful circles to score points - fun and easy for everyone!',
+        module: () => import('../scenes/SimpleGame.js'),
+        music: null,
+        preload: ['menu']
+      },
+      {
+        name: 'crystal_caves',
+        type: 'realm',
+        title: 'Crystal Caves',
+        icon: '🔮',
+        description: 'Mouse clicking adventure in mystical crystal caverns',
+        inputLabel: 'Mouse Clicking',
+        difficulty: 'Beginner',
+        module: () => import('../scenes/CrystalCaves.js'),
+        requiredInputs: ['keyboard', 'switch', 'eyeTracking'],
+        unlock: null,
+        music: 'crystal_caves',
+        preload: ['wind_valley', 'menu']
+      },
+      {
+        name: 'wind_valley',
+        type: 'realm',
+        title: 'Wind Valley',
+        icon: '🌬️',
+        description: 'Voice and breath controlled wind manipulation',
+        inputLabel: 'Voice/Breath',
+        difficulty: 'Intermediate',
+        module: () => import('../scenes/WindValley.js'),
+        requiredInputs: ['voice', 'breath'],
+        unlock: { level: 5 },
+        music: 'wind_valley',
+        preload: ['motion_mountains', 'crystal_caves']
+      },
+      {
+        name: 'motion_mountains',
+        type: 'realm',
+        title: 'Motion Mountains',
+        icon: '⛰️',
+        description: 'Device tilt platformer with physics challenges',
+        inputLabel: 'Device Tilt',
+        difficulty: 'Intermediate',
+        module: () => import('../scenes/MotionMountains.js'),
+        requiredInputs: ['orientation', 'keyboard'],
+        unlock: { level: 10 },
+        music: 'motion_mountains',
+        preload: ['switch_sanctuary', 'wind_valley']
+      },
+      {
+        name: 'switch_sanctuary',
+        type: 'realm',
+        title: 'Switch Sanctuary',
+        icon: '🔘',
+        description: 'Peaceful single-switch zen activities',
+        inputLabel: 'Single Switch',
+        difficulty: 'Relaxing',
+        module: () => import('../scenes/SwitchSanctuary.js'),
+        requiredInputs: ['switch'],
+        unlock: { level: 15 },
+        music: 'switch_sanctuary',
+        preload: ['menu', 'motion_mountains']
+      }
+    ];
+
+    manifest.forEach(definition => this.register({ ...definition, builtIn: true }));
+  }
+
+  /**
+   * Register a scene definition
+   */
+  register(definition) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name) {
+      throw new Error('Scene definition requires a name');
+    }
+
+    if (typeof definition.module !== 'function') {
+      throw new Error(`Scene '${definition.name}' requires a module loader function`);
+    }
+
+    if (this.definitions.has(definition.name)) {
+      throw new Error(`Scene '${definition.name}' is already registered`);
+    }
+
+    const normalized = {
+      name: definition.name,
+      type: definition.type || 'realm',
+      title: definition.title || definition.name.replace(/_/g, ' '),
+      icon: definition.icon || '',
+      description: definition.description || '',
+      inputLabel: definition.inputLabel || '',
+      difficulty: definition.difficulty || '',
+      module: definition.module,
+      requiredInputs: Array.isArray(definition.requiredInputs) ? [...definition.requiredInputs] : [],
+      unlock: definition.unlock || null,
+      music: definition.music !== undefined ? definition.music : definition.name,
+      preload: Array.isArray(definition.preload) ? [...definition.preload] : [],
+      builtIn: definition.builtIn === true
+    };
+
+    this.definitions.set(normalized.name, normalized);
+    this.emit('sceneRegistered', normalized);
+
+    return normalized;
+  }
+
+  /**
+   * Remove a scene definition
+   */
+  unregister(name) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      return false;
+    }
+
+    this.definitions.delete(name);
+    this.emit('sceneUnregistered', definition);
+
+    return true;
+  }
+
+  /**
+   * Check if a scene is registered
+   */
+  has(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * Get a scene definition
+   */
+  get(name) {
+    return this.definitions.get(name) || null;
+  }
+
+  /**
+   * Get all scene definitions
+   */
+  getAll() {
+    return Array.from(this.definitions.values());
+  }
+
+  /**
+   * Get all playable realms in registration order
+   */
+  getRealms() {
+    return this.getAll().filter(definition => definition.type === 'realm');
+  }
+
+  /**
+   * Check whether the scene's unlock rule is satisfied by the given state
+   */
+  meetsUnlockRule(name, state = {}) {
+    const definition = this.definitions.get(name);
+    if (!definition) return false;
+
+    const rule = definition.unlock;
+    if (!rule) return true;
+
+    if (typeof rule === 'function') {
+      try {
+        return !!rule(state);
+      } catch (error) {
+        console.warn(`Unlock rule for scene '${name}' failed:`, error);
+        return false;
+      }
+    }
+
+    if (rule.level !== undefined && (state.level || 1) < rule.level) {
+      return false;
+    }
+
+    if (rule.experience !== undefined && (state.experience || 0) < rule.experience) {
+      return false;
+    }
+
+    if (Array.isArray(rule.achievements)) {
+      const achievements = state.achievements || [];
+      if (!rule.achievements.every(achievement => achievements.includes(achievement))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a scene is unlocked, either explicitly or by its rule
+   */
+  isUnlocked(name, state = {}) {
+    if ((state.unlockedRealms || []).includes(name)) {
+      return true;
+    }
+
+    return this.meetsUnlockRule(name, state);
+  }
+
+  /**
+   * Check whether at least one of the scene's required inputs is available
+   */
+  hasRequiredInputs(name, availableMethods = []) {
+    const definition = this.definitions.get(name);
+    if (!definition || definition.requiredInputs.length === 0) {
+      return true;
+    }
+
+    return definition.requiredInputs.some(method => availableMethods.includes(method));
+  }
+
+  /**
+   * Get music key for a scene
+   */
+  getMusicKey(name) {
+    return this.definitions.get(name)?.music || null;
+  }
+
+  /**
+   * Get scenes worth preloading after the given scene
+   */
+  getPreloadHints(name) {
+    const definition = this.definitions.get(name);
+    if (!definition) return [];
+
+    return definition.preload.filter(sceneName => this.definitions.has(sceneName));
+  }
+
+  /**
+   * Add event listener
+   */
+  on(eventType, callback) {
+    if (!this.eventListeners.has(eventType)) {
+      this.eventListeners.set(eventType, new Set());
+    }
+    this.eventListeners.get(eventType).add(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(eventType, callback) {
+    if (this.eventListeners.has(eventType)) {
+      this.eventListeners.get(eventType).delete(callback);
+    }
+  }
+
+  /**
+   * Emit event
+   */
+  emit(eventType, data) {
+    if (this.eventListeners.has(eventType)) {
+      this.eventListeners.get(eventType).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Error in scene registry event listener:', error);
+        }
+      });
+    }
+  }
+}
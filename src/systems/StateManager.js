@@ -3,9 +3,111 @@
  * Handles game state, user progress, and settings persistence
  */
 
+import { SaveSchema } from '../utils/SaveSchema.js';
+import { ProfileTransfer } from '../utils/ProfileTransfer.js';
+import { LocalStorageAdapter } from '../utils/storage/LocalStorageAdapter.js';
+import { IndexedDBAdapter } from '../utils/storage/IndexedDBAdapter.js';
+import { MemoryStorageAdapter } from '../utils/storage/MemoryStorageAdapter.js';
+
 export class StateManager {
-  constructor() {
-    this.state = {
+  constructor(options = {}) {
+    this.state = this.createDefaultState();
+    
+    // Settings and saves stay small and live in localStorage; history can grow and
+    // lives in IndexedDB. Tests pass in-memory adapters instead.
+    this.settingsStorage = options.settingsStorage || null;
+    this.historyStorage = options.historyStorage || null;
+    this.historyCollections = ['sessions', 'inputEvents', 'calibrations', 'errors', 'adaptiveAdjustments', 'scores', 'settingsChanges'];
+    this.sessionStats = { inputMethodChanges: 0, errors: 0 };
+    
+    // Inputs are too frequent to store one by one; they are totalled per method and
+    // 5 minute slot and written as one inputSummary record when the slot or session ends
+    this.inputStats = new Map();
+    this.inputSummaryInterval = 5 * 60 * 1000;
+    
+    // Player profiles sharing this device
+    this.profiles = [];
+    this.activeProfileId = null;
+    this.storageKeys = {
+      profiles: 'gazequest_profiles',
+      statePrefix: 'gazequest_state_',
+      legacyState: 'gazequest_state'
+    };
+    
+    // Save versioning and backups
+    this.saveSchema = new SaveSchema();
+    this.profileTransfer = new ProfileTransfer();
+    this.backupConfig = {
+      slots: 3,
+      minInterval: 5 * 60 * 1000 // Rotate backups at most every 5 minutes
+    };
+    
+    this.listeners = new Map();
+    this.saveDebounceTimer = null;
+    this.autoSaveInterval = null;
+  }
+
+  /**
+   * Initialize state manager
+   */
+  async init(gameEngine) {
+    this.gameEngine = gameEngine;
+    
+    try {
+      await this.initStorage();
+      
+      // Load player profiles, then the active player's saved state
+      await this.loadProfiles();
+      await this.loadState();
+      
+      // Ensure all realms are unlocked for demo purposes
+      this.unlockAllRealms();
+      
+      // Set up auto-save
+      this.setupAutoSave();
+      
+      console.log('✅ StateManager initialized');
+      
+    } catch (error) {
+      console.error('Failed to initialize StateManager:', error);
+      // Continue with default state
+    }
+  }
+
+  /**
+   * Choose storage backends, falling back to memory when a backend is unavailable
+   */
+  async initStorage() {
+    if (!this.settingsStorage) {
+      this.settingsStorage = LocalStorageAdapter.isAvailable()
+        ? new LocalStorageAdapter()
+        : new MemoryStorageAdapter();
+    }
+    
+    if (!this.historyStorage) {
+      this.historyStorage = IndexedDBAdapter.isAvailable()
+        ? new IndexedDBAdapter()
+        : this.settingsStorage;
+    }
+    
+    try {
+      await this.settingsStorage.open();
+      await this.historyStorage.open();
+    } catch (error) {
+      console.warn(`⚠️ ${this.historyStorage.name} history storage unavailable, keeping history in memory:`, error);
+      this.historyStorage = new MemoryStorageAdapter();
+    }
+    
+    console.log(`💽 Storage: settings in ${this.settingsStorage.name}, history in ${this.historyStorage.name}`);
+  }
+
+  /**
+   * Create the default state for a new player
+   */
+  createDefaultState() {
+    return {
+      version: SaveSchema.VERSION,
+      
       // Game progress
       currentScene: 'menu',
       level: 1,
@@ -13,9 +115,14 @@ export class StateManager {
       achievements: [],
       unlockedRealms: ['crystal_caves', 'wind_valley', 'motion_mountains', 'switch_sanctuary'],
       
+      // What AdaptiveInputAI has learned about this player
+      adaptiveProfile: null,
+      
       // User preferences
       settings: {
         inputMethod: 'auto',
+        inputBindings: null,
+        adaptivePolicy: 'ask', // 'auto' applies changes, 'ask' prompts first, 'log' only records them
         volume: 0.7,
         sfxVolume: 0.8,
         accessibility: {
@@ -30,17 +137,24 @@ export class StateManager {
             enabled: false,
             calibrated: false,
             precision: 'medium',
-            dwellTime: 2000
+            dwellTime: 2000,
+            cameraConsent: false, // The player agreed to the camera being used for eye tracking
+            provider: 'webgazer', // Gaze source: 'webgazer', 'websocket', 'mouse' or 'replay'
+            providerOptions: {},  // e.g. { url } for a tracker bridge or a replay recording
+            accuracyMap: null     // Per-region gaze error from the last calibration check
           },
           voice: {
             enabled: false,
             language: 'en-US',
-            sensitivity: 0.7
+            sensitivity: 0.7,
+            calibrated: false,
+            enrollment: null // Learned pronunciations and typical confidence from VoiceEnrollment
           },
           breath: {
             enabled: false,
             sensitivity: 'medium',
-            calibrated: false
+            calibrated: false,
+            calibration: null // Noise floor, breath range and thresholds from BreathCalibration
           },
           orientation: {
             enabled: false,
@@ -48,8 +162,25 @@ export class StateManager {
           },
           switch: {
             enabled: false,
+            scanMode: 'auto', // 'auto', 'step', 'inverse' or 'critical-overscan'
             scanSpeed: 1000,
-            autoScan: true
+            autoScan: true,
+            acceptanceTime: 0,      // ms a switch must be held before a press counts
+            postAcceptanceDelay: 0, // ms after a press during which the same switch is ignored
+            releaseTime: 0          // ms a switch must stay released before it can be pressed again
+          },
+          gamepad: {
+            enabled: false,
+            stickMode: 'move', // 'move' or 'pointer'
+            deadZone: 0.2,     // Stick travel ignored around the centre (0-1)
+            axisMap: null,     // axis index -> { role: 'x' | 'y' | 'none', invert, deadZone }; null uses both sticks
+            pointerSpeed: 800  // px per second with the stick pushed all the way
+          },
+          sipPuff: {
+            enabled: false,
+            calibrated: false,
+            signals: null,     // Device key/button -> 'puff' | 'sip' | 'hardPuff' | 'hardSip'
+            calibration: null  // Learned signals and hold times from SipPuffCalibration
           }
         }
       },
@@ -58,46 +189,14 @@ export class StateManager {
       session: {
         startTime: Date.now(),
         totalPlayTime: 0,
-        inputMethodChanges: 0,
-        errorsEncountered: [],
-        adaptiveAdjustments: []
+        inputMethodChanges: 0
       },
       
-      // Performance tracking
+      // Performance tracking; detailed history lives in history storage
       performance: {
-        inputLatency: [],
-        frameTimes: [],
         errorCount: 0
       }
     };
-    
-    this.listeners = new Map();
-    this.saveDebounceTimer = null;
-    this.autoSaveInterval = null;
-  }
-
-  /**
-   * Initialize state manager
-   */
-  async init(gameEngine) {
-    this.gameEngine = gameEngine;
-    
-    try {
-      // Load saved state
-      await this.loadState();
-      
-      // Ensure all realms are unlocked for demo purposes
-      this.unlockAllRealms();
-      
-      // Set up auto-save
-      this.setupAutoSave();
-      
-      console.log('✅ StateManager initialized');
-      
-    } catch (error) {
-      console.error('Failed to initialize StateManager:', error);
-      // Continue with default state
-    }
   }
 
   /**
@@ -173,7 +272,10 @@ export class StateManager {
    * Unlock all realms (for demo purposes)
    */
   unlockAllRealms() {
-    const allRealms = ['crystal_caves', 'wind_valley', 'motion_mountains', 'switch_sanctuary'];
+    const registry = this.gameEngine?.sceneManager?.registry;
+    const allRealms = registry
+      ? registry.getRealms().map(realm => realm.name)
+      : ['crystal_caves', 'wind_valley', 'motion_mountains', 'switch_sanctuary'];
     this.updateState('unlockedRealms', allRealms);
     console.log('🔓 All realms unlocked for demo access');
   }
@@ -203,26 +305,41 @@ export class StateManager {
       }
     }
     
-    // Unlock new realms based on progress
-    if (updates.level >= 5 && !this.state.unlockedRealms.includes('wind_valley')) {
-      updates.unlockedRealms = [...this.state.unlockedRealms, 'wind_valley'];
-    }
-    if (updates.level >= 10 && !this.state.unlockedRealms.includes('motion_mountains')) {
-      updates.unlockedRealms = [...this.state.unlockedRealms, 'motion_mountains'];
-    }
-    if (updates.level >= 15 && !this.state.unlockedRealms.includes('switch_sanctuary')) {
-      updates.unlockedRealms = [...this.state.unlockedRealms, 'switch_sanctuary'];
+    // Unlock new realms based on the unlock rules in the scene manifest
+    const newlyUnlocked = this.getNewlyUnlockedRealms({ ...this.state, ...updates });
+    if (newlyUnlocked.length > 0) {
+      updates.unlockedRealms = [...this.state.unlockedRealms, ...newlyUnlocked];
     }
     
     this.setState(updates);
   }
 
+  /**
+   * Get realms whose unlock rules are now satisfied but are not yet unlocked
+   */
+  getNewlyUnlockedRealms(candidateState) {
+    const registry = this.gameEngine?.sceneManager?.registry;
+    if (!registry) return [];
+    
+    const unlockedRealms = this.state.unlockedRealms || [];
+    
+    return registry.getRealms()
+      .map(realm => realm.name)
+      .filter(name => !unlockedRealms.includes(name) && registry.meetsUnlockRule(name, candidateState));
+  }
+
   /**
    * Update user settings
    */
   updateSettings(settingsPath, value) {
+    const oldValue = this.getStateValue(`settings.${settingsPath}`);
     this.updateState(`settings.${settingsPath}`, value);
     
+    // Keep a history of tuning changes (dwell time, scan speed, ...) for progress reports
+    if (settingsPath !== 'inputBindings' && JSON.stringify(oldValue) !== JSON.stringify(value)) {
+      this.recordHistory('settingsChanges', { path: settingsPath, from: oldValue ?? null, to: value });
+    }
+    
     // Apply settings immediately
     this.applySettings(settingsPath, value);
   }
@@ -257,6 +374,36 @@ export class StateManager {
             this.gameEngine.accessibilityManager.setTextSize(value);
           }
           break;
+        case 'inputSettings.eyeTracking.cameraConsent':
+          this.gameEngine.inputManager?.inputMethods.get('eyeTracking')?.instance.setConsent(value);
+          break;
+        case 'inputSettings.eyeTracking.provider':
+        case 'inputSettings.eyeTracking.providerOptions':
+          this.gameEngine.inputManager?.inputMethods.get('eyeTracking')?.instance.loadUserSettings();
+          break;
+        case 'inputSettings.breath.sensitivity':
+          this.gameEngine.inputManager?.inputMethods.get('breath')?.instance.setSensitivity(value);
+          break;
+        case 'inputSettings.switch.scanMode':
+          this.gameEngine.inputManager?.inputMethods.get('switch')?.instance.setScanMode(value);
+          break;
+        case 'inputSettings.switch.scanSpeed':
+          this.gameEngine.inputManager?.inputMethods.get('switch')?.instance.setScanSpeed(value);
+          break;
+        case 'inputSettings.switch.acceptanceTime':
+        case 'inputSettings.switch.postAcceptanceDelay':
+        case 'inputSettings.switch.releaseTime':
+          this.gameEngine.inputManager?.inputMethods.get('switch')?.instance.setTiming(settingsPath.split('.').pop(), value);
+          break;
+        case 'inputSettings.gamepad.stickMode':
+          this.gameEngine.inputManager?.inputMethods.get('gamepad')?.instance.setStickMode(value);
+          break;
+        case 'inputSettings.gamepad.deadZone':
+          this.gameEngine.inputManager?.inputMethods.get('gamepad')?.instance.setDeadZone(value);
+          break;
+        case 'inputSettings.gamepad.axisMap':
+          this.gameEngine.inputManager?.inputMethods.get('gamepad')?.instance.setAxisMap(value);
+          break;
         case 'accessibility.reducedMotion':
           if (this.gameEngine.accessibilityManager?.setReducedMotion) {
             this.gameEngine.accessibilityManager.setReducedMotion(value);
@@ -272,45 +419,163 @@ export class StateManager {
    * Record performance data
    */
   recordPerformance(type, data) {
-    const perfData = this.state.performance[type] || [];
-    perfData.push({
-      timestamp: Date.now(),
-      value: data
+    this.recordHistory('inputEvents', { type, value: data });
+  }
+
+  /**
+   * Add an input ({ method, accuracy, responseTime }) to the session's input statistics
+   */
+  recordInput(data, timestamp = Date.now()) {
+    const start = Math.floor(timestamp / this.inputSummaryInterval) * this.inputSummaryInterval;
+    const key = `${data.method}:${start}`;
+    
+    // A method's earlier slot is complete once its inputs move on to a later one
+    this.inputStats.forEach((stats, statsKey) => {
+      if (stats.method === data.method && stats.start < start) {
+        this.inputStats.delete(statsKey);
+        this.writeInputSummary(stats);
+      }
     });
     
-    // Keep only recent data (last 100 entries)
-    if (perfData.length > 100) {
-      perfData.shift();
+    if (!this.inputStats.has(key)) {
+      this.inputStats.set(key, {
+        method: data.method,
+        start,
+        end: timestamp,
+        count: 0,
+        accuracyTotal: 0,
+        accuracyCount: 0,
+        responseTimeTotal: 0,
+        responseCount: 0
+      });
+    }
+    
+    const stats = this.inputStats.get(key);
+    stats.count++;
+    stats.end = Math.max(stats.end, timestamp);
+    if (Number.isFinite(data.accuracy)) {
+      stats.accuracyTotal += data.accuracy;
+      stats.accuracyCount++;
+    }
+    if (Number.isFinite(data.responseTime) && data.responseTime > 0) {
+      stats.responseTimeTotal += data.responseTime;
+      stats.responseCount++;
     }
+  }
+
+  /**
+   * Write every open slot of input statistics to history
+   */
+  async flushInputStats() {
+    const pending = Array.from(this.inputStats.values());
+    this.inputStats.clear();
     
-    this.updateState(`performance.${type}`, perfData);
+    for (const stats of pending) {
+      await this.writeInputSummary(stats);
+    }
+  }
+
+  /**
+   * Write one slot of input statistics as an inputSummary record
+   */
+  writeInputSummary(stats) {
+    return this.recordHistory('inputEvents', {
+      type: 'inputSummary',
+      timestamp: stats.start,
+      value: {
+        method: stats.method,
+        start: stats.start,
+        end: stats.end,
+        count: stats.count,
+        accuracy: stats.accuracyCount > 0 ? stats.accuracyTotal / stats.accuracyCount : null,
+        accuracyCount: stats.accuracyCount,
+        responseTime: stats.responseCount > 0 ? stats.responseTimeTotal / stats.responseCount : null,
+        responseCount: stats.responseCount
+      }
+    });
   }
 
   /**
    * Record session event
    */
   recordSessionEvent(eventType, data) {
-    const sessionData = { ...this.state.session };
-    
     switch (eventType) {
       case 'inputMethodChange':
-        sessionData.inputMethodChanges++;
+        this.sessionStats.inputMethodChanges++;
+        this.updateState('session.inputMethodChanges', (this.state.session.inputMethodChanges || 0) + 1);
+        this.recordHistory('inputEvents', { type: 'inputMethodChange', value: data });
         break;
       case 'error':
-        sessionData.errorsEncountered.push({
-          timestamp: Date.now(),
-          error: data
-        });
+        this.sessionStats.errors++;
+        this.updateState('performance.errorCount', (this.state.performance.errorCount || 0) + 1);
+        this.recordHistory('errors', { error: data });
         break;
       case 'adaptiveAdjustment':
-        sessionData.adaptiveAdjustments.push({
-          timestamp: Date.now(),
-          adjustment: data
-        });
+        this.recordHistory('adaptiveAdjustments', { adjustment: data });
         break;
     }
+  }
+
+  /**
+   * Record a completed calibration
+   */
+  recordCalibration(method, data) {
+    this.recordHistory('calibrations', { method, data });
+  }
+
+  /**
+   * Append a record to the active player's history
+   */
+  async recordHistory(collection, record) {
+    if (!this.historyStorage) return null;
+    
+    try {
+      return await this.historyStorage.append(collection, {
+        ...record,
+        profileId: this.activeProfileId,
+        timestamp: record.timestamp || Date.now()
+      });
+    } catch (error) {
+      console.warn(`Failed to record ${collection} history:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Query a player's history
+   */
+  async getHistory(collection, filter = {}) {
+    if (!this.historyStorage) return [];
     
-    this.setState({ session: sessionData });
+    return this.historyStorage.query(collection, {
+      profileId: this.activeProfileId,
+      ...filter
+    });
+  }
+
+  /**
+   * Record a summary of the current play session and add it to total play time
+   */
+  async endSession() {
+    const startTime = this.state.session.startTime;
+    const endTime = Date.now();
+    const duration = endTime - startTime;
+    
+    this.state.session.totalPlayTime = (this.state.session.totalPlayTime || 0) + duration;
+    this.state.session.startTime = endTime;
+    
+    await this.flushInputStats();
+    await this.recordHistory('sessions', {
+      startTime,
+      endTime,
+      duration,
+      inputMethod: this.state.settings.inputMethod,
+      inputMethodChanges: this.sessionStats.inputMethodChanges,
+      errors: this.sessionStats.errors,
+      level: this.state.level
+    });
+    
+    this.sessionStats = { inputMethodChanges: 0, errors: 0 };
   }
 
   /**
@@ -368,22 +633,31 @@ export class StateManager {
     this.autoSaveInterval = setInterval(() => {
       this.saveState();
     }, 30000);
+    
+    // Close the session when the page goes away
+    this.handlePageHide = () => {
+      this.endSession();
+      this.saveState();
+    };
+    window.addEventListener('pagehide', this.handlePageHide);
   }
 
   /**
-   * Save state to localStorage
+   * Save state to settings storage
    */
   async saveState() {
     try {
       const stateToSave = {
         ...this.state,
+        version: SaveSchema.VERSION,
         session: {
           ...this.state.session,
           lastSaved: Date.now()
         }
       };
       
-      localStorage.setItem('gazequest_state', JSON.stringify(stateToSave));
+      await this.backupSavedState(this.activeProfileId);
+      await this.settingsStorage.set(this.getProfileStateKey(this.activeProfileId), JSON.stringify(stateToSave));
       console.log('💾 Game state saved');
       
     } catch (error) {
@@ -392,30 +666,569 @@ export class StateManager {
   }
 
   /**
-   * Load state from localStorage
+   * Load state from settings storage, falling back to the newest usable backup
    */
   async loadState() {
+    const stateKey = this.getProfileStateKey(this.activeProfileId);
+    
     try {
-      const savedState = localStorage.getItem('gazequest_state');
-      
-      if (savedState) {
-        const parsedState = JSON.parse(savedState);
-        
-        // Merge with default state to handle new properties
-        this.state = this.deepMerge(this.state, parsedState);
-        
-        // Update session start time
-        this.state.session.startTime = Date.now();
-        
-        console.log('📁 Game state loaded');
+      const savedState = await this.settingsStorage.get(stateKey);
+      if (!savedState) return;
+      
+      let loaded = this.parseSavedState(savedState);
+      
+      if (!loaded) {
+        // Keep the unreadable save for inspection instead of discarding it
+        await this.settingsStorage.set(`${stateKey}_corrupt`, savedState);
+        loaded = await this.recoverFromBackup(this.activeProfileId);
+      }
+      
+      if (!loaded) {
+        console.warn('No usable save or backup found, starting with default state');
+        return;
       }
       
+      if (loaded.applied.length > 0) {
+        console.log(`📁 Save migrated from version ${loaded.fromVersion} to ${SaveSchema.VERSION}`);
+      }
+      
+      // Older saves kept history inside the save; move it to history storage
+      const { pendingHistory, ...loadedState } = loaded.state;
+      if (pendingHistory) {
+        await this.importHistory(this.activeProfileId, pendingHistory);
+      }
+      
+      // Merge with default state to handle new properties
+      this.state = this.deepMerge(this.createDefaultState(), loadedState);
+      
+      // Update session start time
+      this.state.session.startTime = Date.now();
+      
+      console.log('📁 Game state loaded');
+      
     } catch (error) {
       console.error('Failed to load state:', error);
       // Continue with default state
     }
   }
 
+  /**
+   * Parse, migrate and validate a saved state string, or null if it is unusable
+   */
+  parseSavedState(rawState) {
+    try {
+      return this.saveSchema.load(rawState);
+    } catch (error) {
+      console.error('Saved state is unusable:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the storage key of a backup slot
+   */
+  getBackupKey(profileId, slot) {
+    return `${this.getProfileStateKey(profileId)}_backup_${slot}`;
+  }
+
+  /**
+   * Copy the currently stored save into the newest backup slot, shifting older backups down
+   */
+  async backupSavedState(profileId, force = false) {
+    try {
+      const currentSave = await this.settingsStorage.get(this.getProfileStateKey(profileId));
+      if (!currentSave) return;
+      
+      const newestBackup = await this.readBackup(profileId, 0);
+      if (newestBackup && (newestBackup.data === currentSave ||
+          (!force && Date.now() - newestBackup.savedAt < this.backupConfig.minInterval))) {
+        return;
+      }
+      
+      for (let slot = this.backupConfig.slots - 1; slot > 0; slot--) {
+        const olderBackup = await this.settingsStorage.get(this.getBackupKey(profileId, slot - 1));
+        if (olderBackup) {
+          await this.settingsStorage.set(this.getBackupKey(profileId, slot), olderBackup);
+        }
+      }
+      
+      await this.settingsStorage.set(this.getBackupKey(profileId, 0), JSON.stringify({
+        savedAt: Date.now(),
+        data: currentSave
+      }));
+      
+    } catch (error) {
+      console.warn('Failed to back up save:', error);
+    }
+  }
+
+  /**
+   * Read a backup slot, or null if it is empty or unreadable
+   */
+  async readBackup(profileId, slot) {
+    try {
+      const backup = await this.settingsStorage.get(this.getBackupKey(profileId, slot));
+      return backup ? JSON.parse(backup) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * List a profile's backups, newest first
+   */
+  async getBackups(profileId = this.activeProfileId) {
+    const backups = [];
+    
+    for (let slot = 0; slot < this.backupConfig.slots; slot++) {
+      const backup = await this.readBackup(profileId, slot);
+      if (!backup) continue;
+      
+      const loaded = this.parseSavedState(backup.data);
+      backups.push({
+        slot,
+        savedAt: backup.savedAt,
+        valid: !!loaded,
+        level: loaded?.state.level,
+        version: loaded?.fromVersion ?? null
+      });
+    }
+    
+    return backups;
+  }
+
+  /**
+   * Load the newest backup that passes validation
+   */
+  async recoverFromBackup(profileId) {
+    for (let slot = 0; slot < this.backupConfig.slots; slot++) {
+      const backup = await this.readBackup(profileId, slot);
+      const loaded = backup && this.parseSavedState(backup.data);
+      
+      if (loaded) {
+        console.warn(`⚠️ Save could not be read, restored backup ${slot + 1}`);
+        this.gameEngine?.accessibilityManager?.announce('Your last save could not be read, so an earlier backup was restored.');
+        this.notifyListeners('saveRecovered', { profileId, slot, savedAt: backup.savedAt });
+        return loaded;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Restore a backup slot as a profile's current save
+   */
+  async restoreBackup(slot, profileId = this.activeProfileId) {
+    const backup = await this.readBackup(profileId, slot);
+    if (!backup || !this.parseSavedState(backup.data)) {
+      throw new Error(`Backup ${slot + 1} is missing or unusable`);
+    }
+    
+    await this.settingsStorage.set(this.getProfileStateKey(profileId), backup.data);
+    
+    if (profileId === this.activeProfileId) {
+      if (this.saveDebounceTimer) {
+        clearTimeout(this.saveDebounceTimer);
+        this.saveDebounceTimer = null;
+      }
+      
+      this.state = this.createDefaultState();
+      await this.loadState();
+      this.unlockAllRealms();
+      this.applyAllSettings();
+    }
+    
+    this.notifyListeners('saveRecovered', { profileId, slot, savedAt: backup.savedAt });
+  }
+
+  /**
+   * Remove a profile's save, backups, any quarantined corrupt save and its history
+   */
+  async removeProfileStorage(profileId) {
+    await this.settingsStorage.remove(this.getProfileStateKey(profileId));
+    await this.settingsStorage.remove(`${this.getProfileStateKey(profileId)}_corrupt`);
+    
+    for (let slot = 0; slot < this.backupConfig.slots; slot++) {
+      await this.settingsStorage.remove(this.getBackupKey(profileId, slot));
+    }
+    
+    await this.clearHistory(profileId);
+  }
+
+  /**
+   * Remove all of a profile's history
+   */
+  async clearHistory(profileId) {
+    for (const collection of this.historyCollections) {
+      await this.historyStorage.clear(collection, { profileId });
+    }
+  }
+
+  /**
+   * Get all of a profile's history, grouped by collection
+   */
+  async exportHistory(profileId) {
+    const history = {};
+    
+    for (const collection of this.historyCollections) {
+      const records = await this.historyStorage.query(collection, { profileId });
+      history[collection] = records.map(({ id, collection: recordCollection, profileId: owner, ...record }) => record);
+    }
+    
+    return history;
+  }
+
+  /**
+   * Append history records to a profile, skipping records it already has
+   */
+  async importHistory(profileId, history) {
+    for (const [collection, records] of Object.entries(history || {})) {
+      if (!Array.isArray(records) || records.length === 0) continue;
+      
+      const existing = await this.historyStorage.query(collection, { profileId });
+      const newRecords = this.profileTransfer.getNewHistoryRecords(
+        existing.map(({ id, collection: recordCollection, profileId: owner, ...record }) => record),
+        records
+      );
+      
+      for (const record of newRecords) {
+        await this.historyStorage.append(collection, { ...record, profileId });
+      }
+    }
+  }
+
+  /**
+   * Get the storage key holding a profile's state
+   */
+  getProfileStateKey(profileId) {
+    return `${this.storageKeys.statePrefix}${profileId}`;
+  }
+
+  /**
+   * Load the profile list, migrating a pre-profile save into the first profile
+   */
+  async loadProfiles() {
+    try {
+      const savedProfiles = await this.settingsStorage.get(this.storageKeys.profiles);
+      
+      if (savedProfiles) {
+        const parsed = JSON.parse(savedProfiles);
+        this.profiles = Array.isArray(parsed.profiles) ? parsed.profiles : [];
+        this.activeProfileId = parsed.activeProfileId;
+      }
+    } catch (error) {
+      console.error('Failed to load profiles:', error);
+      this.profiles = [];
+    }
+    
+    if (this.profiles.length === 0) {
+      const profile = this.createProfileEntry('Player 1');
+      this.profiles = [profile];
+      this.activeProfileId = profile.id;
+      
+      // Move a save from before profiles existed into the first profile
+      const legacyState = await this.settingsStorage.get(this.storageKeys.legacyState);
+      if (legacyState) {
+        await this.settingsStorage.set(this.getProfileStateKey(profile.id), legacyState);
+        await this.settingsStorage.remove(this.storageKeys.legacyState);
+        console.log('📁 Existing save moved into profile "Player 1"');
+      }
+      
+      await this.saveProfiles();
+    }
+    
+    if (!this.getProfile(this.activeProfileId)) {
+      this.activeProfileId = this.profiles[0].id;
+    }
+    
+    console.log(`👤 ${this.profiles.length} profile(s) loaded, active: ${this.getActiveProfile().name}`);
+  }
+
+  /**
+   * Persist the profile list
+   */
+  async saveProfiles() {
+    try {
+      await this.settingsStorage.set(this.storageKeys.profiles, JSON.stringify({
+        activeProfileId: this.activeProfileId,
+        profiles: this.profiles
+      }));
+    } catch (error) {
+      console.error('Failed to save profiles:', error);
+    }
+  }
+
+  /**
+   * Create a profile record
+   */
+  createProfileEntry(name, options = {}) {
+    return {
+      id: `profile_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+      name,
+      avatar: options.avatar || '🧒',
+      createdAt: Date.now(),
+      lastPlayed: Date.now()
+    };
+  }
+
+  /**
+   * Get all profiles
+   */
+  getProfiles() {
+    return this.profiles.map(profile => ({ ...profile }));
+  }
+
+  /**
+   * Get a profile by id
+   */
+  getProfile(profileId) {
+    return this.profiles.find(profile => profile.id === profileId) || null;
+  }
+
+  /**
+   * Get the active profile
+   */
+  getActiveProfile() {
+    return this.getProfile(this.activeProfileId);
+  }
+
+  /**
+   * Check a profile name is usable, returning the trimmed name
+   */
+  validateProfileName(name, ignoreProfileId = null) {
+    const trimmed = String(name || '').trim();
+    
+    if (!trimmed) {
+      throw new Error('Profile name cannot be empty');
+    }
+    
+    if (trimmed.length > 30) {
+      throw new Error('Profile name must be 30 characters or fewer');
+    }
+    
+    const duplicate = this.profiles.some(profile =>
+      profile.id !== ignoreProfileId && profile.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (duplicate) {
+      throw new Error(`A profile named "${trimmed}" already exists`);
+    }
+    
+    return trimmed;
+  }
+
+  /**
+   * Suggest an unused default profile name
+   */
+  getNextProfileName() {
+    let number = this.profiles.length + 1;
+    while (this.profiles.some(profile => profile.name.toLowerCase() === `player ${number}`)) {
+      number++;
+    }
+    return `Player ${number}`;
+  }
+
+  /**
+   * Create a new profile with default settings and progress
+   */
+  async createProfile(name = null, options = {}) {
+    const profileName = this.validateProfileName(name || this.getNextProfileName());
+    const profile = this.createProfileEntry(profileName, options);
+    
+    this.profiles.push(profile);
+    await this.saveProfiles();
+    
+    this.notifyListeners('profilesChanged', { profiles: this.getProfiles() });
+    console.log(`👤 Profile created: ${profile.name}`);
+    
+    return { ...profile };
+  }
+
+  /**
+   * Rename a profile
+   */
+  async renameProfile(profileId, name) {
+    const profile = this.getProfile(profileId);
+    if (!profile) {
+      throw new Error(`Unknown profile '${profileId}'`);
+    }
+    
+    profile.name = this.validateProfileName(name, profileId);
+    await this.saveProfiles();
+    
+    this.notifyListeners('profilesChanged', { profiles: this.getProfiles() });
+    
+    return { ...profile };
+  }
+
+  /**
+   * Delete a profile and its saved state; deleting the active profile switches to another one
+   */
+  async deleteProfile(profileId) {
+    const profile = this.getProfile(profileId);
+    if (!profile) {
+      throw new Error(`Unknown profile '${profileId}'`);
+    }
+    
+    if (this.profiles.length === 1) {
+      throw new Error('Cannot delete the only profile');
+    }
+    
+    if (profileId === this.activeProfileId) {
+      const nextProfile = this.profiles.find(candidate => candidate.id !== profileId);
+      await this.switchProfile(nextProfile.id);
+    }
+    
+    this.profiles = this.profiles.filter(candidate => candidate.id !== profileId);
+    await this.removeProfileStorage(profileId);
+    await this.saveProfiles();
+    
+    this.notifyListeners('profilesChanged', { profiles: this.getProfiles() });
+    console.log(`👤 Profile deleted: ${profile.name}`);
+  }
+
+  /**
+   * Save the current player and load another player's settings and progress
+   */
+  async switchProfile(profileId) {
+    const profile = this.getProfile(profileId);
+    if (!profile) {
+      throw new Error(`Unknown profile '${profileId}'`);
+    }
+    
+    if (profileId === this.activeProfileId) return;
+    
+    // Let systems write the outgoing player's in-memory data into state
+    this.notifyListeners('profileChanging', { profileId: this.activeProfileId });
+    
+    // Close the outgoing player's session and flush their pending changes
+    if (this.saveDebounceTimer) {
+      clearTimeout(this.saveDebounceTimer);
+      this.saveDebounceTimer = null;
+    }
+    await this.endSession();
+    await this.saveState();
+    
+    const previousProfileId = this.activeProfileId;
+    this.activeProfileId = profileId;
+    profile.lastPlayed = Date.now();
+    await this.saveProfiles();
+    
+    this.state = this.createDefaultState();
+    await this.loadState();
+    this.unlockAllRealms();
+    this.applyAllSettings();
+    
+    this.notifyListeners('profileChanged', { previousProfileId, profile: { ...profile } });
+    console.log(`👤 Switched to profile: ${profile.name}`);
+  }
+
+  /**
+   * Apply every stored setting to the running systems
+   */
+  applyAllSettings() {
+    ['volume', 'sfxVolume', 'accessibility.highContrast', 'accessibility.textSize', 'accessibility.reducedMotion']
+      .forEach(settingsPath => {
+        this.applySettings(settingsPath, this.getStateValue(`settings.${settingsPath}`));
+      });
+  }
+
+  /**
+   * Read a profile's stored state, migrated to the current schema
+   */
+  async readProfileState(profileId) {
+    if (profileId === this.activeProfileId) {
+      return JSON.parse(JSON.stringify(this.state));
+    }
+    
+    const savedState = await this.settingsStorage.get(this.getProfileStateKey(profileId));
+    const loaded = savedState && this.parseSavedState(savedState);
+    if (!loaded) return this.createDefaultState();
+    
+    const { pendingHistory, ...loadedState } = loaded.state;
+    if (pendingHistory) {
+      await this.importHistory(profileId, pendingHistory);
+    }
+    
+    return this.deepMerge(this.createDefaultState(), loadedState);
+  }
+
+  /**
+   * Export a profile's progress and settings as a checksummed object
+   */
+  async exportProfile(profileId = this.activeProfileId) {
+    const profile = this.getProfile(profileId);
+    if (!profile) {
+      throw new Error(`Unknown profile '${profileId}'`);
+    }
+    
+    return this.profileTransfer.createExport(
+      profile,
+      await this.readProfileState(profileId),
+      await this.exportHistory(profileId)
+    );
+  }
+
+  /**
+   * Import an exported profile file
+   * mode 'new' adds a new player, 'merge' combines with an existing player,
+   * 'replace' overwrites an existing player (a backup is kept first)
+   */
+  async importProfile(fileText, options = {}) {
+    const { mode = 'new', profileId = this.activeProfileId } = options;
+    const imported = await this.profileTransfer.parseExport(fileText);
+    
+    let targetId = profileId;
+    
+    if (mode === 'new') {
+      const baseName = imported.profile.name || this.getNextProfileName();
+      let name = baseName;
+      for (let copy = 2; this.profiles.some(profile => profile.name.toLowerCase() === name.toLowerCase()); copy++) {
+        name = `${baseName} (${copy})`;
+      }
+      targetId = (await this.createProfile(name, { avatar: imported.profile.avatar })).id;
+    } else if (!this.getProfile(targetId)) {
+      throw new Error(`Unknown profile '${targetId}'`);
+    }
+    
+    const baseState = mode === 'merge' ? await this.readProfileState(targetId) : this.createDefaultState();
+    const importedState = this.deepMerge(this.createDefaultState(), imported.state);
+    const newState = mode === 'merge'
+      ? this.profileTransfer.mergeStates(baseState, importedState)
+      : importedState;
+    
+    if (targetId === this.activeProfileId) {
+      if (this.saveDebounceTimer) {
+        clearTimeout(this.saveDebounceTimer);
+        this.saveDebounceTimer = null;
+      }
+      
+      await this.backupSavedState(targetId, true);
+      this.state = { ...newState, session: { ...newState.session, startTime: Date.now() } };
+      await this.saveState();
+      this.unlockAllRealms();
+      this.applyAllSettings();
+    } else {
+      await this.backupSavedState(targetId, true);
+      await this.settingsStorage.set(this.getProfileStateKey(targetId), JSON.stringify({
+        ...newState,
+        version: SaveSchema.VERSION
+      }));
+    }
+    
+    // Replacing a player replaces their history too
+    if (mode === 'replace') {
+      await this.clearHistory(targetId);
+    }
+    await this.importHistory(targetId, imported.history);
+    
+    const profile = { ...this.getProfile(targetId) };
+    this.notifyListeners('profileImported', { profile, mode, exportedAt: imported.exportedAt });
+    console.log(`📥 Imported ${imported.profile.name || 'profile'} (${mode}) into ${profile.name}`);
+    
+    return profile;
+  }
+
   /**
    * Reset state to defaults
    */
@@ -424,24 +1237,8 @@ export class StateManager {
     const settingsBackup = { ...this.state.settings };
     
     this.state = {
-      currentScene: 'menu',
-      level: 1,
-      experience: 0,
-      achievements: [],
-      unlockedRealms: ['crystal_caves', 'wind_valley', 'motion_mountains', 'switch_sanctuary'],
-      settings: settingsBackup,
-      session: {
-        startTime: Date.now(),
-        totalPlayTime: 0,
-        inputMethodChanges: 0,
-        errorsEncountered: [],
-        adaptiveAdjustments: []
-      },
-      performance: {
-        inputLatency: [],
-        frameTimes: [],
-        errorCount: 0
-      }
+      ...this.createDefaultState(),
+      settings: settingsBackup
     };
     
     this.saveState();
@@ -477,6 +1274,10 @@ export class StateManager {
       clearInterval(this.autoSaveInterval);
     }
     
+    if (this.handlePageHide) {
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
+    
     this.listeners.clear();
   }
 }
\ No newline at end of file
@@ -1,6 +1,6 @@
 /**
  * UI Manager for handling overlay UI components
- * Manages progress indicator, input selector, and game controls
+ * Manages progress indicator, input selector, game controls and adaptive prompts
  */
 
 export class UIManager {
@@ -11,6 +11,10 @@ export class UIManager {
     };
     this.isInitialized = false;
     this.updateInterval = null;
+    
+    // Open "ask first" prompt: { element, buttons, selectedIndex, timeout, onDismiss }
+    this.adaptivePrompt = null;
+    this.adaptiveNotice = null;
   }
 
   /**
@@ -194,11 +198,229 @@ export class UIManager {
     this.setUIVisibility(showUI);
   }
 
+  /**
+   * Ask the player or caregiver to approve a change; buttons are { text, onSelect }
+   */
+  showAdaptivePrompt(title, message, buttons, options = {}) {
+    this.closeAdaptivePrompt();
+    
+    const element = document.createElement('div');
+    element.className = 'adaptive-prompt';
+    element.setAttribute('role', 'alertdialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-label', title);
+    element.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(0, 0, 0, 0.95);
+      border-radius: 20px;
+      padding: 30px;
+      color: white;
+      z-index: 1100;
+      width: min(500px, 90vw);
+      text-align: center;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.7);
+      border: 2px solid #87CEEB;
+    `;
+    
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    heading.style.cssText = `
+      color: #87CEEB;
+      margin-bottom: 12px;
+      font-size: 1.5rem;
+    `;
+    element.appendChild(heading);
+    
+    const text = document.createElement('p');
+    text.textContent = message;
+    text.style.cssText = `
+      margin-bottom: 20px;
+      line-height: 1.5;
+    `;
+    element.appendChild(text);
+    
+    const prompt = { element, buttons: [], selectedIndex: 0, timeout: null, onDismiss: options.onDismiss };
+    
+    buttons.forEach((buttonData, index) => {
+      const button = document.createElement('button');
+      button.textContent = buttonData.text;
+      button.className = 'focusable';
+      button.style.cssText = `
+        padding: 14px 28px;
+        margin: 6px;
+        background: rgba(255, 255, 255, 0.2);
+        border: 3px solid rgba(255, 255, 255, 0.3);
+        border-radius: 25px;
+        color: white;
+        cursor: pointer;
+        font-size: 1.1rem;
+      `;
+      button.addEventListener('click', () => {
+        this.closeAdaptivePrompt(false);
+        buttonData.onSelect();
+      });
+      button.addEventListener('focus', () => this.selectAdaptivePromptButton(index));
+      element.appendChild(button);
+      prompt.buttons.push(button);
+    });
+    
+    // An unanswered prompt counts as "not now"
+    if (options.timeout) {
+      prompt.timeout = setTimeout(() => this.closeAdaptivePrompt(), options.timeout);
+    }
+    
+    this.adaptivePrompt = prompt;
+    document.body.appendChild(element);
+    this.selectAdaptivePromptButton(0);
+    prompt.buttons[0]?.focus();
+  }
+
+  /**
+   * Check whether an adaptive prompt is waiting for an answer
+   */
+  hasAdaptivePrompt() {
+    return this.adaptivePrompt !== null;
+  }
+
+  /**
+   * Highlight a prompt button
+   */
+  selectAdaptivePromptButton(index) {
+    const prompt = this.adaptivePrompt;
+    if (!prompt) return;
+    
+    prompt.selectedIndex = index;
+    prompt.buttons.forEach((button, buttonIndex) => {
+      const selected = buttonIndex === index;
+      button.style.borderColor = selected ? '#FFD700' : 'rgba(255, 255, 255, 0.3)';
+      button.style.background = selected ? 'rgba(255, 215, 0, 0.3)' : 'rgba(255, 255, 255, 0.2)';
+    });
+  }
+
+  /**
+   * Move the prompt highlight by a number of buttons, wrapping around
+   */
+  moveAdaptivePromptSelection(step) {
+    const prompt = this.adaptivePrompt;
+    if (!prompt || prompt.buttons.length === 0) return;
+    
+    const count = prompt.buttons.length;
+    const index = (prompt.selectedIndex + step + count) % count;
+    this.selectAdaptivePromptButton(index);
+    prompt.buttons[index].focus();
+    
+    if (this.gameEngine?.accessibilityManager) {
+      this.gameEngine.accessibilityManager.announce(prompt.buttons[index].textContent);
+    }
+  }
+
+  /**
+   * Activate the highlighted prompt button
+   */
+  activateAdaptivePromptSelection() {
+    const prompt = this.adaptivePrompt;
+    if (prompt) {
+      prompt.buttons[prompt.selectedIndex]?.click();
+    }
+  }
+
+  /**
+   * Close the adaptive prompt; dismissing without an answer calls its onDismiss
+   */
+  closeAdaptivePrompt(dismissed = true) {
+    const prompt = this.adaptivePrompt;
+    if (!prompt) return;
+    
+    this.adaptivePrompt = null;
+    clearTimeout(prompt.timeout);
+    if (prompt.element.parentNode) {
+      prompt.element.parentNode.removeChild(prompt.element);
+    }
+    
+    if (dismissed && prompt.onDismiss) {
+      prompt.onDismiss();
+    }
+  }
+
+  /**
+   * Briefly show a change that was made automatically, with a way to undo it
+   */
+  showAdaptiveNotice(message, onUndo, duration = 10000) {
+    this.closeAdaptiveNotice();
+    
+    const element = document.createElement('div');
+    element.className = 'adaptive-notice';
+    element.setAttribute('role', 'status');
+    element.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(0, 0, 0, 0.9);
+      border: 2px solid #87CEEB;
+      border-radius: 15px;
+      padding: 12px 20px;
+      color: white;
+      z-index: 1050;
+      display: flex;
+      gap: 15px;
+      align-items: center;
+      max-width: 90vw;
+    `;
+    
+    const text = document.createElement('span');
+    text.textContent = message;
+    element.appendChild(text);
+    
+    const undoButton = document.createElement('button');
+    undoButton.textContent = '↩️ Undo';
+    undoButton.className = 'focusable';
+    undoButton.setAttribute('aria-label', 'Undo this change');
+    undoButton.style.cssText = `
+      padding: 8px 16px;
+      background: rgba(255, 255, 255, 0.2);
+      border: 2px solid rgba(255, 255, 255, 0.3);
+      border-radius: 20px;
+      color: white;
+      cursor: pointer;
+    `;
+    undoButton.addEventListener('click', () => {
+      this.closeAdaptiveNotice();
+      onUndo();
+    });
+    element.appendChild(undoButton);
+    
+    this.adaptiveNotice = {
+      element,
+      timeout: setTimeout(() => this.closeAdaptiveNotice(), duration)
+    };
+    document.body.appendChild(element);
+  }
+
+  /**
+   * Remove the adaptive change notice
+   */
+  closeAdaptiveNotice() {
+    if (!this.adaptiveNotice) return;
+    
+    clearTimeout(this.adaptiveNotice.timeout);
+    if (this.adaptiveNotice.element.parentNode) {
+      this.adaptiveNotice.element.parentNode.removeChild(this.adaptiveNotice.element);
+    }
+    this.adaptiveNotice = null;
+  }
+
   /**
    * Destroy UI Manager
    */
   destroy() {
     try {
+      this.closeAdaptivePrompt(false);
+      this.closeAdaptiveNotice();
+      
       if (this.updateInterval) {
         clearInterval(this.updateInterval);
         this.updateInterval = null;
@@ -0,0 +1,254 @@
+/**
+ * Action bindings for GazeQuest Adventures
+ * Maps game actions to keys, voice phrases, switch buttons, gamepad buttons,
+ * breath states, tilt gestures and sips and puffs so players can remap every input method
+ */
+
+export class ActionBindings {
+  constructor() {
+    // Game actions that can be bound, with the input payload each one produces
+    this.actions = new Map([
+      ['select', { label: 'Select', payload: { action: 'select' } }],
+      ['cancel', { label: 'Back', payload: { action: 'cancel' } }],
+      ['moveUp', { label: 'Move Up', payload: { action: 'move', direction: 'up' } }],
+      ['moveDown', { label: 'Move Down', payload: { action: 'move', direction: 'down' } }],
+      ['moveLeft', { label: 'Move Left', payload: { action: 'move', direction: 'left' } }],
+      ['moveRight', { label: 'Move Right', payload: { action: 'move', direction: 'right' } }],
+      ['navigate', { label: 'Next Item', payload: { action: 'navigate' } }],
+      ['hint', { label: 'Show Hint', payload: { action: 'command', command: 'hint' } }],
+      ['pause', { label: 'Pause Game', payload: { action: 'command', command: 'pause' } }],
+      ['menu', { label: 'Open Menu', payload: { action: 'command', command: 'menu' } }],
+      ['help', { label: 'Help', payload: { action: 'command', command: 'help' } }],
+      ['start', { label: 'Start', payload: { action: 'command', command: 'start' } }]
+    ]);
+
+    // Binding sources and the tokens each one understands
+    this.sources = {
+      keyboard: { label: 'Keyboard', capture: 'key' },
+      voice: { label: 'Voice Phrase', capture: 'text' },
+      switch: { label: 'Switch Button', capture: 'key', actions: ['select', 'navigate'] },
+      gamepad: { label: 'Gamepad Button', capture: 'gamepad' },
+      breath: { label: 'Breath', capture: 'choice', choices: ['exhale', 'inhale', 'hold'] },
+      tilt: { label: 'Tilt', capture: 'choice', choices: ['tiltUp', 'tiltDown', 'tiltLeft', 'tiltRight'] },
+      sipPuff: { label: 'Sip and Puff', capture: 'choice', choices: ['softPuff', 'hardPuff', 'softSip', 'hardSip'] }
+    };
+
+    this.bindings = this.getDefaultBindings();
+  }
+
+  /**
+   * Default bindings, matching the original hard-coded controls
+   */
+  getDefaultBindings() {
+    return {
+      keyboard: {
+        Space: 'select',
+        Enter: 'select',
+        ArrowUp: 'moveUp',
+        ArrowDown: 'moveDown',
+        ArrowLeft: 'moveLeft',
+        ArrowRight: 'moveRight',
+        Escape: 'cancel',
+        Tab: 'navigate',
+        Digit1: 'hint',
+        Digit2: 'pause',
+        Digit3: 'menu'
+      },
+      voice: {
+        'select': 'select',
+        'click': 'select',
+        'activate': 'select',
+        'choose': 'select',
+        'pick': 'select',
+        'up': 'moveUp',
+        'move up': 'moveUp',
+        'go up': 'moveUp',
+        'above': 'moveUp',
+        'down': 'moveDown',
+        'move down': 'moveDown',
+        'go down': 'moveDown',
+        'below': 'moveDown',
+        'left': 'moveLeft',
+        'move left': 'moveLeft',
+        'go left': 'moveLeft',
+        'right': 'moveRight',
+        'move right': 'moveRight',
+        'go right': 'moveRight',
+        'menu': 'menu',
+        'main menu': 'menu',
+        'home': 'menu',
+        'help': 'help',
+        'assistance': 'help',
+        'guide': 'help',
+        'pause': 'pause',
+        'stop': 'pause',
+        'wait': 'pause',
+        'start': 'start',
+        'play': 'start',
+        'begin': 'start',
+        'go': 'start',
+        'back': 'cancel'
+      },
+      switch: {
+        Space: 'select',
+        Enter: 'select',
+        NumpadEnter: 'select'
+      },
+      gamepad: {
+        0: 'select',
+        1: 'cancel',
+        9: 'pause',
+        12: 'moveUp',
+        13: 'moveDown',
+        14: 'moveLeft',
+        15: 'moveRight'
+      },
+      breath: {
+        exhale: 'select',
+        inhale: 'moveUp',
+        hold: 'pause'
+      },
+      tilt: {
+        tiltUp: 'moveUp',
+        tiltDown: 'moveDown',
+        tiltLeft: 'moveLeft',
+        tiltRight: 'moveRight'
+      },
+      sipPuff: {
+        softPuff: 'select',
+        hardPuff: 'moveRight',
+        softSip: 'navigate',
+        hardSip: 'cancel'
+      }
+    };
+  }
+
+  /**
+   * Load saved bindings; sources missing from the saved data keep their defaults
+   */
+  load(savedBindings) {
+    const defaults = this.getDefaultBindings();
+    this.bindings = defaults;
+
+    if (!savedBindings || typeof savedBindings !== 'object') return;
+
+    Object.keys(this.sources).forEach(source => {
+      const saved = savedBindings[source];
+      if (saved && typeof saved === 'object') {
+        this.bindings[source] = Object.fromEntries(
+          Object.entries(saved).filter(([, actionId]) => this.actions.has(actionId))
+        );
+      }
+    });
+  }
+
+  /**
+   * Bind an input token to a game action for a source
+   */
+  bind(source, token, actionId) {
+    this.assertSource(source);
+
+    if (!this.getActionsForSource(source).includes(actionId)) {
+      throw new Error(`Game action '${actionId}' cannot be bound to ${this.sources[source].label}`);
+    }
+
+    const normalizedToken = this.normalizeToken(source, token);
+    if (normalizedToken === '') {
+      throw new Error(`Empty ${this.sources[source].label} binding`);
+    }
+
+    const previous = this.bindings[source][normalizedToken] || null;
+    this.bindings[source][normalizedToken] = actionId;
+
+    return previous;
+  }
+
+  /**
+   * Remove a binding
+   */
+  unbind(source, token) {
+    this.assertSource(source);
+
+    const normalizedToken = this.normalizeToken(source, token);
+    if (!(normalizedToken in this.bindings[source])) return false;
+
+    delete this.bindings[source][normalizedToken];
+    return true;
+  }
+
+  /**
+   * Restore defaults for one source, or for all sources
+   */
+  reset(source = null) {
+    const defaults = this.getDefaultBindings();
+
+    if (source) {
+      this.assertSource(source);
+      this.bindings[source] = defaults[source];
+    } else {
+      this.bindings = defaults;
+    }
+  }
+
+  /**
+   * Get the game actions a source can be bound to
+   */
+  getActionsForSource(source) {
+    this.assertSource(source);
+    return this.sources[source].actions || Array.from(this.actions.keys());
+  }
+
+  /**
+   * Get all tokens bound to an action for a source
+   */
+  getTokensForAction(source, actionId) {
+    this.assertSource(source);
+
+    return Object.entries(this.bindings[source])
+      .filter(([, boundAction]) => boundAction === actionId)
+      .map(([token]) => token);
+  }
+
+  /**
+   * Resolve a source's bindings into token -> input payload
+   */
+  resolve(source) {
+    this.assertSource(source);
+
+    const resolved = {};
+    Object.entries(this.bindings[source]).forEach(([token, actionId]) => {
+      const action = this.actions.get(actionId);
+      resolved[token] = {
+        ...action.payload,
+        actionId,
+        description: action.label
+      };
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Normalize a token so lookups are consistent per source
+   */
+  normalizeToken(source, token) {
+    const value = String(token).trim();
+    return source === 'voice' ? value.toLowerCase() : value;
+  }
+
+  /**
+   * Throw if the binding source is unknown
+   */
+  assertSource(source) {
+    if (!this.sources[source]) {
+      throw new Error(`Unknown binding source '${source}'`);
+    }
+  }
+
+  /**
+   * Serialize bindings for persistence
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.bindings));
+  }
+}
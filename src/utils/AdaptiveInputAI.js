@@ -4,14 +4,23 @@
  */
 
 export class AdaptiveInputAI {
-  constructor() {
-    this.userProfile = {
-      inputPreferences: {},
-      performanceMetrics: {},
-      adaptationHistory: [],
-      sessionData: [],
-      fatiguePatterns: {}
+  static PROFILE_VERSION = 1;
+
+  constructor(options = {}) {
+    // Turns a method id into the name players see, for explanations
+    this.describeMethod = options.describeMethod || (method => method);
+    
+    this.userProfile = this.createEmptyProfile();
+    
+    // Older learning counts for less: weights halve every halfLife
+    this.decayConfig = {
+      halfLife: 7 * 24 * 60 * 60 * 1000, // 7 days
+      minWeight: 0.5,                     // Drop entries that have decayed below this
+      maxFatigueSlots: 24,
+      maxAdaptationHistory: 100
     };
+    this.lastDecayAt = Date.now();
+    this.lastAnalyzedTimestamp = 0;
     
     this.analysisConfig = {
       minDataPoints: 10,
@@ -21,6 +30,30 @@ export class AdaptiveInputAI {
       maxRecommendationsPerSession: 5
     };
     
+    // Switch press timing: what counts as a bounce or an accidental repeat, and
+    // what share of presses must look like one before suggesting a filter
+    this.switchTimingConfig = {
+      bounceWindow: 80,       // ms between a release and the next press
+      repeatWindow: 400,      // ms between an accepted press and the next press
+      bounceThreshold: 0.1,
+      repeatThreshold: 0.15,
+      shortPressThreshold: 0.3,
+      maxDelay: 2000
+    };
+    this.switchTimingAnalyzedAt = 0; // Presses up to here already led to a suggestion
+    
+    // Eye tracking dwells: dwell clicks undone straight away mean the dwell time is too short,
+    // and dwells given up when nearly done mean it is too long
+    this.dwellTimingConfig = {
+      falseActivationThreshold: 0.2, // Share of dwell clicks undone
+      nearMissProgress: 0.6,         // A dwell given up after this much progress was meant
+      nearMissThreshold: 0.25,       // Share of dwells given up when nearly done
+      step: 0.2,                     // Relative change suggested
+      minDwellTime: 500,
+      maxDwellTime: 5000
+    };
+    this.dwellTimingAnalyzedAt = 0; // Dwells up to here already led to a suggestion
+    
     this.currentSessionRecommendations = 0;
   }
 
@@ -49,17 +82,24 @@ export class AdaptiveInputAI {
    * Update user profile with new input data
    */
   updateUserProfile(recentEvents, context) {
+    // Analysis windows overlap, so only learn from events not seen before
+    const newEvents = recentEvents.filter(event => event.timestamp > this.lastAnalyzedTimestamp);
+    if (newEvents.length === 0) return;
+    this.lastAnalyzedTimestamp = newEvents[newEvents.length - 1].timestamp;
+    
+    this.applyDecay();
+    
     // Analyze input method performance
-    this.analyzeInputPerformance(recentEvents);
+    this.analyzeInputPerformance(newEvents);
     
     // Track contextual preferences
-    this.trackContextualPreferences(recentEvents, context);
+    this.trackContextualPreferences(newEvents, context);
     
     // Detect fatigue patterns
-    this.detectFatiguePatterns(recentEvents, context);
+    this.detectFatiguePatterns(newEvents, context);
     
     // Update session data
-    this.updateSessionData(recentEvents, context);
+    this.updateSessionData(newEvents, context);
   }
 
   /**
@@ -93,16 +133,21 @@ export class AdaptiveInputAI {
       }
     });
     
-    // Calculate metrics for each method
+    // Blend new metrics into what was learned before, weighted by (decayed) event counts
     Object.keys(methodStats).forEach(method => {
       const stats = methodStats[method];
+      const previous = this.userProfile.performanceMetrics[method];
+      const previousWeight = previous ? previous.totalEvents : 0;
+      const totalWeight = previousWeight + stats.count;
+      const blend = (previousValue, sum) =>
+        ((previousValue || 0) * previousWeight + sum) / totalWeight;
       
       this.userProfile.performanceMetrics[method] = {
-        averageAccuracy: stats.totalAccuracy / stats.count,
-        averageResponseTime: stats.totalResponseTime / stats.count,
-        successRate: stats.successCount / stats.count,
-        errorRate: stats.errorCount / stats.count,
-        totalEvents: stats.count,
+        averageAccuracy: blend(previous?.averageAccuracy, stats.totalAccuracy),
+        averageResponseTime: blend(previous?.averageResponseTime, stats.totalResponseTime),
+        successRate: blend(previous?.successRate, stats.successCount),
+        errorRate: blend(previous?.errorRate, stats.errorCount),
+        totalEvents: totalWeight,
         lastUpdated: Date.now()
       };
     });
@@ -218,6 +263,18 @@ export class AdaptiveInputAI {
       recommendations.push(timingRec);
     }
     
+    // Check if switch press filtering would help
+    const switchTimingRec = this.analyzeSwitchTiming(context);
+    if (switchTimingRec) {
+      recommendations.push(switchTimingRec);
+    }
+    
+    // Check if the eye tracking dwell time suits the player
+    const dwellTimingRec = this.analyzeDwellTiming(context);
+    if (dwellTimingRec) {
+      recommendations.push(dwellTimingRec);
+    }
+    
     // Check if recalibration is needed
     const calibrationRec = this.analyzeCalibrationNeeds(recentEvents, context);
     if (calibrationRec) {
@@ -230,6 +287,11 @@ export class AdaptiveInputAI {
       recommendations.push(fatigueRec);
     }
     
+    // Every recommendation says why it was made
+    recommendations.forEach(recommendation => {
+      recommendation.explanation = this.explainRecommendation(recommendation);
+    });
+    
     return recommendations;
   }
 
@@ -259,13 +321,24 @@ export class AdaptiveInputAI {
     });
     
     if (bestMethod !== currentMethod) {
+      const currentScore = this.calculateMethodScore(currentMethod, methodPerformance, contextPrefs);
+      
       return {
         type: 'switch_input',
-        confidence: Math.min(bestScore - this.calculateMethodScore(currentMethod, methodPerformance, contextPrefs), 1.0),
+        confidence: Math.min(bestScore - currentScore, 1.0),
         data: {
           from: currentMethod,
           to: bestMethod,
           reason: 'performance_optimization'
+        },
+        evidence: {
+          fromScore: currentScore,
+          toScore: bestScore,
+          fromAccuracy: methodPerformance[currentMethod]?.averageAccuracy ?? null,
+          toAccuracy: methodPerformance[bestMethod].averageAccuracy,
+          fromResponseTime: methodPerformance[currentMethod]?.averageResponseTime ?? null,
+          toResponseTime: methodPerformance[bestMethod].averageResponseTime,
+          samples: Math.round(methodPerformance[bestMethod].totalEvents)
         }
       };
     }
@@ -315,7 +388,8 @@ export class AdaptiveInputAI {
           adjustment: 'increase_dwell_time',
           amount: Math.min(500, errorRate * 1000),
           reason: 'reduce_errors'
-        }
+        },
+        evidence: { errorRate, averageResponseTime, samples: methodEvents.length }
       };
     }
     
@@ -329,13 +403,117 @@ export class AdaptiveInputAI {
           adjustment: 'decrease_dwell_time',
           amount: Math.min(500, (averageResponseTime - 1000) * 0.5),
           reason: 'improve_speed'
-        }
+        },
+        evidence: { errorRate, averageResponseTime, samples: methodEvents.length }
       };
     }
     
     return null;
   }
 
+  /**
+   * Analyze switch press timing for bounces, accidental repeats and presses let go too soon
+   */
+  analyzeSwitchTiming(context) {
+    const timing = context.switchTiming;
+    if (!timing) return null;
+    
+    const config = this.switchTimingConfig;
+    const { settings } = timing;
+    const presses = timing.presses.filter(press => press.timestamp > this.switchTimingAnalyzedAt);
+    if (presses.length < this.analysisConfig.minDataPoints) return null;
+    
+    const suggest = (setting, reason, matching, threshold, value, typicalTime) => {
+      const rate = matching.length / presses.length;
+      if (rate < threshold || value === settings[setting]) return null;
+      
+      this.switchTimingAnalyzedAt = presses[presses.length - 1].timestamp;
+      return {
+        type: 'adjust_switch_timing',
+        confidence: Math.min(1.0, 0.7 * rate / threshold),
+        data: { method: 'switch', setting, value, previous: settings[setting], reason },
+        evidence: { matching: matching.length, samples: presses.length, rate, typicalTime }
+      };
+    };
+    const roundUp = (time, step) => Math.min(config.maxDelay, Math.ceil(time / step) * step);
+    
+    // Presses that got through right after a release: the switch is bouncing
+    const bounces = presses.filter(press => press.accepted &&
+      press.sinceRelease !== null && press.sinceRelease < config.bounceWindow);
+    if (bounces.length > 0) {
+      const longestGap = Math.max(...bounces.map(press => press.sinceRelease));
+      const recommendation = suggest('releaseTime', 'switch_bounce', bounces, config.bounceThreshold,
+        Math.max(settings.releaseTime, roundUp(longestGap + 50, 10)), longestGap);
+      if (recommendation) return recommendation;
+    }
+    
+    // Presses that got through soon after the previous one: tremor or spasm double presses
+    // (quick advance presses are just the player stepping through items)
+    const repeats = presses.filter(press => press.accepted && press.role !== 'advance' &&
+      press.sinceAccepted !== null && press.sinceAccepted < config.repeatWindow);
+    if (repeats.length > 0) {
+      const longestGap = Math.max(...repeats.map(press => press.sinceAccepted));
+      const recommendation = suggest('postAcceptanceDelay', 'repeat_presses', repeats, config.repeatThreshold,
+        Math.max(settings.postAcceptanceDelay, roundUp(longestGap + 100, 50)), longestGap);
+      if (recommendation) return recommendation;
+    }
+    
+    // Presses let go before the acceptance time: holding that long is too hard
+    const shortPresses = presses.filter(press => press.rejected === 'acceptanceTime');
+    if (shortPresses.length > 0 && settings.acceptanceTime > 0) {
+      const holds = shortPresses.map(press => press.holdDuration).sort((a, b) => a - b);
+      const medianHold = holds[Math.floor(holds.length / 2)];
+      return suggest('acceptanceTime', 'presses_too_short', shortPresses, config.shortPressThreshold,
+        Math.min(settings.acceptanceTime, Math.floor(medianHold * 0.8 / 10) * 10), medianHold);
+    }
+    
+    return null;
+  }
+
+  /**
+   * Analyze eye tracking dwells for clicks undone straight away and dwells given up when nearly done
+   */
+  analyzeDwellTiming(context) {
+    const timing = context.dwellTiming;
+    if (!timing) return null;
+    
+    const config = this.dwellTimingConfig;
+    const events = timing.events.filter(event => event.timestamp > this.dwellTimingAnalyzedAt);
+    if (events.length < this.analysisConfig.minDataPoints) return null;
+    
+    const suggest = (adjustment, reason, matching, samples, rate, threshold, dwellTime) => {
+      if (dwellTime === timing.dwellTime) return null;
+      
+      this.dwellTimingAnalyzedAt = events[events.length - 1].timestamp;
+      return {
+        type: 'adjust_timing',
+        confidence: Math.min(1.0, 0.7 * rate / threshold),
+        data: { method: 'eyeTracking', adjustment, dwellTime, previous: timing.dwellTime, reason },
+        evidence: { matching: matching.length, samples, rate }
+      };
+    };
+    const roundTo = (time) => Math.round(time / 100) * 100;
+    
+    // Dwell clicks the player undid: choosing happens before they mean it
+    const activations = events.filter(event => event.outcome === 'activated');
+    const falseActivations = activations.filter(event => event.falseActivation);
+    const falseRate = activations.length > 0 ? falseActivations.length / activations.length : 0;
+    if (falseRate >= config.falseActivationThreshold) {
+      return suggest('increase_dwell_time', 'false_activations', falseActivations, activations.length, falseRate,
+        config.falseActivationThreshold, Math.min(config.maxDwellTime, roundTo(timing.dwellTime * (1 + config.step))));
+    }
+    
+    // Dwells given up when nearly done: holding gaze that long is too hard
+    const nearMisses = events.filter(event => event.outcome === 'cancelled' && event.progress >= config.nearMissProgress);
+    const nearMissRate = nearMisses.length / events.length;
+    if (nearMissRate >= config.nearMissThreshold && falseActivations.length === 0) {
+      return suggest('decrease_dwell_time', 'dwell_given_up', nearMisses, events.length, nearMissRate,
+        config.nearMissThreshold, Math.max(config.minDwellTime, roundTo(timing.dwellTime * (1 - config.step))));
+    }
+    
+    return null;
+  }
+
   /**
    * Analyze if recalibration is needed
    */
@@ -359,7 +537,8 @@ export class AdaptiveInputAI {
           method: currentMethod,
           reason: 'accuracy_degradation',
           currentAccuracy: recentAccuracy
-        }
+        },
+        evidence: { accuracy: recentAccuracy, samples: Math.min(methodEvents.length, 20) }
       };
     }
     
@@ -386,7 +565,8 @@ export class AdaptiveInputAI {
             from: currentMethod,
             to: 'keyboard',
             reason: 'fatigue_management'
-          }
+          },
+          evidence: { fatigue }
         };
       }
       
@@ -397,13 +577,62 @@ export class AdaptiveInputAI {
         data: {
           reason: 'high_fatigue',
           recommendedDuration: Math.min(300, fatigue * 600) // 0-10 minutes
-        }
+        },
+        evidence: { fatigue }
       };
     }
     
     return null;
   }
 
+  /**
+   * Explain a recommendation in words a player or caregiver can follow
+   */
+  explainRecommendation(recommendation) {
+    const { data = {}, evidence = {} } = recommendation;
+    const percent = (value) => `${Math.round((value || 0) * 100)}%`;
+    const from = this.describeMethod(data.from || data.method || 'input');
+    const to = data.to ? this.describeMethod(data.to) : '';
+    
+    switch (recommendation.type) {
+      case 'switch_input':
+        if (data.reason === 'fatigue_management') {
+          return `Playing seems tiring right now (tiredness ${percent(evidence.fatigue)}), and ${to} takes less effort`;
+        }
+        return evidence.fromAccuracy !== null && evidence.fromAccuracy !== undefined
+          ? `${to} has been ${percent(evidence.toAccuracy)} accurate lately, compared with ${percent(evidence.fromAccuracy)} for ${from}`
+          : `${to} has been ${percent(evidence.toAccuracy)} accurate lately`;
+      case 'adjust_timing':
+        if (data.reason === 'false_activations') {
+          return `${evidence.matching} of the last ${evidence.samples} ${from} choices were undone straight away, so looking for ${(data.dwellTime / 1000).toFixed(1)} seconds before choosing may help`;
+        }
+        if (data.reason === 'dwell_given_up') {
+          return `${evidence.matching} of the last ${evidence.samples} ${from} choices were given up just before they counted, so a shorter look of ${(data.dwellTime / 1000).toFixed(1)} seconds may help`;
+        }
+        if (data.adjustment === 'decrease_dwell_time') {
+          return `${from} inputs are accurate but take ${(evidence.averageResponseTime / 1000).toFixed(1)} seconds on average, so less waiting may help`;
+        }
+        return `${percent(evidence.errorRate)} of the last ${evidence.samples} ${from} inputs missed, so a little more time may help`;
+      case 'adjust_switch_timing': {
+        const seconds = (time) => `${(time / 1000).toFixed(2)} seconds`;
+        const share = `${evidence.matching} of the last ${evidence.samples} switch presses`;
+        if (data.reason === 'switch_bounce') {
+          return `${share} came within ${seconds(evidence.typicalTime)} of letting go, which looks like the switch bouncing, so waiting ${seconds(data.value)} after each release may help`;
+        }
+        if (data.reason === 'repeat_presses') {
+          return `${share} came within ${seconds(evidence.typicalTime)} of the one before, which looks accidental, so ignoring the switch for ${seconds(data.value)} after each press may help`;
+        }
+        return `${share} were let go before they counted (usually after ${seconds(evidence.typicalTime)}), so a shorter hold of ${seconds(data.value)} may help`;
+      }
+      case 'recalibrate':
+        return `${from} accuracy has dropped to ${percent(evidence.accuracy)} over the last ${evidence.samples} inputs`;
+      case 'suggest_break':
+        return `Playing seems tiring right now (tiredness ${percent(evidence.fatigue)})`;
+      default:
+        return `Suggested with ${percent(recommendation.confidence)} confidence`;
+    }
+  }
+
   /**
    * Filter and prioritize recommendations
    */
@@ -469,6 +698,13 @@ export class AdaptiveInputAI {
     return `${context.currentScene || 'unknown'}_${Math.floor((context.timeOfDay || 12) / 4)}`;
   }
 
+  /**
+   * Give back the session allowance of a recommendation that was never shown
+   */
+  returnRecommendation() {
+    this.currentSessionRecommendations = Math.max(0, this.currentSessionRecommendations - 1);
+  }
+
   /**
    * Reset session recommendations counter
    */
@@ -476,6 +712,129 @@ export class AdaptiveInputAI {
     this.currentSessionRecommendations = 0;
   }
 
+  /**
+   * Create an empty learned profile
+   */
+  createEmptyProfile() {
+    return {
+      inputPreferences: {},
+      performanceMetrics: {},
+      adaptationHistory: [],
+      sessionData: [],
+      fatiguePatterns: {}
+    };
+  }
+
+  /**
+   * Record what happened to a recommendation (applied, declined, undone, ...)
+   */
+  recordAdaptation(recommendation, status = 'applied') {
+    this.userProfile.adaptationHistory.push({
+      timestamp: Date.now(),
+      type: recommendation.type,
+      status,
+      confidence: recommendation.confidence,
+      explanation: recommendation.explanation || null,
+      data: recommendation.data
+    });
+    
+    if (this.userProfile.adaptationHistory.length > this.decayConfig.maxAdaptationHistory) {
+      this.userProfile.adaptationHistory.shift();
+    }
+  }
+
+  /**
+   * Reduce the weight of older learning according to the time since the last decay
+   */
+  applyDecay(now = Date.now()) {
+    const elapsed = now - this.lastDecayAt;
+    this.lastDecayAt = now;
+    if (elapsed <= 0) return;
+    
+    const factor = Math.pow(0.5, elapsed / this.decayConfig.halfLife);
+    const { minWeight } = this.decayConfig;
+    
+    // Preference counts
+    Object.entries(this.userProfile.inputPreferences).forEach(([contextKey, contextPrefs]) => {
+      Object.keys(contextPrefs).forEach(method => {
+        contextPrefs[method] *= factor;
+        if (contextPrefs[method] < minWeight) delete contextPrefs[method];
+      });
+      if (Object.keys(contextPrefs).length === 0) {
+        delete this.userProfile.inputPreferences[contextKey];
+      }
+    });
+    
+    // Metric weights; the averages stay but new data outweighs them sooner
+    Object.entries(this.userProfile.performanceMetrics).forEach(([method, metrics]) => {
+      metrics.totalEvents *= factor;
+      if (metrics.totalEvents < minWeight) {
+        delete this.userProfile.performanceMetrics[method];
+      }
+    });
+    
+    // Fatigue samples, keeping only the most recent slots
+    const slots = Object.keys(this.userProfile.fatiguePatterns).map(Number).sort((a, b) => b - a);
+    slots.forEach((slot, index) => {
+      const pattern = this.userProfile.fatiguePatterns[slot];
+      pattern.samples *= factor;
+      if (index >= this.decayConfig.maxFatigueSlots || pattern.samples < minWeight) {
+        delete this.userProfile.fatiguePatterns[slot];
+      }
+    });
+  }
+
+  /**
+   * Serialize the learned profile for saving
+   */
+  serializeProfile() {
+    this.applyDecay();
+    
+    return {
+      version: AdaptiveInputAI.PROFILE_VERSION,
+      savedAt: Date.now(),
+      ...JSON.parse(JSON.stringify(this.userProfile))
+    };
+  }
+
+  /**
+   * Restore a saved profile, decaying it by the time since it was saved
+   */
+  loadProfile(savedProfile) {
+    this.userProfile = this.createEmptyProfile();
+    this.lastDecayAt = Date.now();
+    
+    // Inputs already in memory belong to whoever played before this profile was loaded
+    this.lastAnalyzedTimestamp = Date.now();
+    
+    if (!savedProfile || savedProfile.version !== AdaptiveInputAI.PROFILE_VERSION) {
+      return false;
+    }
+    
+    Object.keys(this.userProfile).forEach(key => {
+      const saved = savedProfile[key];
+      const expectsList = Array.isArray(this.userProfile[key]);
+      if (saved && Array.isArray(saved) === expectsList && typeof saved === 'object') {
+        this.userProfile[key] = saved;
+      }
+    });
+    
+    this.lastDecayAt = savedProfile.savedAt || Date.now();
+    this.applyDecay();
+    
+    return true;
+  }
+
+  /**
+   * Forget everything learned about the player
+   */
+  resetProfile() {
+    this.userProfile = this.createEmptyProfile();
+    this.lastDecayAt = Date.now();
+    this.lastAnalyzedTimestamp = Date.now();
+    this.currentSessionRecommendations = 0;
+  }
+
   /**
    * Get user profile summary
    */
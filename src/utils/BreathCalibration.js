@@ -0,0 +1,238 @@
+/**
+ * Breath calibration for GazeQuest Adventures
+ * Guides a player through silence, soft, strong and held breaths, then derives
+ * detection thresholds from the room's noise floor and the player's breath range
+ */
+
+export class BreathCalibration {
+  static VERSION = 1;
+
+  static STEPS = [
+    {
+      id: 'silence',
+      title: 'Stay quiet',
+      instruction: 'Breathe normally and stay quiet so the game can hear the room.',
+      duration: 3000
+    },
+    {
+      id: 'soft',
+      title: 'Soft blow',
+      instruction: 'Blow gently, like cooling hot soup.',
+      duration: 3000
+    },
+    {
+      id: 'strong',
+      title: 'Strong blow',
+      instruction: 'Blow as hard as you comfortably can, like blowing out birthday candles.',
+      duration: 3000
+    },
+    {
+      id: 'hold',
+      title: 'Long blow',
+      instruction: 'Blow steadily for as long as you can.',
+      duration: 4000
+    }
+  ];
+
+  constructor(options = {}) {
+    this.config = {
+      minRange: 0.04,          // Smallest usable gap between room noise and a strong blow
+      maxAge: 14 * 24 * 60 * 60 * 1000, // Ask for a fresh calibration after 14 days
+      ambientTolerance: 0.5,   // Re-fit when the room gets this much quieter (fraction of the noise floor)
+      // Where the exhale threshold sits between the soft and strong blow
+      sensitivityPositions: {
+        low: 0.65,
+        medium: 0.5,
+        high: 0.3
+      },
+      ...options
+    };
+
+    this.samples = {};
+  }
+
+  /**
+   * Clear recorded samples
+   */
+  reset() {
+    this.samples = {};
+  }
+
+  /**
+   * Record a breath level for a calibration step
+   */
+  addSample(stepId, level, timestamp = Date.now()) {
+    if (!Number.isFinite(level)) return;
+
+    if (!this.samples[stepId]) {
+      this.samples[stepId] = [];
+    }
+    this.samples[stepId].push({ level, timestamp });
+  }
+
+  /**
+   * Get the levels recorded for a step
+   */
+  getLevels(stepId) {
+    return (this.samples[stepId] || []).map(sample => sample.level);
+  }
+
+  /**
+   * Turn the recorded steps into a calibration, or throw a message for the player
+   */
+  finish(sensitivity = 'medium') {
+    const missing = BreathCalibration.STEPS.filter(step => this.getLevels(step.id).length === 0);
+    if (missing.length > 0) {
+      throw new Error(`The ${missing[0].title.toLowerCase()} step did not record any sound. Please check the microphone.`);
+    }
+
+    const silence = this.getLevels('silence');
+    const soft = this.getLevels('soft');
+    const strong = this.getLevels('strong');
+    const hold = this.getLevels('hold');
+
+    const noiseFloor = this.percentile(silence, 0.95);
+    const measurements = {
+      noiseFloor,
+      noiseDeviation: this.standardDeviation(silence),
+      softLevel: this.percentile(soft, 0.5),
+      strongLevel: this.percentile(strong, 0.9),
+      holdLevel: this.percentile(hold.filter(level => level > noiseFloor), 0.5) || this.percentile(hold, 0.5),
+      holdDeviation: this.standardDeviation(hold.filter(level => level > noiseFloor)),
+      holdDuration: this.getLongestRun('hold', level => level > noiseFloor)
+    };
+
+    if (measurements.strongLevel - measurements.noiseFloor < this.config.minRange) {
+      throw new Error('The game could not hear your breath over the room noise. Try moving closer to the microphone or somewhere quieter.');
+    }
+
+    if (measurements.softLevel >= measurements.strongLevel) {
+      throw new Error('The strong blow was not stronger than the soft blow. Let\'s try again.');
+    }
+
+    return {
+      version: BreathCalibration.VERSION,
+      calibratedAt: Date.now(),
+      ...measurements,
+      thresholds: this.computeThresholds(measurements, sensitivity)
+    };
+  }
+
+  /**
+   * Derive detection thresholds and hysteresis from measured levels
+   */
+  computeThresholds(measurements, sensitivity = 'medium') {
+    const { noiseFloor, noiseDeviation, softLevel, strongLevel, holdLevel, holdDeviation } = measurements;
+    const range = Math.max(strongLevel - noiseFloor, this.config.minRange);
+    const position = this.config.sensitivityPositions[sensitivity] ?? this.config.sensitivityPositions.medium;
+
+    // Quiet enough to count as breathing in, just above the room
+    const breathIn = noiseFloor + range * 0.1;
+
+    // Between the player's soft and strong blows, never inside the quiet band
+    const breathOut = Math.max(softLevel + (strongLevel - softLevel) * position, breathIn + range * 0.2);
+
+    return {
+      breathIn,
+      breathOut,
+      holdLevel,
+      hold: Math.max(holdDeviation * 2, range * 0.1),
+      // Levels must move this far back past a threshold before the state changes again
+      hysteresis: Math.max(range * 0.05, noiseDeviation * 2)
+    };
+  }
+
+  /**
+   * Re-fit a calibration to a changed room; returns null if the player's breath can no longer be told apart
+   */
+  adjustForAmbient(calibration, ambientLevel, sensitivity = 'medium') {
+    if (ambientLevel >= calibration.strongLevel - this.config.minRange) {
+      return null;
+    }
+
+    const measurements = {
+      ...calibration,
+      noiseFloor: ambientLevel
+    };
+
+    return {
+      ...measurements,
+      ambientAdjustedAt: Date.now(),
+      thresholds: this.computeThresholds(measurements, sensitivity)
+    };
+  }
+
+  /**
+   * Check whether the room's quiet level has drifted away from the calibration
+   */
+  hasAmbientDrifted(calibration, ambientLevel) {
+    const { thresholds, noiseFloor } = calibration;
+    return (
+      ambientLevel > thresholds.breathIn + thresholds.hysteresis ||
+      ambientLevel < noiseFloor * (1 - this.config.ambientTolerance)
+    );
+  }
+
+  /**
+   * Check whether a calibration is missing, outdated or too old
+   */
+  isRecheckDue(calibration, now = Date.now()) {
+    if (!calibration || calibration.version !== BreathCalibration.VERSION) {
+      return true;
+    }
+    return now - calibration.calibratedAt > this.config.maxAge;
+  }
+
+  /**
+   * Scale a level to the player's range: 0 is the room, 1 is their strong blow
+   */
+  normalize(level, calibration) {
+    if (!calibration) return level;
+
+    const range = calibration.strongLevel - calibration.noiseFloor;
+    if (range <= 0) return level;
+
+    return Math.max(0, Math.min(1, (level - calibration.noiseFloor) / range));
+  }
+
+  /**
+   * Longest time, in ms, that a step's levels kept meeting a condition
+   */
+  getLongestRun(stepId, condition) {
+    let longest = 0;
+    let runStart = null;
+
+    (this.samples[stepId] || []).forEach(sample => {
+      if (condition(sample.level)) {
+        if (runStart === null) runStart = sample.timestamp;
+        longest = Math.max(longest, sample.timestamp - runStart);
+      } else {
+        runStart = null;
+      }
+    });
+
+    return longest;
+  }
+
+  /**
+   * Value below which a fraction of the values fall
+   */
+  percentile(values, fraction) {
+    if (values.length === 0) return 0;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.floor(fraction * sorted.length));
+    return sorted[index];
+  }
+
+  /**
+   * Standard deviation of a list of values
+   */
+  standardDeviation(values) {
+    if (values.length === 0) return 0;
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return Math.sqrt(variance);
+  }
+}
\ No newline at end of file
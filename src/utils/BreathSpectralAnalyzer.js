@@ -0,0 +1,149 @@
+/**
+ * Breath spectral analyzer for GazeQuest Adventures
+ * Scores how breath-like a microphone frame is: breath is broadband noise, while
+ * speech has harmonics at its pitch and tonal sounds concentrate in a few peaks
+ */
+
+export class BreathSpectralAnalyzer {
+  constructor(options = {}) {
+    this.config = {
+      minFrequency: 150,        // Hz; below this is handling noise and mic rumble
+      maxFrequency: 6000,       // Hz
+      minPitch: 80,             // Hz; voiced speech fundamentals to look for
+      maxPitch: 400,
+      harmonics: 5,
+      flatnessRange: [0.05, 0.35],   // Spectral flatness from tonal/voiced to breath-like
+      harmonicRange: [4, 9],         // Harmonic energy vs. band average, from noise to voiced
+      crestRange: [10, 40],          // Peak vs. average power, from noise to a pure tone
+      weights: { flatness: 0.45, harmonic: 0.35, crest: 0.2 },
+      smoothing: 0.4,           // Weight of the newest frame in the smoothed confidence
+      ...options
+    };
+
+    this.confidence = 1;
+  }
+
+  /**
+   * Analyze one frame of frequency data (dB per bin) and update the smoothed confidence
+   */
+  analyze(frequencyData, sampleRate, fftSize) {
+    const binWidth = sampleRate / fftSize;
+    const firstBin = Math.max(1, Math.floor(this.config.minFrequency / binWidth));
+    const lastBin = Math.min(frequencyData.length - 1, Math.ceil(this.config.maxFrequency / binWidth));
+
+    const power = [];
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+      power.push(this.toPower(frequencyData[bin]));
+    }
+
+    const features = {
+      flatness: this.getFlatness(power),
+      harmonicity: this.getHarmonicity(frequencyData, binWidth),
+      crest: this.getCrest(power)
+    };
+
+    const { weights } = this.config;
+    const frameConfidence =
+      weights.flatness * this.scale(features.flatness, this.config.flatnessRange) +
+      weights.harmonic * (1 - this.scale(features.harmonicity, this.config.harmonicRange)) +
+      weights.crest * (1 - this.scale(features.crest, this.config.crestRange));
+
+    this.confidence = this.confidence * (1 - this.config.smoothing) + frameConfidence * this.config.smoothing;
+
+    return {
+      ...features,
+      frameConfidence,
+      confidence: this.confidence
+    };
+  }
+
+  /**
+   * Spectral flatness: geometric over arithmetic mean of power (1 = white noise, 0 = pure tone)
+   */
+  getFlatness(power) {
+    if (power.length === 0) return 0;
+
+    let logSum = 0;
+    let sum = 0;
+    power.forEach(value => {
+      logSum += Math.log(value);
+      sum += value;
+    });
+
+    const arithmeticMean = sum / power.length;
+    return arithmeticMean > 0 ? Math.exp(logSum / power.length) / arithmeticMean : 0;
+  }
+
+  /**
+   * Strongest harmonic comb for a speech pitch, relative to the band's average power
+   */
+  getHarmonicity(frequencyData, binWidth) {
+    const lastBin = frequencyData.length - 1;
+    const bandEnd = Math.min(lastBin, Math.ceil(this.config.maxPitch * this.config.harmonics / binWidth));
+
+    let bandPower = 0;
+    for (let bin = 1; bin <= bandEnd; bin++) {
+      bandPower += this.toPower(frequencyData[bin]);
+    }
+    const averagePower = bandPower / bandEnd;
+    if (averagePower <= 0) return 0;
+
+    // Peaks may fall between bins, so each harmonic takes the strongest neighbour
+    const peakAt = (bin) => Math.max(
+      this.toPower(frequencyData[bin - 1]),
+      this.toPower(frequencyData[bin]),
+      this.toPower(frequencyData[Math.min(bin + 1, lastBin)])
+    );
+
+    let best = 0;
+    const minBin = Math.max(2, Math.round(this.config.minPitch / binWidth));
+    const maxBin = Math.round(this.config.maxPitch / binWidth);
+
+    for (let pitchBin = minBin; pitchBin <= maxBin; pitchBin++) {
+      let harmonicPower = 0;
+      let count = 0;
+      for (let harmonic = 1; harmonic <= this.config.harmonics; harmonic++) {
+        const bin = pitchBin * harmonic;
+        if (bin >= lastBin) break;
+        harmonicPower += peakAt(bin);
+        count++;
+      }
+      if (count > 0) {
+        best = Math.max(best, harmonicPower / count / averagePower);
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Ratio of the strongest bin to the average power
+   */
+  getCrest(power) {
+    if (power.length === 0) return 0;
+
+    const sum = power.reduce((total, value) => total + value, 0);
+    return sum > 0 ? Math.max(...power) / (sum / power.length) : 0;
+  }
+
+  /**
+   * Convert a dB value to linear power, treating silence as a tiny floor
+   */
+  toPower(decibels) {
+    return Number.isFinite(decibels) ? Math.pow(10, decibels / 10) + 1e-12 : 1e-12;
+  }
+
+  /**
+   * Map a value onto 0..1 across a range
+   */
+  scale(value, [low, high]) {
+    return Math.max(0, Math.min(1, (value - low) / (high - low)));
+  }
+
+  /**
+   * Forget the smoothed confidence
+   */
+  reset() {
+    this.confidence = 1;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,408 @@
+/**
+ * Clinician progress reports for GazeQuest Adventures
+ * Summarizes a player's history (scores, input accuracy, response times, fatigue
+ * and settings changes) for therapists, with printable HTML and CSV output
+ */
+
+export class ClinicianReport {
+  constructor() {
+    this.config = {
+      sessionGap: 30 * 60 * 1000,     // Inputs further apart than this start a new session
+      fatigueSlot: 5 * 60 * 1000,     // Fatigue is compared in 5 minute slots
+      minSlotEvents: 5,               // Slots with fewer inputs are ignored
+      accuracyDrop: 0.15,             // Relative accuracy drop that counts as fatigue
+      responseTimeRise: 0.3           // Relative response time rise that counts as fatigue
+    };
+  }
+
+  /**
+   * Build a report for the active player
+   * options: { since, until } timestamps limiting the period
+   */
+  async build(stateManager, options = {}) {
+    const filter = {};
+    if (options.since) filter.since = options.since;
+    if (options.until) filter.until = options.until;
+
+    const [scores, inputSummaries, singleInputs, sessions, settingsChanges, adaptiveAdjustments] = await Promise.all([
+      stateManager.getHistory('scores', filter),
+      stateManager.getHistory('inputEvents', { ...filter, type: 'inputSummary' }),
+      stateManager.getHistory('inputEvents', { ...filter, type: 'input' }),
+      stateManager.getHistory('sessions', filter),
+      stateManager.getHistory('settingsChanges', filter),
+      stateManager.getHistory('adaptiveAdjustments', filter)
+    ]);
+
+    const registry = stateManager.gameEngine?.sceneManager?.registry;
+    const inputs = this.toInputSlots(inputSummaries, singleInputs);
+
+    return {
+      profile: { ...stateManager.getActiveProfile() },
+      generatedAt: Date.now(),
+      period: { since: options.since || null, until: options.until || null },
+      summary: {
+        sessions: sessions.length,
+        totalPlayTime: sessions.reduce((sum, session) => sum + (session.duration || 0), 0),
+        inputEvents: this.sum(inputs, 'count'),
+        accuracy: this.weightedAverage(inputs, 'accuracy', 'accuracyCount'),
+        averageResponseTime: this.weightedAverage(inputs, 'responseTime', 'responseCount'),
+        level: stateManager.getStateValue('level'),
+        adaptiveAdjustments: adaptiveAdjustments.length
+      },
+      realms: this.summarizeScores(scores, registry),
+      inputMethods: this.summarizeInputMethods(inputs),
+      fatigue: this.detectFatigue(inputs),
+      settingsChanges: settingsChanges.map(change => ({
+        timestamp: change.timestamp,
+        path: change.path,
+        from: change.from,
+        to: change.to
+      }))
+    };
+  }
+
+  /**
+   * Input statistics slots, oldest first, from inputSummary records and from the single
+   * input records kept before inputs were summarized
+   */
+  toInputSlots(summaries, singleInputs) {
+    const slots = summaries.map(record => ({ timestamp: record.timestamp, ...record.value }));
+
+    singleInputs.forEach(record => {
+      const { method, accuracy, responseTime } = record.value || {};
+      slots.push({
+        timestamp: record.timestamp,
+        end: record.timestamp,
+        method,
+        count: 1,
+        accuracy,
+        accuracyCount: Number.isFinite(accuracy) ? 1 : 0,
+        responseTime,
+        responseCount: Number.isFinite(responseTime) && responseTime > 0 ? 1 : 0
+      });
+    });
+
+    return slots.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Group scores by scene
+   */
+  summarizeScores(scores, registry) {
+    const byScene = new Map();
+
+    scores.forEach(record => {
+      if (!byScene.has(record.scene)) {
+        byScene.set(record.scene, []);
+      }
+      byScene.get(record.scene).push({
+        timestamp: record.timestamp,
+        score: record.score,
+        level: record.level,
+        duration: record.duration,
+        inputMethod: record.inputMethod
+      });
+    });
+
+    return Array.from(byScene.entries()).map(([scene, plays]) => ({
+      scene,
+      title: registry?.get(scene)?.title || scene,
+      plays: plays.length,
+      bestScore: Math.max(...plays.map(play => play.score)),
+      averageScore: this.average(plays.map(play => play.score)),
+      scores: plays
+    }));
+  }
+
+  /**
+   * Accuracy and response time per input method
+   */
+  summarizeInputMethods(inputs) {
+    const byMethod = new Map();
+
+    inputs.forEach(input => {
+      if (!byMethod.has(input.method)) {
+        byMethod.set(input.method, []);
+      }
+      byMethod.get(input.method).push(input);
+    });
+
+    return Array.from(byMethod.entries()).map(([method, slots]) => ({
+      method,
+      events: this.sum(slots, 'count'),
+      accuracy: this.weightedAverage(slots, 'accuracy', 'accuracyCount'),
+      averageResponseTime: this.weightedAverage(slots, 'responseTime', 'responseCount')
+    }));
+  }
+
+  /**
+   * Find, for each session, when accuracy dropped or response time rose against its start
+   */
+  detectFatigue(inputs) {
+    const sessions = [];
+    let current = [];
+
+    inputs.forEach(input => {
+      const previous = current[current.length - 1];
+      if (previous && input.timestamp - (previous.end ?? previous.timestamp) > this.config.sessionGap) {
+        sessions.push(current);
+        current = [];
+      }
+      current.push(input);
+    });
+    if (current.length > 0) sessions.push(current);
+
+    return sessions.map(events => {
+      const start = events[0].timestamp;
+      const slots = [];
+
+      events.forEach(event => {
+        const index = Math.floor((event.timestamp - start) / this.config.fatigueSlot);
+        (slots[index] = slots[index] || []).push(event);
+      });
+
+      const usable = slots
+        .map((slotEvents, index) => slotEvents && this.sum(slotEvents, 'count') >= this.config.minSlotEvents
+          ? {
+            index,
+            accuracy: this.weightedAverage(slotEvents, 'accuracy', 'accuracyCount'),
+            responseTime: this.weightedAverage(slotEvents, 'responseTime', 'responseCount')
+          }
+          : null)
+        .filter(Boolean);
+
+      let onset = null;
+      if (usable.length > 1) {
+        const baseline = usable[0];
+        onset = usable.slice(1).find(slot =>
+          (baseline.accuracy !== null && slot.accuracy < baseline.accuracy * (1 - this.config.accuracyDrop)) ||
+          (baseline.responseTime && slot.responseTime > baseline.responseTime * (1 + this.config.responseTimeRise))
+        ) || null;
+      }
+
+      return {
+        sessionStart: start,
+        duration: Math.max(...events.map(event => event.end ?? event.timestamp)) - start,
+        events: this.sum(events, 'count'),
+        onsetMinutes: onset ? (onset.index * this.config.fatigueSlot) / 60000 : null,
+        indicator: onset
+          ? (onset.accuracy < usable[0].accuracy * (1 - this.config.accuracyDrop) ? 'accuracy dropped' : 'responses slowed')
+          : null
+      };
+    });
+  }
+
+  /**
+   * Export a report as CSV, one section after another
+   */
+  toCSV(report) {
+    const rows = [
+      ['Section', 'Date', 'Item', 'Value', 'Detail']
+    ];
+    const date = (timestamp) => new Date(timestamp).toISOString();
+
+    rows.push(['Summary', date(report.generatedAt), 'Player', report.profile.name, '']);
+    rows.push(['Summary', '', 'Sessions', report.summary.sessions, '']);
+    rows.push(['Summary', '', 'Total play time (min)', this.minutes(report.summary.totalPlayTime), '']);
+    rows.push(['Summary', '', 'Accuracy (%)', this.percent(report.summary.accuracy), '']);
+    rows.push(['Summary', '', 'Average response time (ms)', this.round(report.summary.averageResponseTime), '']);
+
+    report.realms.forEach(realm => {
+      realm.scores.forEach(play => {
+        rows.push(['Score', date(play.timestamp), realm.title, play.score,
+          `level ${play.level ?? '-'}; ${this.minutes(play.duration)} min; ${play.inputMethod || ''}`]);
+      });
+    });
+
+    report.inputMethods.forEach(method => {
+      rows.push(['Input method', '', method.method, this.percent(method.accuracy),
+        `${method.events} inputs; ${this.round(method.averageResponseTime)} ms average response`]);
+    });
+
+    report.fatigue.forEach(session => {
+      rows.push(['Fatigue', date(session.sessionStart), 'Onset (min)', session.onsetMinutes ?? '',
+        session.indicator || 'no fatigue detected']);
+    });
+
+    report.settingsChanges.forEach(change => {
+      rows.push(['Setting change', date(change.timestamp), change.path,
+        this.formatValue(change.to), `was ${this.formatValue(change.from)}`]);
+    });
+
+    return rows.map(row => row.map(cell => this.escapeCSV(cell)).join(',')).join('\n');
+  }
+
+  /**
+   * Render a report as a standalone printable HTML document
+   */
+  toHTML(report) {
+    const esc = (value) => this.escapeHTML(value);
+    const date = (timestamp) => esc(new Date(timestamp).toLocaleString());
+    const table = (headers, rows) => rows.length === 0
+      ? '<p>No data for this period.</p>'
+      : `<table><thead><tr>${headers.map(header => `<th>${esc(header)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+    const period = report.period.since
+      ? `${date(report.period.since)} – ${date(report.period.until || report.generatedAt)}`
+      : 'All recorded sessions';
+
+    const realmSections = report.realms.map(realm => `
+      <h3>${esc(realm.title)}</h3>
+      <p>${realm.plays} plays · best ${esc(realm.bestScore)} · average ${esc(this.round(realm.averageScore))}</p>
+      ${this.renderSparkline(realm.scores.map(play => play.score))}
+      ${table(['Date', 'Score', 'Level', 'Minutes', 'Input'], realm.scores.map(play => [
+        date(play.timestamp), esc(play.score), esc(play.level ?? '-'), esc(this.minutes(play.duration)), esc(play.inputMethod || '-')
+      ]))}
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>GazeQuest progress report – ${esc(report.profile.name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; margin: 2rem; }
+    h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+    h2 { border-bottom: 2px solid #667eea; padding-bottom: 0.25rem; margin-top: 2rem; }
+    table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 0.9rem; }
+    th { background: #f0f0f8; }
+    .summary td:first-child { font-weight: bold; width: 40%; }
+    @media print { body { margin: 0; } h2 { page-break-after: avoid; } table { page-break-inside: auto; } }
+  </style>
+</head>
+<body>
+  <h1>GazeQuest progress report: ${esc(report.profile.name)}</h1>
+  <p>${period} · generated ${date(report.generatedAt)}</p>
+
+  <h2>Summary</h2>
+  <table class="summary"><tbody>
+    <tr><td>Sessions</td><td>${esc(report.summary.sessions)}</td></tr>
+    <tr><td>Total play time</td><td>${esc(this.minutes(report.summary.totalPlayTime))} minutes</td></tr>
+    <tr><td>Current level</td><td>${esc(report.summary.level ?? '-')}</td></tr>
+    <tr><td>Inputs recorded</td><td>${esc(report.summary.inputEvents)}</td></tr>
+    <tr><td>Accuracy</td><td>${esc(this.percent(report.summary.accuracy))}%</td></tr>
+    <tr><td>Average response time</td><td>${esc(this.round(report.summary.averageResponseTime))} ms</td></tr>
+    <tr><td>Automatic adjustments</td><td>${esc(report.summary.adaptiveAdjustments)}</td></tr>
+  </tbody></table>
+
+  <h2>Scores by realm</h2>
+  ${realmSections || '<p>No games played in this period.</p>'}
+
+  <h2>Input methods</h2>
+  ${table(['Method', 'Inputs', 'Accuracy', 'Average response'], report.inputMethods.map(method => [
+    esc(method.method), esc(method.events), `${esc(this.percent(method.accuracy))}%`, `${esc(this.round(method.averageResponseTime))} ms`
+  ]))}
+
+  <h2>Fatigue</h2>
+  ${table(['Session start', 'Length (min)', 'Inputs', 'Fatigue onset'], report.fatigue.map(session => [
+    date(session.sessionStart), esc(this.minutes(session.duration)), esc(session.events),
+    session.onsetMinutes !== null ? `${esc(session.onsetMinutes)} min (${esc(session.indicator)})` : 'Not detected'
+  ]))}
+
+  <h2>Settings changes</h2>
+  ${table(['Date', 'Setting', 'From', 'To'], report.settingsChanges.map(change => [
+    date(change.timestamp), esc(change.path), esc(this.formatValue(change.from)), esc(this.formatValue(change.to))
+  ]))}
+</body>
+</html>`;
+  }
+
+  /**
+   * Render a small inline SVG line of scores over time
+   */
+  renderSparkline(values) {
+    if (values.length < 2) return '';
+
+    const width = 300;
+    const height = 60;
+    const max = Math.max(...values, 1);
+    const points = values.map((value, index) =>
+      `${Math.round((index / (values.length - 1)) * width)},${Math.round(height - (value / max) * (height - 4) - 2)}`
+    ).join(' ');
+
+    return `<svg width="${width}" height="${height}" role="img" aria-label="Scores over time">
+      <polyline fill="none" stroke="#667eea" stroke-width="2" points="${points}"></polyline>
+    </svg>`;
+  }
+
+  /**
+   * Average of the numeric values in a list, or null
+   */
+  average(values) {
+    const numbers = values.filter(value => Number.isFinite(value));
+    if (numbers.length === 0) return null;
+    return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+  }
+
+  /**
+   * Total of a numeric field over some items
+   */
+  sum(items, key) {
+    return items.reduce((total, item) => total + (item[key] || 0), 0);
+  }
+
+  /**
+   * Average of a field that is itself an average, weighted by how many values each item covers, or null
+   */
+  weightedAverage(items, key, weightKey) {
+    const weighted = items.filter(item => Number.isFinite(item[key]) && item[weightKey] > 0);
+    const weight = this.sum(weighted, weightKey);
+    if (weight === 0) return null;
+    return weighted.reduce((total, item) => total + item[key] * item[weightKey], 0) / weight;
+  }
+
+  /**
+   * Round to one decimal place, keeping missing values visible
+   */
+  round(value) {
+    return Number.isFinite(value) ? Math.round(value * 10) / 10 : '-';
+  }
+
+  /**
+   * Format a 0..1 ratio as a percentage
+   */
+  percent(value) {
+    return Number.isFinite(value) ? Math.round(value * 100) : '-';
+  }
+
+  /**
+   * Format milliseconds as minutes
+   */
+  minutes(milliseconds) {
+    return Number.isFinite(milliseconds) ? Math.round(milliseconds / 6000) / 10 : '-';
+  }
+
+  /**
+   * Format a setting value for display
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return '-';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Escape a CSV cell
+   * Text starting like a formula (a player name such as '=HYPERLINK(...)') gets a leading
+   * apostrophe so spreadsheets show it instead of running it; numbers are left as numbers
+   */
+  escapeCSV(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Escape text for HTML
+   */
+  escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Fixation detector for GazeQuest Adventures
+ * Classifies raw gaze points into fixations and saccades. A fixation starts once points
+ * have stayed within a small dispersion for a minimum time (I-DT) and lasts while points
+ * stay within that distance of its center; a jump faster than the velocity threshold
+ * (I-VT) is reported as a saccade and breaks any fixation that was forming. Thresholds are
+ * in degrees of visual angle, converted with pixelsPerDegree, so with a steady tracker a
+ * fixation is about as wide as the eyes' own steadiness (about 1°) and a small move to a
+ * neighbouring button ends it. Noisy trackers such as webcams scatter points by several
+ * degrees, so the dispersion also grows with the tracker's noise (see setNoise); only jumps
+ * wider than a fixation count as saccades, so that jitter is not mistaken for one.
+ *
+ * add() returns the events each point caused:
+ *   { type: 'fixationStart', x, y, start }
+ *   { type: 'fixationEnd', x, y, start, duration }
+ *   { type: 'saccade', from: { x, y }, to: { x, y }, velocity, timestamp }
+ */
+
+export class FixationDetector {
+  constructor(options = {}) {
+    this.config = {
+      pixelsPerDegree: 40,       // Pixels spanning 1° of visual angle (a desktop screen about 60 cm away)
+      dispersionThreshold: 1.0,  // Degrees the width plus height of a fixation's points may span
+      noise: 0,                  // Tracker noise in pixels (one standard deviation of its scatter)
+      noiseDispersion: 6,        // Dispersion allowed per pixel of noise, so noisy fixations hold together
+      velocityThreshold: 30,     // Degrees per second above which movement is a saccade
+      minFixationDuration: 100,  // ms points must stay together to count as a fixation
+      ...options
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Forget all points
+   */
+  reset() {
+    this.window = [];
+    this.fixation = null;
+    this.lastPoint = null;
+  }
+
+  /**
+   * Set how much the tracker's points scatter, in pixels (e.g. from GazeProvider.getNoise())
+   */
+  setNoise(noise) {
+    this.config.noise = Math.max(0, noise || 0);
+  }
+
+  /**
+   * Largest dispersion in pixels that still counts as one fixation
+   */
+  getMaxDispersion() {
+    return Math.max(
+      this.config.dispersionThreshold * this.config.pixelsPerDegree,
+      this.config.noise * this.config.noiseDispersion
+    );
+  }
+
+  /**
+   * The fixation in progress, or null
+   */
+  getFixation() {
+    return this.fixation ? { x: this.fixation.x, y: this.fixation.y, start: this.fixation.start } : null;
+  }
+
+  /**
+   * Classify a gaze point ({ x, y, timestamp }) and return the events it caused
+   */
+  add(point) {
+    const events = [];
+    const maxDispersion = this.getMaxDispersion();
+    const saccade = this.detectSaccade(point, maxDispersion);
+    this.lastPoint = point;
+
+    if (this.fixation) {
+      if (Math.hypot(point.x - this.fixation.x, point.y - this.fixation.y) <= maxDispersion) {
+        this.extendFixation(point);
+        return events;
+      }
+
+      events.push(this.endFixation());
+    }
+
+    if (saccade) {
+      events.push(saccade);
+      this.window = [];
+    }
+
+    // Drop the oldest points until the rest are close enough together to be a fixation
+    this.window.push(point);
+    while (this.window.length > 1 && this.dispersion(this.getBounds(this.window)) > maxDispersion) {
+      this.window.shift();
+    }
+
+    const first = this.window[0];
+    if (point.timestamp - first.timestamp >= this.config.minFixationDuration) {
+      events.push(this.startFixation());
+    }
+
+    return events;
+  }
+
+  /**
+   * A saccade event if the eyes jumped further than a fixation's spread, faster than the
+   * velocity threshold, since the last point; velocity is in degrees per second
+   */
+  detectSaccade(point, maxDispersion) {
+    const last = this.lastPoint;
+    if (!last || point.timestamp <= last.timestamp) return null;
+
+    const distance = Math.hypot(point.x - last.x, point.y - last.y);
+    if (distance <= maxDispersion) return null;
+
+    const velocity = distance / this.config.pixelsPerDegree / ((point.timestamp - last.timestamp) / 1000);
+    if (velocity < this.config.velocityThreshold) return null;
+
+    return {
+      type: 'saccade',
+      from: { x: last.x, y: last.y },
+      to: { x: point.x, y: point.y },
+      velocity,
+      timestamp: point.timestamp
+    };
+  }
+
+  /**
+   * Turn the current window of points into a fixation
+   */
+  startFixation() {
+    const points = this.window;
+    this.fixation = {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+      count: points.length,
+      start: points[0].timestamp,
+      last: points[points.length - 1].timestamp
+    };
+    this.window = [];
+
+    return { type: 'fixationStart', x: this.fixation.x, y: this.fixation.y, start: this.fixation.start };
+  }
+
+  /**
+   * Add a point to the fixation in progress
+   */
+  extendFixation(point) {
+    const fixation = this.fixation;
+    fixation.count++;
+    fixation.x += (point.x - fixation.x) / fixation.count;
+    fixation.y += (point.y - fixation.y) / fixation.count;
+    fixation.last = point.timestamp;
+  }
+
+  /**
+   * Finish the fixation in progress
+   */
+  endFixation() {
+    const { x, y, start, last } = this.fixation;
+    this.fixation = null;
+    return { type: 'fixationEnd', x, y, start, duration: last - start };
+  }
+
+  /**
+   * Bounding box of some points
+   */
+  getBounds(points) {
+    return {
+      minX: Math.min(...points.map(p => p.x)),
+      maxX: Math.max(...points.map(p => p.x)),
+      minY: Math.min(...points.map(p => p.y)),
+      maxY: Math.max(...points.map(p => p.y))
+    };
+  }
+
+  /**
+   * Dispersion (width plus height) of a bounding box
+   */
+  dispersion(bounds) {
+    return (bounds.maxX - bounds.minX) + (bounds.maxY - bounds.minY);
+  }
+}
\ No newline at end of file
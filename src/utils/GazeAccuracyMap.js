@@ -0,0 +1,227 @@
+/**
+ * Gaze accuracy map for GazeQuest Adventures
+ * Splits the screen into a grid of regions and records how far gaze landed from fresh
+ * validation points in each, so weak areas can be recalibrated, given larger dwell targets
+ * or avoided when scenes place targets. Errors are kept as a fraction of the screen
+ * diagonal, so a map still applies after the window is resized.
+ */
+
+export class GazeAccuracyMap {
+  static VERSION = 1;
+
+  static REGION_NAMES = [
+    ['top left', 'top', 'top right'],
+    ['left', 'center', 'right'],
+    ['bottom left', 'bottom', 'bottom right']
+  ];
+
+  constructor(options = {}) {
+    this.config = {
+      columns: 3,
+      rows: 3,
+      goodError: 0.05,  // Median error (fraction of the diagonal) up to which a region is good
+      poorError: 0.1,   // ...and above which it is poor
+      minSamples: 5,    // Regions with fewer samples are unknown
+      ...options
+    };
+
+    this.regions = [];
+    for (let row = 0; row < this.config.rows; row++) {
+      for (let column = 0; column < this.config.columns; column++) {
+        this.regions.push({ index: this.regions.length, column, row, errors: [], error: null, samples: 0, quality: 'unknown' });
+      }
+    }
+    this.createdAt = null;
+  }
+
+  /**
+   * Rebuild a stored map; returns null if it can't be used
+   */
+  static fromJSON(data, options = {}) {
+    if (!data || data.version !== GazeAccuracyMap.VERSION || !Array.isArray(data.regions)) {
+      return null;
+    }
+    // A map without a grid size would have no regions to look errors up in
+    const isCount = (value) => Number.isInteger(value) && value > 0;
+    if (!isCount(data.columns) || !isCount(data.rows)) {
+      return null;
+    }
+
+    const map = new GazeAccuracyMap({ ...options, columns: data.columns, rows: data.rows });
+    data.regions.forEach(stored => {
+      const inGrid = Number.isInteger(stored?.column) && Number.isInteger(stored.row) &&
+        stored.column >= 0 && stored.column < data.columns && stored.row >= 0 && stored.row < data.rows;
+      const region = inGrid && map.regions[stored.row * data.columns + stored.column];
+      if (region) {
+        region.error = typeof stored.error === 'number' ? stored.error : null;
+        region.samples = stored.samples || 0;
+        region.quality = map.rate(region);
+      }
+    });
+    map.createdAt = data.createdAt || null;
+    return map;
+  }
+
+  /**
+   * Stored form of the map
+   */
+  toJSON() {
+    return {
+      version: GazeAccuracyMap.VERSION,
+      columns: this.config.columns,
+      rows: this.config.rows,
+      regions: this.regions.map(({ column, row, error, samples, quality }) => ({ column, row, error, samples, quality })),
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Diagonal of the current viewport in pixels
+   */
+  getDiagonal() {
+    return Math.hypot(window.innerWidth, window.innerHeight);
+  }
+
+  /**
+   * Region containing a viewport point
+   */
+  getRegionAt(x, y) {
+    const column = Math.min(this.config.columns - 1, Math.max(0, Math.floor(x / window.innerWidth * this.config.columns)));
+    const row = Math.min(this.config.rows - 1, Math.max(0, Math.floor(y / window.innerHeight * this.config.rows)));
+    return this.regions[row * this.config.columns + column];
+  }
+
+  /**
+   * Pixel bounds of a region in the current viewport
+   */
+  getRegionBounds(region) {
+    const width = window.innerWidth / this.config.columns;
+    const height = window.innerHeight / this.config.rows;
+
+    return {
+      left: region.column * width,
+      top: region.row * height,
+      right: (region.column + 1) * width,
+      bottom: (region.row + 1) * height
+    };
+  }
+
+  /**
+   * Name of a region for announcements, e.g. 'top left'
+   */
+  describeRegion(region) {
+    if (this.config.columns === 3 && this.config.rows === 3) {
+      return GazeAccuracyMap.REGION_NAMES[region.row][region.column];
+    }
+    return `row ${region.row + 1} column ${region.column + 1}`;
+  }
+
+  /**
+   * Forget the samples of some regions, before they are validated again
+   */
+  clearRegions(regions) {
+    regions.forEach(region => {
+      region.errors = [];
+      region.error = null;
+      region.samples = 0;
+      region.quality = 'unknown';
+    });
+  }
+
+  /**
+   * Record where gaze landed while the player looked at a validation target
+   */
+  addSample(target, gaze) {
+    if (typeof gaze?.x !== 'number' || typeof gaze?.y !== 'number') return;
+
+    const region = this.getRegionAt(target.x, target.y);
+    region.errors.push(Math.hypot(gaze.x - target.x, gaze.y - target.y) / this.getDiagonal());
+  }
+
+  /**
+   * Work out each region's error from its samples
+   */
+  finish() {
+    this.regions.forEach(region => {
+      if (region.errors.length === 0) return;
+
+      const sorted = [...region.errors].sort((a, b) => a - b);
+      region.error = sorted[Math.floor(sorted.length / 2)];
+      region.samples = sorted.length;
+      region.errors = [];
+      region.quality = this.rate(region);
+    });
+
+    this.createdAt = Date.now();
+    return this;
+  }
+
+  /**
+   * Rate a region 'good', 'fair', 'poor' or 'unknown'
+   */
+  rate(region) {
+    if (region.error === null || region.samples < this.config.minSamples) return 'unknown';
+    if (region.error <= this.config.goodError) return 'good';
+    if (region.error <= this.config.poorError) return 'fair';
+    return 'poor';
+  }
+
+  /**
+   * Regions where tracking is poor
+   */
+  getWeakRegions() {
+    return this.regions.filter(region => region.quality === 'poor');
+  }
+
+  /**
+   * Typical gaze error in pixels around a point, or null if unknown
+   */
+  getErrorAt(x, y) {
+    const region = this.getRegionAt(x, y);
+    return region.error === null ? null : region.error * this.getDiagonal();
+  }
+
+  /**
+   * Whether tracking is poor around a point
+   */
+  isPoorAt(x, y) {
+    return this.getRegionAt(x, y).quality === 'poor';
+  }
+
+  /**
+   * Overall accuracy from 0.1 to 1, on the same scale as EyeTracker's calibration accuracy
+   */
+  getAccuracy() {
+    const measured = this.regions.filter(region => region.error !== null);
+    if (measured.length === 0) return null;
+
+    const averageError = measured.reduce((sum, region) => sum + region.error, 0) / measured.length;
+    return Math.max(0.1, Math.min(1.0, 1 - averageError * 4));
+  }
+
+  /**
+   * Pick a target position away from poor regions
+   * generate() returns a candidate top-left { x, y }; size is the target's width and height
+   */
+  pickPosition(generate, size = 0, attempts = 20) {
+    let best = null;
+    let bestError = Infinity;
+
+    for (let i = 0; i < attempts; i++) {
+      const position = generate();
+      const centerX = position.x + size / 2;
+      const centerY = position.y + size / 2;
+      if (!this.isPoorAt(centerX, centerY)) {
+        return position;
+      }
+
+      const error = this.getErrorAt(centerX, centerY);
+      if (error < bestError) {
+        best = position;
+        bestError = error;
+      }
+    }
+
+    return best;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * Input action normalizer for GazeQuest Adventures
+ * Converts the payloads of every input method into one canonical action schema
+ *
+ * Canonical action:
+ *   action      'select' | 'move' | 'command' | 'axis' | 'cancel'
+ *   method      input method that produced the action
+ *   vector      { x, y } in -1..1 (move)
+ *   direction   'up' | 'down' | 'left' | 'right' (move, derived from vector)
+ *   intensity   0..1 strength of the action
+ *   command     command name (command)
+ *   params      extra command parameters
+ *   axis/value  analog axis name and its 0..1 value (axis)
+ *   target      DOM element the action refers to, if any
+ *   position    { x, y } screen position, if any
+ *   accuracy, confidence, responseTime, timestamp
+ *   raw         original payload from the input method
+ */
+
+export class InputActionNormalizer {
+  static ACTIONS = ['select', 'move', 'command', 'axis', 'cancel'];
+
+  static DIRECTIONS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+  };
+
+  constructor() {
+    this.adapters = new Map();
+    this.registerDefaultAdapters();
+  }
+
+  /**
+   * Register adapters for the built-in input methods
+   */
+  registerDefaultAdapters() {
+    this.registerAdapter('keyboard', (data, eventType) => {
+      if (eventType === 'command') {
+        return { action: 'command', command: data.command };
+      }
+
+      if (data.action === 'navigate') {
+        return { action: 'command', command: 'navigate', params: { shift: !!data.shift } };
+      }
+
+      return this.fromPayload(data);
+    });
+
+    this.registerAdapter('switch', (data, eventType) => {
+      if (eventType === 'command') {
+        return { action: 'command', command: data.command };
+      }
+
+      return this.fromPayload(data);
+    });
+
+    this.registerAdapter('voice', (data) => {
+      switch (data.action) {
+        case 'wind':
+          return { action: 'command', command: 'wind', intensity: data.intensity, params: { intensity: data.intensity } };
+        case 'accessibility':
+          return { action: 'command', command: data.command };
+        default:
+          return this.fromPayload(data);
+      }
+    });
+
+    this.registerAdapter('breath', (data) => {
+      const level = data.data?.level ?? data.value;
+      const partial = data.action === 'pause'
+        ? { action: 'command', command: 'pause' }
+        : this.fromPayload(data);
+
+      return partial ? { ...partial, intensity: level } : null;
+    });
+
+    this.registerAdapter('orientation', (data) => {
+      const partial = this.fromPayload(data);
+      return partial ? { ...partial, intensity: data.data?.intensity } : null;
+    });
+
+    this.registerAdapter('sipPuff', (data) => {
+      const partial = this.fromPayload(data);
+      return partial ? { ...partial, params: { ...partial.params, gesture: data.data?.gesture } } : null;
+    });
+
+    this.registerAdapter('gamepad', (data) => {
+      const partial = this.fromPayload(data);
+      if (!partial) return null;
+
+      return {
+        ...partial,
+        intensity: data.intensity,
+        position: data.position || null,
+        params: { ...partial.params, button: data.data?.button }
+      };
+    });
+
+    this.registerAdapter('eyeTracking', (data) => {
+      if (data.action !== 'select') return null;
+
+      const gaze = data.data || {};
+      return {
+        action: 'select',
+        target: gaze.element || null,
+        position: gaze.x !== undefined ? { x: gaze.x, y: gaze.y } : null
+      };
+    });
+
+    // Fallback for methods without a dedicated adapter: trust canonical payloads
+    this.registerAdapter('default', (data, eventType) => {
+      if (eventType === 'command') {
+        return { action: 'command', command: data.command };
+      }
+
+      if (!InputActionNormalizer.ACTIONS.includes(data.action)) return null;
+
+      if (data.action === 'move' && !data.vector) {
+        return { ...data, ...this.createMove(data.direction, { x: data.x, y: data.y }) };
+      }
+
+      return { ...data };
+    });
+  }
+
+  /**
+   * Register (or replace) the adapter for an input method
+   */
+  registerAdapter(method, adapter) {
+    if (typeof adapter !== 'function') {
+      throw new Error(`Adapter for '${method}' must be a function`);
+    }
+    this.adapters.set(method, adapter);
+  }
+
+  /**
+   * Remove the adapter for an input method
+   */
+  removeAdapter(method) {
+    return this.adapters.delete(method);
+  }
+
+  /**
+   * Normalize a raw payload into a canonical action, or null if it maps to nothing
+   */
+  normalize(method, eventType, data = {}) {
+    const adapter = this.adapters.get(method) || this.adapters.get('default');
+    const partial = adapter(data, eventType);
+
+    if (!partial) return null;
+
+    const action = {
+      action: partial.action,
+      method,
+      vector: partial.vector || null,
+      direction: partial.direction || null,
+      intensity: this.clamp(partial.intensity ?? data.intensity ?? 1, 0, 1),
+      command: partial.command || null,
+      params: partial.params || {},
+      axis: partial.axis || null,
+      value: partial.value ?? null,
+      target: partial.target || data.element || null,
+      position: partial.position || null,
+      accuracy: data.accuracy ?? 1.0,
+      confidence: data.confidence ?? 1.0,
+      responseTime: data.responseTime || 0,
+      timestamp: data.timestamp || Date.now(),
+      raw: data
+    };
+
+    if (action.vector && !action.direction) {
+      action.direction = this.vectorToDirection(action.vector);
+    }
+
+    return action;
+  }
+
+  /**
+   * Validate a canonical action, returning a list of problems
+   */
+  validate(action) {
+    const errors = [];
+
+    if (!action || typeof action !== 'object') {
+      return ['action must be an object'];
+    }
+
+    if (!InputActionNormalizer.ACTIONS.includes(action.action)) {
+      errors.push(`unknown action '${action.action}'`);
+    }
+
+    if (!action.method) {
+      errors.push('missing input method');
+    }
+
+    switch (action.action) {
+      case 'move':
+        if (!action.vector || !Number.isFinite(action.vector.x) || !Number.isFinite(action.vector.y)) {
+          errors.push('move requires a numeric vector');
+        }
+        break;
+      case 'command':
+        if (!action.command || typeof action.command !== 'string') {
+          errors.push('command requires a command name');
+        }
+        break;
+      case 'axis':
+        if (!action.axis) {
+          errors.push('axis requires an axis name');
+        }
+        if (!Number.isFinite(action.value)) {
+          errors.push('axis requires a numeric value');
+        }
+        break;
+    }
+
+    if (!Number.isFinite(action.intensity) || action.intensity < 0 || action.intensity > 1) {
+      errors.push('intensity must be between 0 and 1');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Map a payload that already uses canonical action names
+   */
+  fromPayload(data) {
+    switch (data.action) {
+      case 'select':
+      case 'cancel':
+        return { action: data.action };
+      case 'move':
+        return this.createMove(data.direction, { x: data.x, y: data.y });
+      case 'command':
+        return { action: 'command', command: data.command, params: data.params };
+      case 'navigate':
+        return { action: 'command', command: 'navigate', params: { shift: !!data.shift } };
+      case 'axis':
+        return { action: 'axis', axis: data.axis, value: data.value, params: data.params };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build a move action from a direction name and/or explicit vector
+   */
+  createMove(direction, vector = {}) {
+    const base = InputActionNormalizer.DIRECTIONS[direction] || { x: 0, y: 0 };
+    const x = Number.isFinite(vector.x) ? vector.x : base.x;
+    const y = Number.isFinite(vector.y) ? vector.y : base.y;
+
+    return {
+      action: 'move',
+      vector: { x: this.clamp(x, -1, 1), y: this.clamp(y, -1, 1) },
+      direction: direction || null
+    };
+  }
+
+  /**
+   * Get the dominant direction of a vector
+   */
+  vectorToDirection(vector) {
+    if (vector.x === 0 && vector.y === 0) return null;
+
+    if (Math.abs(vector.x) > Math.abs(vector.y)) {
+      return vector.x > 0 ? 'right' : 'left';
+    }
+    return vector.y > 0 ? 'down' : 'up';
+  }
+
+  /**
+   * Clamp a value to a range
+   */
+  clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * One Euro filter for GazeQuest Adventures
+ * An adaptive low-pass filter for 2D points (Casiez, Roussel and Vogel, 2012): slow
+ * movement is smoothed heavily, so a fixation holds still, while fast movement raises the
+ * cutoff, so the filtered point keeps up with a saccade instead of lagging behind it.
+ */
+
+export class OneEuroFilter {
+  constructor(options = {}) {
+    this.config = {
+      minCutoff: 0.8,        // Hz; lower holds still points steadier
+      beta: 0.005,           // How much speed (pixels per second) raises the cutoff
+      derivativeCutoff: 1.0, // Hz; smoothing of the speed estimate
+      ...options
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Forget previous points, e.g. after tracking was interrupted
+   */
+  reset() {
+    this.previous = null;
+    this.speed = 0;
+  }
+
+  /**
+   * Filter a point; timestamp is in ms
+   */
+  filter(x, y, timestamp) {
+    if (!this.previous) {
+      this.previous = { x, y, timestamp };
+      return { x, y };
+    }
+
+    const dt = (timestamp - this.previous.timestamp) / 1000;
+    if (dt <= 0) {
+      return { x: this.previous.x, y: this.previous.y };
+    }
+
+    // Speed of the raw movement, smoothed so noise alone doesn't open the filter up
+    const rawSpeed = Math.hypot(x - this.previous.x, y - this.previous.y) / dt;
+    this.speed = this.lowPass(this.speed, rawSpeed, this.alpha(this.config.derivativeCutoff, dt));
+
+    const cutoff = this.config.minCutoff + this.config.beta * this.speed;
+    const alpha = this.alpha(cutoff, dt);
+    const filtered = {
+      x: this.lowPass(this.previous.x, x, alpha),
+      y: this.lowPass(this.previous.y, y, alpha)
+    };
+
+    this.previous = { ...filtered, timestamp };
+    return filtered;
+  }
+
+  /**
+   * Smoothing factor for a cutoff frequency and time step
+   */
+  alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  /**
+   * Exponential smoothing step
+   */
+  lowPass(previous, value, alpha) {
+    return previous + alpha * (value - previous);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * Phonetic matcher for GazeQuest Adventures
+ * Scores how closely a transcript matches a voice command phrase by spelling and by sound,
+ * so mis-transcribed speech ('lef', 'sewect', 'write') can still reach the intended command
+ *
+ * Sound codes follow Metaphone, and voiced and voiceless pairs (b/p, d/t, g/k, v/f, z/s)
+ * share a code, since they are often confused in dysarthric speech.
+ */
+
+export class PhoneticMatcher {
+  static VOWELS = 'aeiou';
+
+  /**
+   * Sound code of a single word, e.g. 'right' and 'write' both give 'RT'
+   */
+  static encode(word) {
+    let text = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!text) return '';
+
+    // Silent or simplified first letters
+    if (/^(kn|gn|pn|ae|wr)/.test(text)) {
+      text = text.slice(1);
+    } else if (text.startsWith('x')) {
+      text = `s${text.slice(1)}`;
+    } else if (text.startsWith('wh')) {
+      text = `w${text.slice(2)}`;
+    }
+
+    const isVowel = (index) => PhoneticMatcher.VOWELS.includes(text[index] || '-');
+    const isFrontVowel = (index) => 'eiy'.includes(text[index] || '-');
+    let code = '';
+
+    for (let index = 0; index < text.length; index++) {
+      const letter = text[index];
+      const next = text[index + 1] || '';
+
+      // Doubled letters sound once, except 'cc' as in 'accept'
+      if (letter === text[index - 1] && letter !== 'c') continue;
+
+      switch (letter) {
+        case 'a': case 'e': case 'i': case 'o': case 'u':
+          if (index === 0) code += 'A';
+          break;
+        case 'b':
+          if (!(text[index - 1] === 'm' && index === text.length - 1)) code += 'P';
+          break;
+        case 'c':
+          if (next === 'h') {
+            code += 'X';
+            index++;
+          } else if (isFrontVowel(index + 1)) {
+            code += 'S';
+          } else if (next !== 'k') {
+            code += 'K';
+          }
+          break;
+        case 'd':
+          code += next === 'g' && isFrontVowel(index + 2) ? 'J' : 'T';
+          break;
+        case 'g':
+          if (next === 'h' && !isVowel(index + 2)) {
+            index++; // Silent, as in 'right'
+          } else if (next === 'n' && index === text.length - 2) {
+            // Silent, as in 'sign'
+          } else if (isFrontVowel(index + 1)) {
+            code += 'J';
+          } else {
+            code += 'K';
+          }
+          break;
+        case 'h':
+          if (isVowel(index + 1) && !isVowel(index - 1)) code += 'H';
+          break;
+        case 'k':
+        case 'q':
+          code += 'K';
+          break;
+        case 'p':
+          if (next === 'h') {
+            code += 'F';
+            index++;
+          } else {
+            code += 'P';
+          }
+          break;
+        case 's':
+          if (next === 'h') {
+            code += 'X';
+            index++;
+          } else {
+            code += 'S';
+          }
+          break;
+        case 't':
+          if (next === 'h') {
+            code += '0';
+            index++;
+          } else if (next === 'c' && text[index + 2] === 'h') {
+            // Silent, as in 'catch'
+          } else {
+            code += 'T';
+          }
+          break;
+        case 'v':
+          code += 'F';
+          break;
+        case 'w':
+        case 'y':
+          if (isVowel(index + 1)) code += letter.toUpperCase();
+          break;
+        case 'x':
+          code += 'KS';
+          break;
+        case 'z':
+          code += 'S';
+          break;
+        default:
+          code += letter.toUpperCase();
+      }
+    }
+
+    // Letters that now sound the same collapse into one
+    return code.replace(/(.)\1+/g, '$1');
+  }
+
+  /**
+   * Sound code of a phrase, word by word
+   */
+  static encodePhrase(phrase) {
+    return phrase.split(/\s+/).map(PhoneticMatcher.encode).filter(Boolean).join(' ');
+  }
+
+  /**
+   * Number of single-character edits between two strings
+   */
+  static distance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Similarity of two strings from 0 (nothing alike) to 1 (the same)
+   */
+  static similarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 1 : 1 - PhoneticMatcher.distance(a, b) / length;
+  }
+
+  /**
+   * Score how well a transcript matches a phrase, from 0 to 1
+   * The phrase may be said inside a longer transcript, so runs of the same number of words
+   * are scored as well as the whole transcript
+   */
+  static score(transcript, phrase) {
+    const words = transcript.split(/\s+/).filter(Boolean);
+    const phraseLength = phrase.split(/\s+/).length;
+    const candidates = [transcript];
+
+    for (let start = 0; words.length > phraseLength && start + phraseLength <= words.length; start++) {
+      candidates.push(words.slice(start, start + phraseLength).join(' '));
+    }
+
+    const phraseCode = PhoneticMatcher.encodePhrase(phrase);
+
+    return Math.max(...candidates.map(candidate => {
+      const spelling = PhoneticMatcher.similarity(candidate, phrase);
+      const candidateCode = PhoneticMatcher.encodePhrase(candidate);
+      const sound = PhoneticMatcher.similarity(candidateCode, phraseCode);
+
+      // A one-letter sound code matches too many words to count on its own
+      const soundCounts = Math.min(candidateCode.length, phraseCode.length) >= 2 || spelling >= 0.5;
+      return soundCounts ? Math.max(spelling, sound) : spelling;
+    }));
+  }
+}
\ No newline at end of file
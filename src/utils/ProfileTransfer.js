@@ -0,0 +1,219 @@
+/**
+ * Profile transfer for GazeQuest Adventures
+ * Packs a player's progress, settings and history into a checksummed file that
+ * can be imported on another device, merging with or replacing the local player
+ */
+
+import { SaveSchema } from './SaveSchema.js';
+
+export class ProfileTransfer {
+  static FORMAT = 'gazequest-profile';
+  static FORMAT_VERSION = 1;
+
+  // Input settings a player agrees to on one device, which never travel to another
+  static DEVICE_SETTINGS = ['cameraConsent'];
+
+  constructor() {
+    this.saveSchema = new SaveSchema();
+
+    // State sections carried in an export; history is exported alongside them
+    this.exportedKeys = ['version', 'level', 'experience', 'achievements', 'unlockedRealms', 'settings', 'session', 'adaptiveProfile'];
+  }
+
+  /**
+   * Build a checksummed export of a profile's state
+   */
+  async createExport(profile, state, history = {}) {
+    const data = {};
+    this.exportedKeys.forEach(key => {
+      if (state[key] !== undefined) {
+        data[key] = JSON.parse(JSON.stringify(state[key]));
+      }
+    });
+    if (data.settings) {
+      data.settings = this.stripDeviceSettings(data.settings);
+    }
+
+    const payload = {
+      format: ProfileTransfer.FORMAT,
+      formatVersion: ProfileTransfer.FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: {
+        name: profile.name,
+        avatar: profile.avatar
+      },
+      data,
+      history
+    };
+
+    return {
+      ...payload,
+      checksum: await this.computeChecksum(payload)
+    };
+  }
+
+  /**
+   * Parse and verify an export file, migrating its state to the current schema
+   */
+  async parseExport(text) {
+    let exported;
+    try {
+      exported = JSON.parse(text);
+    } catch (error) {
+      throw new Error('This file is not a GazeQuest profile');
+    }
+
+    if (!exported || exported.format !== ProfileTransfer.FORMAT) {
+      throw new Error('This file is not a GazeQuest profile');
+    }
+
+    if (exported.formatVersion > ProfileTransfer.FORMAT_VERSION) {
+      throw new Error('This profile was exported by a newer version of GazeQuest');
+    }
+
+    const { checksum, ...payload } = exported;
+    if (checksum !== await this.computeChecksum(payload)) {
+      throw new Error('This profile file is damaged or was edited, so it cannot be imported');
+    }
+
+    const { state: migrated } = this.saveSchema.migrate(payload.data || {});
+    const { pendingHistory, ...state } = migrated;
+    const errors = this.saveSchema.validate(state);
+    if (errors.length > 0) {
+      throw new Error(`This profile file contains invalid data: ${errors.join('; ')}`);
+    }
+
+    // Files exported before consent was left out may still carry it
+    if (state.settings) {
+      state.settings = this.stripDeviceSettings(state.settings);
+    }
+
+    // Files from before history storage carry some history inside the state
+    const history = { ...(payload.history || {}) };
+    Object.entries(pendingHistory || {}).forEach(([collection, records]) => {
+      history[collection] = [...(history[collection] || []), ...records];
+    });
+
+    return {
+      profile: payload.profile || {},
+      exportedAt: payload.exportedAt,
+      state,
+      history
+    };
+  }
+
+  /**
+   * Combine local and imported state: keep the furthest progress and keep this
+   * device's settings apart from calibrations it has not done yet. Permissions such
+   * as camera consent always stay as this device has them
+   */
+  mergeStates(localState, importedState) {
+    const union = (a = [], b = []) => Array.from(new Set([...a, ...b]));
+
+    const localSession = localState.session || {};
+    const importedSession = importedState.session || {};
+
+    const inputSettings = { ...(localState.settings?.inputSettings || {}) };
+    Object.entries(importedState.settings?.inputSettings || {}).forEach(([method, imported]) => {
+      const local = inputSettings[method];
+      if (!local || (imported.calibrated && !local.calibrated)) {
+        inputSettings[method] = { ...imported };
+        ProfileTransfer.DEVICE_SETTINGS.forEach(key => {
+          if (local && key in local) {
+            inputSettings[method][key] = local[key];
+          } else {
+            delete inputSettings[method][key];
+          }
+        });
+      }
+    });
+
+    return {
+      ...localState,
+      level: Math.max(localState.level || 1, importedState.level || 1),
+      experience: Math.max(localState.experience || 0, importedState.experience || 0),
+      achievements: union(localState.achievements, importedState.achievements),
+      unlockedRealms: union(localState.unlockedRealms, importedState.unlockedRealms),
+      adaptiveProfile: localState.adaptiveProfile || importedState.adaptiveProfile || null,
+      settings: {
+        ...(localState.settings || {}),
+        inputSettings
+      },
+      session: {
+        ...localSession,
+        totalPlayTime: (localSession.totalPlayTime || 0) + (importedSession.totalPlayTime || 0),
+        inputMethodChanges: (localSession.inputMethodChanges || 0) + (importedSession.inputMethodChanges || 0)
+      }
+    };
+  }
+
+  /**
+   * Copy of some settings without the per-device input settings
+   */
+  stripDeviceSettings(settings) {
+    const inputSettings = {};
+    Object.entries(settings.inputSettings || {}).forEach(([method, methodSettings]) => {
+      inputSettings[method] = { ...methodSettings };
+      ProfileTransfer.DEVICE_SETTINGS.forEach(key => delete inputSettings[method][key]);
+    });
+
+    return { ...settings, inputSettings };
+  }
+
+  /**
+   * Get the imported history records that are not already present locally
+   */
+  getNewHistoryRecords(localRecords, importedRecords) {
+    const seen = new Set(localRecords.map(record => this.canonicalize(record)));
+
+    return importedRecords.filter(record => {
+      const key = this.canonicalize(record);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Get a suggested file name for an export
+   */
+  getFileName(profile) {
+    const safeName = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'player';
+    const date = new Date().toISOString().slice(0, 10);
+    return `gazequest-${safeName}-${date}.json`;
+  }
+
+  /**
+   * SHA-256 of the payload's canonical JSON, as hex
+   */
+  async computeChecksum(payload) {
+    if (!globalThis.crypto?.subtle) {
+      throw new Error('Profile files need a secure (https or localhost) page to be checked');
+    }
+
+    const bytes = new TextEncoder().encode(this.canonicalize(payload));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Stringify with sorted object keys so the checksum does not depend on key order
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+
+    return JSON.stringify(value) ?? 'null';
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Save schema for GazeQuest Adventures
+ * Versions saved state, migrates older saves step by step and validates loaded data
+ */
+
+export class SaveSchema {
+  static VERSION = 3;
+
+  constructor() {
+    // Ordered migration chain; each step upgrades a save from (version - 1) to version
+    this.migrations = [
+      {
+        version: 2,
+        description: 'Add schema version and clean up progress lists',
+        migrate: (state) => {
+          const uniqueStrings = (list) => Array.isArray(list)
+            ? Array.from(new Set(list.filter(item => typeof item === 'string')))
+            : undefined;
+
+          const migrated = { ...state };
+
+          // Early saves could hold duplicated or non-string realm and achievement entries
+          migrated.unlockedRealms = uniqueStrings(state.unlockedRealms);
+          migrated.achievements = uniqueStrings(state.achievements);
+
+          // Error logs grew without bound before they were trimmed on save
+          if (state.session && Array.isArray(state.session.errorsEncountered)) {
+            migrated.session = {
+              ...state.session,
+              errorsEncountered: state.session.errorsEncountered.slice(-50)
+            };
+          }
+
+          // Drop fields removed from the schema
+          Object.keys(migrated).forEach(key => {
+            if (migrated[key] === undefined) delete migrated[key];
+          });
+
+          return migrated;
+        }
+      },
+      {
+        version: 3,
+        description: 'Move history lists out of the save into history storage',
+        migrate: (state) => {
+          const { errorsEncountered = [], adaptiveAdjustments = [], ...session } = state.session || {};
+          const { inputLatency = [], frameTimes, ...performance } = state.performance || {};
+
+          // StateManager appends these to history storage after loading
+          const pendingHistory = {
+            errors: errorsEncountered.map(entry => ({ timestamp: entry.timestamp, error: entry.error })),
+            adaptiveAdjustments: adaptiveAdjustments.map(entry => ({ timestamp: entry.timestamp, adjustment: entry.adjustment })),
+            inputEvents: inputLatency.map(entry => ({ timestamp: entry.timestamp, type: 'inputLatency', value: entry.value }))
+          };
+
+          return {
+            ...state,
+            session,
+            performance,
+            pendingHistory
+          };
+        }
+      }
+    ];
+  }
+
+  /**
+   * Get the schema version of a saved state; saves without one are version 1
+   */
+  getVersion(state) {
+    return Number.isInteger(state?.version) ? state.version : 1;
+  }
+
+  /**
+   * Run every migration newer than the save's version, in order
+   */
+  migrate(state) {
+    const fromVersion = this.getVersion(state);
+
+    if (fromVersion > SaveSchema.VERSION) {
+      throw new Error(`Save version ${fromVersion} is newer than supported version ${SaveSchema.VERSION}`);
+    }
+
+    let migrated = { ...state };
+    const applied = [];
+
+    this.migrations
+      .filter(migration => migration.version > fromVersion)
+      .sort((a, b) => a.version - b.version)
+      .forEach(migration => {
+        migrated = migration.migrate(migrated);
+        migrated.version = migration.version;
+        applied.push(migration.version);
+      });
+
+    migrated.version = SaveSchema.VERSION;
+
+    return { state: migrated, fromVersion, applied };
+  }
+
+  /**
+   * Validate a migrated save, returning a list of problems
+   */
+  validate(state) {
+    const errors = [];
+
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      return ['save must be an object'];
+    }
+
+    if (state.level !== undefined && (!Number.isInteger(state.level) || state.level < 1)) {
+      errors.push('level must be a positive integer');
+    }
+
+    if (state.experience !== undefined && (!Number.isFinite(state.experience) || state.experience < 0)) {
+      errors.push('experience must be a non-negative number');
+    }
+
+    ['achievements', 'unlockedRealms'].forEach(key => {
+      if (state[key] !== undefined && !Array.isArray(state[key])) {
+        errors.push(`${key} must be a list`);
+      }
+    });
+
+    ['settings', 'session', 'performance'].forEach(key => {
+      if (state[key] !== undefined && (typeof state[key] !== 'object' || state[key] === null || Array.isArray(state[key]))) {
+        errors.push(`${key} must be an object`);
+      }
+    });
+
+    const settings = state.settings || {};
+    ['volume', 'sfxVolume'].forEach(key => {
+      if (settings[key] !== undefined && (!Number.isFinite(settings[key]) || settings[key] < 0 || settings[key] > 1)) {
+        errors.push(`settings.${key} must be between 0 and 1`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Parse, migrate and validate a raw saved string
+   */
+  load(rawState) {
+    const parsed = JSON.parse(rawState);
+    const result = this.migrate(parsed);
+    const errors = this.validate(result.state);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid save: ${errors.join('; ')}`);
+    }
+
+    return result;
+  }
+}
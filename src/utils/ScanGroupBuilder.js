@@ -0,0 +1,182 @@
+/**
+ * Scan group builder for GazeQuest Adventures
+ * Arranges scannable elements into a tree of groups so switch users can pick a
+ * row, then an item, instead of stepping through every element in turn
+ *
+ * Scenes can declare groups with data attributes:
+ *   data-scan-group="Label"   container whose scannable elements form one group
+ *                             (the container is a member too if it is scannable)
+ *   data-scan-layout="linear" keep a group's items in order instead of splitting them into rows
+ *   data-scan-skip            leave an element out of scanning
+ */
+
+export class ScanGroupBuilder {
+  constructor(options = {}) {
+    this.config = {
+      groupThreshold: 6,  // More items than this at one level are split into rows
+      maxGroupSize: 8,    // Larger groups are split again into smaller ones
+      ...options
+    };
+  }
+
+  /**
+   * Build the scan tree for a list of elements in reading order
+   */
+  build(elements, root = null) {
+    return this.createGroup('Page', this.buildLevel(elements, root), root);
+  }
+
+  /**
+   * Build one level: author-declared groups first, then rows from the layout
+   */
+  buildLevel(elements, container) {
+    const items = [];
+    const groups = new Map();
+
+    elements.forEach(element => {
+      const groupElement = this.getGroupContainer(element, container);
+      if (!groupElement) {
+        items.push(element);
+        return;
+      }
+
+      if (!groups.has(groupElement)) {
+        const group = this.createGroup(this.getGroupLabel(groupElement), [], groupElement);
+        groups.set(groupElement, { group, members: [] });
+        items.push(group);
+      }
+      groups.get(groupElement).members.push(element);
+    });
+
+    groups.forEach(({ group, members }) => {
+      group.items = this.buildLevel(members, group.element);
+    });
+
+    // A group of one is just its element
+    const flattened = items.map(item => (item.isGroup && item.items.length === 1 ? item.items[0] : item));
+
+    if (container?.dataset?.scanLayout === 'linear' || flattened.length <= this.config.groupThreshold) {
+      return flattened;
+    }
+    return this.groupSpatially(flattened);
+  }
+
+  /**
+   * Find the outermost data-scan-group container of an element below the current container
+   */
+  getGroupContainer(element, container) {
+    let found = null;
+    let node = element;
+
+    while (node && node !== container) {
+      if (node.dataset?.scanGroup !== undefined) {
+        found = node;
+      }
+      node = node.parentElement;
+    }
+
+    return found;
+  }
+
+  /**
+   * Get the spoken label of a declared group
+   */
+  getGroupLabel(element) {
+    return element.dataset.scanGroup || element.getAttribute('aria-label') || 'Group';
+  }
+
+  /**
+   * Split items into rows by where they sit on screen; a single row is split into columns
+   */
+  groupSpatially(items) {
+    const rows = this.splitIntoRows(items);
+
+    if (rows.length === 1) {
+      return this.chunk(rows[0]);
+    }
+
+    return rows.map((row, index) => {
+      if (row.length === 1) return row[0];
+
+      const rowItems = row.length > this.config.maxGroupSize ? this.chunk(row) : row;
+      return this.createGroup(`Row ${index + 1}`, rowItems);
+    });
+  }
+
+  /**
+   * Group items whose vertical centres fall within the same band, top to bottom, left to right
+   */
+  splitIntoRows(items) {
+    const placed = items
+      .map(item => ({ item, rect: this.getRect(item) }))
+      .sort((a, b) => a.rect.top - b.rect.top || a.rect.left - b.rect.left);
+
+    const rows = [];
+    placed.forEach(entry => {
+      const centre = entry.rect.top + entry.rect.height / 2;
+      const row = rows[rows.length - 1];
+
+      if (row && centre >= row.top && centre <= row.bottom) {
+        row.entries.push(entry);
+        row.bottom = Math.max(row.bottom, entry.rect.bottom);
+      } else {
+        rows.push({ top: entry.rect.top, bottom: entry.rect.bottom, entries: [entry] });
+      }
+    });
+
+    return rows.map(row => row.entries
+      .sort((a, b) => a.rect.left - b.rect.left)
+      .map(entry => entry.item));
+  }
+
+  /**
+   * Split a long run of items into about square-root-sized groups
+   */
+  chunk(items) {
+    if (items.length <= this.config.groupThreshold) return items;
+
+    const size = Math.ceil(Math.sqrt(items.length));
+    const chunks = [];
+
+    for (let start = 0; start < items.length; start += size) {
+      const slice = items.slice(start, start + size);
+      chunks.push(slice.length === 1
+        ? slice[0]
+        : this.createGroup(`Items ${start + 1} to ${start + slice.length}`, slice));
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Create a group node
+   */
+  createGroup(label, items, element = null) {
+    return { isGroup: true, label, items, element };
+  }
+
+  /**
+   * Get every element inside a node
+   */
+  getLeaves(node) {
+    if (!node.isGroup) return [node];
+    return node.items.flatMap(item => this.getLeaves(item));
+  }
+
+  /**
+   * Screen rectangle of an element, or of everything in a group
+   */
+  getRect(node) {
+    if (!node.isGroup) {
+      return node.getBoundingClientRect();
+    }
+
+    const rects = this.getLeaves(node).map(leaf => leaf.getBoundingClientRect());
+    const top = Math.min(...rects.map(rect => rect.top));
+    const left = Math.min(...rects.map(rect => rect.left));
+    const bottom = Math.max(...rects.map(rect => rect.bottom));
+    const right = Math.max(...rects.map(rect => rect.right));
+
+    return { top, left, bottom, right, width: right - left, height: bottom - top };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Sip-and-puff calibration for GazeQuest Adventures
+ * Learns which key or button the player's device sends for a sip and a puff, then
+ * times their quick and long presses to find where a soft press ends and a hard one begins
+ */
+
+export class SipPuffCalibration {
+  static VERSION = 1;
+
+  static STEPS = [
+    {
+      id: 'puff',
+      title: 'Puff once',
+      instruction: 'Give one puff into your tube so the game can find it.',
+      presses: 1
+    },
+    {
+      id: 'sip',
+      title: 'Sip once',
+      instruction: 'Now give one sip from your tube.',
+      presses: 1
+    },
+    {
+      id: 'softPuff',
+      title: 'Quick puffs',
+      instruction: 'Give three quick, gentle puffs.',
+      presses: 3
+    },
+    {
+      id: 'hardPuff',
+      title: 'Long puffs',
+      instruction: 'Give three long, hard puffs, holding each one.',
+      presses: 3
+    },
+    {
+      id: 'softSip',
+      title: 'Quick sips',
+      instruction: 'Give three quick, gentle sips.',
+      presses: 3
+    },
+    {
+      id: 'hardSip',
+      title: 'Long sips',
+      instruction: 'Give three long, hard sips, holding each one.',
+      presses: 3
+    }
+  ];
+
+  constructor(options = {}) {
+    this.config = {
+      minSeparation: 1.3,      // Long presses must be this many times longer than quick ones
+      maxHardHoldTime: 2500,   // ms; hard presses never have to be held longer than this
+      ...options
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Clear recorded presses
+   */
+  reset() {
+    this.signals = {};
+    this.durations = {};
+  }
+
+  /**
+   * Record a press for a calibration step; returns a message for the player if it does not fit
+   */
+  addPress(stepId, token, duration) {
+    if (stepId === 'puff' || stepId === 'sip') {
+      const other = stepId === 'puff' ? 'sip' : 'puff';
+      if (this.signals[other] === token) {
+        return `That was the same signal as your ${other}. Please ${stepId} instead.`;
+      }
+      this.signals[stepId] = token;
+      return null;
+    }
+
+    const signal = stepId.endsWith('Puff') ? 'puff' : 'sip';
+    if (token !== this.signals[signal]) {
+      return `That was not a ${signal}. Please ${signal}.`;
+    }
+
+    if (!this.durations[stepId]) {
+      this.durations[stepId] = [];
+    }
+    this.durations[stepId].push(duration);
+    return null;
+  }
+
+  /**
+   * Number of presses recorded for a step
+   */
+  getPressCount(stepId) {
+    if (stepId === 'puff' || stepId === 'sip') {
+      return this.signals[stepId] ? 1 : 0;
+    }
+    return (this.durations[stepId] || []).length;
+  }
+
+  /**
+   * Turn the recorded presses into a calibration, or throw a message for the player
+   */
+  finish() {
+    const missing = SipPuffCalibration.STEPS.find(step => this.getPressCount(step.id) < step.presses);
+    if (missing) {
+      throw new Error(`The ${missing.title.toLowerCase()} step did not finish. Please check your device is plugged in.`);
+    }
+
+    return {
+      version: SipPuffCalibration.VERSION,
+      calibratedAt: Date.now(),
+      signals: {
+        [this.signals.puff]: 'puff',
+        [this.signals.sip]: 'sip'
+      },
+      puff: this.computeHoldTime('puff'),
+      sip: this.computeHoldTime('sip')
+    };
+  }
+
+  /**
+   * Find the hold time between a signal's quick and long presses
+   */
+  computeHoldTime(signal) {
+    const label = signal === 'puff' ? 'puffs' : 'sips';
+    const soft = this.durations[signal === 'puff' ? 'softPuff' : 'softSip'];
+    const hard = this.durations[signal === 'puff' ? 'hardPuff' : 'hardSip'];
+
+    const longestSoft = Math.max(...soft);
+    const shortestHard = Math.min(...hard);
+
+    if (shortestHard < longestSoft * this.config.minSeparation) {
+      throw new Error(`Your long ${label} were not clearly longer than your quick ${label}. Let's try again, holding the long ones a little longer.`);
+    }
+
+    // Halfway between the two on a log scale, so quick and long presses get the same margin
+    const hardHoldTime = Math.sqrt(longestSoft * shortestHard);
+
+    return {
+      softDuration: this.average(soft),
+      hardDuration: this.average(hard),
+      hardHoldTime: Math.round(Math.min(this.config.maxHardHoldTime, hardHoldTime))
+    };
+  }
+
+  /**
+   * Average of a list of values
+   */
+  average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * Switch scanner for GazeQuest Adventures
+ * Moves a scan highlight through a list of items according to the player's scanning mode:
+ *   auto               highlight moves on a timer; the select switch picks
+ *   step               the advance switch moves the highlight; the select switch picks
+ *   inverse            highlight moves while a switch is held; releasing the select switch picks
+ *   critical-overscan  highlight moves quickly; the first press slows it down and reverses it,
+ *                      the second press picks
+ */
+
+export class SwitchScanner {
+  static MODES = ['auto', 'step', 'inverse', 'critical-overscan'];
+
+  constructor(options = {}) {
+    this.config = {
+      mode: 'auto',
+      scanSpeed: 1000,          // ms per item
+      overscanSpeedFactor: 0.35, // Fraction of the scan speed used for the fast critical-overscan pass
+      overscanItems: 3,          // Slow reverse steps before the fast pass resumes
+      ...options.config
+    };
+
+    // Callbacks supplied by the owner of the items
+    this.getCount = options.getCount || (() => 0);
+    this.onHighlight = options.onHighlight || (() => {});
+    this.onSelect = options.onSelect || (() => {});
+
+    this.isScanning = false;
+    this.index = -1;
+    this.direction = 1;
+    this.phase = 'normal'; // 'normal', or 'fast' / 'slow' in critical-overscan
+    this.overscanSteps = 0;
+    this.heldRoles = new Set();
+    this.timer = null;
+
+    // Inverse mode: the press that starts a scan only picks once the highlight has moved
+    this.startingPress = false;
+    this.movedDuringHold = false;
+  }
+
+  /**
+   * Change the scanning mode, restarting a running scan
+   */
+  setMode(mode) {
+    if (!SwitchScanner.MODES.includes(mode)) {
+      throw new Error(`Unknown scanning mode '${mode}'`);
+    }
+
+    this.config.mode = mode;
+    if (this.isScanning) {
+      this.resetPhase();
+      this.schedule();
+    }
+  }
+
+  /**
+   * Change the time each item stays highlighted
+   */
+  setSpeed(scanSpeed) {
+    this.config.scanSpeed = scanSpeed;
+    if (this.isScanning) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Start scanning from the first item
+   */
+  start() {
+    this.isScanning = true;
+    this.restartLevel();
+  }
+
+  /**
+   * Stop scanning and forget held switches
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.isScanning = false;
+    this.heldRoles.clear();
+  }
+
+  /**
+   * Begin again at the first item, e.g. after the items changed
+   */
+  restartLevel() {
+    this.index = -1;
+    this.resetPhase();
+    this.move(1);
+    this.schedule();
+  }
+
+  /**
+   * Handle a switch press; returns what it did ('started', 'advanced', 'scanning', 'slowed' or 'selected')
+   */
+  press(role = 'select') {
+    this.heldRoles.add(role);
+    this.startingPress = !this.isScanning;
+    this.movedDuringHold = false;
+
+    if (!this.isScanning) {
+      this.start();
+      return 'started';
+    }
+
+    if (this.config.mode === 'inverse') {
+      this.schedule();
+      return 'scanning';
+    }
+
+    if (role === 'advance') {
+      this.move(1);
+      this.schedule();
+      return 'advanced';
+    }
+
+    if (this.config.mode === 'critical-overscan' && this.phase === 'fast') {
+      this.phase = 'slow';
+      this.direction = -1;
+      this.overscanSteps = 0;
+      this.schedule();
+      return 'slowed';
+    }
+
+    this.select();
+    return 'selected';
+  }
+
+  /**
+   * Handle a switch release; in inverse mode releasing the select switch picks the item
+   */
+  release(role = 'select') {
+    if (!this.heldRoles.delete(role)) return null;
+
+    if (this.config.mode !== 'inverse' || !this.isScanning) return null;
+
+    this.schedule();
+    if (role === 'select' && this.index >= 0 && (!this.startingPress || this.movedDuringHold)) {
+      this.select();
+      return 'selected';
+    }
+    return null;
+  }
+
+  /**
+   * Pick the highlighted item
+   */
+  select() {
+    const index = this.index;
+    this.resetPhase();
+    this.onSelect(index);
+  }
+
+  /**
+   * Move the highlight by a number of items, wrapping at either end
+   */
+  move(step) {
+    const count = this.getCount();
+    if (count === 0) return;
+
+    this.index = ((this.index + step) % count + count) % count;
+    this.onHighlight(this.index);
+  }
+
+  /**
+   * Whether the highlight currently moves by itself
+   */
+  isTimed() {
+    switch (this.config.mode) {
+      case 'auto':
+      case 'critical-overscan':
+        return true;
+      case 'inverse':
+        return this.heldRoles.size > 0;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Time until the highlight moves again
+   */
+  getDelay() {
+    return this.phase === 'fast'
+      ? Math.round(this.config.scanSpeed * this.config.overscanSpeedFactor)
+      : this.config.scanSpeed;
+  }
+
+  /**
+   * (Re)start the timer that moves the highlight
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!this.isScanning || !this.isTimed()) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.move(this.direction);
+      this.movedDuringHold = true;
+
+      // After a few slow reverse steps without a pick, go back to the fast pass
+      if (this.phase === 'slow' && ++this.overscanSteps >= this.config.overscanItems) {
+        this.resetPhase();
+      }
+
+      this.schedule();
+    }, this.getDelay());
+  }
+
+  /**
+   * Return to forward scanning at the mode's starting pace
+   */
+  resetPhase() {
+    this.phase = this.config.mode === 'critical-overscan' ? 'fast' : 'normal';
+    this.direction = 1;
+    this.overscanSteps = 0;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * Voice enrollment for GazeQuest Adventures
+ * Collects what speech recognition hears while the player says each command phrase, and
+ * learns those transcripts as the player's own pronunciations of the phrases
+ */
+
+export class VoiceEnrollment {
+  static VERSION = 1;
+
+  constructor(options = {}) {
+    this.config = {
+      repeats: 2,              // Times the player says each phrase
+      confidenceMargin: 0.1,   // Typical confidence is the lower quartile, less this margin
+      ...options
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Clear recorded samples
+   */
+  reset() {
+    this.samples = new Map();
+  }
+
+  /**
+   * Record what was heard while the player said a phrase
+   */
+  addSample(phrase, transcript, confidence) {
+    if (!this.samples.has(phrase)) {
+      this.samples.set(phrase, []);
+    }
+    this.samples.get(phrase).push({ transcript, confidence });
+  }
+
+  /**
+   * Number of samples recorded for a phrase
+   */
+  getSampleCount(phrase) {
+    return this.samples.get(phrase)?.length || 0;
+  }
+
+  /**
+   * Build the enrollment from the samples
+   * Transcripts that are already another command's phrase are not learned, so enrolling
+   * can never take a phrase away from the command it belongs to; nor are transcripts heard
+   * for more than one phrase, since they could mean either
+   */
+  finish(isOtherPhrase = () => false) {
+    const pronunciations = {};
+    const confidences = [];
+    const conflicts = [];
+    const heardFor = new Map(); // transcript -> phrases it was heard for
+
+    this.samples.forEach((samples, phrase) => {
+      samples.forEach(({ transcript, confidence }) => {
+        if (typeof confidence === 'number' && confidence > 0) {
+          confidences.push(confidence);
+        }
+
+        if (!transcript || transcript === phrase) return;
+
+        if (isOtherPhrase(transcript, phrase)) {
+          conflicts.push({ phrase, transcript });
+          return;
+        }
+        if (!heardFor.has(transcript)) {
+          heardFor.set(transcript, new Set());
+        }
+        heardFor.get(transcript).add(phrase);
+      });
+    });
+
+    heardFor.forEach((phrases, transcript) => {
+      if (phrases.size === 1) {
+        pronunciations[transcript] = [...phrases][0];
+      } else {
+        phrases.forEach(phrase => conflicts.push({ phrase, transcript }));
+      }
+    });
+
+    if (confidences.length === 0 && Object.keys(pronunciations).length === 0) {
+      throw new Error('No speech was heard. Check the microphone and try again.');
+    }
+
+    return {
+      version: VoiceEnrollment.VERSION,
+      pronunciations,
+      conflicts,
+      typicalConfidence: this.getTypicalConfidence(confidences),
+      enrolledAt: Date.now()
+    };
+  }
+
+  /**
+   * A confidence most of the player's clear attempts reach, or null if none were reported
+   */
+  getTypicalConfidence(confidences) {
+    if (confidences.length === 0) return null;
+
+    const sorted = [...confidences].sort((a, b) => a - b);
+    const lowerQuartile = sorted[Math.floor((sorted.length - 1) / 4)];
+    return Math.max(0, Math.round((lowerQuartile - this.config.confidenceMargin) * 100) / 100);
+  }
+}
\ No newline at end of file
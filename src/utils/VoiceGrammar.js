@@ -0,0 +1,159 @@
+/**
+ * Voice grammar for GazeQuest Adventures
+ * Compiles voice command phrases with slots, such as 'move {direction} {count:number?}',
+ * and reads the slot values back out of what the player said
+ *
+ * Slots:
+ *   {name}         a slot whose type is the command's slot of that name, or the built-in type of that name
+ *   {name:type}    a slot of the given type
+ *   {name?}        an optional slot (not allowed as the first word)
+ *
+ * Types are 'number' ('one' to 'twenty', or digits), 'direction' ('up', 'down', 'left', 'right'),
+ * an array of words, or an object of spoken word -> value. Words often heard in place of a
+ * number ('to', 'for') count as numbers only when the whole transcript is the phrase: inside
+ * a longer sentence they are usually just words.
+ */
+
+export class VoiceGrammar {
+  static NUMBER_WORDS = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty'
+  ];
+
+  // Words speech recognition often hears in place of a spoken number
+  static NUMBER_HOMOPHONES = { won: 1, to: 2, too: 2, for: 4, ate: 8 };
+
+  static BUILT_IN_TYPES = {
+    direction: ['up', 'down', 'left', 'right']
+  };
+
+  /**
+   * Whether a phrase contains slots
+   */
+  static hasSlots(phrase) {
+    return /\{\w+(?::\w+)?\??\}/.test(phrase);
+  }
+
+  /**
+   * Compile a phrase into a grammar rule
+   */
+  static compile(phrase, slotTypes = {}) {
+    const tokens = phrase.trim().toLowerCase().split(/\s+/);
+    const slots = [];
+    let source = '';
+    let partialSource = '';
+
+    tokens.forEach((token, index) => {
+      const separator = index === 0 ? '' : '\\s+';
+      const slotMatch = token.match(/^\{(\w+)(?::(\w+))?(\?)?\}$/);
+
+      if (!slotMatch) {
+        source += `${separator}${VoiceGrammar.escape(token)}`;
+        partialSource += `${separator}${VoiceGrammar.escape(token)}`;
+        return;
+      }
+
+      const [, name, typeName, optional] = slotMatch;
+      const values = VoiceGrammar.resolveType(typeName || name, slotTypes);
+      const isOptional = !!optional && index > 0;
+      const slotSource = (alternatives) => isOptional
+        ? `(?:${separator}(${alternatives}))?`
+        : `${separator}(${alternatives})`;
+      slots.push({ name, values, optional: isOptional });
+
+      source += slotSource(VoiceGrammar.getAlternatives(values));
+      partialSource += slotSource(VoiceGrammar.getAlternatives(values, false));
+    });
+
+    return {
+      phrase,
+      slots,
+      exact: new RegExp(`^${source}$`),
+      partial: new RegExp(`(?:^|\\s)${partialSource}(?=\\s|$)`)
+    };
+  }
+
+  /**
+   * Match what the player said against a compiled rule; returns slot values, or null
+   */
+  static match(rule, transcript, partial = false) {
+    const result = (partial ? rule.partial : rule.exact).exec(transcript);
+    if (!result) return null;
+
+    const values = {};
+    rule.slots.forEach((slot, index) => {
+      const spoken = result[index + 1];
+      if (spoken !== undefined) {
+        values[slot.name] = VoiceGrammar.readValue(slot.values, spoken);
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Give an example of a phrase the player could say, e.g. 'move up two'
+   */
+  static example(rule) {
+    let slotIndex = 0;
+
+    return rule.phrase.trim().toLowerCase().split(/\s+/).map(token => {
+      if (!/^\{.*\}$/.test(token)) return token;
+
+      const slot = rule.slots[slotIndex++];
+      return slot.values === 'number' ? 'two' : Object.keys(slot.values)[0];
+    }).join(' ');
+  }
+
+  /**
+   * Turn a slot type into 'number' or an object of spoken word -> value
+   */
+  static resolveType(typeName, slotTypes) {
+    const type = slotTypes[typeName] ?? VoiceGrammar.BUILT_IN_TYPES[typeName] ?? typeName;
+
+    if (type === 'number') return 'number';
+    if (Array.isArray(type)) {
+      return Object.fromEntries(type.map(word => [word.toLowerCase(), word]));
+    }
+    if (type && typeof type === 'object') {
+      return Object.fromEntries(Object.entries(type).map(([word, value]) => [word.toLowerCase(), value]));
+    }
+
+    throw new Error(`Unknown voice slot type '${typeName}'`);
+  }
+
+  /**
+   * Regex alternatives for a slot's spoken words, longest first so 'twenty' beats 'two';
+   * number slots take the number homophones too unless told not to
+   */
+  static getAlternatives(values, homophones = true) {
+    const words = values === 'number'
+      ? [...VoiceGrammar.NUMBER_WORDS, ...(homophones ? Object.keys(VoiceGrammar.NUMBER_HOMOPHONES) : [])]
+      : Object.keys(values);
+
+    const alternatives = words
+      .sort((a, b) => b.length - a.length)
+      .map(word => word.split(/\s+/).map(VoiceGrammar.escape).join('\\s+'));
+
+    return values === 'number' ? ['\\d+', ...alternatives].join('|') : alternatives.join('|');
+  }
+
+  /**
+   * Read the value of a spoken slot word
+   */
+  static readValue(values, spoken) {
+    const word = spoken.replace(/\s+/g, ' ');
+
+    if (values !== 'number') return values[word];
+    if (/^\d+$/.test(word)) return parseInt(word, 10);
+
+    return VoiceGrammar.NUMBER_HOMOPHONES[word] ?? VoiceGrammar.NUMBER_WORDS.indexOf(word);
+  }
+
+  /**
+   * Escape a word for use in a regular expression
+   */
+  static escape(word) {
+    return word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Gaze provider interface for GazeQuest Adventures
+ * A provider is a source of gaze points - a webcam model, a hardware eye tracker, the mouse
+ * or a recording - that EyeTracker's dwell, smoothing and calibration logic can consume.
+ *
+ * Providers emit:
+ *   'gaze'    { x, y, timestamp, confidence } in viewport pixels, timestamp in epoch ms
+ *   'status'  { connected, message } when a source connects, drops or reconnects
+ *   'notice'  a message for the player, e.g. about camera permission
+ *   'ended'   when a finite source (a recording) has nothing more to give
+ */
+
+export class GazeProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.usesCamera = false; // Needs the player's camera consent before start()
+    this.isRunning = false;
+    this.isPaused = false;
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Check if this kind of source can be used here
+   */
+  static isAvailable() {
+    return true;
+  }
+
+  /**
+   * Start producing gaze points
+   */
+  async start() {
+    throw new Error(`${this.name} gaze provider does not support start`);
+  }
+
+  /**
+   * Stop producing gaze points and release the source
+   */
+  async stop() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Hold gaze points back without releasing the source
+   */
+  pause() {
+    this.isPaused = true;
+  }
+
+  /**
+   * Carry on after pause()
+   */
+  resume() {
+    this.isPaused = false;
+  }
+
+  /**
+   * Apply EyeTracker settings such as precision
+   */
+  configure(settings = {}) {}
+
+  /**
+   * Typical scatter of this source's points around where the player looks, in pixels
+   * (one standard deviation), so that jitter is not taken for eye movement
+   */
+  getNoise() {
+    return 0;
+  }
+
+  /**
+   * Show or hide a preview of what the source sees, if it has one
+   */
+  showPreview(visible) {}
+
+  /**
+   * Tell the source the player is looking at a screen position, for sources that learn from calibration
+   */
+  recordCalibrationPoint(x, y) {}
+
+  /**
+   * Emit a gaze point with defaults filled in, unless paused
+   */
+  emitGaze(sample) {
+    if (!this.isRunning || this.isPaused) return;
+
+    this.emit('gaze', {
+      x: sample.x,
+      y: sample.y,
+      timestamp: sample.timestamp ?? Date.now(),
+      confidence: sample.confidence ?? 1.0
+    });
+  }
+
+  /**
+   * Add event listener
+   */
+  on(eventType, callback) {
+    if (!this.eventListeners.has(eventType)) {
+      this.eventListeners.set(eventType, new Set());
+    }
+    this.eventListeners.get(eventType).add(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(eventType, callback) {
+    if (this.eventListeners.has(eventType)) {
+      this.eventListeners.get(eventType).delete(callback);
+    }
+  }
+
+  /**
+   * Emit event
+   */
+  emit(eventType, data) {
+    if (this.eventListeners.has(eventType)) {
+      this.eventListeners.get(eventType).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${this.name} gaze provider listener:`, error);
+        }
+      });
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Mouse gaze provider for GazeQuest Adventures
+ * Treats the mouse pointer as the gaze point so eye tracking can be developed without a
+ * camera. Points are sent at a steady rate, like a real tracker, with optional jitter to
+ * mimic an unsteady gaze.
+ */
+
+import { GazeProvider } from './GazeProvider.js';
+
+export class MouseGazeProvider extends GazeProvider {
+  constructor(options = {}) {
+    super('mouse', options);
+    this.config = {
+      sampleInterval: 33, // ms between points (about 30 per second)
+      jitter: 0,          // Random offset in pixels added to each point
+      ...options
+    };
+
+    this.pointer = null;
+    this.timer = null;
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+  }
+
+  /**
+   * Start following the mouse
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.isPaused = false;
+    document.addEventListener('mousemove', this.handleMouseMove);
+
+    this.timer = setInterval(() => {
+      if (this.pointer) {
+        this.emitGaze(this.addJitter(this.pointer));
+      }
+    }, this.config.sampleInterval);
+  }
+
+  /**
+   * Stop following the mouse
+   */
+  async stop() {
+    this.isRunning = false;
+    document.removeEventListener('mousemove', this.handleMouseMove);
+    clearInterval(this.timer);
+    this.timer = null;
+    this.pointer = null;
+  }
+
+  /**
+   * Remember where the pointer is
+   */
+  handleMouseMove(event) {
+    this.pointer = { x: event.clientX, y: event.clientY };
+  }
+
+  /**
+   * Scatter of the added jitter (uniform in each direction)
+   */
+  getNoise() {
+    return this.config.jitter / Math.sqrt(3);
+  }
+
+  /**
+   * Offset a point by up to the configured jitter in each direction
+   */
+  addJitter(point) {
+    const { jitter } = this.config;
+    if (!jitter) return point;
+
+    return {
+      x: point.x + (Math.random() * 2 - 1) * jitter,
+      y: point.y + (Math.random() * 2 - 1) * jitter
+    };
+  }
+}
\ No newline at end of file
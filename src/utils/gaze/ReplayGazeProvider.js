@@ -0,0 +1,187 @@
+/**
+ * Replay gaze provider for GazeQuest Adventures
+ * Plays back a recorded gaze file, so dwell, smoothing and calibration behaviour can be
+ * tested automatically with real gaze data. Recordings look like:
+ *
+ *   { "version": 1, "viewport": { "width": 1280, "height": 720 },
+ *     "samples": [{ "t": 0, "x": 640, "y": 360, "confidence": 0.9 }, ...] }
+ *
+ * where t is ms since the recording started. Points are scaled from the recorded viewport
+ * to the current one. EyeTracker.startGazeRecording() makes files in this format.
+ */
+
+import { GazeProvider } from './GazeProvider.js';
+
+export class ReplayGazeProvider extends GazeProvider {
+  static VERSION = 1;
+
+  constructor(options = {}) {
+    super('replay', options);
+    this.config = {
+      recording: null, // A recording object...
+      url: null,       // ...or where to fetch one
+      speed: 1,        // Playback speed multiplier
+      loop: false,
+      noise: 0,        // Typical scatter of the recorded points in pixels, e.g. about 70 for a webcam recording
+      ...options
+    };
+
+    this.recording = null;
+    this.index = 0;
+    this.playbackStart = 0;
+    this.pausedAt = null;
+    this.timer = null;
+  }
+
+  /**
+   * Build a recording from gaze points ({ x, y, timestamp, confidence })
+   */
+  static createRecording(points, viewport = { width: window.innerWidth, height: window.innerHeight }) {
+    const start = points[0]?.timestamp || 0;
+
+    return {
+      version: ReplayGazeProvider.VERSION,
+      viewport,
+      samples: points.map(point => ({
+        t: point.timestamp - start,
+        x: Math.round(point.x),
+        y: Math.round(point.y),
+        confidence: point.confidence ?? 1.0
+      }))
+    };
+  }
+
+  /**
+   * Load the recording and start playing it from the beginning
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    this.recording = this.validate(this.config.recording || await this.fetchRecording());
+    this.isRunning = true;
+    this.isPaused = false;
+    this.restart();
+  }
+
+  /**
+   * Stop playback
+   */
+  async stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Hold playback where it is
+   */
+  pause() {
+    if (this.isPaused) return;
+
+    super.pause();
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pausedAt = Date.now();
+  }
+
+  /**
+   * Carry on playback from where it was paused
+   */
+  resume() {
+    if (!this.isPaused) return;
+
+    super.resume();
+    if (this.pausedAt !== null) {
+      this.playbackStart += Date.now() - this.pausedAt;
+      this.pausedAt = null;
+    }
+    this.scheduleNext();
+  }
+
+  /**
+   * Scatter of the recorded points, as configured
+   */
+  getNoise() {
+    return this.config.noise;
+  }
+
+  /**
+   * Fetch the recording from its URL
+   */
+  async fetchRecording() {
+    if (!this.config.url) {
+      throw new Error('Replay gaze provider needs a recording or a url');
+    }
+
+    const response = await fetch(this.config.url);
+    if (!response.ok) {
+      throw new Error(`Could not load gaze recording ${this.config.url} (${response.status})`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Check a recording can be played
+   */
+  validate(recording) {
+    if (!recording || recording.version !== ReplayGazeProvider.VERSION) {
+      throw new Error('Unsupported gaze recording version');
+    }
+    if (!Array.isArray(recording.samples) || recording.samples.length === 0) {
+      throw new Error('Gaze recording has no samples');
+    }
+    return recording;
+  }
+
+  /**
+   * Play from the first sample
+   */
+  restart() {
+    this.index = 0;
+    this.playbackStart = Date.now();
+    this.pausedAt = null;
+    this.scheduleNext();
+  }
+
+  /**
+   * Wait for the next sample's time, then emit it
+   */
+  scheduleNext() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.isRunning || this.isPaused) return;
+
+    const sample = this.recording.samples[this.index];
+    if (!sample) {
+      if (this.config.loop) {
+        this.restart();
+      } else {
+        this.emit('ended');
+      }
+      return;
+    }
+
+    const due = this.playbackStart + sample.t / this.config.speed;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.emitGaze({ ...this.scale(sample), confidence: sample.confidence });
+      this.index++;
+      this.scheduleNext();
+    }, Math.max(0, due - Date.now()));
+  }
+
+  /**
+   * Scale a recorded point to the current viewport
+   */
+  scale(sample) {
+    const viewport = this.recording.viewport;
+    if (!viewport?.width || !viewport?.height) {
+      return { x: sample.x, y: sample.y };
+    }
+
+    return {
+      x: sample.x * window.innerWidth / viewport.width,
+      y: sample.y * window.innerHeight / viewport.height
+    };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * WebGazer gaze provider for GazeQuest Adventures
+ * Predicts gaze from the webcam with WebGazer.js, loaded from its CDN on first start
+ */
+
+import { GazeProvider } from './GazeProvider.js';
+
+export class WebGazerProvider extends GazeProvider {
+  static SCRIPT_URL = 'https://webgazer.cs.brown.edu/webgazer.js';
+
+  static PRECISION_SETTINGS = {
+    low: { samples: 30, tolerance: 100 },
+    medium: { samples: 50, tolerance: 70 },
+    high: { samples: 70, tolerance: 50 }
+  };
+
+  constructor(options = {}) {
+    super('webgazer', options);
+    this.usesCamera = true;
+    this.webgazer = null;
+    this.precision = 'medium';
+  }
+
+  /**
+   * Check if a camera could be used
+   */
+  static isAvailable() {
+    return !!navigator.mediaDevices?.getUserMedia;
+  }
+
+  /**
+   * Load WebGazer and start the camera
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    await this.loadWebGazer();
+    await this.initializeWebGazer();
+    this.isRunning = true;
+    this.isPaused = false;
+    this.applyPrecisionSettings();
+  }
+
+  /**
+   * Stop WebGazer and release the camera
+   */
+  async stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+
+    try {
+      this.webgazer?.end();
+    } catch (error) {
+      console.warn('Error stopping WebGazer:', error);
+    }
+
+    // Make sure no camera track outlives WebGazer
+    const video = document.getElementById('webgazerVideoFeed');
+    video?.srcObject?.getTracks?.().forEach(track => track.stop());
+  }
+
+  /**
+   * Pause predictions; the camera stays on
+   */
+  pause() {
+    super.pause();
+    this.webgazer?.pause();
+  }
+
+  /**
+   * Resume predictions
+   */
+  resume() {
+    super.resume();
+    this.webgazer?.resume();
+  }
+
+  /**
+   * Apply EyeTracker settings
+   */
+  configure(settings = {}) {
+    this.precision = settings.precision || this.precision;
+    this.applyPrecisionSettings();
+  }
+
+  /**
+   * Show or hide the camera preview
+   */
+  showPreview(visible) {
+    if (!this.webgazer) return;
+
+    this.webgazer.showVideoPreview(visible);
+    if (visible) {
+      this.setupVideoPreview();
+    }
+  }
+
+  /**
+   * Teach WebGazer's model that the player is looking at a screen position
+   */
+  recordCalibrationPoint(x, y) {
+    if (this.webgazer?.recordScreenPosition) {
+      this.webgazer.recordScreenPosition(x, y);
+    }
+  }
+
+  /**
+   * Load WebGazer library
+   */
+  async loadWebGazer() {
+    if (window.webgazer) {
+      this.webgazer = window.webgazer;
+      return;
+    }
+
+    try {
+      // Load WebGazer from CDN
+      if (!document.querySelector('script[src*="webgazer"]')) {
+        const script = document.createElement('script');
+        script.src = WebGazerProvider.SCRIPT_URL;
+        document.head.appendChild(script);
+
+        // Wait for script to load
+        await new Promise((resolve, reject) => {
+          script.onload = resolve;
+          script.onerror = reject;
+        });
+      }
+
+      // Wait for webgazer to be available
+      let attempts = 0;
+      while (!window.webgazer && attempts < 50) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        attempts++;
+      }
+
+      if (!window.webgazer) {
+        throw new Error('WebGazer not loaded after waiting');
+      }
+
+      this.webgazer = window.webgazer;
+      console.log('✅ WebGazer loaded successfully');
+
+    } catch (error) {
+      console.error('Failed to load WebGazer:', error);
+      throw new Error('WebGazer library could not be loaded');
+    }
+  }
+
+  /**
+   * Initialize WebGazer
+   */
+  async initializeWebGazer() {
+    return new Promise((resolve, reject) => {
+      try {
+        console.log('🔧 Configuring WebGazer...');
+
+        // Configure WebGazer; its elapsed-time timestamps are replaced with wall-clock time
+        this.webgazer
+          .setRegression('ridge')
+          .setTracker('TFFacemesh')
+          .setGazeListener((data) => {
+            if (data) {
+              this.emitGaze({ x: data.x, y: data.y, confidence: data.confidence });
+            }
+          })
+          .showVideoPreview(false)  // Hide video preview initially
+          .showPredictionPoints(false)
+          .showFaceOverlay(false)
+          .showFaceFeedbackBox(false);
+
+        console.log('🚀 Starting WebGazer...');
+
+        // Start WebGazer
+        this.webgazer.begin()
+          .then(() => {
+            console.log('👁️ WebGazer started successfully');
+
+            // Pause initially until activation
+            this.webgazer.pause();
+            this.isPaused = true;
+
+            // Set up camera permissions handler
+            this.handleCameraPermissions();
+
+            resolve();
+          })
+          .catch(error => {
+            console.error('WebGazer start failed:', error);
+            reject(new Error(`WebGazer initialization failed: ${error.message}`));
+          });
+
+      } catch (error) {
+        console.error('WebGazer setup failed:', error);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Handle camera permissions
+   */
+  handleCameraPermissions() {
+    navigator.permissions?.query({ name: 'camera' })
+      .then(permissionStatus => {
+        if (permissionStatus.state === 'granted') {
+          console.log('📷 Camera permission granted');
+        } else if (permissionStatus.state === 'prompt') {
+          this.emit('notice', 'Please allow camera access for eye tracking to work.');
+        } else {
+          this.emit('notice', 'Camera access denied. Eye tracking will not work.');
+        }
+
+        permissionStatus.onchange = () => {
+          if (permissionStatus.state === 'granted') {
+            this.emit('notice', 'Camera access granted. Eye tracking is now available.');
+          } else if (permissionStatus.state === 'denied') {
+            this.emit('notice', 'Camera access denied. Please enable camera access to use eye tracking.');
+          }
+        };
+      })
+      .catch(error => {
+        console.warn('Could not query camera permissions:', error);
+      });
+  }
+
+  /**
+   * Webcam predictions scatter by about the precision level's tolerance
+   */
+  getNoise() {
+    return (WebGazerProvider.PRECISION_SETTINGS[this.precision] || WebGazerProvider.PRECISION_SETTINGS.medium).tolerance;
+  }
+
+  /**
+   * Apply precision settings to WebGazer
+   */
+  applyPrecisionSettings() {
+    if (!this.webgazer) return;
+
+    const settings = WebGazerProvider.PRECISION_SETTINGS[this.precision] || WebGazerProvider.PRECISION_SETTINGS.medium;
+
+    // Configure WebGazer precision (if methods are available)
+    if (this.webgazer.params) {
+      this.webgazer.params.imgWidth = settings.samples;
+      this.webgazer.params.imgHeight = settings.samples;
+    }
+  }
+
+  /**
+   * Setup video preview with custom styling
+   */
+  setupVideoPreview() {
+    // Wait for WebGazer to create the video element
+    setTimeout(() => {
+      const videoContainer = document.getElementById('webgazerVideoContainer');
+      const video = document.getElementById('webgazerVideoFeed');
+
+      if (videoContainer) {
+        videoContainer.style.cssText = `
+          position: fixed !important;
+          bottom: 20px !important;
+          right: 20px !important;
+          width: 200px !important;
+          height: 150px !important;
+          z-index: 1000 !important;
+          border: 2px solid #00ffff !important;
+          border-radius: 10px !important;
+          overflow: hidden !important;
+          box-shadow: 0 4px 12px rgba(0, 255, 255, 0.3) !important;
+        `;
+
+        // Add title
+        const title = document.createElement('div');
+        title.textContent = 'Eye Tracking Camera';
+        title.style.cssText = `
+          position: absolute;
+          top: -25px;
+          left: 0;
+          color: #00ffff;
+          font-size: 12px;
+          font-weight: bold;
+          background: rgba(0, 0, 0, 0.7);
+          padding: 2px 8px;
+          border-radius: 4px;
+        `;
+        videoContainer.appendChild(title);
+      }
+
+      if (video) {
+        video.style.cssText = `
+          width: 100% !important;
+          height: 100% !important;
+          object-fit: cover !important;
+        `;
+      }
+    }, 1000);
+  }
+}
\ No newline at end of file
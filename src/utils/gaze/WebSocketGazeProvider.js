@@ -0,0 +1,203 @@
+/**
+ * WebSocket gaze provider for GazeQuest Adventures
+ * Receives gaze points from a local bridge program that reads a hardware eye tracker
+ * (e.g. a Tobii-style gaze stream) and forwards each sample as a JSON message:
+ *
+ *   { "x": 0.42, "y": 0.61, "confidence": 0.9, "valid": true }
+ *
+ * "gaze": { "x", "y" } may be used instead of top-level x and y, and messages with
+ * "valid": false (e.g. the eyes were not found) are skipped. The bridge's coordinates
+ * are 'normalized' (0-1 of the screen), 'screen' (pixels of the whole display) or
+ * 'viewport' (pixels of the page); see the coordinates option.
+ */
+
+import { GazeProvider } from './GazeProvider.js';
+
+export class WebSocketGazeProvider extends GazeProvider {
+  static COORDINATES = ['normalized', 'screen', 'viewport'];
+
+  constructor(options = {}) {
+    super('websocket', options);
+    this.config = {
+      url: 'ws://localhost:8765',
+      coordinates: 'normalized',
+      connectTimeout: 3000,  // ms to wait for the bridge on start
+      reconnectDelay: 2000,  // ms between reconnection attempts after a drop
+      noise: 20,             // Typical scatter of the tracker's points in pixels (about 0.5°)
+      ...options
+    };
+
+    if (!WebSocketGazeProvider.COORDINATES.includes(this.config.coordinates)) {
+      throw new Error(`Unknown gaze coordinates '${this.config.coordinates}'`);
+    }
+
+    this.socket = null;
+    this.reconnectTimer = null;
+    this.isConnected = false;
+  }
+
+  /**
+   * Scatter of the hardware tracker's points, as configured
+   */
+  getNoise() {
+    return this.config.noise;
+  }
+
+  /**
+   * Check if WebSockets can be used
+   */
+  static isAvailable() {
+    return typeof WebSocket !== 'undefined';
+  }
+
+  /**
+   * Connect to the bridge; fails if it does not answer in time
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.isPaused = false;
+
+    try {
+      await this.connect();
+    } catch (error) {
+      this.isRunning = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Disconnect from the bridge
+   */
+  async stop() {
+    this.isRunning = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.isConnected = false;
+  }
+
+  /**
+   * Open the connection, resolving once it is open
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.config.url);
+      this.socket = socket;
+      let settled = false;
+
+      const timeout = setTimeout(() => {
+        if (settled) return;
+        settled = true;
+        socket.close();
+        reject(new Error(`No gaze bridge answered at ${this.config.url}`));
+      }, this.config.connectTimeout);
+
+      socket.onopen = () => {
+        this.isConnected = true;
+        this.emit('status', { connected: true, message: 'Eye tracker connected.' });
+        console.log(`👁️ Gaze bridge connected at ${this.config.url}`);
+
+        if (!settled) {
+          settled = true;
+          clearTimeout(timeout);
+          resolve();
+        }
+      };
+
+      socket.onmessage = (event) => this.handleMessage(event.data);
+
+      socket.onerror = () => {
+        if (!settled) {
+          settled = true;
+          clearTimeout(timeout);
+          reject(new Error(`Could not connect to the gaze bridge at ${this.config.url}`));
+        }
+      };
+
+      socket.onclose = () => {
+        if (this.socket !== socket) return;
+
+        const wasConnected = this.isConnected;
+        this.isConnected = false;
+        this.socket = null;
+
+        if (wasConnected) {
+          this.emit('status', { connected: false, message: 'Eye tracker disconnected. Trying to reconnect.' });
+        }
+        this.scheduleReconnect();
+      };
+    });
+  }
+
+  /**
+   * Try the connection again after a drop, until stopped
+   */
+  scheduleReconnect() {
+    if (!this.isRunning || this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (!this.isRunning) return;
+
+      try {
+        await this.connect();
+      } catch (error) {
+        this.scheduleReconnect();
+      }
+    }, this.config.reconnectDelay);
+  }
+
+  /**
+   * Turn a bridge message into a gaze point
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn('Ignoring gaze bridge message that is not JSON:', data);
+      return;
+    }
+
+    if (!message || message.valid === false) return;
+
+    const point = message.gaze || message;
+    if (typeof point.x !== 'number' || typeof point.y !== 'number') return;
+
+    // Trackers keep their own clocks, so points are stamped when they arrive
+    this.emitGaze({
+      ...this.toViewport(point.x, point.y),
+      confidence: message.confidence
+    });
+  }
+
+  /**
+   * Convert bridge coordinates to viewport pixels
+   */
+  toViewport(x, y) {
+    switch (this.config.coordinates) {
+      case 'normalized':
+        return this.screenToViewport(x * window.screen.width, y * window.screen.height);
+      case 'screen':
+        return this.screenToViewport(x, y);
+      default:
+        return { x, y };
+    }
+  }
+
+  /**
+   * Convert whole-display pixels to viewport pixels
+   */
+  screenToViewport(x, y) {
+    // The browser's toolbars sit between the top of the window and the page
+    const chromeHeight = window.outerHeight - window.innerHeight;
+    return { x: x - window.screenX, y: y - window.screenY - chromeHeight };
+  }
+}
\ No newline at end of file
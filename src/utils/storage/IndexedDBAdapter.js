@@ -0,0 +1,228 @@
+/**
+ * IndexedDB storage adapter for GazeQuest Adventures
+ * Stores append-only history (sessions, input events, calibrations) outside
+ * the localStorage save so it can grow without slowing every save. Each
+ * player's collections are capped by age and count so the database cannot
+ * grow without limit
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+export class IndexedDBAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('indexedDB');
+    this.databaseName = options.databaseName || 'gazequest';
+    this.version = 2;
+    this.db = null;
+
+    // Retention per player and collection: older records, and the oldest beyond the cap, are dropped
+    this.maxHistoryRecords = options.maxHistoryRecords || 5000;
+    this.maxHistoryAge = options.maxHistoryAge || 365 * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Check if IndexedDB can be used
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating its stores on first use
+   */
+  async open() {
+    if (this.db) return;
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains('keyValue')) {
+          db.createObjectStore('keyValue');
+        }
+
+        const history = db.objectStoreNames.contains('history')
+          ? request.transaction.objectStore('history')
+          : db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+
+        if (!history.indexNames.contains('collection_time')) {
+          history.createIndex('collection_time', ['collection', 'timestamp']);
+        }
+
+        // Version 2: one player's records in a collection, in time order
+        if (!history.indexNames.contains('collection_profile_time')) {
+          history.createIndex('collection_profile_time', ['collection', 'profileId', 'timestamp']);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+    });
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Get a stored string, or null
+   */
+  async get(key) {
+    const value = await this.request('keyValue', 'readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Store a string
+   */
+  async set(key, value) {
+    await this.request('keyValue', 'readwrite', store => store.put(String(value), key));
+  }
+
+  /**
+   * Remove a stored string
+   */
+  async remove(key) {
+    await this.request('keyValue', 'readwrite', store => store.delete(key));
+  }
+
+  /**
+   * List stored keys starting with a prefix
+   */
+  async keys(prefix = '') {
+    const keys = await this.request('keyValue', 'readonly', store => store.getAllKeys());
+    return keys.filter(key => String(key).startsWith(prefix));
+  }
+
+  /**
+   * Append a record to a history collection, dropping the player's records that fall
+   * outside retention in the same transaction
+   */
+  async append(collection, record) {
+    const stored = this.createRecord(collection, record);
+    let id;
+
+    await this.transaction('history', 'readwrite', store => {
+      store.add(stored).onsuccess = event => {
+        id = event.target.result;
+      };
+
+      if (stored.profileId !== undefined && stored.profileId !== null) {
+        this.applyRetention(store, collection, stored.profileId);
+      }
+    });
+
+    return { ...stored, id };
+  }
+
+  /**
+   * Delete one player's records in a collection that are too old, then the oldest beyond the cap
+   */
+  applyRetention(store, collection, profileId) {
+    const index = store.index('collection_profile_time');
+    const expired = IDBKeyRange.bound(
+      [collection, profileId, 0],
+      [collection, profileId, Date.now() - this.maxHistoryAge],
+      false,
+      true
+    );
+
+    index.openCursor(expired).onsuccess = event => {
+      const cursor = event.target.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+        return;
+      }
+
+      const all = this.getProfileRange(collection, profileId);
+      index.count(all).onsuccess = countEvent => {
+        let excess = countEvent.target.result - this.maxHistoryRecords;
+        if (excess <= 0) return;
+
+        index.openCursor(all).onsuccess = trimEvent => {
+          const oldest = trimEvent.target.result;
+          if (oldest && excess-- > 0) {
+            oldest.delete();
+            oldest.continue();
+          }
+        };
+      };
+    };
+  }
+
+  /**
+   * Key range of one player's records in a collection on the collection_profile_time index
+   */
+  getProfileRange(collection, profileId, since = 0, until = Number.MAX_SAFE_INTEGER) {
+    return IDBKeyRange.bound([collection, profileId, since], [collection, profileId, until]);
+  }
+
+  /**
+   * Query a history collection, narrowing the range by player and time through the indexes
+   */
+  async query(collection, filter = {}) {
+    const byProfile = filter.profileId !== undefined && filter.profileId !== null;
+    const range = byProfile
+      ? this.getProfileRange(collection, filter.profileId, filter.since ?? 0, filter.until ?? Number.MAX_SAFE_INTEGER)
+      : IDBKeyRange.bound(
+        [collection, filter.since ?? 0],
+        [collection, filter.until ?? Number.MAX_SAFE_INTEGER]
+      );
+
+    const records = await this.request('history', 'readonly', store =>
+      store.index(byProfile ? 'collection_profile_time' : 'collection_time').getAll(range)
+    );
+
+    return this.finalizeQuery(records.filter(record => this.matchesFilter(record, filter)), filter);
+  }
+
+  /**
+   * Remove history records, optionally only one profile's
+   */
+  async clear(collection, filter = {}) {
+    const records = await this.query(collection, filter);
+    if (records.length === 0) return;
+
+    await this.transaction('history', 'readwrite', store => {
+      records.forEach(record => store.delete(record.id));
+    });
+  }
+
+  /**
+   * Run a single request and resolve with its result
+   */
+  async request(storeName, mode, createRequest) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const request = createRequest(this.db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run several operations in one transaction and resolve when it commits
+   */
+  async transaction(storeName, mode, work) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, mode);
+      work(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
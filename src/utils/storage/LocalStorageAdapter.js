@@ -0,0 +1,110 @@
+/**
+ * localStorage adapter for GazeQuest Adventures
+ * Holds settings and saves; history is kept as capped JSON lists for
+ * browsers where IndexedDB is unavailable
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+export class LocalStorageAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('localStorage');
+    this.historyPrefix = options.historyPrefix || 'gazequest_history_';
+    this.maxHistoryRecords = options.maxHistoryRecords || 500;
+  }
+
+  /**
+   * Check if localStorage can be used
+   */
+  static isAvailable() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get a stored string, or null
+   */
+  async get(key) {
+    return localStorage.getItem(key);
+  }
+
+  /**
+   * Store a string
+   */
+  async set(key, value) {
+    localStorage.setItem(key, String(value));
+  }
+
+  /**
+   * Remove a stored string
+   */
+  async remove(key) {
+    localStorage.removeItem(key);
+  }
+
+  /**
+   * List stored keys starting with a prefix
+   */
+  async keys(prefix = '') {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(prefix)) keys.push(key);
+    }
+    return keys;
+  }
+
+  /**
+   * Append a record to a history collection
+   */
+  async append(collection, record) {
+    const records = this.readCollection(collection);
+    const lastId = records.length > 0 ? records[records.length - 1].id : 0;
+    const stored = { ...this.createRecord(collection, record), id: lastId + 1 };
+
+    records.push(stored);
+
+    // Keep only the newest records so history cannot fill the quota
+    this.writeCollection(collection, records.slice(-this.maxHistoryRecords));
+
+    return { ...stored };
+  }
+
+  /**
+   * Query a history collection
+   */
+  async query(collection, filter = {}) {
+    const records = this.readCollection(collection).filter(record => this.matchesFilter(record, filter));
+    return this.finalizeQuery(records, filter);
+  }
+
+  /**
+   * Remove history records, optionally only one profile's
+   */
+  async clear(collection, filter = {}) {
+    const records = this.readCollection(collection).filter(record => !this.matchesFilter(record, filter));
+    this.writeCollection(collection, records);
+  }
+
+  /**
+   * Read a history collection
+   */
+  readCollection(collection) {
+    try {
+      return JSON.parse(localStorage.getItem(`${this.historyPrefix}${collection}`)) || [];
+    } catch (error) {
+      console.warn(`History collection ${collection} is unreadable, starting it over:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Write a history collection
+   */
+  writeCollection(collection, records) {
+    localStorage.setItem(`${this.historyPrefix}${collection}`, JSON.stringify(records));
+  }
+}
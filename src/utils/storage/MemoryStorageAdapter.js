@@ -0,0 +1,76 @@
+/**
+ * In-memory storage adapter for GazeQuest Adventures
+ * Keeps everything in maps; used by tests and as a last-resort fallback
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+export class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super('memory');
+    this.values = new Map();
+    this.collections = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Get a stored string, or null
+   */
+  async get(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  /**
+   * Store a string
+   */
+  async set(key, value) {
+    this.values.set(key, String(value));
+  }
+
+  /**
+   * Remove a stored string
+   */
+  async remove(key) {
+    this.values.delete(key);
+  }
+
+  /**
+   * List stored keys starting with a prefix
+   */
+  async keys(prefix = '') {
+    return Array.from(this.values.keys()).filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Append a record to a history collection
+   */
+  async append(collection, record) {
+    const stored = { ...this.createRecord(collection, record), id: this.nextId++ };
+
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, []);
+    }
+    this.collections.get(collection).push(stored);
+
+    return { ...stored };
+  }
+
+  /**
+   * Query a history collection
+   */
+  async query(collection, filter = {}) {
+    const records = (this.collections.get(collection) || [])
+      .filter(record => this.matchesFilter(record, filter))
+      .map(record => ({ ...record }));
+
+    return this.finalizeQuery(records, filter);
+  }
+
+  /**
+   * Remove history records, optionally only one profile's
+   */
+  async clear(collection, filter = {}) {
+    const records = this.collections.get(collection) || [];
+    this.collections.set(collection, records.filter(record => !this.matchesFilter(record, filter)));
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Storage adapter interface for GazeQuest Adventures
+ * Adapters provide small key-value records (settings, saves) and append-only
+ * history collections (sessions, input events, calibrations). Every method is async.
+ */
+
+export class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Prepare the backend (open databases, etc.)
+   */
+  async open() {}
+
+  /**
+   * Release the backend
+   */
+  async close() {}
+
+  /**
+   * Get a stored string, or null
+   */
+  async get(key) {
+    throw new Error(`${this.name} storage does not support get`);
+  }
+
+  /**
+   * Store a string
+   */
+  async set(key, value) {
+    throw new Error(`${this.name} storage does not support set`);
+  }
+
+  /**
+   * Remove a stored string
+   */
+  async remove(key) {
+    throw new Error(`${this.name} storage does not support remove`);
+  }
+
+  /**
+   * List stored keys starting with a prefix
+   */
+  async keys(prefix = '') {
+    throw new Error(`${this.name} storage does not support keys`);
+  }
+
+  /**
+   * Append a record to a history collection, returning the stored record
+   */
+  async append(collection, record) {
+    throw new Error(`${this.name} storage does not support append`);
+  }
+
+  /**
+   * Query a history collection
+   * filter: { profileId, type, since, until, limit } - limit keeps the newest records
+   */
+  async query(collection, filter = {}) {
+    throw new Error(`${this.name} storage does not support query`);
+  }
+
+  /**
+   * Remove history records, optionally only one profile's
+   */
+  async clear(collection, filter = {}) {
+    throw new Error(`${this.name} storage does not support clear`);
+  }
+
+  /**
+   * Build a stored history record with defaults filled in
+   */
+  createRecord(collection, record) {
+    return {
+      ...record,
+      collection,
+      timestamp: record.timestamp || Date.now()
+    };
+  }
+
+  /**
+   * Check a history record against a query filter
+   */
+  matchesFilter(record, filter) {
+    if (filter.profileId !== undefined && record.profileId !== filter.profileId) return false;
+    if (filter.type !== undefined && record.type !== filter.type) return false;
+    if (filter.since !== undefined && record.timestamp < filter.since) return false;
+    if (filter.until !== undefined && record.timestamp > filter.until) return false;
+    return true;
+  }
+
+  /**
+   * Sort records oldest first and apply the filter's limit
+   */
+  finalizeQuery(records, filter) {
+    const sorted = records.sort((a, b) => a.timestamp - b.timestamp);
+    return filter.limit ? sorted.slice(-filter.limit) : sorted;
+  }
+}
@@ -0,0 +1,69 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SipPuffInput } from '../../../src/components/input/SipPuffInput.js';
+
+describe('SipPuffInput', () => {
+  let input;
+  let selections;
+  let menuKeys;
+  const menuListener = (event) => menuKeys.push(event.code);
+
+  const press = (code, holdTime) => {
+    document.dispatchEvent(new KeyboardEvent('keydown', { code, bubbles: true, cancelable: true }));
+    vi.advanceTimersByTime(holdTime);
+    document.dispatchEvent(new KeyboardEvent('keyup', { code, bubbles: true, cancelable: true }));
+  };
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    input = new SipPuffInput();
+    await input.init(null);
+    await input.activate();
+
+    selections = [];
+    input.on('input', event => selections.push(event.action));
+
+    // A menu listening for keyboard navigation, as MenuScene does
+    menuKeys = [];
+    document.addEventListener('keydown', menuListener);
+  });
+
+  afterEach(async () => {
+    await input.deactivate();
+    document.removeEventListener('keydown', input.handleKeyDown, true);
+    document.removeEventListener('keyup', input.handleKeyUp, true);
+    document.removeEventListener('keydown', menuListener);
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('activates exactly once for a puff', () => {
+    press('Space', 100);
+
+    expect(selections).toEqual(['select']);
+    expect(menuKeys).toEqual([]);
+  });
+
+  it('keeps sips away from keyboard navigation', () => {
+    press('Enter', 100);
+
+    expect(selections).toEqual(['navigate']);
+    expect(menuKeys).toEqual([]);
+  });
+
+  it('leaves keys that are not device signals to the keyboard', () => {
+    press('ArrowDown', 100);
+
+    expect(selections).toEqual([]);
+    expect(menuKeys).toEqual(['ArrowDown']);
+  });
+
+  it('lets the device keys through while sip and puff is not in use', async () => {
+    await input.deactivate();
+    press('Space', 100);
+
+    expect(menuKeys).toEqual(['Space']);
+  });
+});
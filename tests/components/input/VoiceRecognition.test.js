@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VoiceRecognition } from '../../../src/components/input/VoiceRecognition.js';
+
+describe('VoiceRecognition', () => {
+  let voice;
+  let heard;
+
+  // Deliver a final speech result, as the Web Speech API does
+  const say = (transcript, confidence) => {
+    const result = Object.assign([{ transcript, confidence }], { isFinal: true });
+    voice.handleVoiceResult({ results: [result] });
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    voice = new VoiceRecognition();
+    heard = [];
+    voice.registerCommand('jump', () => heard.push('jump'), { description: 'Jump' });
+    voice.registerCommand(['open menu', 'menu'], () => heard.push('menu'), { description: 'Menu' });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('adapting thresholds', () => {
+    it('ignores speech that is nothing like a command', () => {
+      for (let i = 0; i < 10; i++) {
+        say('what would you like for dinner tonight', 0.9);
+      }
+
+      expect(heard).toEqual([]);
+      expect(voice.getRecognitionStats()).toMatchObject({
+        accuracy: null,
+        samples: 0,
+        confidenceThreshold: 0.7,
+        fuzzyThreshold: 0.75
+      });
+    });
+
+    it('relaxes after commands heard too uncertainly', () => {
+      for (let i = 0; i < 5; i++) {
+        say('jump', 0.5);
+      }
+
+      const stats = voice.getRecognitionStats();
+      expect(stats.accuracy).toBe(0);
+      expect(stats.confidenceThreshold).toBeCloseTo(0.4);
+      expect(stats.fuzzyThreshold).toBeCloseTo(0.65);
+
+      say('jump', 0.5);
+      expect(heard).toEqual(['jump']);
+    });
+
+    it('counts a sound-alike just under the threshold as a miss', () => {
+      expect(voice.classifyMiss('chump')).toBe('near_miss');
+      expect(voice.classifyMiss('the weather is nice')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { InputManager } from '../../src/systems/InputManager.js';
+
+describe('InputManager', () => {
+  describe('askAboutRecommendation', () => {
+    let inputManager;
+    let uiManager;
+    let logged;
+
+    const recommendation = (data = {}) => ({
+      type: 'adjust_timing',
+      explanation: 'Choices are often undone',
+      data: { method: 'eyeTracking', adjustment: 'increase_dwell_time', dwellTime: 1200, ...data }
+    });
+
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      inputManager = new InputManager();
+      uiManager = {
+        isInitialized: true,
+        adaptivePrompt: { buttons: [] },
+        hasAdaptivePrompt: vi.fn(() => true),
+        showAdaptivePrompt: vi.fn()
+      };
+      inputManager.gameEngine = {
+        uiManager,
+        isPaused: true,
+        accessibilityManager: { announce: vi.fn() }
+      };
+      logged = [];
+      inputManager.logRecommendation = (rec, status) => logged.push(status);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('logs a recommendation that cannot be shown only once', () => {
+      inputManager.askAboutRecommendation(recommendation());
+      inputManager.askAboutRecommendation(recommendation({ dwellTime: 1300 }));
+      inputManager.askAboutRecommendation(recommendation());
+
+      expect(logged).toEqual(['skipped']);
+      expect(uiManager.showAdaptivePrompt).not.toHaveBeenCalled();
+    });
+
+    it('logs each different recommendation that cannot be shown', () => {
+      inputManager.askAboutRecommendation(recommendation());
+      inputManager.askAboutRecommendation(recommendation({ adjustment: 'decrease_dwell_time' }));
+
+      expect(logged).toEqual(['skipped', 'skipped']);
+    });
+
+    it('asks once a prompt can be shown, and logs a later skip again', () => {
+      inputManager.askAboutRecommendation(recommendation());
+
+      uiManager.hasAdaptivePrompt.mockReturnValue(false);
+      inputManager.askAboutRecommendation(recommendation());
+      expect(uiManager.showAdaptivePrompt).toHaveBeenCalledTimes(1);
+
+      uiManager.hasAdaptivePrompt.mockReturnValue(true);
+      inputManager.askAboutRecommendation(recommendation());
+      expect(logged).toEqual(['skipped', 'skipped']);
+    });
+
+    it('does not count a recommendation that could not be shown toward the session limit', () => {
+      inputManager.gameEngine.stateManager = { getStateValue: () => 'ask' };
+      const selected = inputManager.adaptiveAI.filterRecommendations([
+        { ...recommendation(), confidence: 0.9 },
+        { ...recommendation({ adjustment: 'decrease_dwell_time' }), confidence: 0.8 }
+      ]);
+      expect(inputManager.adaptiveAI.currentSessionRecommendations).toBe(2);
+
+      // The first opens a prompt, so the second cannot be shown
+      uiManager.hasAdaptivePrompt.mockReturnValue(false);
+      uiManager.showAdaptivePrompt.mockImplementation(() => uiManager.hasAdaptivePrompt.mockReturnValue(true));
+      inputManager.handleAdaptiveRecommendations(selected);
+
+      expect(uiManager.showAdaptivePrompt).toHaveBeenCalledTimes(1);
+      expect(inputManager.adaptiveAI.currentSessionRecommendations).toBe(1);
+    });
+  });
+});
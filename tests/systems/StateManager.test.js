@@ -0,0 +1,246 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StateManager } from '../../src/systems/StateManager.js';
+import { MemoryStorageAdapter } from '../../src/utils/storage/MemoryStorageAdapter.js';
+
+describe('StateManager', () => {
+  let settingsStorage;
+  let historyStorage;
+  let stateManager;
+
+  const createStateManager = async () => {
+    const manager = new StateManager({ settingsStorage, historyStorage });
+    await manager.init({});
+    return manager;
+  };
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    settingsStorage = new MemoryStorageAdapter();
+    historyStorage = new MemoryStorageAdapter();
+    stateManager = await createStateManager();
+  });
+
+  afterEach(() => {
+    stateManager.destroy();
+    vi.restoreAllMocks();
+  });
+
+  describe('saves', () => {
+    const saveKey = () => stateManager.getProfileStateKey(stateManager.activeProfileId);
+
+    it('restores a saved player on the next start', async () => {
+      stateManager.updateState('level', 3);
+      await stateManager.saveState();
+      stateManager.destroy();
+
+      stateManager = await createStateManager();
+      expect(stateManager.getStateValue('level')).toBe(3);
+    });
+
+    it('falls back to the newest backup when the save is corrupt', async () => {
+      stateManager.updateState('level', 3);
+      await stateManager.saveState();
+      await stateManager.backupSavedState(stateManager.activeProfileId, true);
+      await settingsStorage.set(saveKey(), '{"level": 4');
+      stateManager.destroy();
+
+      stateManager = await createStateManager();
+      expect(stateManager.getStateValue('level')).toBe(3);
+      expect(await settingsStorage.get(`${saveKey()}_corrupt`)).toBe('{"level": 4');
+    });
+
+    it('starts over when neither the save nor any backup can be read', async () => {
+      stateManager.updateState('level', 3);
+      await stateManager.saveState();
+      await settingsStorage.set(saveKey(), JSON.stringify({ level: -1 }));
+      stateManager.destroy();
+
+      stateManager = await createStateManager();
+      expect(stateManager.getStateValue('level')).toBe(1);
+    });
+
+    it('moves history out of a version 1 save into history storage', async () => {
+      await settingsStorage.set(saveKey(), JSON.stringify({
+        level: 2,
+        session: { errorsEncountered: [{ timestamp: 10, error: 'lost gaze' }] }
+      }));
+      stateManager.destroy();
+
+      stateManager = await createStateManager();
+      expect(stateManager.getStateValue('level')).toBe(2);
+      expect((await stateManager.getHistory('errors')).map(record => record.error)).toEqual(['lost gaze']);
+    });
+  });
+
+  describe('profile transfer', () => {
+    let fileText;
+
+    beforeEach(async () => {
+      stateManager.updateState('level', 4);
+      stateManager.updateState('achievements', ['wind_rider']);
+      stateManager.updateSettings('inputSettings.eyeTracking.cameraConsent', true);
+      await stateManager.recordHistory('scores', { score: 40, timestamp: 1000 });
+      await stateManager.renameProfile(stateManager.activeProfileId, 'Alex');
+
+      fileText = JSON.stringify(await stateManager.exportProfile());
+    });
+
+    const prepareLocalPlayer = async () => {
+      const local = await stateManager.createProfile('Sam');
+      await stateManager.switchProfile(local.id);
+      stateManager.updateState('level', 2);
+      stateManager.updateState('achievements', ['first_steps']);
+      stateManager.updateSettings('inputSettings.eyeTracking.cameraConsent', true);
+      await stateManager.recordHistory('scores', { score: 7, timestamp: 500 });
+      return local;
+    };
+
+    it('adds a file as a new player, without camera consent', async () => {
+      const profile = await stateManager.importProfile(fileText, { mode: 'new' });
+
+      expect(profile.name).toBe('Alex (2)');
+      expect(stateManager.getProfiles()).toHaveLength(2);
+
+      await stateManager.switchProfile(profile.id);
+      expect(stateManager.getStateValue('level')).toBe(4);
+      expect(stateManager.getStateValue('settings.inputSettings.eyeTracking.cameraConsent')).toBe(false);
+      expect((await stateManager.getHistory('scores')).map(record => record.score)).toEqual([40]);
+    });
+
+    it('combines a file with the active player', async () => {
+      const local = await prepareLocalPlayer();
+
+      await stateManager.importProfile(fileText, { mode: 'merge', profileId: local.id });
+
+      expect(stateManager.getStateValue('level')).toBe(4);
+      expect(stateManager.getStateValue('achievements')).toEqual(['first_steps', 'wind_rider']);
+      expect(stateManager.getStateValue('settings.inputSettings.eyeTracking.cameraConsent')).toBe(true);
+      expect((await stateManager.getHistory('scores')).map(record => record.score)).toEqual([7, 40]);
+    });
+
+    it('replaces the active player with a file, keeping a backup', async () => {
+      const local = await prepareLocalPlayer();
+      await stateManager.saveState();
+
+      await stateManager.importProfile(fileText, { mode: 'replace', profileId: local.id });
+
+      expect(stateManager.getStateValue('level')).toBe(4);
+      expect(stateManager.getStateValue('achievements')).toEqual(['wind_rider']);
+      expect(stateManager.getStateValue('settings.inputSettings.eyeTracking.cameraConsent')).toBe(false);
+      expect((await stateManager.getHistory('scores')).map(record => record.score)).toEqual([40]);
+
+      const [backup] = await stateManager.getBackups(local.id);
+      expect(backup.level).toBe(2);
+    });
+
+    it('imports into a player who is not active', async () => {
+      const alex = stateManager.activeProfileId;
+      await prepareLocalPlayer();
+
+      await stateManager.importProfile(fileText, { mode: 'replace', profileId: alex });
+      await stateManager.switchProfile(alex);
+      expect(stateManager.getStateValue('level')).toBe(4);
+    });
+
+    it('leaves every player unchanged when the file was tampered with', async () => {
+      const local = await prepareLocalPlayer();
+      const tampered = JSON.parse(fileText);
+      tampered.data.level = 50;
+
+      await expect(stateManager.importProfile(JSON.stringify(tampered), { mode: 'replace', profileId: local.id }))
+        .rejects.toThrow('damaged or was edited');
+      expect(stateManager.getStateValue('level')).toBe(2);
+      expect(stateManager.getProfiles()).toHaveLength(2);
+    });
+
+    it('rejects an import into an unknown player', async () => {
+      await expect(stateManager.importProfile(fileText, { mode: 'merge', profileId: 'missing' }))
+        .rejects.toThrow('Unknown profile');
+    });
+  });
+
+  describe('history', () => {
+    it('keeps history in the history storage, tagged with the active player', async () => {
+      await stateManager.recordHistory('scores', { realm: 'crystal_caves', score: 120 });
+
+      const [record] = await historyStorage.query('scores');
+      expect(record).toMatchObject({ realm: 'crystal_caves', score: 120, profileId: stateManager.activeProfileId });
+      expect(await settingsStorage.keys('gazequest_history_')).toEqual([]);
+    });
+
+    it('only returns the active player\'s history', async () => {
+      const first = stateManager.activeProfileId;
+      await stateManager.recordHistory('scores', { score: 1 });
+
+      const second = await stateManager.createProfile('Sam');
+      await stateManager.switchProfile(second.id);
+      await stateManager.recordHistory('scores', { score: 2 });
+
+      expect((await stateManager.getHistory('scores')).map(record => record.score)).toEqual([2]);
+
+      await stateManager.switchProfile(first);
+      expect((await stateManager.getHistory('scores')).map(record => record.score)).toEqual([1]);
+    });
+
+    it('records a session summary when a session ends', async () => {
+      stateManager.recordSessionEvent('inputMethodChange', { from: 'mouse', to: 'switch' });
+      await stateManager.endSession();
+
+      const [session] = await stateManager.getHistory('sessions');
+      expect(session.inputMethodChanges).toBe(1);
+      expect(session.duration).toBeGreaterThanOrEqual(0);
+    });
+
+    it('totals inputs per method and 5 minute slot instead of storing each one', async () => {
+      const start = 10 * stateManager.inputSummaryInterval;
+      stateManager.recordInput({ method: 'keyboard', accuracy: 1, responseTime: 300 }, start + 1000);
+      stateManager.recordInput({ method: 'keyboard', accuracy: 0.5, responseTime: 500 }, start + 2000);
+      stateManager.recordInput({ method: 'switch', accuracy: 1 }, start + 3000);
+      expect(await stateManager.getHistory('inputEvents')).toEqual([]);
+
+      // A later slot closes the earlier one of the same method
+      stateManager.recordInput({ method: 'keyboard', accuracy: 1 }, start + stateManager.inputSummaryInterval);
+      const [closed] = await stateManager.getHistory('inputEvents', { type: 'inputSummary' });
+      expect(closed.value).toEqual({
+        method: 'keyboard',
+        start,
+        end: start + 2000,
+        count: 2,
+        accuracy: 0.75,
+        accuracyCount: 2,
+        responseTime: 400,
+        responseCount: 2
+      });
+
+      await stateManager.endSession();
+      const summaries = await stateManager.getHistory('inputEvents', { type: 'inputSummary' });
+      expect(summaries.map(record => [record.value.method, record.value.count])).toEqual([
+        ['keyboard', 2], ['switch', 1], ['keyboard', 1]
+      ]);
+    });
+
+    it('exports history without storage fields and imports it without duplicates', async () => {
+      await stateManager.recordHistory('errors', { error: 'boom', timestamp: 1000 });
+
+      const history = await stateManager.exportHistory(stateManager.activeProfileId);
+      expect(history.errors).toEqual([{ error: 'boom', timestamp: 1000 }]);
+
+      await stateManager.importHistory(stateManager.activeProfileId, {
+        errors: [...history.errors, { error: 'new', timestamp: 2000 }]
+      });
+      expect((await stateManager.getHistory('errors')).map(record => record.error)).toEqual(['boom', 'new']);
+    });
+
+    it('removes a player\'s history along with the player', async () => {
+      const sam = await stateManager.createProfile('Sam');
+      await stateManager.switchProfile(sam.id);
+      await stateManager.recordHistory('scores', { score: 5 });
+
+      await stateManager.deleteProfile(sam.id);
+      expect(await historyStorage.query('scores', { profileId: sam.id })).toEqual([]);
+    });
+  });
+});
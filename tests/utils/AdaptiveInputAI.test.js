@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { AdaptiveInputAI } from '../../src/utils/AdaptiveInputAI.js';
+
+describe('AdaptiveInputAI', () => {
+  describe('analyzeSwitchTiming', () => {
+    const settings = { acceptanceTime: 0, postAcceptanceDelay: 0, releaseTime: 0 };
+
+    // Accepted presses 250 ms apart, held 100 ms each
+    const presses = (role) => Array.from({ length: 12 }, (_, index) => ({
+      timestamp: 1000 + index * 250,
+      token: role === 'advance' ? 'ArrowRight' : 'Space',
+      role,
+      holdDuration: 100,
+      sinceRelease: index === 0 ? null : 150,
+      sinceAccepted: index === 0 ? null : 250,
+      accepted: true,
+      rejected: null
+    }));
+
+    it('suggests a delay after quick repeated select presses', () => {
+      const ai = new AdaptiveInputAI();
+      const recommendation = ai.analyzeSwitchTiming({ switchTiming: { settings, presses: presses('select') } });
+
+      expect(recommendation.data).toMatchObject({ setting: 'postAcceptanceDelay', reason: 'repeat_presses' });
+    });
+
+    it('leaves quick advance presses alone, as fast step scanning', () => {
+      const ai = new AdaptiveInputAI();
+
+      expect(ai.analyzeSwitchTiming({ switchTiming: { settings, presses: presses('advance') } })).toBeNull();
+    });
+  });
+});
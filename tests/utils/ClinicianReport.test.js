@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { ClinicianReport } from '../../src/utils/ClinicianReport.js';
+
+describe('ClinicianReport', () => {
+  const report = new ClinicianReport();
+
+  describe('build', () => {
+    const minute = 60 * 1000;
+    const summary = (method, start, count, accuracy, responseTime) => ({
+      type: 'inputSummary',
+      timestamp: start,
+      value: {
+        method, start, end: start + 4 * minute, count,
+        accuracy, accuracyCount: count, responseTime, responseCount: count
+      }
+    });
+    const history = {
+      inputEvents: [
+        summary('switch', 0, 10, 0.9, 400),
+        summary('switch', 5 * minute, 10, 0.5, 600),
+        summary('keyboard', 5 * minute, 30, 0.5, 200),
+        { type: 'input', timestamp: 8 * minute, value: { method: 'keyboard', accuracy: 0, responseTime: 0 } },
+        { type: 'inputMethodChange', timestamp: 9 * minute, value: { from: 'switch', to: 'keyboard' } }
+      ]
+    };
+    const stateManager = {
+      getHistory: async (collection, filter = {}) => (history[collection] || [])
+        .filter(record => filter.type === undefined || record.type === filter.type),
+      getActiveProfile: () => ({ name: 'Alex' }),
+      getStateValue: () => 3
+    };
+
+    it('weights input summaries by the inputs they cover', async () => {
+      const built = await report.build(stateManager);
+
+      expect(built.summary.inputEvents).toBe(51);
+      expect(built.summary.accuracy).toBeCloseTo((9 + 5 + 15) / 51);
+      expect(built.summary.averageResponseTime).toBeCloseTo((4000 + 6000 + 6000) / 50);
+      expect(built.inputMethods).toEqual([
+        { method: 'switch', events: 20, accuracy: 0.7, averageResponseTime: 500 },
+        { method: 'keyboard', events: 31, accuracy: 15 / 31, averageResponseTime: 200 }
+      ]);
+    });
+
+    it('finds fatigue across summarized slots', async () => {
+      const [session] = (await report.build(stateManager)).fatigue;
+
+      expect(session).toMatchObject({ sessionStart: 0, events: 51, duration: 9 * minute, onsetMinutes: 5 });
+    });
+  });
+
+  describe('escapeCSV', () => {
+    it('quotes cells holding commas, quotes or line breaks', () => {
+      expect(report.escapeCSV('Crystal Caves')).toBe('Crystal Caves');
+      expect(report.escapeCSV('level 2, 3 min')).toBe('"level 2, 3 min"');
+      expect(report.escapeCSV('say "go"')).toBe('"say ""go"""');
+      expect(report.escapeCSV(null)).toBe('');
+    });
+
+    it('stops text from being read as a spreadsheet formula', () => {
+      expect(report.escapeCSV('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+      expect(report.escapeCSV('+1')).toBe('\'+1');
+      expect(report.escapeCSV('-2+3')).toBe('\'-2+3');
+      expect(report.escapeCSV('@SUM(A1)')).toBe('\'@SUM(A1)');
+      expect(report.escapeCSV('\t=1')).toBe('\'\t=1');
+    });
+
+    it('leaves numbers as numbers', () => {
+      expect(report.escapeCSV(-0.25)).toBe('-0.25');
+      expect(report.escapeCSV(0)).toBe('0');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { FixationDetector } from '../../src/utils/FixationDetector.js';
+
+describe('FixationDetector', () => {
+  // Feed points 33 ms apart (a 30 Hz tracker) and collect the events they cause
+  const feed = (detector, points, start = 0) => points.flatMap(([x, y], index) =>
+    detector.add({ x, y, timestamp: start + index * 33 }));
+
+  const still = (x, y, count = 6) => Array.from({ length: count }, (_, index) => [x + (index % 2) * 10, y]);
+
+  it('starts a fixation once points stay within about 1° for the minimum time', () => {
+    const detector = new FixationDetector();
+    const events = feed(detector, still(500, 300));
+
+    expect(events.map(event => event.type)).toEqual(['fixationStart']);
+    expect(detector.getFixation()).toMatchObject({ x: expect.closeTo(505, 0), y: 300 });
+  });
+
+  it('ends a fixation on a small move to a neighbouring button', () => {
+    const detector = new FixationDetector();
+    feed(detector, still(500, 300));
+
+    // 60 px to the right: next button in a row, too slow to count as a saccade
+    const events = feed(detector, [[530, 300], [560, 300]], 1000);
+
+    expect(events[0].type).toBe('fixationEnd');
+    expect(detector.getFixation()).toBeNull();
+  });
+
+  it('reports a fast jump as a saccade', () => {
+    const detector = new FixationDetector();
+    feed(detector, still(500, 300));
+
+    const events = feed(detector, [[505, 300], [900, 300]], 198);
+
+    expect(events.map(event => event.type)).toEqual(['fixationEnd', 'saccade']);
+    expect(events[1].velocity).toBeGreaterThan(30);
+  });
+
+  describe('with webcam-level noise', () => {
+    // Seeded normal scatter (Box-Muller over a small LCG), so the test is repeatable
+    const noisy = (x, y, sigma, count, seed = 7) => {
+      let state = seed;
+      const random = () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return (state + 1) / 4294967297;
+      };
+      const normal = () => Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
+      return Array.from({ length: count }, () => [x + normal() * sigma, y + normal() * sigma]);
+    };
+
+    it('holds one fixation through the jitter of a steady look', () => {
+      const detector = new FixationDetector();
+      detector.setNoise(70);
+
+      // 3 seconds looking at one spot, each point scattered by about 70 px (several degrees)
+      const events = feed(detector, noisy(640, 360, 70, 90));
+
+      expect(events.map(event => event.type)).toEqual(['fixationStart']);
+      expect(detector.getFixation()).toMatchObject({ x: expect.closeTo(640, -2), y: expect.closeTo(360, -2) });
+    });
+
+    it('still reports a jump across the screen as a saccade', () => {
+      const detector = new FixationDetector();
+      detector.setNoise(70);
+      feed(detector, noisy(300, 360, 70, 30));
+
+      const events = feed(detector, noisy(1100, 360, 70, 1, 11), 990);
+
+      expect(events.map(event => event.type)).toEqual(['fixationEnd', 'saccade']);
+    });
+
+    it('reports jitter as saccades without the noise setting', () => {
+      const detector = new FixationDetector();
+      const events = feed(detector, noisy(640, 360, 70, 90));
+
+      expect(events.some(event => event.type === 'saccade')).toBe(true);
+    });
+  });
+
+  it('takes its thresholds from options', () => {
+    const detector = new FixationDetector({ pixelsPerDegree: 100 });
+    feed(detector, still(500, 300));
+
+    expect(feed(detector, [[560, 300]], 1000)).toEqual([]);
+    expect(detector.getFixation()).not.toBeNull();
+  });
+});
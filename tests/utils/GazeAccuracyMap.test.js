@@ -0,0 +1,44 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { GazeAccuracyMap } from '../../src/utils/GazeAccuracyMap.js';
+
+describe('GazeAccuracyMap', () => {
+  describe('fromJSON', () => {
+    const stored = (changes = {}) => ({
+      version: GazeAccuracyMap.VERSION,
+      columns: 2,
+      rows: 1,
+      regions: [
+        { column: 0, row: 0, error: 0.02, samples: 6, quality: 'good' },
+        { column: 1, row: 0, error: 0.2, samples: 6, quality: 'poor' }
+      ],
+      createdAt: 1000,
+      ...changes
+    });
+
+    it('rebuilds a stored map', () => {
+      const map = GazeAccuracyMap.fromJSON(stored());
+
+      expect(map.toJSON()).toEqual(stored());
+      expect(map.isPoorAt(window.innerWidth - 1, 0)).toBe(true);
+      expect(map.getErrorAt(0, 0)).toBeCloseTo(0.02 * Math.hypot(window.innerWidth, window.innerHeight));
+    });
+
+    it('rejects a map without a usable grid size', () => {
+      expect(GazeAccuracyMap.fromJSON(stored({ columns: undefined, rows: undefined }))).toBeNull();
+      expect(GazeAccuracyMap.fromJSON(stored({ columns: 0 }))).toBeNull();
+      expect(GazeAccuracyMap.fromJSON(stored({ rows: 1.5 }))).toBeNull();
+      expect(GazeAccuracyMap.fromJSON(stored({ columns: '2' }))).toBeNull();
+    });
+
+    it('skips stored regions outside the grid', () => {
+      const map = GazeAccuracyMap.fromJSON(stored({
+        columns: 1,
+        regions: [{ column: 1, row: 0, error: 0.2, samples: 6 }]
+      }));
+
+      expect(map.regions).toHaveLength(1);
+      expect(map.getErrorAt(0, 0)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { PhoneticMatcher } from '../../src/utils/PhoneticMatcher.js';
+
+describe('PhoneticMatcher', () => {
+  describe('encode', () => {
+    it('gives words that sound the same the same code', () => {
+      expect(PhoneticMatcher.encode('right')).toBe('RT');
+      expect(PhoneticMatcher.encode('write')).toBe('RT');
+      expect(PhoneticMatcher.encode('knight')).toBe(PhoneticMatcher.encode('night'));
+      expect(PhoneticMatcher.encode('phone')).toBe(PhoneticMatcher.encode('fone'));
+    });
+
+    it('merges voiced and voiceless pairs', () => {
+      expect(PhoneticMatcher.encode('bat')).toBe(PhoneticMatcher.encode('pat'));
+      expect(PhoneticMatcher.encode('bag')).toBe(PhoneticMatcher.encode('pack'));
+      expect(PhoneticMatcher.encode('zip')).toBe(PhoneticMatcher.encode('sip'));
+    });
+
+    it('ignores case and punctuation', () => {
+      expect(PhoneticMatcher.encode('Jump!')).toBe('JMP');
+      expect(PhoneticMatcher.encode('?')).toBe('');
+    });
+  });
+
+  describe('score', () => {
+    it('scores a whole phrase said as written as 1', () => {
+      expect(PhoneticMatcher.score('open menu', 'open menu')).toBe(1);
+    });
+
+    it('scores mis-transcribed words by how they sound', () => {
+      expect(PhoneticMatcher.score('write', 'right')).toBe(1);
+      expect(PhoneticMatcher.score('lef', 'left')).toBeGreaterThanOrEqual(0.75);
+      expect(PhoneticMatcher.score('the weather', 'jump')).toBeLessThan(0.5);
+    });
+
+    it('finds a phrase said within a longer transcript', () => {
+      expect(PhoneticMatcher.score('i want to jump now', 'jump')).toBe(1);
+      expect(PhoneticMatcher.score('please open menu', 'open menu')).toBe(1);
+      expect(PhoneticMatcher.score('please open the menu', 'open menu')).toBeLessThan(1);
+    });
+
+    it('does not match on a one-letter sound code alone', () => {
+      expect(PhoneticMatcher.score('a', 'up')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import { ProfileTransfer } from '../../src/utils/ProfileTransfer.js';
+import { SaveSchema } from '../../src/utils/SaveSchema.js';
+
+describe('ProfileTransfer', () => {
+  const transfer = new ProfileTransfer();
+
+  const state = {
+    version: SaveSchema.VERSION,
+    level: 5,
+    experience: 400,
+    achievements: ['first_steps'],
+    unlockedRealms: ['crystal_caves'],
+    currentScene: 'menu',
+    settings: {
+      volume: 0.5,
+      inputSettings: {
+        eyeTracking: { calibrated: true, cameraConsent: true, dwellTime: 900 }
+      }
+    },
+    session: { totalPlayTime: 1000, inputMethodChanges: 2 }
+  };
+  const history = { scores: [{ realm: 'crystal_caves', score: 10, timestamp: 100 }] };
+
+  const exportText = async () => JSON.stringify(await transfer.createExport({ name: 'Alex', avatar: '🦊' }, state, history));
+
+  describe('export and import', () => {
+    it('round-trips a profile through a file', async () => {
+      const imported = await transfer.parseExport(await exportText());
+
+      expect(imported.profile).toEqual({ name: 'Alex', avatar: '🦊' });
+      expect(imported.state.level).toBe(5);
+      expect(imported.history).toEqual(history);
+    });
+
+    it('only exports the profile sections', async () => {
+      const exported = await transfer.createExport({ name: 'Alex' }, state);
+      expect(exported.data.currentScene).toBeUndefined();
+    });
+
+    it('leaves camera consent out of the file', async () => {
+      const exported = await transfer.createExport({ name: 'Alex' }, state);
+      expect(exported.data.settings.inputSettings.eyeTracking).toEqual({ calibrated: true, dwellTime: 900 });
+    });
+
+    it('rejects a file whose contents were changed after export', async () => {
+      const exported = JSON.parse(await exportText());
+      exported.data.level = 99;
+
+      await expect(transfer.parseExport(JSON.stringify(exported))).rejects.toThrow('damaged or was edited');
+    });
+
+    it('rejects a file whose checksum was changed', async () => {
+      const exported = JSON.parse(await exportText());
+      exported.checksum = exported.checksum.replace(/^./, char => (char === '0' ? '1' : '0'));
+
+      await expect(transfer.parseExport(JSON.stringify(exported))).rejects.toThrow('damaged or was edited');
+    });
+
+    it('ignores camera consent in files that still carry it', async () => {
+      const exported = JSON.parse(await exportText());
+      exported.data.settings.inputSettings.eyeTracking.cameraConsent = true;
+      const { checksum, ...payload } = exported;
+      exported.checksum = await transfer.computeChecksum(payload);
+
+      const imported = await transfer.parseExport(JSON.stringify(exported));
+      expect(imported.state.settings.inputSettings.eyeTracking.cameraConsent).toBeUndefined();
+    });
+
+    it('rejects files that are not profiles or come from a newer version', async () => {
+      await expect(transfer.parseExport('not json')).rejects.toThrow('not a GazeQuest profile');
+      await expect(transfer.parseExport(JSON.stringify({ format: 'other' }))).rejects.toThrow('not a GazeQuest profile');
+
+      const exported = JSON.parse(await exportText());
+      exported.formatVersion = ProfileTransfer.FORMAT_VERSION + 1;
+      await expect(transfer.parseExport(JSON.stringify(exported))).rejects.toThrow('newer version');
+    });
+
+    it('rejects a file holding an invalid save', async () => {
+      const payload = {
+        format: ProfileTransfer.FORMAT,
+        formatVersion: ProfileTransfer.FORMAT_VERSION,
+        profile: { name: 'Alex' },
+        data: { version: SaveSchema.VERSION, level: 0 }
+      };
+      const text = JSON.stringify({ ...payload, checksum: await transfer.computeChecksum(payload) });
+
+      await expect(transfer.parseExport(text)).rejects.toThrow('level must be a positive integer');
+    });
+
+    it('migrates a file holding an older save and keeps its history', async () => {
+      const payload = {
+        format: ProfileTransfer.FORMAT,
+        formatVersion: ProfileTransfer.FORMAT_VERSION,
+        profile: { name: 'Alex' },
+        data: { level: 2, session: { errorsEncountered: [{ timestamp: 10, error: 'lost gaze' }] } },
+        history: { errors: [{ timestamp: 5, error: 'no camera' }] }
+      };
+      const text = JSON.stringify({ ...payload, checksum: await transfer.computeChecksum(payload) });
+
+      const imported = await transfer.parseExport(text);
+      expect(imported.state.version).toBe(SaveSchema.VERSION);
+      expect(imported.history.errors.map(record => record.error)).toEqual(['no camera', 'lost gaze']);
+    });
+  });
+
+  describe('mergeStates', () => {
+    const local = {
+      level: 3,
+      experience: 500,
+      achievements: ['first_steps', 'crystal_master'],
+      unlockedRealms: ['crystal_caves'],
+      adaptiveProfile: { learned: 'local' },
+      settings: {
+        volume: 0.2,
+        inputSettings: {
+          eyeTracking: { calibrated: false, cameraConsent: true },
+          switch: { calibrated: true, scanSpeed: 1500 }
+        }
+      },
+      session: { totalPlayTime: 1000, inputMethodChanges: 1 }
+    };
+    const imported = {
+      level: 6,
+      experience: 200,
+      achievements: ['first_steps', 'wind_rider'],
+      unlockedRealms: ['crystal_caves', 'wind_valley'],
+      adaptiveProfile: { learned: 'imported' },
+      settings: {
+        volume: 0.9,
+        inputSettings: {
+          eyeTracking: { calibrated: true, cameraConsent: true, dwellTime: 900 },
+          switch: { calibrated: true, scanSpeed: 800 },
+          voice: { calibrated: true, cameraConsent: true }
+        }
+      },
+      session: { totalPlayTime: 500, inputMethodChanges: 3 }
+    };
+
+    const merged = transfer.mergeStates(local, imported);
+
+    it('keeps the furthest progress from either side', () => {
+      expect(merged.level).toBe(6);
+      expect(merged.experience).toBe(500);
+      expect(merged.achievements).toEqual(['first_steps', 'crystal_master', 'wind_rider']);
+      expect(merged.unlockedRealms).toEqual(['crystal_caves', 'wind_valley']);
+    });
+
+    it('adds up play time and input method changes', () => {
+      expect(merged.session.totalPlayTime).toBe(1500);
+      expect(merged.session.inputMethodChanges).toBe(4);
+    });
+
+    it('keeps this device\'s settings and learned profile', () => {
+      expect(merged.settings.volume).toBe(0.2);
+      expect(merged.adaptiveProfile).toEqual({ learned: 'local' });
+    });
+
+    it('takes a calibration only where this device has none', () => {
+      expect(merged.settings.inputSettings.eyeTracking.dwellTime).toBe(900);
+      expect(merged.settings.inputSettings.switch.scanSpeed).toBe(1500);
+      expect(merged.settings.inputSettings.voice.calibrated).toBe(true);
+    });
+
+    it('never takes camera consent from the file', () => {
+      expect(merged.settings.inputSettings.eyeTracking.cameraConsent).toBe(true);
+      expect(merged.settings.inputSettings.voice.cameraConsent).toBeUndefined();
+
+      const withoutLocalConsent = transfer.mergeStates({ settings: { inputSettings: {} } }, imported);
+      expect(withoutLocalConsent.settings.inputSettings.eyeTracking.cameraConsent).toBeUndefined();
+    });
+
+    it('uses the imported learned profile when this device has none', () => {
+      expect(transfer.mergeStates({ ...local, adaptiveProfile: null }, imported).adaptiveProfile).toEqual({ learned: 'imported' });
+    });
+  });
+
+  describe('getNewHistoryRecords', () => {
+    it('skips records already present, whatever their key order', () => {
+      const localRecords = [{ score: 1, timestamp: 10 }];
+      const importedRecords = [{ timestamp: 10, score: 1 }, { score: 2, timestamp: 20 }, { score: 2, timestamp: 20 }];
+
+      expect(transfer.getNewHistoryRecords(localRecords, importedRecords)).toEqual([{ score: 2, timestamp: 20 }]);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { SaveSchema } from '../../src/utils/SaveSchema.js';
+
+describe('SaveSchema', () => {
+  const schema = new SaveSchema();
+
+  const versionOneSave = {
+    level: 4,
+    experience: 350,
+    achievements: ['first_steps', 'first_steps', 7],
+    unlockedRealms: ['crystal_caves', 'wind_valley', 'crystal_caves'],
+    session: {
+      totalPlayTime: 5000,
+      errorsEncountered: [{ timestamp: 10, error: 'lost gaze' }],
+      adaptiveAdjustments: [{ timestamp: 20, adjustment: { type: 'adjust_timing' } }]
+    },
+    performance: {
+      inputLatency: [{ timestamp: 30, value: 42 }],
+      frameTimes: [16, 17]
+    }
+  };
+
+  describe('migrate', () => {
+    it('treats a save without a version as version 1', () => {
+      expect(schema.getVersion({ level: 1 })).toBe(1);
+      expect(schema.getVersion({ version: 2 })).toBe(2);
+    });
+
+    it('migrates a version 1 save to the current version', () => {
+      const { state, fromVersion, applied } = schema.migrate(versionOneSave);
+
+      expect(fromVersion).toBe(1);
+      expect(applied).toEqual([2, 3]);
+      expect(state.version).toBe(SaveSchema.VERSION);
+      expect(state.level).toBe(4);
+      expect(state.achievements).toEqual(['first_steps']);
+      expect(state.unlockedRealms).toEqual(['crystal_caves', 'wind_valley']);
+    });
+
+    it('moves history lists out of a version 1 save', () => {
+      const { state } = schema.migrate(versionOneSave);
+
+      expect(state.session).toEqual({ totalPlayTime: 5000 });
+      expect(state.performance).toEqual({});
+      expect(state.pendingHistory).toEqual({
+        errors: [{ timestamp: 10, error: 'lost gaze' }],
+        adaptiveAdjustments: [{ timestamp: 20, adjustment: { type: 'adjust_timing' } }],
+        inputEvents: [{ timestamp: 30, type: 'inputLatency', value: 42 }]
+      });
+    });
+
+    it('leaves a current save unchanged', () => {
+      const save = { version: SaveSchema.VERSION, level: 2 };
+      const { state, applied } = schema.migrate(save);
+
+      expect(applied).toEqual([]);
+      expect(state).toEqual(save);
+    });
+
+    it('rejects a save newer than the supported version', () => {
+      expect(() => schema.migrate({ version: SaveSchema.VERSION + 1 }))
+        .toThrow(`newer than supported version ${SaveSchema.VERSION}`);
+    });
+  });
+
+  describe('validate', () => {
+    it('accepts a default-shaped save', () => {
+      expect(schema.validate({ version: SaveSchema.VERSION, level: 1, experience: 0, achievements: [], settings: { volume: 0.5 } }))
+        .toEqual([]);
+    });
+
+    it('lists every problem with a save', () => {
+      const errors = schema.validate({ level: 0, experience: -5, achievements: 'all', session: null, settings: { volume: 2 } });
+
+      expect(errors).toEqual([
+        'level must be a positive integer',
+        'experience must be a non-negative number',
+        'achievements must be a list',
+        'session must be an object',
+        'settings.volume must be between 0 and 1'
+      ]);
+    });
+
+    it('rejects a save that is not an object', () => {
+      expect(schema.validate([])).toEqual(['save must be an object']);
+    });
+  });
+
+  describe('load', () => {
+    it('parses, migrates and validates a saved string', () => {
+      const { state, fromVersion } = schema.load(JSON.stringify(versionOneSave));
+
+      expect(fromVersion).toBe(1);
+      expect(state.version).toBe(SaveSchema.VERSION);
+    });
+
+    it('throws on a corrupt or invalid save', () => {
+      expect(() => schema.load('{"level": 3')).toThrow();
+      expect(() => schema.load(JSON.stringify({ level: -1 }))).toThrow('Invalid save: level must be a positive integer');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { ScanGroupBuilder } from '../../src/utils/ScanGroupBuilder.js';
+
+describe('ScanGroupBuilder', () => {
+  let builder;
+
+  // A button at a screen position; jsdom does no layout, so its rectangle is stubbed
+  const button = (name, left, top, parent = document.body) => {
+    const element = document.createElement('button');
+    element.textContent = name;
+    element.getBoundingClientRect = () => ({
+      left, top, right: left + 80, bottom: top + 40, width: 80, height: 40
+    });
+    parent.appendChild(element);
+    return element;
+  };
+
+  // A grid of buttons named by row and column, e.g. 'b2' is row 2 column 2
+  const grid = (rows, columns) => Array.from({ length: rows }, (_, row) =>
+    Array.from({ length: columns }, (_, column) =>
+      button(`${String.fromCharCode(97 + row)}${column + 1}`, column * 100, row * 60))).flat();
+
+  // The tree as labels and button names, for comparing
+  const describeNode = (node) => node.isGroup
+    ? { [node.label]: node.items.map(describeNode) }
+    : node.textContent;
+
+  beforeEach(() => {
+    builder = new ScanGroupBuilder();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('keeps a few items as a flat list', () => {
+    const tree = builder.build(grid(2, 3));
+
+    expect(describeNode(tree)).toEqual({ Page: ['a1', 'a2', 'a3', 'b1', 'b2', 'b3'] });
+  });
+
+  it('splits many items into rows by position, left to right', () => {
+    const elements = grid(3, 3).reverse();
+
+    expect(describeNode(builder.build(elements))).toEqual({
+      Page: [
+        { 'Row 1': ['a1', 'a2', 'a3'] },
+        { 'Row 2': ['b1', 'b2', 'b3'] },
+        { 'Row 3': ['c1', 'c2', 'c3'] }
+      ]
+    });
+  });
+
+  it('puts items slightly out of line in the same row', () => {
+    const elements = grid(2, 4);
+    elements[1].getBoundingClientRect = () => ({ left: 100, top: 12, right: 180, bottom: 52, width: 80, height: 40 });
+
+    const rows = builder.build(elements).items;
+    expect(rows.map(describeNode)).toEqual([
+      { 'Row 1': ['a1', 'a2', 'a3', 'a4'] },
+      { 'Row 2': ['b1', 'b2', 'b3', 'b4'] }
+    ]);
+  });
+
+  it('splits a single long row into groups', () => {
+    expect(describeNode(builder.build(grid(1, 9)))).toEqual({
+      Page: [
+        { 'Items 1 to 3': ['a1', 'a2', 'a3'] },
+        { 'Items 4 to 6': ['a4', 'a5', 'a6'] },
+        { 'Items 7 to 9': ['a7', 'a8', 'a9'] }
+      ]
+    });
+  });
+
+  it('splits rows longer than the largest group size', () => {
+    const elements = [...grid(1, 10), button('next', 0, 300)];
+
+    expect(describeNode(builder.build(elements))).toEqual({
+      Page: [
+        {
+          'Row 1': [
+            { 'Items 1 to 4': ['a1', 'a2', 'a3', 'a4'] },
+            { 'Items 5 to 8': ['a5', 'a6', 'a7', 'a8'] },
+            { 'Items 9 to 10': ['a9', 'a10'] }
+          ]
+        },
+        'next'
+      ]
+    });
+  });
+
+  describe('declared groups', () => {
+    it('gathers the scannable elements of a data-scan-group container', () => {
+      const spells = document.createElement('div');
+      spells.dataset.scanGroup = 'Spells';
+      document.body.appendChild(spells);
+
+      const elements = [
+        button('menu', 0, 0),
+        button('fire', 0, 100, spells),
+        button('ice', 100, 100, spells),
+        button('wind', 200, 100, spells),
+        button('help', 0, 200)
+      ];
+      const tree = builder.build(elements);
+
+      expect(describeNode(tree)).toEqual({ Page: ['menu', { Spells: ['fire', 'ice', 'wind'] }, 'help'] });
+      expect(tree.items[1].element).toBe(spells);
+    });
+
+    it('treats a group of one as its element', () => {
+      const group = document.createElement('div');
+      group.dataset.scanGroup = 'Only';
+      document.body.appendChild(group);
+
+      expect(describeNode(builder.build([button('solo', 0, 0, group), button('other', 100, 0)])))
+        .toEqual({ Page: ['solo', 'other'] });
+    });
+
+    it('keeps a linear group in order instead of splitting it into rows', () => {
+      const list = document.createElement('div');
+      list.dataset.scanGroup = 'Inventory';
+      list.dataset.scanLayout = 'linear';
+      document.body.appendChild(list);
+
+      const items = Array.from({ length: 8 }, (_, index) => button(`item${index + 1}`, (index % 2) * 100, index * 60, list));
+      const tree = builder.build([...items, button('close', 0, 600)]);
+
+      expect(describeNode(tree)).toEqual({
+        Page: [{ Inventory: items.map(item => item.textContent) }, 'close']
+      });
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SwitchScanner } from '../../src/utils/SwitchScanner.js';
+
+describe('SwitchScanner', () => {
+  let selected;
+  let highlighted;
+
+  // A scanner over five items, 1 s per item
+  const createScanner = (mode) => new SwitchScanner({
+    config: { mode, scanSpeed: 1000 },
+    getCount: () => 5,
+    onHighlight: index => highlighted.push(index),
+    onSelect: index => selected.push(index)
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    selected = [];
+    highlighted = [];
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => createScanner('auto').setMode('sideways')).toThrow("Unknown scanning mode 'sideways'");
+  });
+
+  describe('auto', () => {
+    it('moves on a timer, wrapping at the end, and picks on a press', () => {
+      const scanner = createScanner('auto');
+
+      expect(scanner.press()).toBe('started');
+      vi.advanceTimersByTime(6000);
+      expect(highlighted).toEqual([0, 1, 2, 3, 4, 0, 1]);
+
+      expect(scanner.press()).toBe('selected');
+      expect(selected).toEqual([1]);
+    });
+  });
+
+  describe('step', () => {
+    it('moves only on the advance switch and picks on the select switch', () => {
+      const scanner = createScanner('step');
+
+      expect(scanner.press('select')).toBe('started');
+      scanner.release('select');
+      vi.advanceTimersByTime(5000);
+      expect(scanner.index).toBe(0);
+
+      expect(scanner.press('advance')).toBe('advanced');
+      scanner.release('advance');
+      expect(scanner.press('advance')).toBe('advanced');
+      scanner.release('advance');
+      vi.advanceTimersByTime(5000);
+      expect(scanner.index).toBe(2);
+
+      expect(scanner.press('select')).toBe('selected');
+      expect(selected).toEqual([2]);
+    });
+  });
+
+  describe('inverse', () => {
+    it('moves while the switch is held and picks on release', () => {
+      const scanner = createScanner('inverse');
+
+      // A quick tap only starts the scan
+      expect(scanner.press()).toBe('started');
+      expect(scanner.release()).toBeNull();
+      vi.advanceTimersByTime(5000);
+      expect(scanner.index).toBe(0);
+      expect(selected).toEqual([]);
+
+      expect(scanner.press()).toBe('scanning');
+      vi.advanceTimersByTime(2000);
+      expect(scanner.index).toBe(2);
+
+      expect(scanner.release()).toBe('selected');
+      expect(selected).toEqual([2]);
+      vi.advanceTimersByTime(5000);
+      expect(scanner.index).toBe(2);
+    });
+
+    it('picks on release when the starting press was held until the highlight moved', () => {
+      const scanner = createScanner('inverse');
+
+      scanner.press();
+      vi.advanceTimersByTime(1000);
+
+      expect(scanner.release()).toBe('selected');
+      expect(selected).toEqual([1]);
+    });
+  });
+
+  describe('critical-overscan', () => {
+    it('slows down and goes back on the first press, and picks on the second', () => {
+      const scanner = createScanner('critical-overscan');
+
+      scanner.press();
+      scanner.release();
+      vi.advanceTimersByTime(700); // Fast pass: 350 ms per item
+      expect(scanner.index).toBe(2);
+
+      expect(scanner.press()).toBe('slowed');
+      scanner.release();
+      vi.advanceTimersByTime(999);
+      expect(scanner.index).toBe(2);
+      vi.advanceTimersByTime(1);
+      expect(scanner.index).toBe(1);
+
+      expect(scanner.press()).toBe('selected');
+      expect(selected).toEqual([1]);
+      expect(scanner.phase).toBe('fast');
+    });
+
+    it('returns to the fast pass when nothing is picked', () => {
+      const scanner = createScanner('critical-overscan');
+
+      scanner.press();
+      scanner.release();
+      vi.advanceTimersByTime(700);
+      scanner.press();
+      scanner.release();
+
+      // Three slow steps back from item 2 wrap round to item 4
+      vi.advanceTimersByTime(3000);
+      expect(scanner.index).toBe(4);
+      expect(scanner.phase).toBe('fast');
+
+      vi.advanceTimersByTime(350);
+      expect(scanner.index).toBe(0);
+    });
+  });
+});
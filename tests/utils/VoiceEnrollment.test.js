@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { VoiceEnrollment } from '../../src/utils/VoiceEnrollment.js';
+
+describe('VoiceEnrollment', () => {
+  const enroll = (samples) => {
+    const enrollment = new VoiceEnrollment();
+    samples.forEach(([phrase, transcript, confidence]) => enrollment.addSample(phrase, transcript, confidence));
+    return enrollment;
+  };
+
+  describe('finish', () => {
+    it('learns what was heard for each phrase', () => {
+      const result = enroll([
+        ['left', 'lef', 0.8],
+        ['left', 'left', 0.9],
+        ['select', 'sewect', 0.7]
+      ]).finish();
+
+      expect(result.pronunciations).toEqual({ lef: 'left', sewect: 'select' });
+      expect(result.conflicts).toEqual([]);
+      expect(result.version).toBe(VoiceEnrollment.VERSION);
+    });
+
+    it('does not take another command\'s phrase', () => {
+      const isOtherPhrase = (transcript) => transcript === 'right';
+      const result = enroll([['write', 'right', 0.8], ['write', 'rite', 0.8]]).finish(isOtherPhrase);
+
+      expect(result.pronunciations).toEqual({ rite: 'write' });
+      expect(result.conflicts).toEqual([{ phrase: 'write', transcript: 'right' }]);
+    });
+
+    it('does not learn a transcript heard for two phrases', () => {
+      const result = enroll([
+        ['left', 'lef', 0.8],
+        ['lift', 'lef', 0.8],
+        ['lift', 'lif', 0.8]
+      ]).finish();
+
+      expect(result.pronunciations).toEqual({ lif: 'lift' });
+      expect(result.conflicts).toEqual([
+        { phrase: 'left', transcript: 'lef' },
+        { phrase: 'lift', transcript: 'lef' }
+      ]);
+    });
+
+    it('fails when nothing was heard', () => {
+      expect(() => enroll([['jump', '', 0]]).finish()).toThrow('No speech was heard');
+    });
+  });
+
+  describe('getTypicalConfidence', () => {
+    it('takes the lower quartile, less the margin', () => {
+      const enrollment = new VoiceEnrollment();
+
+      expect(enrollment.getTypicalConfidence([0.9, 0.5, 0.8, 0.85, 0.95])).toBe(0.7);
+      expect(enrollment.getTypicalConfidence([])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { VoiceGrammar } from '../../src/utils/VoiceGrammar.js';
+
+describe('VoiceGrammar', () => {
+  describe('compile', () => {
+    it('finds slots and their types', () => {
+      const rule = VoiceGrammar.compile('Move {direction} {count:number?}');
+
+      expect(rule.slots).toEqual([
+        { name: 'direction', values: { up: 'up', down: 'down', left: 'left', right: 'right' }, optional: false },
+        { name: 'count', values: 'number', optional: true }
+      ]);
+      expect(VoiceGrammar.hasSlots(rule.phrase)).toBe(true);
+      expect(VoiceGrammar.hasSlots('open menu')).toBe(false);
+    });
+
+    it('takes slot types from the command', () => {
+      const rule = VoiceGrammar.compile('select {gem}', { gem: { Ruby: 'red', Sapphire: 'blue' } });
+
+      expect(VoiceGrammar.match(rule, 'select sapphire')).toEqual({ gem: 'blue' });
+      expect(VoiceGrammar.example(rule)).toBe('select ruby');
+    });
+
+    it('rejects unknown slot types', () => {
+      expect(() => VoiceGrammar.compile('cast {spell}')).toThrow("Unknown voice slot type 'spell'");
+    });
+
+    it('does not let the first word be optional', () => {
+      const rule = VoiceGrammar.compile('{count:number?} steps');
+
+      expect(rule.slots[0].optional).toBe(false);
+      expect(VoiceGrammar.match(rule, 'steps')).toBeNull();
+    });
+  });
+
+  describe('match', () => {
+    const move = VoiceGrammar.compile('move {direction} {count:number?}');
+
+    it('reads slot values', () => {
+      expect(VoiceGrammar.match(move, 'move left three')).toEqual({ direction: 'left', count: 3 });
+      expect(VoiceGrammar.match(move, 'move up 12')).toEqual({ direction: 'up', count: 12 });
+      expect(VoiceGrammar.match(move, 'move sideways')).toBeNull();
+    });
+
+    it('leaves out optional slots that were not said', () => {
+      expect(VoiceGrammar.match(move, 'move down')).toEqual({ direction: 'down' });
+    });
+
+    it('prefers the longest number word', () => {
+      expect(VoiceGrammar.match(move, 'move right twenty')).toEqual({ direction: 'right', count: 20 });
+    });
+
+    it('hears number homophones as numbers when the whole phrase is said', () => {
+      expect(VoiceGrammar.match(move, 'move left to')).toEqual({ direction: 'left', count: 2 });
+      expect(VoiceGrammar.match(move, 'move left for')).toEqual({ direction: 'left', count: 4 });
+      expect(VoiceGrammar.match(move, 'move up won')).toEqual({ direction: 'up', count: 1 });
+    });
+
+    it('finds a phrase inside a longer sentence', () => {
+      expect(VoiceGrammar.match(move, 'please move up two now', true)).toEqual({ direction: 'up', count: 2 });
+      expect(VoiceGrammar.match(move, 'please move up two now')).toBeNull();
+      expect(VoiceGrammar.match(move, 'remove up', true)).toBeNull();
+    });
+
+    it('reads "to" and "for" as words, not numbers, inside a longer sentence', () => {
+      expect(VoiceGrammar.match(move, 'move left to the door', true)).toEqual({ direction: 'left' });
+      expect(VoiceGrammar.match(move, 'move up for me', true)).toEqual({ direction: 'up' });
+      expect(VoiceGrammar.match(move, 'move up four please', true)).toEqual({ direction: 'up', count: 4 });
+    });
+  });
+
+  describe('readValue', () => {
+    it('reads number words, digits and homophones', () => {
+      expect(VoiceGrammar.readValue('number', 'seven')).toBe(7);
+      expect(VoiceGrammar.readValue('number', '15')).toBe(15);
+      expect(VoiceGrammar.readValue('number', 'too')).toBe(2);
+      expect(VoiceGrammar.readValue('number', 'ate')).toBe(8);
+    });
+
+    it('reads words of a word list', () => {
+      expect(VoiceGrammar.readValue({ 'blue gem': 'blue' }, 'blue  gem')).toBe('blue');
+    });
+  });
+});
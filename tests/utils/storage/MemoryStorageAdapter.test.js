@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MemoryStorageAdapter } from '../../../src/utils/storage/MemoryStorageAdapter.js';
+
+describe('MemoryStorageAdapter', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+  });
+
+  describe('key-value records', () => {
+    it('stores, lists and removes strings', async () => {
+      await storage.set('gazequest_a', 1);
+      await storage.set('gazequest_b', 'two');
+      await storage.set('other', 'three');
+
+      expect(await storage.get('gazequest_a')).toBe('1');
+      expect(await storage.keys('gazequest_')).toEqual(['gazequest_a', 'gazequest_b']);
+
+      await storage.remove('gazequest_a');
+      expect(await storage.get('gazequest_a')).toBeNull();
+    });
+  });
+
+  describe('history', () => {
+    it('appends records with an id, collection and timestamp', async () => {
+      const stored = await storage.append('sessions', { profileId: 'p1', duration: 60 });
+
+      expect(stored).toMatchObject({ collection: 'sessions', profileId: 'p1', duration: 60 });
+      expect(stored.id).toBeTypeOf('number');
+      expect(stored.timestamp).toBeTypeOf('number');
+    });
+
+    it('queries oldest first, filtered by player, type and time', async () => {
+      await storage.append('inputEvents', { profileId: 'p1', type: 'select', timestamp: 300 });
+      await storage.append('inputEvents', { profileId: 'p1', type: 'move', timestamp: 100 });
+      await storage.append('inputEvents', { profileId: 'p2', type: 'select', timestamp: 200 });
+      await storage.append('inputEvents', { profileId: 'p1', type: 'select', timestamp: 500 });
+
+      const p1 = await storage.query('inputEvents', { profileId: 'p1' });
+      expect(p1.map(record => record.timestamp)).toEqual([100, 300, 500]);
+
+      const selects = await storage.query('inputEvents', { type: 'select', since: 200, until: 400 });
+      expect(selects.map(record => record.timestamp)).toEqual([200, 300]);
+    });
+
+    it('keeps the newest records when a limit is given', async () => {
+      for (let timestamp = 1; timestamp <= 5; timestamp++) {
+        await storage.append('scores', { profileId: 'p1', timestamp });
+      }
+
+      const newest = await storage.query('scores', { profileId: 'p1', limit: 2 });
+      expect(newest.map(record => record.timestamp)).toEqual([4, 5]);
+    });
+
+    it('returns copies, so callers cannot change stored records', async () => {
+      await storage.append('errors', { profileId: 'p1', error: 'boom' });
+
+      const [record] = await storage.query('errors');
+      record.error = 'changed';
+
+      const [again] = await storage.query('errors');
+      expect(again.error).toBe('boom');
+    });
+
+    it('clears one player or a whole collection', async () => {
+      await storage.append('sessions', { profileId: 'p1' });
+      await storage.append('sessions', { profileId: 'p2' });
+      await storage.append('scores', { profileId: 'p1' });
+
+      await storage.clear('sessions', { profileId: 'p1' });
+      expect((await storage.query('sessions')).map(record => record.profileId)).toEqual(['p2']);
+      expect(await storage.query('scores')).toHaveLength(1);
+
+      await storage.clear('sessions');
+      expect(await storage.query('sessions')).toEqual([]);
+    });
+  });
+});